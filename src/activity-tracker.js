@@ -0,0 +1,286 @@
+// Opt-in browser activity tracking. Page views, SPA route changes, clicks on marked elements, scroll depth,
+// time on page and form focus become context entries. Only the allowed activity types and paths are captured;
+// form values, query strings and clicks on unmarked elements never are.
+
+import { normalizeContextMetadata } from './context-metadata.js';
+
+export const ACTIVITY_TYPES = Object.freeze(['pageView', 'routeChange', 'click', 'scrollDepth', 'timeOnPage', 'formFocus']);
+
+const DEFAULT_CLICK_ATTRIBUTE = 'data-heylock-track';
+const IGNORE_ATTRIBUTE = 'data-heylock-ignore';
+const DEFAULT_SCROLL_THRESHOLDS = Object.freeze([25, 50, 75, 100]);
+const DEFAULT_DEBOUNCE_MS = 1000;
+const MIN_TIME_ON_PAGE_MS = 5000;
+const MAX_LABEL_LENGTH = 100;
+const RULE_FIELDS = Object.freeze(['type', 'path', 'selector', 'ignore', 'content', 'tags', 'source', 'weight']);
+
+function isPathPattern(value){
+    return (typeof value === 'string' && value.startsWith('/')) || value instanceof RegExp;
+}
+
+// A string pattern matches the path itself and everything below it: '/shop' matches '/shop' and '/shop/boots'
+function matchesPath(path, pattern){
+    if(pattern instanceof RegExp) return pattern.test(path);
+
+    const prefix = pattern.endsWith('/') ? pattern : `${pattern}/`;
+
+    return path === pattern || path.startsWith(prefix);
+}
+
+/**
+ * Validates trackActivity options and returns them frozen with defaults filled in.
+ */
+export function resolveActivityTrackerOptions(options, methodName){
+    //#region Validate argument
+    if(typeof options !== 'object' || options === null || Array.isArray(options)){
+        throw new Error(`${methodName} failed: options must be an object.`);
+    }
+
+    const { allow = {}, rules = [], debounceMs = DEFAULT_DEBOUNCE_MS, clickAttribute = DEFAULT_CLICK_ATTRIBUTE, scrollThresholds = DEFAULT_SCROLL_THRESHOLDS } = options;
+
+    if(typeof allow !== 'object' || allow === null || Array.isArray(allow)){
+        throw new Error(`${methodName} failed: options.allow must be an object.`);
+    }
+
+    const { events = ACTIVITY_TYPES, paths = null } = allow;
+
+    if(!Array.isArray(events) || !events.every(type => ACTIVITY_TYPES.includes(type))){
+        throw new Error(`${methodName} failed: options.allow.events must be an array of ${ACTIVITY_TYPES.join(', ')}.`);
+    }
+
+    if(paths !== null && !(Array.isArray(paths) && paths.every(isPathPattern))){
+        throw new Error(`${methodName} failed: options.allow.paths must be an array of paths starting with '/' or regular expressions.`);
+    }
+
+    if(!Array.isArray(rules)){
+        throw new Error(`${methodName} failed: options.rules must be an array.`);
+    }
+
+    rules.forEach((rule, index) => {
+        const types = rule?.type === undefined ? [] : [rule.type].flat();
+
+        if(typeof rule !== 'object' || rule === null || Array.isArray(rule)
+            || Object.keys(rule).some(field => !RULE_FIELDS.includes(field))
+            || !types.every(type => ACTIVITY_TYPES.includes(type))
+            || (rule.path !== undefined && !isPathPattern(rule.path))
+            || (rule.selector !== undefined && (typeof rule.selector !== 'string' || rule.selector.trim().length === 0))
+            || (rule.ignore !== undefined && typeof rule.ignore !== 'boolean')
+            || (rule.content !== undefined && typeof rule.content !== 'string' && typeof rule.content !== 'function')
+        ){
+            throw new Error(
+                `${methodName} failed: options.rules[${index}] is invalid. ` +
+                `A rule is an object with optional 'type' (an activity type or an array of them), 'path', 'selector', 'ignore', 'content' (a string or a function), 'tags', 'source' and 'weight'.`
+            );
+        }
+
+        normalizeContextMetadata({ tags: rule.tags, source: rule.source, weight: rule.weight }, methodName, `options.rules[${index}]`);
+    });
+
+    if(typeof debounceMs !== 'number' || !Number.isFinite(debounceMs) || debounceMs < 0){
+        throw new Error(`${methodName} failed: options.debounceMs must be a finite, non-negative number.`);
+    }
+
+    if(typeof clickAttribute !== 'string' || !/^data-[a-z0-9-]+$/.test(clickAttribute)){
+        throw new Error(`${methodName} failed: options.clickAttribute must be a data attribute name, such as 'data-heylock-track'.`);
+    }
+
+    if(!Array.isArray(scrollThresholds) || scrollThresholds.length === 0 || !scrollThresholds.every(threshold => typeof threshold === 'number' && threshold > 0 && threshold <= 100)){
+        throw new Error(`${methodName} failed: options.scrollThresholds must be a non-empty array of percentages above 0 and up to 100.`);
+    }
+    //#endregion
+
+    return Object.freeze({
+        allow: Object.freeze({ events: Object.freeze([...events]), paths: paths === null ? null : Object.freeze([...paths]) }),
+        rules: Object.freeze(rules.map(rule => Object.freeze({ ...rule }))),
+        debounceMs,
+        clickAttribute,
+        scrollThresholds: Object.freeze([...new Set(scrollThresholds)].sort((first, second) => first - second))
+    });
+}
+
+function formatDuration(durationMs){
+    const seconds = Math.round(durationMs / 1000);
+    if (seconds < 60) return `${seconds} second${seconds !== 1 ? 's' : ''}`;
+
+    const minutes = Math.round(seconds / 60);
+    return `${minutes} minute${minutes !== 1 ? 's' : ''}`;
+}
+
+// Default wording of each activity type; rules can replace it
+export function describeActivity(activity){
+    switch(activity.type){
+        case 'pageView': return activity.title ? `Viewed the "${activity.title}" page (${activity.path})` : `Viewed ${activity.path}`;
+        case 'routeChange': return activity.title ? `Navigated to the "${activity.title}" page (${activity.path})` : `Navigated to ${activity.path}`;
+        case 'click': return `Clicked "${activity.label}"`;
+        case 'scrollDepth': return `Scrolled ${activity.depth}% of ${activity.path}`;
+        case 'timeOnPage': return `Spent ${formatDuration(activity.durationMs)} on ${activity.path}`;
+        case 'formFocus': return `Focused the "${activity.field}" field${activity.form ? ` in the "${activity.form}" form` : ''}`;
+    }
+}
+
+function getLabel(element, attributeName){
+    const text = element.getAttribute(attributeName)?.trim() || element.getAttribute('aria-label')?.trim() || element.textContent?.replace(/\s+/g, ' ').trim() || '';
+
+    return text.slice(0, MAX_LABEL_LENGTH);
+}
+
+/**
+ * Starts listening and returns a function that stops. `record(content, metadata)` adds a context entry;
+ * `onError(error)` is called when a rule's content function throws. Entries are tagged 'activity' and
+ * the activity type, with source 'page' for page views and route changes and 'event' otherwise.
+ */
+export function startActivityTracker(options, { window, record, onError }){
+    const { document, history } = window;
+    const removers = [];
+    const lastRecordedAt = new Map();
+
+    // Hash routers ('#/orders') count as paths; query strings are left out because they often carry personal data
+    const getPath = () => window.location.pathname + (window.location.hash.startsWith('#/') ? window.location.hash : '');
+
+    let currentPath = getPath();
+    let pageStartedAt = Date.now();
+    let reachedDepth = 0;
+
+    const listen = (target, type, listener, listenerOptions) => {
+        target.addEventListener(type, listener, listenerOptions);
+        removers.push(() => target.removeEventListener(type, listener, listenerOptions));
+    };
+
+    const matchesRule = (rule, activity) => (rule.type === undefined || [rule.type].flat().includes(activity.type))
+        && (rule.path === undefined || matchesPath(activity.path, rule.path))
+        && (rule.selector === undefined || Boolean(activity.element?.closest(rule.selector)));
+
+    const capture = (activity) => {
+        if(!options.allow.events.includes(activity.type)) return;
+        if(options.allow.paths !== null && !options.allow.paths.some(pattern => matchesPath(activity.path, pattern))) return;
+
+        const frozenActivity = Object.freeze(activity);
+        const rule = options.rules.find(rule => matchesRule(rule, frozenActivity));
+
+        if(rule?.ignore) return;
+
+        let content;
+
+        try{
+            content = rule?.content === undefined ? describeActivity(frozenActivity)
+                : typeof rule.content === 'function' ? rule.content(frozenActivity)
+                : rule.content;
+        } catch(error){
+            onError(error);
+            return;
+        }
+
+        // A content function returns null (or an empty string) to skip the activity
+        if(typeof content !== 'string' || content.trim().length === 0) return;
+
+        const key = `${activity.type}\u0000${content}`;
+        const now = Date.now();
+
+        if(now - (lastRecordedAt.get(key) ?? -Infinity) < options.debounceMs) return;
+
+        lastRecordedAt.set(key, now);
+
+        record(content, {
+            tags: ['activity', activity.type, ...(rule?.tags ?? [])],
+            source: rule?.source ?? (activity.type === 'pageView' || activity.type === 'routeChange' ? 'page' : 'event'),
+            ...(rule?.weight !== undefined ? { weight: rule.weight } : {})
+        });
+    };
+
+    const finishPage = () => {
+        const durationMs = Date.now() - pageStartedAt;
+
+        durationMs >= MIN_TIME_ON_PAGE_MS && capture({ type: 'timeOnPage', path: currentPath, durationMs });
+
+        // pagehide and stop can both end the same visit
+        pageStartedAt = Date.now();
+    };
+
+    //#region Route changes
+    const handleLocationChange = () => {
+        const path = getPath();
+
+        if(path === currentPath) return;
+
+        finishPage();
+
+        currentPath = path;
+        pageStartedAt = Date.now();
+        reachedDepth = 0;
+
+        capture({ type: 'routeChange', path, title: document.title });
+    };
+
+    // SPAs change the URL through the History API, which fires no event of its own
+    const originalMethods = {};
+
+    for(const methodName of ['pushState', 'replaceState']){
+        const original = history[methodName];
+        const patched = function(...args){
+            const result = original.apply(this, args);
+            handleLocationChange();
+            return result;
+        };
+
+        originalMethods[methodName] = { original, patched };
+        history[methodName] = patched;
+    }
+
+    removers.push(() => {
+        // Leave the method alone if someone else wrapped it after us
+        Object.entries(originalMethods).forEach(([methodName, { original, patched }]) => {
+            history[methodName] === patched && (history[methodName] = original);
+        });
+    });
+
+    listen(window, 'popstate', handleLocationChange);
+    listen(window, 'hashchange', handleLocationChange);
+    //#endregion
+
+    listen(document, 'click', event => {
+        const element = event.target?.closest?.(`[${options.clickAttribute}]`);
+
+        if(!element || element.closest(`[${IGNORE_ATTRIBUTE}]`)) return;
+
+        const label = getLabel(element, options.clickAttribute);
+
+        label && capture({ type: 'click', path: currentPath, label, element });
+    }, { capture: true });
+
+    listen(window, 'scroll', () => {
+        const scrollHeight = document.documentElement.scrollHeight;
+
+        if(scrollHeight <= 0) return;
+
+        const percentage = Math.min(100, ((window.scrollY + window.innerHeight) / scrollHeight) * 100);
+
+        // Only the deepest threshold reached by this scroll is recorded
+        const depth = options.scrollThresholds.filter(threshold => threshold <= percentage && threshold > reachedDepth).at(-1);
+
+        if(depth === undefined) return;
+
+        reachedDepth = depth;
+        capture({ type: 'scrollDepth', path: currentPath, depth });
+    }, { passive: true });
+
+    listen(document, 'focusin', event => {
+        const element = event.target;
+
+        if(!element?.matches?.('input:not([type="hidden"]), textarea, select') || element.closest(`[${IGNORE_ATTRIBUTE}]`)) return;
+
+        // Names only; the value is never read
+        const field = (element.getAttribute('aria-label')?.trim() || element.labels?.[0]?.textContent?.trim() || element.name || element.id || '').slice(0, MAX_LABEL_LENGTH);
+        const form = (element.form?.getAttribute('name') || element.form?.id || '').slice(0, MAX_LABEL_LENGTH);
+
+        field && capture({ type: 'formFocus', path: currentPath, field, form: form || null, element });
+    });
+
+    listen(window, 'pagehide', finishPage);
+
+    capture({ type: 'pageView', path: currentPath, title: document.title });
+
+    return () => {
+        finishPage();
+        removers.forEach(remove => remove());
+    };
+}
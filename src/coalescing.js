@@ -0,0 +1,91 @@
+// Coalescing of repeated context entries. When new content matches an entry seen within the window, that entry's
+// timestamp and occurrence count are updated instead of adding a new one.
+
+const DEFAULT_WINDOW_MS = 5 * 60 * 1000;
+const SIMILARITY_MODES = Object.freeze(['exact', 'normalized']);
+
+/**
+ * Normalizes the contextCoalescing option into a frozen policy `{ windowMs, similarity }`, or null when it is off.
+ * `true` uses the defaults: a 5-minute window and 'normalized' matching.
+ */
+export function resolveCoalescingPolicy(coalescing, methodName){
+    if(coalescing === undefined || coalescing === false || coalescing === null) return null;
+
+    //#region Validate argument
+    if(coalescing !== true && (typeof coalescing !== 'object' || Array.isArray(coalescing))){
+        throw new Error(`${methodName} failed: contextCoalescing must be a boolean or an object.`);
+    }
+
+    const { windowMs = DEFAULT_WINDOW_MS, similarity = 'normalized' } = coalescing === true ? {} : coalescing;
+
+    if(typeof windowMs !== 'number' || !Number.isFinite(windowMs) || windowMs <= 0){
+        throw new Error(`${methodName} failed: contextCoalescing.windowMs must be a positive number.`);
+    }
+
+    if(!SIMILARITY_MODES.includes(similarity) && !(typeof similarity === 'number' && similarity > 0 && similarity <= 1)){
+        throw new Error(`${methodName} failed: contextCoalescing.similarity must be 'exact', 'normalized' or a number above 0 and up to 1.`);
+    }
+    //#endregion
+
+    return Object.freeze({ windowMs, similarity });
+}
+
+// Case, repeated whitespace and surrounding punctuation do not make two entries different
+function normalizeContent(content){
+    return content.toLowerCase().replace(/\s+/g, ' ').replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, '');
+}
+
+function getBigrams(text){
+    const bigrams = new Map();
+
+    for(let index = 0; index < text.length - 1; index++){
+        const bigram = text.slice(index, index + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) ?? 0) + 1);
+    }
+
+    return bigrams;
+}
+
+/**
+ * Sørensen–Dice coefficient over character bigrams of the normalized texts: 1 for equal texts, 0 for nothing in common.
+ */
+export function getContentSimilarity(first, second){
+    const firstText = normalizeContent(first);
+    const secondText = normalizeContent(second);
+
+    if(firstText === secondText) return 1;
+    if(firstText.length < 2 || secondText.length < 2) return 0;
+
+    const firstBigrams = getBigrams(firstText);
+    const secondBigrams = getBigrams(secondText);
+    let shared = 0;
+
+    firstBigrams.forEach((count, bigram) => {
+        shared += Math.min(count, secondBigrams.get(bigram) ?? 0);
+    });
+
+    return (2 * shared) / (firstText.length - 1 + secondText.length - 1);
+}
+
+function isSimilar(first, second, similarity){
+    if(similarity === 'exact') return first === second;
+    if(similarity === 'normalized') return normalizeContent(first) === normalizeContent(second);
+
+    return getContentSimilarity(first, second) >= similarity;
+}
+
+/**
+ * Returns the index of the latest entry the new content coalesces into, or -1.
+ * An entry qualifies when its timestamp is within windowMs of the new one and its content is similar enough.
+ */
+export function findCoalescableEntry(entries, content, timestamp, policy){
+    for(let index = entries.length - 1; index >= 0; index--){
+        const entry = entries[index];
+
+        if(Math.abs(timestamp - entry.timestamp) <= policy.windowMs && isSimilar(entry.content, content, policy.similarity)){
+            return index;
+        }
+    }
+
+    return -1;
+}
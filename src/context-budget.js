@@ -0,0 +1,129 @@
+// Fits context into a character or approximate-token budget. Entries are ranked by recency, weight and
+// relevance to the current request; the best-ranked entries that fit are kept, in their original order.
+
+const CHARS_PER_TOKEN = 4;
+const MIN_TERM_LENGTH = 3;
+const DEFAULT_RECENCY_HALF_LIFE_MS = 30 * 60 * 1000;
+const DEFAULT_RANKING = Object.freeze({ recency: 1, weight: 1, relevance: 1 });
+
+// Rough estimate for English text; the server's tokenizer decides the exact count
+export function estimateTokens(text){
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Normalizes a contextBudget option into a frozen budget, or null when there is none.
+ * At least one of maxChars and maxTokens is required; when both are given, both must hold.
+ */
+export function resolveContextBudget(budget, methodName){
+    if(budget === undefined || budget === null) return null;
+
+    //#region Validate argument
+    if(typeof budget !== 'object' || Array.isArray(budget)){
+        throw new Error(`${methodName} failed: contextBudget must be an object or null.`);
+    }
+
+    const { maxChars = null, maxTokens = null, ranking = {}, recencyHalfLifeMs = DEFAULT_RECENCY_HALF_LIFE_MS } = budget;
+
+    if(maxChars === null && maxTokens === null){
+        throw new Error(`${methodName} failed: contextBudget needs maxChars, maxTokens or both.`);
+    }
+
+    if(maxChars !== null && (!Number.isInteger(maxChars) || maxChars < 1)){
+        throw new Error(`${methodName} failed: contextBudget.maxChars must be a positive integer or null.`);
+    }
+
+    if(maxTokens !== null && (!Number.isInteger(maxTokens) || maxTokens < 1)){
+        throw new Error(`${methodName} failed: contextBudget.maxTokens must be a positive integer or null.`);
+    }
+
+    if(typeof ranking !== 'object' || ranking === null || Array.isArray(ranking)){
+        throw new Error(`${methodName} failed: contextBudget.ranking must be an object.`);
+    }
+
+    for(const factor of Object.keys(DEFAULT_RANKING)){
+        if(ranking[factor] !== undefined && (typeof ranking[factor] !== 'number' || !Number.isFinite(ranking[factor]) || ranking[factor] < 0)){
+            throw new Error(`${methodName} failed: contextBudget.ranking.${factor} must be a finite, non-negative number.`);
+        }
+    }
+
+    if(typeof recencyHalfLifeMs !== 'number' || !Number.isFinite(recencyHalfLifeMs) || recencyHalfLifeMs <= 0){
+        throw new Error(`${methodName} failed: contextBudget.recencyHalfLifeMs must be a positive number.`);
+    }
+    //#endregion
+
+    return Object.freeze({
+        maxChars,
+        maxTokens,
+        ranking: Object.freeze({ ...DEFAULT_RANKING, ...ranking }),
+        recencyHalfLifeMs
+    });
+}
+
+function getTerms(text){
+    return new Set((text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []).filter(term => term.length >= MIN_TERM_LENGTH));
+}
+
+/**
+ * Scores each entry; higher is more important. The score adds up three parts, each between 0 and 1
+ * and multiplied by its ranking factor:
+ * - recency halves every recencyHalfLifeMs;
+ * - weight is relative to the heaviest entry (1 when unset);
+ * - relevance is the share of the query's words that appear in the entry.
+ */
+export function scoreContextEntries(entries, { ranking = DEFAULT_RANKING, recencyHalfLifeMs = DEFAULT_RECENCY_HALF_LIFE_MS } = {}, query = '', now = Date.now()){
+    const queryTerms = getTerms(query);
+    const maxWeight = Math.max(0, ...entries.map(entry => entry.weight ?? 1));
+
+    return entries.map(entry => {
+        const recency = Math.pow(0.5, Math.max(0, now - entry.timestamp) / recencyHalfLifeMs);
+        const weight = maxWeight > 0 ? (entry.weight ?? 1) / maxWeight : 0;
+
+        let relevance = 0;
+
+        if(queryTerms.size > 0){
+            const entryTerms = getTerms(entry.content);
+            relevance = [...queryTerms].filter(term => entryTerms.has(term)).length / queryTerms.size;
+        }
+
+        return ranking.recency * recency + ranking.weight * weight + ranking.relevance * relevance;
+    });
+}
+
+/**
+ * Formats entries into context text that fits the budget. `format(entry, now)` returns the text of one entry
+ * and `join(lines)` combines them (concatenation by default); the budget applies to the joined text.
+ * Entries are tried from the highest score down (newest first on ties); ones that do not fit are skipped,
+ * so a smaller entry further down can still be included. Without a budget, every entry is included.
+ * Returns `{ text, included, excluded }`; the lists hold `{ entry, score }` in the original entry order.
+ */
+export function buildBudgetedContext(entries, budget, { query = '', now = Date.now(), format, join = lines => lines.join('') }){
+    const scores = scoreContextEntries(entries, budget ?? undefined, query, now);
+    const lines = entries.map(entry => format(entry, now));
+    const isIncluded = new Array(entries.length).fill(budget === null);
+
+    if(budget !== null){
+        const byScore = entries.map((entry, index) => index).sort((first, second) => scores[second] - scores[first] || entries[second].timestamp - entries[first].timestamp);
+        const includedLines = [];
+
+        for(const index of byScore){
+            const chars = join([...includedLines, lines[index]]).length;
+
+            if((budget.maxChars !== null && chars > budget.maxChars) || (budget.maxTokens !== null && Math.ceil(chars / CHARS_PER_TOKEN) > budget.maxTokens)) continue;
+
+            isIncluded[index] = true;
+            includedLines.push(lines[index]);
+        }
+    }
+
+    const included = [];
+    const excluded = [];
+
+    entries.forEach((entry, index) => (isIncluded[index] ? included : excluded).push({ entry, score: scores[index] }));
+
+    return {
+        text: join(lines.filter((line, index) => isIncluded[index])),
+        included,
+        excluded
+    };
+}
@@ -0,0 +1,189 @@
+// How context entries are written into the text sent to the API. The default, English sentences with
+// relative times ("Opened cart 5 minutes ago. "), matches the output of releases before formats existed.
+
+const CONTEXT_STYLES = Object.freeze(['sentence', 'bullets', 'json']);
+const CONTEXT_TIMES = Object.freeze(['relative', 'iso', 'none']);
+const TEMPLATE_PLACEHOLDERS = Object.freeze(['content', 'time', 'relativeTime', 'isoTime', 'source', 'tags', 'count']);
+
+/**
+ * Normalizes a contextFormat option into a frozen format: `{ style, time, locale, template, formatEntry }`.
+ * `undefined` gives the default format.
+ */
+export function resolveContextFormat(format, methodName){
+    if(format === undefined || format === null){
+        return Object.freeze({ style: 'sentence', time: 'relative', locale: null, template: null, formatEntry: null });
+    }
+
+    //#region Validate argument
+    if(typeof format !== 'object' || Array.isArray(format)){
+        throw new Error(`${methodName} failed: contextFormat must be an object.`);
+    }
+
+    const { style = 'sentence', time = 'relative', locale = null, template = null, formatEntry = null } = format;
+
+    if(!CONTEXT_STYLES.includes(style)){
+        throw new Error(`${methodName} failed: contextFormat.style must be one of ${CONTEXT_STYLES.join(', ')}.`);
+    }
+
+    if(!CONTEXT_TIMES.includes(time)){
+        throw new Error(`${methodName} failed: contextFormat.time must be one of ${CONTEXT_TIMES.join(', ')}.`);
+    }
+
+    if(locale !== null){
+        if(typeof locale !== 'string' || typeof Intl?.RelativeTimeFormat !== 'function'){
+            throw new Error(`${methodName} failed: contextFormat.locale must be a string, and Intl.RelativeTimeFormat must be available.`);
+        }
+
+        try{
+            new Intl.RelativeTimeFormat(locale);
+        } catch(error){
+            throw new Error(`${methodName} failed: contextFormat.locale '${locale}' is not a valid locale.`, { cause: error });
+        }
+    }
+
+    if(template !== null){
+        if(typeof template !== 'string' || template.length === 0){
+            throw new Error(`${methodName} failed: contextFormat.template must be a non-empty string.`);
+        }
+
+        const unknownPlaceholder = [...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]).find(name => !TEMPLATE_PLACEHOLDERS.includes(name));
+
+        if(unknownPlaceholder !== undefined){
+            throw new Error(`${methodName} failed: contextFormat.template has an unknown placeholder '{${unknownPlaceholder}}'. Use ${TEMPLATE_PLACEHOLDERS.map(name => `{${name}}`).join(', ')}.`);
+        }
+    }
+
+    if(formatEntry !== null && typeof formatEntry !== 'function'){
+        throw new Error(`${methodName} failed: contextFormat.formatEntry must be a function.`);
+    }
+
+    if(template !== null && formatEntry !== null){
+        throw new Error(`${methodName} failed: contextFormat takes either a template or a formatEntry function, not both.`);
+    }
+
+    if(style === 'json' && (template !== null || formatEntry !== null)){
+        throw new Error(`${methodName} failed: contextFormat.style 'json' cannot be combined with a template or formatEntry.`);
+    }
+    //#endregion
+
+    return Object.freeze({ style, time, locale, template, formatEntry });
+}
+
+// English wording kept from the original getContextString, used when no locale is given
+function formatEnglishTimeAgo(differenceMs){
+    // Edge case: future timestamp
+    if (differenceMs < 0) return "in the future";
+
+    const seconds = Math.floor(differenceMs / 1000);
+    if (seconds < 1) return "now";
+    if (seconds < 60) return `${seconds} second${seconds !== 1 ? 's' : ''} ago`;
+
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes} minute${minutes !== 1 ? 's' : ''} ago`;
+
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} hour${hours !== 1 ? 's' : ''} ago`;
+
+    const days = Math.floor(hours / 24);
+    return `${days} day${days !== 1 ? 's' : ''} ago`;
+}
+
+// Same units and rounding as the English wording, worded by Intl.RelativeTimeFormat
+function formatLocalizedTimeAgo(differenceMs, relativeTimeFormat){
+    const sign = differenceMs < 0 ? 1 : -1;
+    const seconds = Math.floor(Math.abs(differenceMs) / 1000);
+
+    if (seconds < 1) return relativeTimeFormat.format(0, 'second');
+    if (seconds < 60) return relativeTimeFormat.format(sign * seconds, 'second');
+
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return relativeTimeFormat.format(sign * minutes, 'minute');
+
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return relativeTimeFormat.format(sign * hours, 'hour');
+
+    return relativeTimeFormat.format(sign * Math.floor(hours / 24), 'day');
+}
+
+/**
+ * Turns a resolved format into `{ formatEntry(entry, now), join(lines) }`. The context text is
+ * `join(entries.map(formatEntry))`; the budgeted builder measures candidates through the same two functions.
+ */
+export function createContextFormatter(format){
+    const relativeTimeFormat = format.locale !== null ? new Intl.RelativeTimeFormat(format.locale, { numeric: 'auto' }) : null;
+
+    const getTimes = (entry, now) => {
+        // Edge case: invalid timestamp
+        const isValidTimestamp = typeof entry.timestamp === 'number' && Number.isFinite(entry.timestamp) && entry.timestamp >= 0;
+        const relativeTime = !isValidTimestamp ? ''
+            : relativeTimeFormat !== null ? formatLocalizedTimeAgo(now - entry.timestamp, relativeTimeFormat)
+            : formatEnglishTimeAgo(now - entry.timestamp);
+        const isoTime = isValidTimestamp ? new Date(entry.timestamp).toISOString() : '';
+        const time = format.time === 'relative' ? relativeTime : format.time === 'iso' ? isoTime : '';
+
+        return { time, relativeTime, isoTime };
+    };
+
+    const formatText = (entry, now) => {
+        const times = getTimes(entry, now);
+
+        if(format.formatEntry !== null){
+            const text = format.formatEntry(entry, { ...times, locale: format.locale });
+
+            if(typeof text !== 'string'){
+                throw new Error("contextFormat.formatEntry failed: it must return a string.");
+            }
+
+            return text;
+        }
+
+        if(format.template !== null){
+            const values = { content: entry.content, ...times, source: entry.source ?? '', tags: (entry.tags ?? []).join(', '), count: String(entry.count ?? 1) };
+
+            return format.template.replace(/\{(\w+)\}/g, (placeholder, name) => values[name]);
+        }
+
+        // Coalesced entries: "Viewed boots (5 times, last 2 minutes ago)"; localized: "Viewed boots (×5, vor 2 Minuten)"
+        if(entry.count > 1){
+            const occurrences = format.locale === null ? `${entry.count} times` : `×${entry.count}`;
+            const lastTime = !times.time ? '' : format.locale === null ? `, last ${times.time}` : `, ${times.time}`;
+
+            return `${entry.content} (${occurrences}${lastTime})${format.style === 'bullets' ? '' : '.'}`;
+        }
+
+        if(format.style === 'bullets'){
+            return times.time ? `${entry.content} (${times.time})` : entry.content;
+        }
+
+        return times.time ? `${entry.content} ${times.time}.` : `${entry.content}.`;
+    };
+
+    if(format.style === 'json'){
+        return {
+            formatEntry: (entry, now) => {
+                const { time } = getTimes(entry, now);
+
+                return JSON.stringify({
+                    content: entry.content,
+                    ...(time ? { time } : {}),
+                    ...(entry.count > 1 ? { count: entry.count } : {}),
+                    ...(entry.tags?.length ? { tags: entry.tags } : {}),
+                    ...(entry.source !== undefined ? { source: entry.source } : {})
+                });
+            },
+            join: lines => lines.length > 0 ? `[${lines.join(',')}]` : ''
+        };
+    }
+
+    if(format.style === 'bullets'){
+        return {
+            formatEntry: (entry, now) => `- ${formatText(entry, now)}`,
+            join: lines => lines.join('\n')
+        };
+    }
+
+    return {
+        formatEntry: (entry, now) => `${formatText(entry, now)} `,
+        join: lines => lines.join('')
+    };
+}
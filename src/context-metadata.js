@@ -0,0 +1,136 @@
+// Optional metadata on context entries (tags, source, weight, attributes) and the filters that select
+// entries by it. Entries only carry the fields that were set; an entry without a weight counts as 1.
+
+const MAX_TAGS = 32;
+const MAX_TAG_LENGTH = 64;
+const MAX_SOURCE_LENGTH = 64;
+const MAX_ATTRIBUTES = 32;
+const DEFAULT_WEIGHT = 1;
+
+export const CONTEXT_METADATA_FIELDS = Object.freeze(['tags', 'source', 'weight', 'attributes']);
+
+function isPlainObject(value){
+    return typeof value === 'object' && value !== null && !Array.isArray(value) && (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+}
+
+function isAttributeValue(value){
+    return typeof value === 'string' || typeof value === 'boolean' || value === null || (typeof value === 'number' && Number.isFinite(value));
+}
+
+function isTagList(value, maxLength = MAX_TAGS){
+    return Array.isArray(value) && value.length <= maxLength && value.every(tag => typeof tag === 'string' && tag.trim().length > 0 && tag.length <= MAX_TAG_LENGTH);
+}
+
+/**
+ * Validates context entry metadata and returns a copy holding only the fields that were given.
+ * Tags are trimmed and deduplicated. Errors name the method and the label of the checked value.
+ */
+export function normalizeContextMetadata(metadata, methodName, label = 'metadata'){
+    if(metadata === undefined) return {};
+
+    //#region Validate argument
+    if(!isPlainObject(metadata)){
+        throw new Error(`${methodName} failed: ${label} must be an object.`);
+    }
+
+    const unknownField = Object.keys(metadata).find(field => !CONTEXT_METADATA_FIELDS.includes(field) && metadata[field] !== undefined);
+
+    if(unknownField !== undefined){
+        throw new Error(`${methodName} failed: unknown ${label} field '${unknownField}'. Expected ${CONTEXT_METADATA_FIELDS.join(', ')}.`);
+    }
+
+    if(metadata.tags !== undefined && !isTagList(metadata.tags)){
+        throw new Error(`${methodName} failed: ${label}.tags must be an array of at most ${MAX_TAGS} non-empty strings (max length ${MAX_TAG_LENGTH}).`);
+    }
+
+    if(metadata.source !== undefined && (typeof metadata.source !== 'string' || metadata.source.trim().length === 0 || metadata.source.length > MAX_SOURCE_LENGTH)){
+        throw new Error(`${methodName} failed: ${label}.source must be a non-empty string (max length ${MAX_SOURCE_LENGTH}).`);
+    }
+
+    if(metadata.weight !== undefined && (typeof metadata.weight !== 'number' || !Number.isFinite(metadata.weight) || metadata.weight < 0)){
+        throw new Error(`${methodName} failed: ${label}.weight must be a finite, non-negative number.`);
+    }
+
+    if(metadata.attributes !== undefined && (!isPlainObject(metadata.attributes) || Object.keys(metadata.attributes).length > MAX_ATTRIBUTES || !Object.values(metadata.attributes).every(isAttributeValue))){
+        throw new Error(`${methodName} failed: ${label}.attributes must be an object with at most ${MAX_ATTRIBUTES} string, finite number, boolean or null values.`);
+    }
+    //#endregion
+
+    const normalized = {};
+
+    if(metadata.tags !== undefined) normalized.tags = [...new Set(metadata.tags.map(tag => tag.trim()))];
+    if(metadata.source !== undefined) normalized.source = metadata.source.trim();
+    if(metadata.weight !== undefined) normalized.weight = metadata.weight;
+    if(metadata.attributes !== undefined) normalized.attributes = { ...metadata.attributes };
+
+    return normalized;
+}
+
+// Picks the metadata fields out of an entry-shaped object (setContext input, stored or synced data)
+export function pickContextMetadata(entry){
+    return Object.fromEntries(CONTEXT_METADATA_FIELDS.filter(field => entry[field] !== undefined).map(field => [field, entry[field]]));
+}
+
+// Frozen copies of the metadata fields an entry has, for the public getters and events
+export function freezeContextMetadata(entry){
+    const frozen = {};
+
+    if(entry.tags !== undefined) frozen.tags = Object.freeze([...entry.tags]);
+    if(entry.source !== undefined) frozen.source = entry.source;
+    if(entry.weight !== undefined) frozen.weight = entry.weight;
+    if(entry.attributes !== undefined) frozen.attributes = Object.freeze({ ...entry.attributes });
+
+    return frozen;
+}
+
+/**
+ * Validates a context filter: `{ includeTags?, excludeTags?, sources?, minWeight? }`.
+ * Returns null when there is nothing to filter by.
+ */
+export function resolveContextFilter(filter, methodName){
+    if(filter === undefined || filter === null) return null;
+
+    //#region Validate argument
+    if(!isPlainObject(filter)){
+        throw new Error(`${methodName} failed: contextFilter must be an object.`);
+    }
+
+    for(const field of ['includeTags', 'excludeTags']){
+        if(filter[field] !== undefined && !isTagList(filter[field], Infinity)){
+            throw new Error(`${methodName} failed: contextFilter.${field} must be an array of non-empty strings.`);
+        }
+    }
+
+    if(filter.sources !== undefined && !(Array.isArray(filter.sources) && filter.sources.every(source => typeof source === 'string' && source.trim().length > 0))){
+        throw new Error(`${methodName} failed: contextFilter.sources must be an array of non-empty strings.`);
+    }
+
+    if(filter.minWeight !== undefined && (typeof filter.minWeight !== 'number' || !Number.isFinite(filter.minWeight))){
+        throw new Error(`${methodName} failed: contextFilter.minWeight must be a finite number.`);
+    }
+    //#endregion
+
+    return Object.freeze({
+        includeTags: filter.includeTags?.map(tag => tag.trim()) ?? null,
+        excludeTags: filter.excludeTags?.map(tag => tag.trim()) ?? null,
+        sources: filter.sources?.map(source => source.trim()) ?? null,
+        minWeight: filter.minWeight ?? null
+    });
+}
+
+/**
+ * Whether an entry passes a resolved filter. An entry must have at least one of includeTags,
+ * none of excludeTags, one of the sources, and a weight of at least minWeight.
+ */
+export function matchesContextFilter(entry, filter){
+    if(filter === null) return true;
+
+    const tags = entry.tags ?? [];
+
+    if(filter.includeTags !== null && !filter.includeTags.some(tag => tags.includes(tag))) return false;
+    if(filter.excludeTags !== null && filter.excludeTags.some(tag => tags.includes(tag))) return false;
+    if(filter.sources !== null && !filter.sources.includes(entry.source)) return false;
+    if(filter.minWeight !== null && (entry.weight ?? DEFAULT_WEIGHT) < filter.minWeight) return false;
+
+    return true;
+}
@@ -0,0 +1,82 @@
+// AES-GCM encryption at rest through Web Crypto. Every value gets a fresh 96-bit IV,
+// stored in front of the ciphertext: `heylock:aes-gcm:<base64 IV>.<base64 ciphertext>`.
+
+const ENCRYPTED_VALUE_PREFIX = 'heylock:aes-gcm:';
+const IV_LENGTH = 12;
+
+export function isCryptoKey(value){
+    return typeof globalThis.CryptoKey === 'function' && value instanceof globalThis.CryptoKey;
+}
+
+export function isEncryptedValue(value){
+    return typeof value === 'string' && value.startsWith(ENCRYPTED_VALUE_PREFIX);
+}
+
+function toBase64(bytes){
+    let binary = '';
+
+    // Chunked: spreading a large array into fromCharCode overflows the call stack
+    for(let index = 0; index < bytes.length; index += 0x8000){
+        binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+    }
+
+    return btoa(binary);
+}
+
+function fromBase64(base64){
+    return Uint8Array.from(atob(base64), character => character.charCodeAt(0));
+}
+
+/**
+ * Turns a CryptoKey, or a function that returns one (sync or async), into a function that resolves the key.
+ * The provider is called once; if it fails, the next call asks again.
+ */
+export function createEncryptionKeyResolver(encryptionKey){
+    let keyPromise = null;
+
+    return () => {
+        keyPromise ??= Promise.resolve().then(() => typeof encryptionKey === 'function' ? encryptionKey() : encryptionKey).then(key => {
+            if(!isCryptoKey(key)){
+                throw new Error("Encryption key provider failed: it must return a CryptoKey for AES-GCM.");
+            }
+
+            return key;
+        });
+
+        keyPromise.catch(() => { keyPromise = null; });
+
+        return keyPromise;
+    };
+}
+
+export async function encryptValue(key, plaintext){
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const ciphertext = await globalThis.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+
+    return `${ENCRYPTED_VALUE_PREFIX}${toBase64(iv)}.${toBase64(new Uint8Array(ciphertext))}`;
+}
+
+/**
+ * Reverses encryptValue. Throws when the value is malformed, was encrypted with another key, or was tampered with.
+ */
+export async function decryptValue(key, storedValue){
+    //#region Validate argument
+    if(!isEncryptedValue(storedValue)){
+        throw new Error("decryptValue failed: the stored value is not encrypted.");
+    }
+    //#endregion
+
+    const [ivBase64, ciphertextBase64, ...rest] = storedValue.slice(ENCRYPTED_VALUE_PREFIX.length).split('.');
+
+    if(!ivBase64 || !ciphertextBase64 || rest.length > 0){
+        throw new Error("decryptValue failed: the stored value is malformed.");
+    }
+
+    try{
+        const plaintext = await globalThis.crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(ivBase64) }, key, fromBase64(ciphertextBase64));
+
+        return new TextDecoder().decode(plaintext);
+    } catch(error){
+        throw new Error("decryptValue failed: the stored value could not be decrypted with this key.", { cause: error });
+    }
+}
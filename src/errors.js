@@ -0,0 +1,117 @@
+// Machine-readable error codes. UIs should branch on these rather than on message text.
+export const ERROR_CODES = Object.freeze({
+    UNAUTHORIZED: 'unauthorized',
+    QUOTA_EXHAUSTED: 'quota_exhausted',
+    RATE_LIMITED: 'rate_limited',
+    BAD_REQUEST: 'bad_request',
+    SERVER_ERROR: 'server_error',
+    UPSTREAM_ERROR: 'upstream_error',
+    INVALID_RESPONSE: 'invalid_response',
+    NOT_INITIALIZED: 'not_initialized',
+    DISPOSED: 'disposed',
+    NETWORK: 'network',
+    TIMEOUT: 'timeout',
+    STREAM_IDLE_TIMEOUT: 'stream_idle_timeout',
+    ABORTED: 'aborted'
+});
+
+/**
+ * Base class for every failure the agent reports.
+ * `status` and `planRemaining` are null when no HTTP response was involved.
+ */
+export class HeylockError extends Error{
+    constructor(message, { code, status = null, route = null, planRemaining = null, cause } = {}){
+        super(message, cause !== undefined ? { cause } : undefined);
+
+        this.name = 'HeylockError';
+        this.code = code;
+        this.status = status;
+        this.route = route;
+        this.planRemaining = planRemaining;
+    }
+}
+
+// The API answered with a non-success status
+export class HeylockHttpError extends HeylockError{
+    constructor(message, details){
+        super(message, details);
+        this.name = 'HeylockHttpError';
+    }
+}
+
+// The API answered successfully but with a body this version of the package does not understand
+export class HeylockResponseError extends HeylockError{
+    constructor(message, details){
+        super(message, { code: ERROR_CODES.INVALID_RESPONSE, ...details });
+        this.name = 'HeylockResponseError';
+    }
+}
+
+// No response was received
+export class HeylockNetworkError extends HeylockError{
+    constructor(message, details){
+        super(message, { code: ERROR_CODES.NETWORK, ...details });
+        this.name = 'HeylockNetworkError';
+    }
+}
+
+// Named like the platform's timeout DOMException so existing `error.name` checks keep working
+export class HeylockTimeoutError extends HeylockNetworkError{
+    constructor(message, { timeoutMs, ...details } = {}){
+        super(message, { code: ERROR_CODES.TIMEOUT, ...details });
+        this.name = 'TimeoutError';
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+// Named like the platform's abort DOMException so existing `error.name` checks keep working
+export class HeylockAbortError extends HeylockError{
+    constructor(message, details){
+        super(message, { code: ERROR_CODES.ABORTED, ...details });
+        this.name = 'AbortError';
+    }
+}
+
+// The agent is not in a state that allows the call
+export class HeylockStateError extends HeylockError{
+    constructor(message, details){
+        super(message, details);
+        this.name = 'HeylockStateError';
+    }
+}
+
+/**
+ * Reads the Plan-Remaining header as a number, or null when missing or malformed.
+ */
+export function readPlanRemaining(response){
+    const header = response?.headers?.get?.('Plan-Remaining');
+    const value = Number(header);
+
+    return header != null && !Number.isNaN(value) ? value : null;
+}
+
+/**
+ * Maps an HTTP status to an error code.
+ */
+export function getErrorCodeForStatus(status, planRemaining = null){
+    if(status === 401 || status === 403) return ERROR_CODES.UNAUTHORIZED;
+    if(status === 429) return planRemaining !== null && planRemaining <= 0 ? ERROR_CODES.QUOTA_EXHAUSTED : ERROR_CODES.RATE_LIMITED;
+    if(status === 502) return ERROR_CODES.UPSTREAM_ERROR;
+    if(status >= 500) return ERROR_CODES.SERVER_ERROR;
+
+    return ERROR_CODES.BAD_REQUEST;
+}
+
+/**
+ * Creates a HeylockHttpError for a failed response, keeping the caller's human-readable message.
+ */
+export function createHttpError(message, route, response){
+    const planRemaining = readPlanRemaining(response);
+
+    return new HeylockHttpError(message, {
+        code: getErrorCodeForStatus(response.status, planRemaining),
+        status: response.status,
+        route,
+        planRemaining
+    });
+}
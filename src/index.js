@@ -1,6 +1,246 @@
+import { ROUTES, DEFAULT_BASE_URL } from './routes.js';
+import { resolveRetryPolicy, getRetryDelay } from './retry.js';
+import { resolveRetentionPolicy, applyRetentionPolicy } from './retention.js';
+import { resolveActivityTrackerOptions, startActivityTracker } from './activity-tracker.js';
+import { resolveContextFormat, createContextFormatter } from './context-format.js';
+import { resolveCoalescingPolicy, findCoalescableEntry } from './coalescing.js';
+import { resolveRedactionPolicy, createRedactor } from './redaction.js';
+import { resolveMessageOptions } from './message-options.js';
+import { resolveContextBudget, buildBudgetedContext, estimateTokens } from './context-budget.js';
+import { normalizeContextMetadata, pickContextMetadata, freezeContextMetadata, resolveContextFilter, matchesContextFilter } from './context-metadata.js';
+import { isStorageAdapter, isPromiseLike, createLocalStorageAdapter } from './storage.js';
+import { mergeContext, mergeMessageHistory, mergeThreads } from './sync.js';
+import { SHARED_VERIFICATION, createSessionManagerFor } from './session-manager.js';
+import { createStorageEnvelope, migrateStoredValue } from './migrations.js';
+import { isCryptoKey, isEncryptedValue, createEncryptionKeyResolver, encryptValue, decryptValue } from './encryption.js';
+import { ERROR_CODES, HeylockError, HeylockResponseError, HeylockNetworkError, HeylockTimeoutError, HeylockAbortError, HeylockStateError, createHttpError, readPlanRemaining } from './errors.js';
+
+export { createProxyHandler, createNodeProxyHandler } from './proxy.js';
+export { createLocalStorageAdapter, createSessionStorageAdapter, createIndexedDBAdapter, createMemoryStorageAdapter, createFileStorageAdapter } from './storage.js';
+export { ERROR_CODES, HeylockError, HeylockHttpError, HeylockResponseError, HeylockNetworkError, HeylockTimeoutError, HeylockAbortError, HeylockStateError } from './errors.js';
+
 const MAX_MESSAGE_LENGTH = 10000;
 const MAX_CONTEXT_ENTRY_LENGTH = 2000;
 const SHOULD_ENGAGE_THROTTLE_MS = 15000;
+const CANCELLED_MESSAGE_CONTENT = "Response cancelled.";
+const FAILED_MESSAGE_CONTENT = "An error occurred while processing your request. Please try again later.";
+// What greet sends as the visitor's message; the greeting prompt itself goes in the instructions
+const GREETING_REQUEST_CONTENT = "The visitor has just opened the chat.";
+const MESSAGE_STATUSES = Object.freeze(['pending', 'streaming', 'complete', 'error', 'cancelled']);
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_STREAM_IDLE_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_PERSISTED_MESSAGES = 100;
+const MAX_ID_LENGTH = 128;
+const DEFAULT_THREAD_ID = 'default';
+const DEFAULT_THREAD_NAME = 'Main';
+const MAX_THREAD_NAME_LENGTH = 100;
+
+function isAbortSignal(value){
+    return typeof value === 'object' && value !== null && typeof value.aborted === 'boolean' && typeof value.addEventListener === 'function';
+}
+
+function createAbortError(methodName, route = null){
+    return new HeylockAbortError(`${methodName} failed: the request was cancelled.`, { route });
+}
+
+let fallbackIdCounter = 0;
+
+// IDs identify context entries and messages independently of their position
+function createId(){
+    if (typeof globalThis.crypto?.randomUUID === 'function') return globalThis.crypto.randomUUID();
+
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}-${(++fallbackIdCounter).toString(36)}`;
+}
+
+function isValidId(value){
+    return typeof value === 'string' && value.length > 0 && value.length <= MAX_ID_LENGTH;
+}
+
+// Keeps valid, unique IDs from stored or synced data and generates the missing ones
+function assignIds(list){
+    const seenIds = new Set();
+
+    return list.map(item => {
+        const id = isValidId(item.id) && !seenIds.has(item.id) ? item.id : createId();
+        seenIds.add(id);
+
+        return { ...item, id };
+    });
+}
+
+// Returns a defensive copy of stored context entries, or null when the value is not a valid context array
+function normalizeStoredContext(parsedContext){
+    if (!(Array.isArray(parsedContext) && parsedContext.every(entry => typeof entry === 'object' && entry !== null && typeof entry.content === 'string' && entry.content.trim().length > 0 && entry.content.length <= MAX_CONTEXT_ENTRY_LENGTH && (entry.timestamp === undefined || (typeof entry.timestamp === 'number' && entry.timestamp >= 0 && Number.isFinite(entry.timestamp))) && (entry.count === undefined || isValidCount(entry.count))))) {
+        return null;
+    }
+
+    let metadataList;
+
+    try {
+        metadataList = parsedContext.map((entry, index) => normalizeContextMetadata(pickContextMetadata(entry), 'restore', `context[${index}]`));
+    } catch {
+        return null;
+    }
+
+    return assignIds(parsedContext.map((entry, index) => ({
+        id: entry.id,
+        content: entry.content.trim(),
+        timestamp: entry.timestamp ?? new Date().getTime(),
+        ...metadataList[index],
+        ...(entry.count > 1 ? { count: entry.count } : {})
+    })));
+}
+
+// Occurrence counts of coalesced entries; entries seen once carry no count
+function isValidCount(value){
+    return Number.isInteger(value) && value >= 1;
+}
+
+// Frozen public copy of a context entry; metadata fields appear only when set
+function toPublicContextEntry(entry){
+    return Object.freeze({ id: entry.id, content: entry.content, timestamp: entry.timestamp, ...freezeContextMetadata(entry), ...(entry.count !== undefined ? { count: entry.count } : {}) });
+}
+
+function isValidTimestamp(value){
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Copies a validated message into internal form; errorCode and latencyMs are kept only when set.
+// Messages saved before metadata existed count as complete and created now.
+function toMessage(message){
+    const createdAt = message.createdAt ?? new Date().getTime();
+
+    return {
+        id: message.id,
+        content: message.content.trim(),
+        role: message.role,
+        createdAt,
+        updatedAt: message.updatedAt ?? createdAt,
+        status: message.status ?? 'complete',
+        ...(message.errorCode !== undefined ? { errorCode: message.errorCode } : {}),
+        ...(message.latencyMs !== undefined ? { latencyMs: message.latencyMs } : {})
+    };
+}
+
+// Copies validated messages into internal form, keeping their IDs where possible
+function normalizeMessages(messageHistory){
+    return assignIds(messageHistory.map(toMessage));
+}
+
+// Shared by setMessageHistory and the restore from storage so both accept exactly the same data
+function validateMessageHistory(messageHistory, methodName){
+    if (!Array.isArray(messageHistory)) {
+        throw new Error(`${methodName} failed: messageHistory must be an array.`);
+    }
+
+    // Validate each message object in the array
+    for (let index = 0; index < messageHistory.length; index++) {
+        const message = messageHistory[index];
+
+        // Check for missing or invalid properties
+        if (typeof message !== 'object' || message === null || typeof message.content !== 'string' || message.content.length > MAX_MESSAGE_LENGTH || (message.role !== 'user' && message.role !== 'assistant') || (message.id !== undefined && !isValidId(message.id))) {
+            throw new Error(
+                `${methodName} failed: message at index ${index} is invalid. ` +
+                "Each message must be an object with a string 'content' (max length " +
+                `${MAX_MESSAGE_LENGTH}), 'role' of either 'user' or 'assistant' and an optional string 'id'.`
+            );
+        }
+
+        // Optional metadata
+        if ((message.createdAt !== undefined && !isValidTimestamp(message.createdAt)) || (message.updatedAt !== undefined && !isValidTimestamp(message.updatedAt)) || (message.status !== undefined && !MESSAGE_STATUSES.includes(message.status)) || (message.errorCode !== undefined && typeof message.errorCode !== 'string') || (message.latencyMs !== undefined && !isValidTimestamp(message.latencyMs))) {
+            throw new Error(
+                `${methodName} failed: message at index ${index} has invalid metadata. ` +
+                "'createdAt', 'updatedAt' and 'latencyMs' must be non-negative numbers, 'status' one of " +
+                `${MESSAGE_STATUSES.join(', ')} and 'errorCode' a string.`
+            );
+        }
+    }
+}
+
+// Replies that were still arriving when the page closed will never finish
+function settleInterruptedMessages(messages){
+    return messages.map(message => message.status === 'pending' || message.status === 'streaming' ? { ...message, status: 'cancelled' } : message);
+}
+
+// Defensive copy of a message list, for the messageHistory property and change events
+function copyMessages(messages){
+    return Object.freeze(messages.map(message => ({ ...message })));
+}
+
+function isValidThreadName(value){
+    return typeof value === 'string' && value.trim().length > 0 && value.length <= MAX_THREAD_NAME_LENGTH;
+}
+
+// Threads as stored and synced: `{ activeThreadId, threads: [{ id, name, createdAt, messages }] }`. The default
+// thread has no messages there; its history keeps the 'messageHistory' key it had before threads existed.
+function validateThreads(value, methodName){
+    if (typeof value !== 'object' || value === null || Array.isArray(value) || !Array.isArray(value.threads) || !value.threads.some(thread => thread?.id === DEFAULT_THREAD_ID) || !value.threads.some(thread => thread?.id === value.activeThreadId)) {
+        throw new Error(`${methodName} failed: threads must be an object with a 'threads' array that includes the default thread, and the 'activeThreadId' of one of them.`);
+    }
+
+    value.threads.forEach((thread, index) => {
+        if (typeof thread !== 'object' || thread === null || !isValidId(thread.id) || value.threads.findIndex(other => other?.id === thread.id) !== index || !isValidThreadName(thread.name) || !isValidTimestamp(thread.createdAt) || (thread.id !== DEFAULT_THREAD_ID) !== Array.isArray(thread.messages)) {
+            throw new Error(
+                `${methodName} failed: thread at index ${index} is invalid. ` +
+                `Each thread must be an object with a unique string 'id', a 'name' of up to ${MAX_THREAD_NAME_LENGTH} characters, a 'createdAt' timestamp and, except for the default thread, a 'messages' array.`
+            );
+        }
+
+        thread.messages !== undefined && validateMessageHistory(thread.messages, methodName);
+    });
+}
+
+// Copies a validated thread into internal form; the default thread's messages are not part of it
+function toThread(thread){
+    return { id: thread.id, name: thread.name.trim(), createdAt: thread.createdAt, ...(thread.messages !== undefined ? { messages: normalizeMessages(thread.messages) } : {}) };
+}
+
+function createDisposedError(methodName, route = null){
+    return new HeylockStateError(`${methodName} failed: the agent has been disposed. Create a new instance instead.`, { code: ERROR_CODES.DISPOSED, route });
+}
+
+function isValidTimeout(value){
+    return value === null || (typeof value === 'number' && Number.isFinite(value) && value > 0);
+}
+
+function createTimeoutError(methodName, timeoutMs, route = null){
+    return new HeylockTimeoutError(`${methodName} failed: the request timed out after ${timeoutMs} ms.`, { timeoutMs, route });
+}
+
+function createStreamIdleTimeoutError(methodName, timeoutMs, route = null){
+    return new HeylockTimeoutError(`${methodName} failed: no data was received from the stream for ${timeoutMs} ms.`, { code: ERROR_CODES.STREAM_IDLE_TIMEOUT, timeoutMs, route });
+}
+
+function readWithIdleTimeout(reader, timeoutMs){
+    if(timeoutMs === null) return reader.read();
+
+    let timeoutId;
+
+    return Promise.race([
+        reader.read(),
+        new Promise((resolve, reject) => {
+            timeoutId = setTimeout(() => reject(createStreamIdleTimeoutError('messageStream', timeoutMs, 'message')), timeoutMs);
+        })
+    ]).finally(() => clearTimeout(timeoutId));
+}
+
+function wait(ms, signal){
+    return new Promise((resolve, reject) => {
+        if(signal?.aborted) return reject(signal.reason);
+
+        const onAbort = () => {
+            clearTimeout(timeoutId);
+            reject(signal.reason);
+        };
+
+        const timeoutId = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
 
 export default class Heylock{    
     //#region Initialization
@@ -10,85 +250,365 @@ export default class Heylock{
         // Detect environment early and default useStorage accordingly
         const isBrowser = typeof window !== 'undefined' && typeof window.document !== 'undefined';
         
-        this.useStorage = options.useStorage ?? isBrowser;
+        // An explicit adapter means the caller wants persistence, even outside the browser
+        this.useStorage = options.useStorage ?? (isBrowser || options.storage !== undefined);
         this.useMessageHistory = options.useMessageHistory ?? true;
         this.suppressWarnings = options.suppressWarnings ?? false;
+        this.persistMessageHistory = options.persistMessageHistory ?? false;
+        this.maxPersistedMessages = options.maxPersistedMessages ?? DEFAULT_MAX_PERSISTED_MESSAGES;
+        this.syncTabs = options.syncTabs ?? false;
+        this.baseUrl = options.baseUrl ?? DEFAULT_BASE_URL;
+        this.proxyUrl = options.proxyUrl ?? null;
+        this.timeoutMs = options.timeoutMs === undefined ? DEFAULT_TIMEOUT_MS : options.timeoutMs;
+        this.streamIdleTimeoutMs = options.streamIdleTimeoutMs === undefined ? DEFAULT_STREAM_IDLE_TIMEOUT_MS : options.streamIdleTimeoutMs;
         
         //#region Validate arguments
-        if(typeof agentKey !== 'string' || agentKey.length <= 0){
+        if(this.proxyUrl !== null && (typeof this.proxyUrl !== 'string' || this.proxyUrl.trim().length <= 0)){
+            throw new Error("Agent initialization failed: proxyUrl must be a non-empty string if provided.");
+        }
+
+        if(this.proxyUrl === null && (typeof agentKey !== 'string' || agentKey.length <= 0)){
             throw new Error("Agent initialization failed: agentKey must be a non-empty string.");
         }
+
+        // In proxy mode the server holds the key; never keep one around in the client
+        if(this.proxyUrl !== null && agentKey != null){
+            !this.suppressWarnings && console.warn("Agent initialization warning: agentKey is ignored when proxyUrl is set. Remove it from client code so it does not ship to the browser.");
+            this.agentKey = null;
+        }
         
         if(typeof this.useStorage !== 'boolean'){
             throw new Error("Agent initialization failed: useStorage must be a boolean.");
         }
 
+        if(options.storage !== undefined && !isStorageAdapter(options.storage)){
+            throw new Error("Agent initialization failed: storage must be an object with get, set and remove functions.");
+        }
+
         if(typeof this.useMessageHistory !== 'boolean'){
             throw new Error("Agent initialization failed: useMessageHistory must be a boolean.");
         }
+
+        if(typeof this.persistMessageHistory !== 'boolean'){
+            throw new Error("Agent initialization failed: persistMessageHistory must be a boolean.");
+        }
+
+        if(!Number.isInteger(this.maxPersistedMessages) || this.maxPersistedMessages < 1){
+            throw new Error("Agent initialization failed: maxPersistedMessages must be a positive integer.");
+        }
+
+        if(typeof this.syncTabs !== 'boolean'){
+            throw new Error("Agent initialization failed: syncTabs must be a boolean.");
+        }
+
+        if(this.syncTabs && !this.useStorage){
+            !this.suppressWarnings && console.warn("Agent initialization warning: syncTabs has no effect while useStorage is false.");
+        }
+
+        if(this.persistMessageHistory && !this.useStorage){
+            !this.suppressWarnings && console.warn("Agent initialization warning: persistMessageHistory has no effect while useStorage is false.");
+        }
+
+        if(options.encryptionKey !== undefined && typeof options.encryptionKey !== 'function' && !isCryptoKey(options.encryptionKey)){
+            throw new Error("Agent initialization failed: encryptionKey must be a CryptoKey or a function that returns one.");
+        }
+
+        if(options.encryptionKey !== undefined && typeof globalThis.crypto?.subtle?.encrypt !== 'function'){
+            throw new Error("Agent initialization failed: encryptionKey requires Web Crypto (crypto.subtle), which is not available in this environment.");
+        }
+
+        if(options.encryptionKey !== undefined && !this.useStorage){
+            !this.suppressWarnings && console.warn("Agent initialization warning: encryptionKey has no effect while useStorage is false.");
+        }
+
+        if(typeof this.baseUrl !== 'string' || !/^https?:\/\/[^\s]+$/i.test(this.baseUrl)){
+            throw new Error("Agent initialization failed: baseUrl must be an absolute http(s) URL.");
+        }
+
+        if(options.fetch !== undefined && typeof options.fetch !== 'function'){
+            throw new Error("Agent initialization failed: fetch must be a function if provided.");
+        }
+
+        if(!isValidTimeout(this.timeoutMs)){
+            throw new Error("Agent initialization failed: timeoutMs must be a positive number or null.");
+        }
+
+        if(!isValidTimeout(this.streamIdleTimeoutMs)){
+            throw new Error("Agent initialization failed: streamIdleTimeoutMs must be a positive number or null.");
+        }
         //#endregion
 
+        // Normalize so routes can be appended without producing a double slash
+        this.baseUrl = this.baseUrl.replace(/\/+$/, '');
+        this.proxyUrl = this.proxyUrl?.replace(/\/+$/, '') ?? null;
+        this.#fetchImplementation = options.fetch;
+        this.#retryPolicy = resolveRetryPolicy(options.retry);
+        this.contextRetention = resolveRetentionPolicy(options.contextRetention);
+        this.contextBudget = resolveContextBudget(options.contextBudget, 'Agent initialization');
+        this.contextFormat = resolveContextFormat(options.contextFormat, 'Agent initialization');
+        this.contextCoalescing = resolveCoalescingPolicy(options.contextCoalescing, 'Agent initialization');
+        this.redaction = resolveRedactionPolicy(options.redaction, 'Agent initialization');
+        this.#redactor = this.redaction !== null ? createRedactor(this.redaction) : null;
+        this.#storage = options.storage ?? (isBrowser ? createLocalStorageAdapter() : null);
+        this.#resolveEncryptionKey = options.encryptionKey !== undefined ? createEncryptionKeyResolver(options.encryptionKey) : null;
+
         //#region Manage context in storage
         if(this.useStorage){
-            const storageKey = `heylock:${options.agentId || 'default'}:context`;
+            this.#contextStorageKey = `heylock:${options.agentId || 'default'}:context`;
 
             this.onContextChange(() => {
-                this.#setStorageItem(storageKey, this.context);
+                this.#setStorageItem(this.#contextStorageKey, createStorageEnvelope(this.context));
             });
 
-            const contextStorageString = this.#getStorageItem(storageKey);
+            const contextStorageString = this.#getStorageItem(this.#contextStorageKey);
 
-            if (contextStorageString) {
-                try {
-                    const parsedContext = JSON.parse(contextStorageString);
-
-                    // Validate parsedContext is an array of valid context entries
-                    if (Array.isArray(parsedContext) && parsedContext.every(entry => typeof entry === 'object' && entry !== null && typeof entry.content === 'string' && entry.content.trim().length > 0 && entry.content.length <= MAX_CONTEXT_ENTRY_LENGTH && (entry.timestamp === undefined || (typeof entry.timestamp === 'number' && entry.timestamp >= 0 && Number.isFinite(entry.timestamp))))) {
-                        // Defensive copy to prevent mutation
-                        this.#context = parsedContext.map(entry => ({
-                            content: entry.content.trim(),
-                            timestamp: entry.timestamp ?? new Date().getTime()
-                        }));
-                    } else {
-                        !this.suppressWarnings && console.warn("Stored context is invalid. Context will not be restored.");
-                    }
-                } catch (error) {
-                    !this.suppressWarnings && console.warn("Failed to parse stored context. Context will not be restored.");
-                }
+            // Synchronous adapters restore during construction; asynchronous ones as soon as the read settles
+            if(isPromiseLike(contextStorageString)){
+                this.#storageRestorePromises.push(contextStorageString.then(value => !this.isDisposed && this.#restoreFromStorage(() => this.#restoreContext(value, true))));
+            } else {
+                this.#restoreContext(contextStorageString, false);
             }
+        }
+        //#endregion
+
+        //#region Manage message history in storage
+        if(this.useStorage && this.persistMessageHistory){
+            this.#messageHistoryStorageKey = `heylock:${options.agentId || 'default'}:messageHistory`;
+            this.#threadsStorageKey = `heylock:${options.agentId || 'default'}:threads`;
+
+            // The default thread is saved under the message history key, every other thread with the thread list
+            this.onMessageHistoryChange((messageHistory, threadId) => {
+                threadId === DEFAULT_THREAD_ID ? this.#saveMessageHistory() : this.#saveThreads();
+            });
+
+            this.onThreadsChange(() => this.#saveThreads());
 
+            const messageHistoryStorageString = this.#getStorageItem(this.#messageHistoryStorageKey);
 
+            if(isPromiseLike(messageHistoryStorageString)){
+                this.#storageRestorePromises.push(messageHistoryStorageString.then(value => !this.isDisposed && this.#restoreFromStorage(() => this.#restoreMessageHistory(value, true))));
+            } else {
+                this.#restoreMessageHistory(messageHistoryStorageString, false);
+            }
+
+            const threadsStorageString = this.#getStorageItem(this.#threadsStorageKey);
+
+            if(isPromiseLike(threadsStorageString)){
+                this.#storageRestorePromises.push(threadsStorageString.then(value => !this.isDisposed && this.#restoreFromStorage(() => this.#restoreThreads(value, true))));
+            } else {
+                this.#restoreThreads(threadsStorageString, false);
+            }
         }
         //#endregion
 
-        this.#initializeAgent(agentKey);
+        if(this.useStorage && this.syncTabs){
+            this.#startTabSync(options.agentId || 'default');
+        }
+
+        // Sessions of a session manager reuse its verification instead of verifying the key again
+        this.#initializationPromise = options[SHARED_VERIFICATION] !== undefined
+            ? this.#adoptVerification(options[SHARED_VERIFICATION])
+            : this.#initializeAgent(this.agentKey);
+    }
+
+    #initializationPromise = null;
+    #initializationId = 0;
+    #storageRestorePromises = [];
+    #isRestoringStorage = false;
+
+    // Every tab reads the same storage, so what an asynchronous read restores is not sent to the other tabs
+    #restoreFromStorage(restore){
+        this.#isRestoringStorage = true;
+
+        try {
+            restore();
+        } finally {
+            this.#isRestoringStorage = false;
+        }
+    }
+
+    #restoreContext(contextStorageString, isAsynchronous){
+        if (!contextStorageString) return;
+
+        const storedContext = this.#readStoredValue(this.#contextStorageKey, contextStorageString, 'context', 'context');
+
+        if (storedContext === undefined) return;
+
+        const restoredContext = normalizeStoredContext(storedContext);
+
+        if (restoredContext === null) {
+            const asideKey = this.#keepStoredValueAside(this.#contextStorageKey, contextStorageString, 'The stored context failed validation.');
+            !this.suppressWarnings && console.warn(`Stored context is invalid. Context will not be restored; the stored value was kept under '${asideKey}'.`);
+            return;
+        }
+
+        // Entries added while an asynchronous read was pending are newer than the stored ones
+        this.#context = [...restoredContext, ...this.#context];
+
+        const evictedEntries = this.#evictContext();
+
+        if (isAsynchronous) {
+            this.#onContextChangeExecute();
+            this.#onContextEvictionExecute(evictedEntries);
+        } else if (evictedEntries.length > 0) {
+            // Saves the trimmed context; the eviction event waits a microtask so callbacks registered right after construction get it
+            this.#onContextChangeExecute();
+            queueMicrotask(() => !this.isDisposed && this.#onContextEvictionExecute(evictedEntries));
+        }
+    }
+
+    #restoreMessageHistory(messageHistoryStorageString, isAsynchronous){
+        if (!messageHistoryStorageString) return;
+
+        const storedMessageHistory = this.#readStoredValue(this.#messageHistoryStorageKey, messageHistoryStorageString, 'messageHistory', 'message history');
+
+        if (storedMessageHistory === undefined) return;
+
+        try {
+            validateMessageHistory(storedMessageHistory, 'Message history restore');
+        } catch (error) {
+            const asideKey = this.#keepStoredValueAside(this.#messageHistoryStorageKey, messageHistoryStorageString, error.message);
+            !this.suppressWarnings && console.warn(`Stored message history is invalid. Message history will not be restored; the stored value was kept under '${asideKey}'.`, error.message);
+            return;
+        }
+
+        const defaultThread = this.#defaultThread;
+
+        // Messages added while an asynchronous read was pending are newer than the stored ones
+        defaultThread.messages = [
+            ...settleInterruptedMessages(normalizeMessages(storedMessageHistory.slice(-this.maxPersistedMessages))),
+            ...defaultThread.messages
+        ];
+
+        isAsynchronous && this.#onMessageHistoryChangeExecute(defaultThread);
+    }
+
+    #restoreThreads(threadsStorageString, isAsynchronous){
+        if (!threadsStorageString) return;
+
+        const storedThreads = this.#readStoredValue(this.#threadsStorageKey, threadsStorageString, 'threads', 'threads');
+
+        if (storedThreads === undefined) return;
+
+        try {
+            validateThreads(storedThreads, 'Threads restore');
+        } catch (error) {
+            const asideKey = this.#keepStoredValueAside(this.#threadsStorageKey, threadsStorageString, error.message);
+            !this.suppressWarnings && console.warn(`Stored threads are invalid. Threads will not be restored; the stored value was kept under '${asideKey}'.`, error.message);
+            return;
+        }
+
+        // Threads created while an asynchronous read was pending are kept
+        storedThreads.threads.forEach(storedThread => {
+            const thread = this.#threads.find(thread => thread.id === storedThread.id);
+
+            if(thread === undefined){
+                this.#threads.push({ ...toThread(storedThread), messages: settleInterruptedMessages(normalizeMessages(storedThread.messages.slice(-this.maxPersistedMessages))) });
+            } else if(thread.id === DEFAULT_THREAD_ID){
+                thread.name = storedThread.name.trim();
+                thread.createdAt = storedThread.createdAt;
+            }
+        });
+
+        // Unless another thread was switched to while the read was pending
+        const isActiveThreadRestored = this.#activeThreadId === DEFAULT_THREAD_ID && storedThreads.activeThreadId !== DEFAULT_THREAD_ID;
+
+        isActiveThreadRestored && (this.#activeThreadId = storedThreads.activeThreadId);
+
+        if(isAsynchronous){
+            this.#onThreadsChangeExecute();
+            isActiveThreadRestored && this.#onMessageHistoryChangeExecute();
+        }
+    }
+
+    // Stored and synced form of the threads; see validateThreads
+    #getThreadsSnapshot(maxMessagesPerThread = Infinity){
+        return {
+            activeThreadId: this.#activeThreadId,
+            threads: this.#threads.map(thread => ({
+                id: thread.id,
+                name: thread.name,
+                createdAt: thread.createdAt,
+                ...(thread.id !== DEFAULT_THREAD_ID ? { messages: thread.messages.slice(-maxMessagesPerThread) } : {})
+            }))
+        };
+    }
+
+    #saveMessageHistory(){
+        this.#setStorageItem(this.#messageHistoryStorageKey, createStorageEnvelope(copyMessages(this.#defaultThread.messages.slice(-this.maxPersistedMessages))));
+    }
+
+    #saveThreads(){
+        this.#setStorageItem(this.#threadsStorageKey, createStorageEnvelope(this.#getThreadsSnapshot(this.maxPersistedMessages)));
     }
 
-    async #initializeAgent(agentKey){
+    // Parses a stored string and migrates it to the current schema. Returns undefined, after keeping the string aside, when that fails.
+    #readStoredValue(key, storedString, type, name){
+        if (isEncryptedValue(storedString)) {
+            const asideKey = this.#keepStoredValueAside(key, storedString, 'The stored value is encrypted, but no encryptionKey was given.');
+            !this.suppressWarnings && console.warn(`Stored ${name} is encrypted, but no encryptionKey was given. It will not be restored; the stored value was kept under '${asideKey}'.`);
+            return undefined;
+        }
+
+        let parsedValue = undefined;
+
+        try {
+            parsedValue = JSON.parse(storedString);
+        } catch (error) {
+            const asideKey = this.#keepStoredValueAside(key, storedString, 'The stored value is not valid JSON.');
+            !this.suppressWarnings && console.warn(`Failed to parse stored ${name}. It will not be restored; the stored value was kept under '${asideKey}'.`);
+            return undefined;
+        }
+
+        try {
+            return migrateStoredValue(parsedValue, type);
+        } catch (error) {
+            const asideKey = this.#keepStoredValueAside(key, storedString, error.message);
+            !this.suppressWarnings && console.warn(`Stored ${name} could not be migrated. It will not be restored; the stored value was kept under '${asideKey}'.`, error.message);
+            return undefined;
+        }
+    }
+
+    // The next save overwrites the original key, so unreadable values are moved out of its way for debugging
+    #keepStoredValueAside(key, storedString, reason){
+        const asideKey = `${key}:unreadable`;
+
+        this.#setStorageItem(asideKey, { keptAt: new Date().getTime(), reason, value: storedString });
+
+        return asideKey;
+    }
+
+    // A replacement key is adopted only once verified; if it is rejected, the current key and state are kept
+    async #initializeAgent(agentKey, isKeyReplacement = false){
+        // A later reinitialize()/setAgentKey() call supersedes this one; only the latest may change state
+        const initializationId = ++this.#initializationId;
+
         try{
-            const verifyKeyRes = await fetch("https://heylock.dev/api/internal/verifyKey", {
+            // In proxy mode the proxy verifies its own server-held key
+            const { response: verifyKeyRes, data: verifyKeyData } = await this.#fetch('verifyKey', {
                 method: 'POST',
-                body: JSON.stringify({
-                    key: agentKey
-                })
-            });
+                ...(this.proxyUrl === null ? { body: JSON.stringify({ key: agentKey }) } : {})
+            }, { methodName: 'Agent initialization', readJson: true });
 
             if(verifyKeyRes.status === 500){
-                throw new Error("Agent initialization failed: we are experiencing temporary server issues. Please try again later.");
+                throw createHttpError("Agent initialization failed: we are experiencing temporary server issues. Please try again later.", 'verifyKey', verifyKeyRes);
             } else if(verifyKeyRes.status !== 200){
-                throw new Error("Agent initialization failed: something went wrong. Please check your internet connection and try again.");
+                throw createHttpError("Agent initialization failed: something went wrong. Please check your internet connection and try again.", 'verifyKey', verifyKeyRes);
             }
 
-            const verifyKeyData = await verifyKeyRes.json();
-
             if(typeof verifyKeyData.valid !== 'boolean'){
-                throw new Error("Agent initialization failed: received an unexpected response from the server. Please ensure you are using the correct version of the package.");
+                throw new HeylockResponseError("Agent initialization failed: received an unexpected response from the server. Please ensure you are using the correct version of the package.", { route: 'verifyKey' });
             }
             
             if(verifyKeyData.valid === false){
-                throw new Error("Agent initialization failed: the provided agentKey is invalid. Please verify your key and try again.");
+                throw new HeylockError("Agent initialization failed: the provided agentKey is invalid. Please verify your key and try again.", { code: ERROR_CODES.UNAUTHORIZED, route: 'verifyKey' });
+            }
+
+            if(initializationId !== this.#initializationId){
+                return this.#initializationPromise;
             }
 
+            this.agentKey = agentKey;
             this.#isInitialized = true;
 
             try {
@@ -99,20 +619,268 @@ export default class Heylock{
 
             this.#onInitializedExecute();
         } catch(error){
+            if(initializationId !== this.#initializationId){
+                return this.#initializationPromise;
+            }
+
+            if(isKeyReplacement){
+                !this.suppressWarnings && console.warn(`setAgentKey failed: the previous agent key is kept. ${error?.message || error}`);
+                return false;
+            }
+
             this.#isInitialized = false;
             !this.suppressWarnings && console.warn(error?.message || error);
             this.#onInitializedExecute();
             // Do not rethrow from async initializer to avoid unhandled rejections
         }
+
+        return this.#isInitialized;
+    }
+
+    async #adoptVerification(verifiedAgent){
+        const initializationId = ++this.#initializationId;
+        let isVerified = false;
+
+        try{
+            isVerified = await verifiedAgent.ready();
+        } catch{
+            // The verifying agent was disposed with its session manager
+        }
+
+        if(initializationId !== this.#initializationId){
+            return this.#initializationPromise;
+        }
+
+        this.#isInitialized = isVerified;
+        // The same usage object, so Plan-Remaining headers seen by any session update every session
+        this.#usageRemaining = verifiedAgent.#usageRemaining;
+        this.#onInitializedExecute();
+
+        return this.#isInitialized;
+    }
+
+    ready(){
+        // Returns a promise, so a disposed agent rejects rather than throws
+        if(this.isDisposed){
+            return Promise.reject(createDisposedError('ready'));
+        }
+
+        return Promise.all(this.#storageRestorePromises).then(() => this.#initializationPromise);
+    }
+
+    reinitialize(){
+        this.#assertNotDisposed('reinitialize');
+
+        this.#initializationPromise = this.#initializeAgent(this.agentKey);
+
+        return this.#initializationPromise;
+    }
+
+    setAgentKey(agentKey){
+        this.#assertNotDisposed('setAgentKey');
+
+        //#region Validate arguments
+        if(this.proxyUrl !== null){
+            throw new Error("setAgentKey failed: the agent key is held by the proxy when proxyUrl is set.");
+        }
+
+        if(typeof agentKey !== 'string' || agentKey.length <= 0){
+            throw new Error("setAgentKey failed: agentKey must be a non-empty string.");
+        }
+        //#endregion
+
+        // History, context, isInitialized and the current key are kept while the new key is verified
+        const verification = this.#initializeAgent(agentKey, true);
+
+        // ready() keeps reporting the state of the key in use when the new one is rejected
+        this.#initializationPromise = verification.then(isVerified => isVerified || this.#isInitialized);
+
+        return verification;
+    }
+
+    #contextStorageKey = null;
+    #messageHistoryStorageKey = null;
+    #threadsStorageKey = null;
+    #disposeController = new AbortController();
+    #disposePromise = null;
+
+    dispose(){
+        if(this.isDisposed) return this.#disposePromise;
+
+        // Stopped first so the time spent on the current page is still recorded and persisted
+        [...this.#stopActivityTrackers].forEach(stop => stop());
+
+        // Persist the final state before the storage subscriptions are removed
+        this.#contextStorageKey !== null && this.#setStorageItem(this.#contextStorageKey, createStorageEnvelope(this.context));
+        this.#messageHistoryStorageKey !== null && this.#saveMessageHistory();
+        this.#threadsStorageKey !== null && this.#saveThreads();
+
+        // Pending initialization must not apply its result to a disposed agent
+        this.#initializationId++;
+        this.#initializationPromise = Promise.resolve(false);
+        this.#isInitialized = false;
+
+        // Cancels in-flight requests, retry backoff and streams
+        this.#disposeController.abort();
+
+        this.#syncChannel?.close();
+        this.#removeStorageEventListener?.();
+
+        this.#onInitializedCallbacks = [];
+        this.#onMessageHistoryChangeCallbacks = [];
+        this.#onThreadsChangeCallbacks = [];
+        this.#onContextChangeCallbacks = [];
+        this.#onRetryCallbacks = [];
+        this.#onContextEvictionCallbacks = [];
+        this.#onContextBuildCallbacks = [];
+
+        this.#redactor?.clear();
+
+        // Resolves once asynchronous adapters have finished writing
+        this.#disposePromise = Promise.allSettled([...this.#pendingStorageWrites]).then(() => {});
+
+        return this.#disposePromise;
+    }
+
+    #assertNotDisposed(methodName){
+        if(this.isDisposed){
+            throw createDisposedError(methodName);
+        }
     }
     //#endregion        
 
+    //#region Networking
+    #fetchImplementation = undefined;
+    #retryPolicy = resolveRetryPolicy();
+
+    // With readJson, resolves with `{ response, data }`; data is the parsed body of a 200 response
+    async #fetch(routeName, init = {}, { methodName = routeName, timeoutMs = this.timeoutMs, readJson = false } = {}){
+        // Resolve the global fetch lazily so polyfills installed after construction are picked up.
+        // Called as a plain function: browsers reject fetch invoked with a foreign `this`.
+        const fetchImplementation = this.#fetchImplementation ?? globalThis.fetch;
+
+        if(typeof fetchImplementation !== 'function'){
+            throw new HeylockNetworkError(`${methodName} failed: fetch is not available in this environment. Pass a fetch implementation via options.fetch.`, { route: routeName });
+        }
+
+        const route = ROUTES[routeName];
+
+        // Proxy mode: the proxy adds the Authorization header server-side
+        const url = this.proxyUrl !== null ? `${this.proxyUrl}/${route.proxyPath}` : `${this.baseUrl}${route.path}`;
+        const { signal, ...requestInit } = this.proxyUrl !== null ? init : {
+            ...init,
+            headers: {
+                ...init.headers,
+                ...(route !== ROUTES.verifyKey ? { 'Authorization': this.agentKey } : {})
+            }
+        };
+
+        // Both the caller's signal and dispose() cancel the call, including retry backoff
+        const disposeSignal = this.#disposeController.signal;
+        const callController = new AbortController();
+        const abortCall = () => callController.abort();
+        const createCancelError = () => disposeSignal.aborted ? createDisposedError(methodName, routeName) : createAbortError(methodName, routeName);
+
+        signal?.addEventListener('abort', abortCall, { once: true });
+        disposeSignal.addEventListener('abort', abortCall, { once: true });
+
+        try{
+            for(let attempt = 1; ; attempt++){
+                if(signal?.aborted || disposeSignal.aborted){
+                    throw createCancelError();
+                }
+
+                let response = undefined;
+                let fetchError = undefined;
+                let delayMs = null;
+
+                // One controller per attempt: the timeout covers a single attempt, including reading a JSON body
+                // (for streams: until headers arrive)
+                const attemptController = new AbortController();
+                const abortAttempt = () => attemptController.abort();
+                let timeoutId = undefined;
+
+                // Settles on abort/timeout even if a custom fetch implementation ignores the signal
+                const attemptEnded = new Promise((resolve, reject) => {
+                    attemptController.signal.addEventListener('abort', () => {
+                        reject(callController.signal.aborted ? createCancelError() : createTimeoutError(methodName, timeoutMs, routeName));
+                    }, { once: true });
+                });
+
+                // Only observed while the attempt is raced against it
+                attemptEnded.catch(() => {});
+
+                callController.signal.addEventListener('abort', abortAttempt, { once: true });
+
+                if(timeoutMs !== null){
+                    timeoutId = setTimeout(abortAttempt, timeoutMs);
+
+                    // A pending timeout must not keep a Node process alive
+                    timeoutId.unref?.();
+                }
+
+                try{
+                    try{
+                        response = await Promise.race([
+                            new Promise((resolve, reject) => fetchImplementation(url, { ...requestInit, signal: attemptController.signal }).then(resolve, reject)),
+                            attemptEnded
+                        ]);
+                    } catch(error){
+                        fetchError = error instanceof HeylockError ? error : new HeylockNetworkError(
+                            `${methodName} failed: could not reach the server. Please check your internet connection and try again.`,
+                            { route: routeName, cause: error }
+                        );
+                    }
+
+                    delayMs = callController.signal.aborted ? null : getRetryDelay(this.#retryPolicy, attempt, response, fetchError, route.isIdempotent);
+
+                    if(delayMs === null){
+                        if(fetchError) throw fetchError;
+
+                        if(!readJson) return response;
+
+                        // The body arrives after the headers; the timeout, the caller's signal and dispose() still apply
+                        const data = response.status === 200 ? await Promise.race([response.json(), attemptEnded]) : undefined;
+
+                        return { response, data };
+                    }
+                } finally {
+                    clearTimeout(timeoutId);
+                    callController.signal.removeEventListener('abort', abortAttempt);
+                }
+
+                this.#onRetryExecute({
+                    route: routeName,
+                    attempt: attempt + 1,
+                    maxAttempts: this.#retryPolicy.maxAttempts,
+                    delayMs,
+                    status: response?.status ?? null,
+                    error: fetchError ?? null
+                });
+
+                try{
+                    await wait(delayMs, callController.signal);
+                } catch{
+                    throw createCancelError();
+                }
+            }
+        } finally {
+            signal?.removeEventListener('abort', abortCall);
+            disposeSignal.removeEventListener('abort', abortCall);
+        }
+    }
+    //#endregion
+
     //#region Public variables
     #isInitialized = false;
     get isInitialized() {
         return this.#isInitialized ?? false;
     }
 
+    get isDisposed(){
+        return this.#disposeController.signal.aborted;
+    }
+
     #usageRemaining = {
         messages: null,
         sorts: null,
@@ -124,17 +892,44 @@ export default class Heylock{
         return Object.freeze({ ...current });
     }
 
-    #messageHistory = [];
+    // Every thread has its own message history; the message methods and messageHistory use the active one
+    #threads = [{ id: DEFAULT_THREAD_ID, name: DEFAULT_THREAD_NAME, createdAt: new Date().getTime(), messages: [] }];
+    #activeThreadId = DEFAULT_THREAD_ID;
+
+    get #activeThread(){
+        return this.#threads.find(thread => thread.id === this.#activeThreadId);
+    }
+
+    get #defaultThread(){
+        return this.#threads.find(thread => thread.id === DEFAULT_THREAD_ID);
+    }
+
+    get #messageHistory(){
+        return this.#activeThread.messages;
+    }
+
+    set #messageHistory(messageHistory){
+        this.#activeThread.messages = messageHistory;
+    }
+
     get messageHistory(){
         const list = this.#messageHistory ?? [];
         // Defensive copy of array and entries to prevent external mutation of internal state
-        return Object.freeze(list.map(message => ({ content: message.content, role: message.role })));
+        return copyMessages(list);
+    }
+
+    get threads(){
+        return Object.freeze(this.#threads.map(thread => Object.freeze({ id: thread.id, name: thread.name, createdAt: thread.createdAt, messageCount: thread.messages.length })));
+    }
+
+    get activeThreadId(){
+        return this.#activeThreadId;
     }
 
     #context = [];
     get context(){
         const list = this.#context ?? [];
-        return Object.freeze(list.map(entry => ({ content: entry.content, timestamp: entry.timestamp })));
+        return Object.freeze(list.map(toPublicContextEntry));
     }
     //#endregion
 
@@ -144,6 +939,8 @@ export default class Heylock{
         #onInitializedCallbacks = [];
 
         onInitialized(callback){
+            this.#assertNotDisposed('onInitialized');
+
             if(typeof callback !== 'function'){
                 throw new Error("onInitialized failed: callback must be a function.");
             }
@@ -173,6 +970,8 @@ export default class Heylock{
         #onMessageHistoryChangeCallbacks = [];
 
         onMessageHistoryChange(callback) {
+            this.#assertNotDisposed('onMessageHistoryChange');
+
             if (typeof callback !== 'function') {
                 throw new Error("onMessageHistoryChange failed: callback must be a function.");
             }
@@ -188,11 +987,12 @@ export default class Heylock{
             };
         }
 
-        #onMessageHistoryChangeExecute(){
+        // Callbacks get the history of the thread that changed, which is not always the active one
+        #onMessageHistoryChangeExecute(thread = this.#activeThread){
             // Use forEach for side effects; protect each callback from others' errors
             this.#onMessageHistoryChangeCallbacks.forEach(callback => {
                 try {
-                    callback(this.messageHistory);
+                    callback(copyMessages(thread.messages), thread.id);
                 } catch (err) {
                     !this.suppressWarnings && console.warn("onMessageHistoryChange callback error:", err);
                 }
@@ -200,10 +1000,44 @@ export default class Heylock{
         }
         //#endregion
 
+        //#region Threads change
+        #onThreadsChangeCallbacks = [];
+
+        onThreadsChange(callback) {
+            this.#assertNotDisposed('onThreadsChange');
+
+            if (typeof callback !== 'function') {
+                throw new Error("onThreadsChange failed: callback must be a function.");
+            }
+
+            this.#onThreadsChangeCallbacks.push(callback);
+
+            return () => {
+                const index = this.#onThreadsChangeCallbacks.indexOf(callback);
+
+                if (index !== -1) {
+                    this.#onThreadsChangeCallbacks.splice(index, 1);
+                }
+            };
+        }
+
+        #onThreadsChangeExecute(){
+            this.#onThreadsChangeCallbacks.forEach(callback => {
+                try {
+                    callback(this.threads, this.#activeThreadId);
+                } catch (err) {
+                    !this.suppressWarnings && console.warn("onThreadsChange callback error:", err);
+                }
+            });
+        }
+        //#endregion
+
         //#region Context change
         #onContextChangeCallbacks = [];
 
         onContextChange(callback) {
+            this.#assertNotDisposed('onContextChange');
+
             if (typeof callback !== 'function') {
                 throw new Error("onContextChange failed: callback must be a function.");
             }
@@ -231,11 +1065,117 @@ export default class Heylock{
             });
         }
         //#endregion
+
+        //#region Retry
+        #onRetryCallbacks = [];
+
+        onRetry(callback) {
+            this.#assertNotDisposed('onRetry');
+
+            if (typeof callback !== 'function') {
+                throw new Error("onRetry failed: callback must be a function.");
+            }
+
+            this.#onRetryCallbacks.push(callback);
+
+            return () => {
+                const index = this.#onRetryCallbacks.indexOf(callback);
+
+                if (index !== -1) {
+                    this.#onRetryCallbacks.splice(index, 1);
+                }
+            };
+        }
+
+        #onRetryExecute(retryInfo){
+            this.#onRetryCallbacks.forEach(callback => {
+                try {
+                    callback({ ...retryInfo });
+                } catch (err) {
+                    !this.suppressWarnings && console.warn("onRetry callback error:", err);
+                }
+            });
+        }
+        //#endregion
+
+        //#region Context eviction
+        #onContextEvictionCallbacks = [];
+
+        onContextEviction(callback) {
+            this.#assertNotDisposed('onContextEviction');
+
+            if (typeof callback !== 'function') {
+                throw new Error("onContextEviction failed: callback must be a function.");
+            }
+
+            this.#onContextEvictionCallbacks.push(callback);
+
+            return () => {
+                const index = this.#onContextEvictionCallbacks.indexOf(callback);
+
+                if (index !== -1) {
+                    this.#onContextEvictionCallbacks.splice(index, 1);
+                }
+            };
+        }
+
+        #onContextEvictionExecute(evictedEntries){
+            if (evictedEntries.length === 0) return;
+
+            this.#onContextEvictionCallbacks.forEach(callback => {
+                try {
+                    callback(Object.freeze([...evictedEntries]));
+                } catch (err) {
+                    !this.suppressWarnings && console.warn("onContextEviction callback error:", err);
+                }
+            });
+        }
+        //#endregion
+
+        //#region Context build
+        #onContextBuildCallbacks = [];
+
+        onContextBuild(callback) {
+            this.#assertNotDisposed('onContextBuild');
+
+            if (typeof callback !== 'function') {
+                throw new Error("onContextBuild failed: callback must be a function.");
+            }
+
+            this.#onContextBuildCallbacks.push(callback);
+
+            return () => {
+                const index = this.#onContextBuildCallbacks.indexOf(callback);
+
+                if (index !== -1) {
+                    this.#onContextBuildCallbacks.splice(index, 1);
+                }
+            };
+        }
+
+        #onContextBuildExecute(contextBuild, route){
+            this.#onContextBuildCallbacks.forEach(callback => {
+                try {
+                    callback(contextBuild, route);
+                } catch (err) {
+                    !this.suppressWarnings && console.warn("onContextBuild callback error:", err);
+                }
+            });
+        }
+        //#endregion
    
     //#endregion
 
     //#region Message history management
     addMessage(content, role = "user"){
+        this.#assertNotDisposed('addMessage');
+
+        return this.#addMessage(content, role, 'complete');
+    }
+
+    // Replies are added as 'pending' before their request is sent and settled by #updateReply, so they stay in
+    // the thread they were asked from even when another one is switched to meanwhile
+    #addMessage(content, role, status, details = {}){
         //#region Validate arguments
         if(typeof content !== 'string'){
             throw new Error("addMessage failed: content must be a string.");
@@ -250,17 +1190,28 @@ export default class Heylock{
         }
         //#endregion
 
-        const newLength = this.#messageHistory.push({
+        const thread = this.#activeThread;
+        const id = createId();
+        const createdAt = new Date().getTime();
+
+        thread.messages.push({
+            id,
             content: content.trim(),
-            role: role
+            role: role,
+            createdAt,
+            updatedAt: createdAt,
+            status,
+            ...details
         });
         
-        this.#onMessageHistoryChangeExecute();
+        this.#onMessageHistoryChangeExecute(thread);
         
-        return newLength-1;
+        return id;
     }
 
     removeMessage(index){
+        this.#assertNotDisposed('removeMessage');
+
         //#region Validate arguments
         if(typeof index !== 'number' || index < 0){
             throw new Error("removeMessage failed: index must be a number greater than or equal to 0.");
@@ -277,6 +1228,8 @@ export default class Heylock{
     }
 
     modifyMessage(index, content, role){
+        this.#assertNotDisposed('modifyMessage');
+
         //#region Validate arguments
         if(typeof index !== 'number' || index < 0){
             throw new Error("modifyMessage failed: index must be a number greater than or equal to 0.");
@@ -285,65 +1238,232 @@ export default class Heylock{
         if(index > (this.#messageHistory.length-1)){
             throw new Error(`modifyMessage failed: index ${index} is out of bounds for message history of length ${this.#messageHistory.length}.`);
         }
-        
+        //#endregion
+
+        this.#modifyMessageAt('modifyMessage', index, content, role);
+    }
+
+    getMessage(id){
+        this.#assertNotDisposed('getMessage');
+
+        //#region Validate argument
+        if(!isValidId(id)){
+            throw new Error("getMessage failed: id must be a non-empty string.");
+        }
+        //#endregion
+
+        const message = this.#messageHistory.find(message => message.id === id);
+
+        return message ? Object.freeze({ ...message }) : null;
+    }
+
+    removeMessageById(id){
+        this.#assertNotDisposed('removeMessageById');
+
+        const index = this.#findMessageIndex('removeMessageById', id);
+
+        this.#messageHistory.splice(index, 1);
+
+        this.#onMessageHistoryChangeExecute();
+    }
+
+    modifyMessageById(id, content, role){
+        this.#assertNotDisposed('modifyMessageById');
+
+        this.#modifyMessageAt('modifyMessageById', this.#findMessageIndex('modifyMessageById', id), content, role);
+    }
+
+    // Looks the index up at call time, so ID-based methods stay correct after earlier messages were removed
+    #findMessageIndex(methodName, id){
+        //#region Validate argument
+        if(!isValidId(id)){
+            throw new Error(`${methodName} failed: id must be a non-empty string.`);
+        }
+        //#endregion
+
+        const index = this.#messageHistory.findIndex(message => message.id === id);
+
+        if(index === -1){
+            throw new Error(`${methodName} failed: no message with id '${id}'.`);
+        }
+
+        return index;
+    }
+
+    #modifyMessageAt(methodName, index, content, role){
+        //#region Validate arguments
         if(typeof content !== 'string' || content.trim().length === 0){
-            throw new Error("modifyMessage failed: content must be a non-empty string.");
+            throw new Error(`${methodName} failed: content must be a non-empty string.`);
         }
         
         if(content.length > MAX_MESSAGE_LENGTH){
-            throw new Error(`modifyMessage failed: content exceeds maximum allowed length of ${MAX_MESSAGE_LENGTH} characters.`);
+            throw new Error(`${methodName} failed: content exceeds maximum allowed length of ${MAX_MESSAGE_LENGTH} characters.`);
         }
         
         if(role && (role !== 'user' && role !== 'assistant')){
-            throw new Error("modifyMessage failed: role must be either 'user' or 'assistant'.");
+            throw new Error(`${methodName} failed: role must be either 'user' or 'assistant'.`);
         }
         //#endregion
 
         this.#messageHistory[index].content = content.trim();
         this.#messageHistory[index].role = role || this.#messageHistory[index].role;
+        this.#messageHistory[index].updatedAt = new Date().getTime();
 
         this.#onMessageHistoryChangeExecute();
     }
 
+    // Replies update their own message by ID; if the app removed it meanwhile, there is nothing left to update
+    #updateReply(methodName, id, content, status, details = {}){
+        const thread = id === undefined ? undefined : this.#threads.find(thread => thread.messages.some(message => message.id === id));
+
+        if(thread === undefined) return;
+
+        const message = thread.messages.find(message => message.id === id);
+
+        // Replies only come from the message route
+        if(content.length > MAX_MESSAGE_LENGTH){
+            throw new HeylockResponseError(`${methodName} failed: the reply exceeds maximum allowed length of ${MAX_MESSAGE_LENGTH} characters.`, { route: 'message' });
+        }
+
+        // Only failed replies carry an error code
+        delete message.errorCode;
+        Object.assign(message, { content: content.trim(), status, updatedAt: new Date().getTime() }, details);
+
+        this.#onMessageHistoryChangeExecute(thread);
+    }
+
+    // Records why a pending reply of message or greet did not complete
+    #settleFailedReply(methodName, id, startedAt, isAborted, errorCode){
+        // A disposed agent no longer owns its history
+        if(this.isDisposed) return;
+
+        const latencyMs = new Date().getTime() - startedAt;
+
+        if(isAborted){
+            this.#updateReply(methodName, id, CANCELLED_MESSAGE_CONTENT, 'cancelled', { latencyMs });
+        } else {
+            this.#updateReply(methodName, id, FAILED_MESSAGE_CONTENT, 'error', { errorCode, latencyMs });
+        }
+    }
+
     setMessageHistory(messageHistory){
+        this.#assertNotDisposed('setMessageHistory');
+
         //#region Validate argument
-        if (!Array.isArray(messageHistory)) {
-            throw new Error("setMessageHistory failed: messageHistory must be an array.");
-        }
+        validateMessageHistory(messageHistory, 'setMessageHistory');
 
-        // Validate each message object in the array
-        for (let index = 0; index < messageHistory.length; index++) {
-            const message = messageHistory[index];
+        const duplicateIndex = messageHistory.findIndex((message, index) => message.id !== undefined && messageHistory.findIndex(other => other.id === message.id) !== index);
 
-            // Check for missing or invalid properties
-            if (typeof message !== 'object' || message === null || typeof message.content !== 'string' || message.content.length > MAX_MESSAGE_LENGTH || (message.role !== 'user' && message.role !== 'assistant')) {
-                throw new Error(
-                    `setMessageHistory failed: message at index ${index} is invalid. ` +
-                    "Each message must be an object with a string 'content' (max length " +
-                    `${MAX_MESSAGE_LENGTH}) and 'role' of either 'user' or 'assistant'.`
-                );
-            }
+        if(duplicateIndex !== -1){
+            throw new Error(`setMessageHistory failed: id '${messageHistory[duplicateIndex].id}' at index ${duplicateIndex} is already used by another message.`);
         }
         //#endregion
 
         // Defensive copy to prevent external mutation
-        this.#messageHistory = messageHistory.map(message => ({
-            content: message.content.trim(),
-            role: message.role
-        }));
+        this.#messageHistory = normalizeMessages(messageHistory);
 
         this.#onMessageHistoryChangeExecute();
     }
 
     clearMessageHistory(){
+        this.#assertNotDisposed('clearMessageHistory');
+
         this.#messageHistory = [];
 
+        // History is redacted again on every request, so no token needs to outlive it
+        this.#redactor?.clear();
+
+        this.#onMessageHistoryChangeExecute();
+    }
+    //#endregion
+
+    //#region Thread management
+    createThread(name){
+        this.#assertNotDisposed('createThread');
+
+        //#region Validate argument
+        if(!isValidThreadName(name)){
+            throw new Error(`createThread failed: name must be a non-empty string of up to ${MAX_THREAD_NAME_LENGTH} characters.`);
+        }
+        //#endregion
+
+        const id = createId();
+
+        this.#threads.push({ id, name: name.trim(), createdAt: new Date().getTime(), messages: [] });
+
+        this.#onThreadsChangeExecute();
+
+        return id;
+    }
+
+    switchThread(id){
+        this.#assertNotDisposed('switchThread');
+
+        const thread = this.#findThread('switchThread', id);
+
+        if(thread.id === this.#activeThreadId) return;
+
+        this.#activeThreadId = thread.id;
+
+        this.#onThreadsChangeExecute();
         this.#onMessageHistoryChangeExecute();
     }
+
+    renameThread(id, name){
+        this.#assertNotDisposed('renameThread');
+
+        //#region Validate arguments
+        if(!isValidThreadName(name)){
+            throw new Error(`renameThread failed: name must be a non-empty string of up to ${MAX_THREAD_NAME_LENGTH} characters.`);
+        }
+        //#endregion
+
+        this.#findThread('renameThread', id).name = name.trim();
+
+        this.#onThreadsChangeExecute();
+    }
+
+    deleteThread(id){
+        this.#assertNotDisposed('deleteThread');
+
+        const thread = this.#findThread('deleteThread', id);
+
+        if(thread.id === DEFAULT_THREAD_ID){
+            throw new Error("deleteThread failed: the default thread cannot be deleted. Switch to it and call clearMessageHistory to empty it.");
+        }
+
+        const wasActive = thread.id === this.#activeThreadId;
+
+        this.#threads.splice(this.#threads.indexOf(thread), 1);
+
+        // Deleting the active thread switches to the default one
+        wasActive && (this.#activeThreadId = DEFAULT_THREAD_ID);
+
+        this.#onThreadsChangeExecute();
+        wasActive && this.#onMessageHistoryChangeExecute();
+    }
+
+    #findThread(methodName, id){
+        //#region Validate argument
+        if(!isValidId(id)){
+            throw new Error(`${methodName} failed: id must be a non-empty string.`);
+        }
+        //#endregion
+
+        const thread = this.#threads.find(thread => thread.id === id);
+
+        if(thread === undefined){
+            throw new Error(`${methodName} failed: no thread with id '${id}'.`);
+        }
+
+        return thread;
+    }
     //#endregion
 
     //#region Context management
-    addContextEntry(content, timestamp){
+    addContextEntry(content, timestamp, metadata, options = {}){
+        this.#assertNotDisposed('addContextEntry');
+
         //#region Validate arguments
         if (typeof content !== 'string' || content.trim().length === 0) {
             throw new Error(`addContextEntry failed: content must be a non-empty string.`);
@@ -364,19 +1484,63 @@ export default class Heylock{
                 console.warn("addContextEntry warning: timestamp is in the future. This may lead to unexpected behavior.");
             }
         }
+
+        const normalizedMetadata = normalizeContextMetadata(metadata, 'addContextEntry');
+
+        if (typeof options !== 'object' || options === null) {
+            throw new Error("addContextEntry failed: options must be an object.");
+        }
+
+        if (options.coalesce !== undefined && typeof options.coalesce !== 'boolean') {
+            throw new Error("addContextEntry failed: options.coalesce must be a boolean.");
+        }
         //#endregion
 
-        const newArrayLength = this.#context.push({
-            content: content.trim(),
-            timestamp: timestamp ?? new Date().getTime()
-        });
+        const entryTimestamp = timestamp ?? new Date().getTime();
+
+        // options.coalesce overrides the contextCoalescing option; true without that option uses the defaults
+        const coalescingPolicy = options.coalesce === false ? null
+            : options.coalesce === true ? (this.contextCoalescing ?? resolveCoalescingPolicy(true, 'addContextEntry'))
+            : this.contextCoalescing;
+        const coalescedIndex = coalescingPolicy === null ? -1 : findCoalescableEntry(this.#context, content.trim(), entryTimestamp, coalescingPolicy);
+
+        let id;
+
+        if (coalescedIndex !== -1) {
+            // The entry keeps its wording and moves to the end, so context stays in order of last occurrence
+            const [existingEntry] = this.#context.splice(coalescedIndex, 1);
+
+            id = existingEntry.id;
+
+            this.#context.push({
+                ...existingEntry,
+                timestamp: Math.max(existingEntry.timestamp, entryTimestamp),
+                count: (existingEntry.count ?? 1) + 1,
+                ...normalizedMetadata
+            });
+        } else {
+            id = createId();
+
+            this.#context.push({
+                id,
+                content: content.trim(),
+                timestamp: entryTimestamp,
+                ...normalizedMetadata
+            });
+        }
+
+        const evictedEntries = this.#evictContext();
 
         this.#onContextChangeExecute();
+        this.#onContextEvictionExecute(evictedEntries);
 
-        return newArrayLength - 1;
+        // The retention policy may already have evicted the new entry; getContextEntry(id) then returns null
+        return id;
     }
 
     removeContextEntry(index) {
+        this.#assertNotDisposed('removeContextEntry');
+
         //#region Validate arguments
         if (typeof index !== 'number' || index < 0) {
             throw new Error("removeContextEntry failed: index must be a number greater than or equal to 0.");
@@ -393,7 +1557,9 @@ export default class Heylock{
         this.#onContextChangeExecute();
     }
 
-    modifyContextEntry(index, content, timestamp) {
+    modifyContextEntry(index, content, timestamp, metadata) {
+        this.#assertNotDisposed('modifyContextEntry');
+
         //#region Validate arguments
         // Validate index
         if (typeof index !== 'number' || index < 0) {
@@ -403,19 +1569,72 @@ export default class Heylock{
         if (index > (this.#context.length - 1)) {
             throw new Error(`modifyContextEntry failed: index ${index} is out of bounds for context of length ${this.#context.length}.`);
         }
+        //#endregion
+
+        this.#modifyContextEntryAt('modifyContextEntry', index, content, timestamp, metadata);
+    }
+
+    getContextEntry(id){
+        this.#assertNotDisposed('getContextEntry');
+
+        //#region Validate argument
+        if (!isValidId(id)) {
+            throw new Error("getContextEntry failed: id must be a non-empty string.");
+        }
+        //#endregion
+
+        const entry = this.#context.find(entry => entry.id === id);
+
+        return entry ? toPublicContextEntry(entry) : null;
+    }
+
+    removeContextEntryById(id){
+        this.#assertNotDisposed('removeContextEntryById');
+
+        const index = this.#findContextEntryIndex('removeContextEntryById', id);
+
+        this.#context.splice(index, 1);
+
+        this.#onContextChangeExecute();
+    }
 
+    modifyContextEntryById(id, content, timestamp, metadata){
+        this.#assertNotDisposed('modifyContextEntryById');
+
+        this.#modifyContextEntryAt('modifyContextEntryById', this.#findContextEntryIndex('modifyContextEntryById', id), content, timestamp, metadata);
+    }
+
+    // Looks the index up at call time, so ID-based methods stay correct after earlier entries were removed
+    #findContextEntryIndex(methodName, id){
+        //#region Validate argument
+        if (!isValidId(id)) {
+            throw new Error(`${methodName} failed: id must be a non-empty string.`);
+        }
+        //#endregion
+
+        const index = this.#context.findIndex(entry => entry.id === id);
+
+        if (index === -1) {
+            throw new Error(`${methodName} failed: no context entry with id '${id}'.`);
+        }
+
+        return index;
+    }
+
+    #modifyContextEntryAt(methodName, index, content, timestamp, metadata){
+        //#region Validate arguments
         if (typeof content !== 'string' || content.trim().length === 0) {
-            throw new Error("modifyContextEntry failed: content must be a non-empty string if provided.");
+            throw new Error(`${methodName} failed: content must be a non-empty string if provided.`);
         }
 
         if (content.length > MAX_CONTEXT_ENTRY_LENGTH) {
-            throw new Error(`modifyContextEntry failed: content exceeds maximum allowed length of ${MAX_CONTEXT_ENTRY_LENGTH} characters.`);
+            throw new Error(`${methodName} failed: content exceeds maximum allowed length of ${MAX_CONTEXT_ENTRY_LENGTH} characters.`);
         }
 
         // Validate timestamp if provided
         if (timestamp !== undefined) {
             if (typeof timestamp !== 'number' || timestamp < 0 || !Number.isFinite(timestamp)) {
-                throw new Error("modifyContextEntry failed: timestamp must be a finite, non-negative number if provided.");
+                throw new Error(`${methodName} failed: timestamp must be a finite, non-negative number if provided.`);
             }
         }
 
@@ -424,14 +1643,21 @@ export default class Heylock{
             const now = Date.now();
             
             if (timestamp > now) {
-                console.warn("modifyContextEntry warning: timestamp is in the future. This may lead to unexpected behavior.");
+                console.warn(`${methodName} warning: timestamp is in the future. This may lead to unexpected behavior.`);
             }
         }
+
+        const normalizedMetadata = normalizeContextMetadata(metadata, methodName);
         //#endregion
 
+        // Metadata fields that are not given keep their current values
         const newContextEntry = {
-            content: content.trim() ?? this.#context[index].content,
-            timestamp: timestamp ?? this.#context[index].timestamp
+            id: this.#context[index].id,
+            content: content.trim(),
+            timestamp: timestamp ?? this.#context[index].timestamp,
+            ...pickContextMetadata(this.#context[index]),
+            ...normalizedMetadata,
+            ...(this.#context[index].count !== undefined ? { count: this.#context[index].count } : {})
         }
 
         this.#context[index] = newContextEntry;
@@ -440,6 +1666,8 @@ export default class Heylock{
     }
 
     setContext(contextArray) {
+        this.#assertNotDisposed('setContext');
+
         //#region Validate argument
         if (!Array.isArray(contextArray)) {
             throw new Error("setContext failed: contextArray must be an array.");
@@ -450,15 +1678,23 @@ export default class Heylock{
 
             if (typeof entry !== 'object' || entry === null 
                 || typeof entry.content !== 'string' || entry.content.trim().length <= 0 || entry.content.length > MAX_CONTEXT_ENTRY_LENGTH || 
-                (entry.timestamp !== undefined && (typeof entry.timestamp !== 'number' || entry.timestamp < 0 || !Number.isFinite(entry.timestamp)))
+                (entry.timestamp !== undefined && (typeof entry.timestamp !== 'number' || entry.timestamp < 0 || !Number.isFinite(entry.timestamp))) ||
+                (entry.id !== undefined && !isValidId(entry.id)) ||
+                (entry.count !== undefined && !isValidCount(entry.count))
             ) {
                 throw new Error(
                     `setContext failed: entry at index ${index} is invalid. ` +
                     "Each entry must be an object with a non-empty string 'content' (max length " +
-                    `${MAX_CONTEXT_ENTRY_LENGTH}) and an optional finite, non-negative 'timestamp'.`
+                    `${MAX_CONTEXT_ENTRY_LENGTH}), an optional finite, non-negative 'timestamp', an optional string 'id' and an optional positive integer 'count'.`
                 );
             }
 
+            normalizeContextMetadata(pickContextMetadata(entry), 'setContext', `contextArray[${index}]`);
+
+            if (entry.id !== undefined && contextArray.findIndex(other => other?.id === entry.id) !== index) {
+                throw new Error(`setContext failed: id '${entry.id}' at index ${index} is already used by another entry.`);
+            }
+
             // Warn if timestamp is in the future
             if (entry.timestamp !== undefined && typeof entry.timestamp === 'number' && Number.isFinite(entry.timestamp)) {
                 const now = Date.now();
@@ -471,56 +1707,332 @@ export default class Heylock{
         //#endregion
 
         // Defensive copy
-        this.#context = contextArray.map(entry => ({
+        this.#context = assignIds(contextArray.map(entry => ({
+            id: entry.id,
             content: entry.content.trim(),
-            timestamp: entry.timestamp ?? new Date().getTime()
-        }));
+            timestamp: entry.timestamp ?? new Date().getTime(),
+            ...normalizeContextMetadata(pickContextMetadata(entry), 'setContext'),
+            ...(entry.count > 1 ? { count: entry.count } : {})
+        })));
+
+        const evictedEntries = this.#evictContext();
 
         this.#onContextChangeExecute();
+        this.#onContextEvictionExecute(evictedEntries);
     }
 
     clearContext() {
+        this.#assertNotDisposed('clearContext');
+
         this.#context = [];
 
         this.#onContextChangeExecute();
     }
 
-    getContextString(){
-        let contextString = "";
+    getContextString(filter, format){
+        this.#assertNotDisposed('getContextString');
 
-        function formatTimestampAgo(timestamp) {
-            // Edge case: invalid timestamp
-            if (typeof timestamp !== 'number' || !Number.isFinite(timestamp) || timestamp < 0) return "";
+        const contextFormat = format === undefined ? this.contextFormat : resolveContextFormat(format, 'getContextString');
 
-            const now = Date.now();
-            const differenceMs = now - timestamp;
+        return this.#buildContext(resolveContextFilter(filter, 'getContextString'), null, contextFormat, '').text;
+    }
 
-            // Edge case: future timestamp
-            if (differenceMs < 0) return "in the future";
+    buildContext(options = {}){
+        this.#assertNotDisposed('buildContext');
 
-            const seconds = Math.floor(differenceMs / 1000);
-            if (seconds < 1) return "now";
-            if (seconds < 60) return `${seconds} second${seconds !== 1 ? 's' : ''} ago`;
+        //#region Validate argument
+        if (typeof options !== 'object' || options === null) {
+            throw new Error("buildContext failed: options must be an object.");
+        }
+
+        if (options.query !== undefined && typeof options.query !== 'string') {
+            throw new Error("buildContext failed: options.query must be a string.");
+        }
 
-            const minutes = Math.floor(seconds / 60);
-            if (minutes < 60) return `${minutes} minute${minutes !== 1 ? 's' : ''} ago`;
+        const contextFilter = resolveContextFilter(options.filter, 'buildContext');
+        const contextBudget = options.budget === undefined ? this.contextBudget : resolveContextBudget(options.budget, 'buildContext');
+        const contextFormat = options.format === undefined ? this.contextFormat : resolveContextFormat(options.format, 'buildContext');
+        //#endregion
+
+        return this.#buildContext(contextFilter, contextBudget, contextFormat, options.query ?? '');
+    }
 
-            const hours = Math.floor(minutes / 60);
-            if (hours < 24) return `${hours} hour${hours !== 1 ? 's' : ''} ago`;
+    #buildContext(contextFilter, contextBudget, contextFormat, query){
+        const formatter = createContextFormatter(contextFormat);
 
-            const days = Math.floor(hours / 24);
-            return `${days} day${days !== 1 ? 's' : ''} ago`;
-        };
+        // Public copies, so a custom formatEntry cannot change the stored entries
+        const { text, included, excluded } = buildBudgetedContext(this.#context.filter(entry => matchesContextFilter(entry, contextFilter)).map(toPublicContextEntry), contextBudget, {
+            query,
+            format: formatter.formatEntry,
+            join: formatter.join
+        });
+
+        const toScoredEntry = ({ entry, score }) => Object.freeze({ ...entry, score });
+
+        return Object.freeze({
+            text,
+            chars: text.length,
+            approxTokens: estimateTokens(text),
+            budget: contextBudget,
+            included: Object.freeze(included.map(toScoredEntry)),
+            excluded: Object.freeze(excluded.map(toScoredEntry))
+        });
+    }
+
+    // Drops the entries the retention policy no longer allows and returns them; callers fire the events
+    #evictContext(){
+        const { kept, evicted } = applyRetentionPolicy(this.#context, this.contextRetention);
+
+        if (evicted.length > 0) {
+            this.#context = kept;
+        }
+
+        return evicted.map(({ entry, reason }) => Object.freeze({ ...toPublicContextEntry(entry), reason }));
+    }
+
+    // Requests send the context as of now, so entries that expired since the last change are evicted first
+    // The query is the text of the request, used to rank entries by relevance
+    #getRequestContextString(route, contextFilter, contextBudget, contextFormat, query){
+        const evictedEntries = this.#evictContext();
+
+        if (evictedEntries.length > 0) {
+            this.#onContextChangeExecute();
+            this.#onContextEvictionExecute(evictedEntries);
+        }
+
+        const contextBuild = this.#buildContext(contextFilter, contextBudget, contextFormat, query);
+
+        this.#onContextBuildExecute(contextBuild, route);
+
+        return this.#redact(contextBuild.text);
+    }
+    //#endregion
+
+    //#region Activity tracking
+    #stopActivityTrackers = [];
+
+    trackActivity(options = {}){
+        this.#assertNotDisposed('trackActivity');
+
+        //#region Validate environment
+        if (typeof window === 'undefined' || typeof window.document === 'undefined') {
+            throw new Error("trackActivity failed: activity tracking needs a browser environment (window and document).");
+        }
+        //#endregion
 
-        this.#context.forEach(entry => {
-            contextString += `${entry.content} ${formatTimestampAgo(entry.timestamp)}. `;
+        const resolvedOptions = resolveActivityTrackerOptions(options, 'trackActivity');
+
+        const stopTracker = startActivityTracker(resolvedOptions, {
+            window,
+            record: (content, metadata) => {
+                try {
+                    this.addContextEntry(content.trim().slice(0, MAX_CONTEXT_ENTRY_LENGTH), undefined, metadata);
+                } catch (err) {
+                    !this.suppressWarnings && console.warn("trackActivity warning: an activity could not be added to context.", err);
+                }
+            },
+            onError: err => !this.suppressWarnings && console.warn("trackActivity warning: a rule's content function threw; the activity was not recorded.", err)
         });
 
-        return contextString;
+        let isStopped = false;
+
+        const stop = () => {
+            if (isStopped) return;
+
+            isStopped = true;
+            this.#stopActivityTrackers.splice(this.#stopActivityTrackers.indexOf(stop), 1);
+            stopTracker();
+        };
+
+        this.#stopActivityTrackers.push(stop);
+
+        return stop;
+    }
+    //#endregion
+
+    //#region Redaction
+    #redactor = null;
+
+    // Everything sent to the API passes through here; stored context and history keep the original text
+    #redact(value){
+        return this.#redactor !== null ? this.#redactor.redact(value) : value;
+    }
+
+    #restore(text){
+        return this.#redactor !== null && this.redaction.restoreTokens ? this.#redactor.restore(text) : text;
+    }
+    //#endregion
+
+    //#region Cross-tab sync
+    #syncChannel = null;
+    #removeStorageEventListener = null;
+    #remoteChangeQueue = Promise.resolve();
+    #isApplyingRemoteChange = false;
+
+    // State as of the last change, sent along with the new state so other tabs can tell what changed
+    #lastSyncedContext = '[]';
+    #lastSyncedMessageHistory = '[]';
+    #lastSyncedThreads = '{}';
+
+    #startTabSync(agentId){
+        this.#lastSyncedContext = JSON.stringify(createStorageEnvelope(this.#context));
+        this.#lastSyncedMessageHistory = JSON.stringify(createStorageEnvelope(this.#defaultThread.messages));
+        this.#lastSyncedThreads = JSON.stringify(createStorageEnvelope(this.#getThreadsSnapshot()));
+
+        if(typeof BroadcastChannel === 'function'){
+            this.#syncChannel = new BroadcastChannel(`heylock:${agentId}`);
+
+            // Node: an open channel must not keep the process alive
+            this.#syncChannel.unref?.();
+            this.#syncChannel.onmessage = (event) => this.#applyRemoteChange(event.data?.type, event.data?.previousValue, event.data?.value);
+
+            // Remote changes are not echoed back; restored ones only move the snapshots forward
+            const isPosting = () => !this.#isApplyingRemoteChange && !this.#isRestoringStorage;
+
+            this.onContextChange(() => {
+                const value = JSON.stringify(createStorageEnvelope(this.#context));
+
+                isPosting() && this.#syncChannel.postMessage({ type: 'context', previousValue: this.#lastSyncedContext, value });
+                this.#lastSyncedContext = value;
+            });
+
+            if(this.#messageHistoryStorageKey !== null){
+                // Switching threads changes neither value, so nothing is sent for it
+                const postThreads = () => {
+                    const value = JSON.stringify(createStorageEnvelope(this.#getThreadsSnapshot()));
+
+                    isPosting() && value !== this.#lastSyncedThreads && this.#syncChannel.postMessage({ type: 'threads', previousValue: this.#lastSyncedThreads, value });
+                    this.#lastSyncedThreads = value;
+                };
+
+                this.onMessageHistoryChange((messageHistory, threadId) => {
+                    if(threadId !== DEFAULT_THREAD_ID){
+                        postThreads();
+                        return;
+                    }
+
+                    const value = JSON.stringify(createStorageEnvelope(this.#defaultThread.messages));
+
+                    isPosting() && value !== this.#lastSyncedMessageHistory && this.#syncChannel.postMessage({ type: 'messageHistory', previousValue: this.#lastSyncedMessageHistory, value });
+                    this.#lastSyncedMessageHistory = value;
+                });
+
+                this.onThreadsChange(postThreads);
+            }
+        } else if(typeof window !== 'undefined' && typeof window.addEventListener === 'function'){
+            // Without BroadcastChannel, the storage writes of other tabs arrive as storage events
+            const onStorage = (event) => {
+                const type = [['context', this.#contextStorageKey], ['messageHistory', this.#messageHistoryStorageKey], ['threads', this.#threadsStorageKey]]
+                    .find(([, key]) => key !== null && key === event.key)?.[0] ?? null;
+
+                if(type === null) return;
+
+                if(this.#resolveEncryptionKey === null){
+                    this.#applyRemoteChange(type, event.oldValue, event.newValue);
+                    return;
+                }
+
+                // Decrypted one event at a time so a slow decryption cannot apply an older change last
+                this.#remoteChangeQueue = this.#remoteChangeQueue.then(async () => {
+                    const encryptionKey = await this.#resolveEncryptionKey();
+                    const decrypt = (value) => isEncryptedValue(value) ? decryptValue(encryptionKey, value) : value;
+
+                    this.#applyRemoteChange(type, await decrypt(event.oldValue), await decrypt(event.newValue));
+                }).catch(() => {});
+            };
+
+            window.addEventListener('storage', onStorage);
+            this.#removeStorageEventListener = () => window.removeEventListener('storage', onStorage);
+        }
+    }
+
+    #applyRemoteChange(type, serializedPreviousValue, serializedValue){
+        if(this.isDisposed || typeof serializedValue !== 'string') return;
+
+        // Snapshots from other tabs are untrusted input; invalid ones are ignored
+        let previousValue = [];
+        let remoteValue = undefined;
+
+        try{
+            previousValue = typeof serializedPreviousValue === 'string' ? migrateStoredValue(JSON.parse(serializedPreviousValue), type) : [];
+            remoteValue = migrateStoredValue(JSON.parse(serializedValue), type);
+        } catch(error){
+            return;
+        }
+
+        if(type === 'context'){
+            const baseContext = normalizeStoredContext(previousValue);
+            const remoteContext = normalizeStoredContext(remoteValue);
+
+            if(baseContext === null || remoteContext === null) return;
+
+            const mergedContext = mergeContext(baseContext, this.#context, remoteContext);
+
+            if(JSON.stringify(mergedContext) === JSON.stringify(this.#context)) return;
+
+            this.#context = mergedContext.map(entry => ({ ...entry }));
+
+            this.#isApplyingRemoteChange = true;
+            this.#onContextChangeExecute();
+            this.#isApplyingRemoteChange = false;
+        } else if(type === 'messageHistory' && this.#messageHistoryStorageKey !== null){
+            try{
+                validateMessageHistory(previousValue, 'Message history sync');
+                validateMessageHistory(remoteValue, 'Message history sync');
+            } catch(error){
+                return;
+            }
+
+            const defaultThread = this.#defaultThread;
+            const toMessages = (messageHistory) => messageHistory.map(toMessage);
+            const mergedMessageHistory = mergeMessageHistory(toMessages(previousValue), defaultThread.messages, toMessages(remoteValue));
+
+            if(JSON.stringify(mergedMessageHistory) === JSON.stringify(defaultThread.messages)) return;
+
+            defaultThread.messages = assignIds(mergedMessageHistory);
+
+            this.#isApplyingRemoteChange = true;
+            this.#onMessageHistoryChangeExecute(defaultThread);
+            this.#isApplyingRemoteChange = false;
+        } else if(type === 'threads' && this.#threadsStorageKey !== null){
+            // Before the other tab's first change there is no previous value
+            const baseValue = typeof serializedPreviousValue === 'string' ? previousValue : { activeThreadId: DEFAULT_THREAD_ID, threads: [{ id: DEFAULT_THREAD_ID, name: DEFAULT_THREAD_NAME, createdAt: 0 }] };
+
+            try{
+                validateThreads(baseValue, 'Threads sync');
+                validateThreads(remoteValue, 'Threads sync');
+            } catch(error){
+                return;
+            }
+
+            // Each tab keeps its own active thread
+            const mergedThreads = mergeThreads(baseValue.threads.map(toThread), this.#threads, remoteValue.threads.map(toThread));
+
+            if(JSON.stringify(mergedThreads) === JSON.stringify(this.#threads)) return;
+
+            const changedThreads = mergedThreads.filter(thread => JSON.stringify(thread.messages) !== JSON.stringify(this.#threads.find(other => other.id === thread.id)?.messages));
+            const isActiveThreadDeleted = !mergedThreads.some(thread => thread.id === this.#activeThreadId);
+
+            this.#threads = mergedThreads;
+            isActiveThreadDeleted && (this.#activeThreadId = DEFAULT_THREAD_ID);
+
+            this.#isApplyingRemoteChange = true;
+            this.#onThreadsChangeExecute();
+            changedThreads.forEach(thread => this.#onMessageHistoryChangeExecute(thread));
+            isActiveThreadDeleted && this.#onMessageHistoryChangeExecute();
+            this.#isApplyingRemoteChange = false;
+        }
     }
     //#endregion
 
     //#region Storage management
+    #storage = null;
+    #pendingStorageWrites = new Set();
+    #resolveEncryptionKey = null;
+
+    // Encryption is asynchronous; queueing keeps writes in call order so an older value never lands last
+    #encryptedWriteQueue = Promise.resolve();
+
     #setStorageItem(key, value){
         //#region Validate arguments
         if (typeof key !== 'string' || key.length === 0) {
@@ -533,19 +2045,25 @@ export default class Heylock{
         //#endregion
 
         //#region Validate environment
-        const isNode = typeof process !== 'undefined' && process.versions !== null && process.versions.node !== null;
-        const isBrowser = typeof window !== 'undefined' && typeof window.document !== 'undefined';
-
-        if(isNode && !isBrowser){
-            !this.suppressWarnings && console.warn("Data can only be saved in a browser environment.");
+        if(this.#storage === null){
+            !this.suppressWarnings && console.warn("Data can only be saved in a browser environment unless a storage adapter is passed via options.storage.");
             return;
         }
         //#endregion
 
+        const warnNotSaved = () => !this.suppressWarnings && console.warn("Data was not saved due to an unexpected error.");
+
         try{
-            localStorage.setItem(key, JSON.stringify(value));
+            const result = this.#resolveEncryptionKey === null ? this.#storage.set(key, JSON.stringify(value)) : this.#setEncryptedStorageItem(key, JSON.stringify(value));
+
+            // Track asynchronous writes so dispose() can wait for them
+            if(isPromiseLike(result)){
+                const write = Promise.resolve(result).catch(warnNotSaved).finally(() => this.#pendingStorageWrites.delete(write));
+
+                this.#pendingStorageWrites.add(write);
+            }
         } catch(error){
-            !this.suppressWarnings && console.warn("Data was not saved due to an unexpected error.");
+            warnNotSaved();
         }
     }
 
@@ -557,88 +2075,142 @@ export default class Heylock{
         //#endregion
 
         //#region Validate environment
-        const isNode = typeof process !== 'undefined' && process.versions !== null && process.versions.node !== null;
-        const isBrowser = typeof window !== 'undefined' && typeof window.document !== 'undefined';
-
-        if(isNode && !isBrowser){
-            !this.suppressWarnings && console.warn("Data can only be retrieved in a browser environment.");
+        if(this.#storage === null){
+            !this.suppressWarnings && console.warn("Data can only be retrieved in a browser environment unless a storage adapter is passed via options.storage.");
             return;
         }
         //#endregion
+
+        const warnNotRetrieved = () => !this.suppressWarnings && console.warn("Data was not retrieved due to an unexpected error.");
     
         try{
-            return localStorage.getItem(key);
+            const result = this.#storage.get(key);
+
+            if(this.#resolveEncryptionKey !== null){
+                return Promise.resolve(result).then(value => this.#decryptStoredItem(key, value), () => { warnNotRetrieved(); });
+            }
+
+            return isPromiseLike(result) ? Promise.resolve(result).catch(() => { warnNotRetrieved(); }) : result;
+        } catch(error){
+            warnNotRetrieved();
+        }
+    }
+
+    #setEncryptedStorageItem(key, serializedValue){
+        const write = this.#encryptedWriteQueue.then(async () => {
+            const encryptedValue = await encryptValue(await this.#resolveEncryptionKey(), serializedValue);
+
+            await this.#storage.set(key, encryptedValue);
+        });
+
+        this.#encryptedWriteQueue = write.catch(() => {});
+
+        return write;
+    }
+
+    // Values saved before encryption was turned on are read as they are and encrypted on the next save
+    async #decryptStoredItem(key, storedValue){
+        if(!isEncryptedValue(storedValue)) return storedValue;
+
+        try{
+            return await decryptValue(await this.#resolveEncryptionKey(), storedValue);
         } catch(error){
-            !this.suppressWarnings && console.warn("Data was not retrieved due to an unexpected error.");
+            const asideKey = this.#keepStoredValueAside(key, storedValue, error.message);
+            !this.suppressWarnings && console.warn(`Stored data under '${key}' could not be decrypted. It will not be restored; the stored value was kept under '${asideKey}'.`, error.message);
+            return undefined;
         }
     }
     //#endregion
 
     //#region Limit route
-    async fetchUsageRemaining(){
+    async fetchUsageRemaining(options = {}){
+        this.#assertNotDisposed('fetchUsageRemaining');
+
         if (!this.isInitialized) {
-            throw new Error("fetchLimits failed: agent is not initialized. Please wait for initialization to complete.");
+            throw new HeylockStateError("fetchLimits failed: agent is not initialized. Please wait for initialization to complete.", { code: ERROR_CODES.NOT_INITIALIZED });
+        }
+
+        //#region Validate argument
+        if (typeof options !== 'object' || options === null) {
+            throw new Error("fetchUsageRemaining failed: options must be an object.");
+        }
+
+        if (options.signal !== undefined && !isAbortSignal(options.signal)) {
+            throw new Error("fetchUsageRemaining failed: options.signal must be an AbortSignal.");
+        }
+
+        if (options.timeoutMs !== undefined && !isValidTimeout(options.timeoutMs)) {
+            throw new Error("fetchUsageRemaining failed: options.timeoutMs must be a positive number or null.");
         }
+        //#endregion
 
         try{
             //#region Fetch the API
-            const limitsRes = await fetch("https://heylock.dev/api/v1/limits", {
+            const { response: limitsRes, data: limitsData } = await this.#fetch('limits', {
                 method: 'GET',
-                headers: {
-                    'Authorization': this.agentKey
-                }
+                signal: options.signal
+            }, {
+                methodName: 'fetchUsageRemaining',
+                timeoutMs: options.timeoutMs === undefined ? this.timeoutMs : options.timeoutMs,
+                readJson: true
             });
             //#endregion
 
             //#region Handle http codes
             if(limitsRes.status === 401){
-                throw new Error("fetchUsageRemaining failed: authorization failed. Please check your agent key and try again.");
+                throw createHttpError("fetchUsageRemaining failed: authorization failed. Please check your agent key and try again.", 'limits', limitsRes);
             }
             
             else if(limitsRes.status === 500){
-                throw new Error("fetchUsageRemaining failed: we are experiencing temporary server issues. Please try again later.");
+                throw createHttpError("fetchUsageRemaining failed: we are experiencing temporary server issues. Please try again later.", 'limits', limitsRes);
             }
 
             else if(limitsRes.status === 503){
-                throw new Error("fetchUsageRemaining failed: the server is busy.");
+                throw createHttpError("fetchUsageRemaining failed: the server is busy.", 'limits', limitsRes);
             }
             
             else if(limitsRes.status !== 200){
-                throw new Error("fetchUsageRemaining failed: something went wrong. Please check your internet connection and ensure you are using the correct package version.");
+                throw createHttpError("fetchUsageRemaining failed: something went wrong. Please check your internet connection and ensure you are using the correct package version.", 'limits', limitsRes);
             } 
             
             else if(limitsRes.status === 200){
-                const limitsData = await limitsRes.json();
-                
                 const newRemaining = {
                     messages: limitsData.limits.messages.remaining,
                     sorts: limitsData.limits.sorts.remaining,
                     rewrites: limitsData.limits.rewrites.remaining,
                 }
 
-                this.#usageRemaining = newRemaining;
+                // Updated in place: sessions of a session manager share this object
+                Object.assign(this.#usageRemaining, newRemaining);
 
                 return this.usageRemaining;
             }
             //#endregion
         } catch(error){
-            if(error.message.includes("fetchUsageRemaining failed: ")){
-                throw new Error(error.message);
+            if(options.signal?.aborted){
+                throw createAbortError('fetchUsageRemaining', 'limits');
+            }
+
+            if(error instanceof HeylockError){
+                throw error;
             }
             
-            throw new Error(
+            throw new HeylockResponseError(
                 "fetchUsageRemaining failed: an unexpected error occurred. " +
                 "Please ensure you are using the correct version of the package. " +
-                `Error details: ${error}`
+                `Error details: ${error}`,
+                { route: 'limits', cause: error }
             );
         }
     }
     //#endregion
 
     //#region Message route
-    async message(content, useContext = true, saveToMessageHistory = true){
+    async message(content, useContext = true, saveToMessageHistory = true, options = {}){
+        this.#assertNotDisposed('message');
+
         if (!this.isInitialized) {
-            throw new Error("message failed: agent is not initialized. Please wait for initialization to complete.");
+            throw new HeylockStateError("message failed: agent is not initialized. Please wait for initialization to complete.", { code: ERROR_CODES.NOT_INITIALIZED });
         }
 
         //#region Validate arguments
@@ -657,106 +2229,130 @@ export default class Heylock{
         if(typeof useContext !== 'boolean'){
             throw new Error("message failed: useContext must be a boolean.");
         }
+
+        if (typeof options !== 'object' || options === null) {
+            throw new Error("message failed: options must be an object.");
+        }
+
+        if (options.signal !== undefined && !isAbortSignal(options.signal)) {
+            throw new Error("message failed: options.signal must be an AbortSignal.");
+        }
+
+        if (options.timeoutMs !== undefined && !isValidTimeout(options.timeoutMs)) {
+            throw new Error("message failed: options.timeoutMs must be a positive number or null.");
+        }
+
+        const contextFilter = resolveContextFilter(options.contextFilter, 'message');
+        const contextBudget = options.contextBudget === undefined ? this.contextBudget : resolveContextBudget(options.contextBudget, 'message');
+        const contextFormat = options.contextFormat === undefined ? this.contextFormat : resolveContextFormat(options.contextFormat, 'message');
+        const messageOptions = resolveMessageOptions(options, 'message');
         //#endregion
 
         saveToMessageHistory && this.addMessage(content, 'user');
+        const assistantMessageId = saveToMessageHistory ? this.#addMessage('', 'assistant', 'pending') : undefined;
+        const startedAt = new Date().getTime();
 
+        // The API only knows content and role
         const safeMessageHistory = this.#messageHistory.filter(message => {
-            return message.content.length < MAX_MESSAGE_LENGTH && message.content.length > 0 && (message.role === 'user' || message.role === 'assistant');
-        });
+            return message.id !== assistantMessageId && message.content.length < MAX_MESSAGE_LENGTH && message.content.length > 0 && (message.role === 'user' || message.role === 'assistant');
+        }).map(message => ({ content: this.#redact(message.content), role: message.role }));
 
-        let assistantMessageIndex = undefined;
         try{
             //#region Fetching the API
-            const messageRes = await fetch("https://heylock.dev/api/v1/message", {
+            const { response: messageRes, data: messageData } = await this.#fetch('message', {
                 method: 'POST',
-                headers: {
-                    'Authorization': this.agentKey
-                },
+                signal: options.signal,
                 body: JSON.stringify({
-                    content,
+                    content: this.#redact(content),
                     stream: false,
                     ...(this.useMessageHistory && safeMessageHistory.length > 0 ? { history: safeMessageHistory } : {}),
-                    ...(useContext ? { context: this.getContextString() } : {})
+                    ...(useContext ? { context: this.#getRequestContextString('message', contextFilter, contextBudget, contextFormat, content) } : {}),
+                    // Sent beside the content, so none of it lands in the history
+                    ...this.#redact(messageOptions)
                 })
+            }, {
+                methodName: 'message',
+                timeoutMs: options.timeoutMs === undefined ? this.timeoutMs : options.timeoutMs,
+                readJson: true
             });
             //#endregion
 
             //#region Setting usage limits
-            const usageLimitRemainingHeader = messageRes.headers?.get?.('Plan-Remaining');
-            const usageLimitRemaining = Number(usageLimitRemainingHeader);
+            const usageLimitRemaining = readPlanRemaining(messageRes);
 
-            if (usageLimitRemainingHeader != null && !Number.isNaN(usageLimitRemaining)) {
+            if (usageLimitRemaining !== null) {
                 this.#usageRemaining.messages = usageLimitRemaining;
             }
             //#endregion
 
             //#region Handling scenarios based on HTTP codes
-            let assistantMessageIndex = undefined;
 
             if(messageRes.status === 500){
-                throw new Error("message failed: we are experiencing temporary server issues. Please try again later.");
+                throw createHttpError("message failed: we are experiencing temporary server issues. Please try again later.", 'message', messageRes);
             } 
 
             else if(messageRes.status === 400){
-                throw new Error("message failed: please check arguments. Refer to the documentation for more information (see https://heylock.dev/app/learn/node/messaging).");
+                throw createHttpError("message failed: please check arguments. Refer to the documentation for more information (see https://heylock.dev/app/learn/node/messaging).", 'message', messageRes);
             }
             
             else if(messageRes.status === 401){
-                throw new Error("message failed: authorization failed. Please check your agent key and try again.");
+                throw createHttpError("message failed: authorization failed. Please check your agent key and try again.", 'message', messageRes);
             }
             
             else if(messageRes.status === 429){
-                if (usageLimitRemainingHeader != null && !Number.isNaN(usageLimitRemaining) && usageLimitRemaining <= 0) {
-                    throw new Error("message failed: you have reached your message plan limit. Please upgrade your plan or wait for the limit to reset.");
+                if (usageLimitRemaining !== null && usageLimitRemaining <= 0) {
+                    throw createHttpError("message failed: you have reached your message plan limit. Please upgrade your plan or wait for the limit to reset.", 'message', messageRes);
                 } else {
-                    throw new Error("message failed: too many requests. Try again later.");
+                    throw createHttpError("message failed: too many requests. Try again later.", 'message', messageRes);
                 }
             }
 
             else if(messageRes.status === 502){
-                throw new Error("message failed: we are experiencing unexpected external service errors. Please try again later.");
+                throw createHttpError("message failed: we are experiencing unexpected external service errors. Please try again later.", 'message', messageRes);
             }
 
             else if(messageRes.status !== 200){
-                throw new Error("message failed: something went wrong. Please check your internet connection or ensure you are using the correct package version.");
+                throw createHttpError("message failed: something went wrong. Please check your internet connection or ensure you are using the correct package version.", 'message', messageRes);
             } 
             
             // Successful scenario
             else if(messageRes.status === 200){
-                const messageData = await messageRes.json();
-                
-                const output = messageData?.message;
-
-                if(typeof output !== 'string'){
-                    throw new Error("message failed: received an unexpected response from the server. Please ensure you are using the correct version of the package.");
+                if(typeof messageData?.message !== 'string'){
+                    throw new HeylockResponseError("message failed: received an unexpected response from the server. Please ensure you are using the correct version of the package.", { route: 'message' });
                 }
 
-                assistantMessageIndex = saveToMessageHistory && this.addMessage(output, 'assistant') || undefined; 
+                const output = this.#restore(messageData.message);
+
+                this.#updateReply('message', assistantMessageId, output, 'complete', { latencyMs: new Date().getTime() - startedAt });
 
                 return output;
             }
             //#endregion
         } catch(error){
-            if (saveToMessageHistory && typeof assistantMessageIndex === 'number') {
-                this.modifyMessage(assistantMessageIndex, "An error occurred while processing your request. Please try again later.");
+            this.#settleFailedReply('message', assistantMessageId, startedAt, options.signal?.aborted === true, error instanceof HeylockError ? error.code : ERROR_CODES.INVALID_RESPONSE);
+
+            if(options.signal?.aborted){
+                throw createAbortError('message', 'message');
             }
 
-            if(error.message.includes("message failed: ")){
-                throw new Error(error.message);
+            if(error instanceof HeylockError){
+                throw error;
             }
             
-            throw new Error(
+            throw new HeylockResponseError(
                 "message failed: an unexpected error occurred. " +
                 "Please ensure you are using the correct version of the package. " +
-                `Error details: ${error}`
+                `Error details: ${error}`,
+                { route: 'message', cause: error }
             );
         }
     }
 
-    async *messageStream(content, useContext = true, saveToMessageHistory = true){
+    async *messageStream(content, useContext = true, saveToMessageHistory = true, options = {}){
+        this.#assertNotDisposed('messageStream');
+
         if (!this.isInitialized) {
-            throw new Error("messageStream failed: agent is not initialized. Please wait for initialization to complete.");
+            throw new HeylockStateError("messageStream failed: agent is not initialized. Please wait for initialization to complete.", { code: ERROR_CODES.NOT_INITIALIZED });
         }
 
         //#region Validate arguments
@@ -775,70 +2371,105 @@ export default class Heylock{
         if (typeof saveToMessageHistory !== 'boolean') {
             throw new Error("messageStream failed: saveToMessageHistory must be a boolean.");
         }
+
+        if (typeof options !== 'object' || options === null) {
+            throw new Error("messageStream failed: options must be an object.");
+        }
+
+        if (options.signal !== undefined && !isAbortSignal(options.signal)) {
+            throw new Error("messageStream failed: options.signal must be an AbortSignal.");
+        }
+
+        if (options.timeoutMs !== undefined && !isValidTimeout(options.timeoutMs)) {
+            throw new Error("messageStream failed: options.timeoutMs must be a positive number or null.");
+        }
+
+        if (options.streamIdleTimeoutMs !== undefined && !isValidTimeout(options.streamIdleTimeoutMs)) {
+            throw new Error("messageStream failed: options.streamIdleTimeoutMs must be a positive number or null.");
+        }
+
+        const contextFilter = resolveContextFilter(options.contextFilter, 'messageStream');
+        const contextBudget = options.contextBudget === undefined ? this.contextBudget : resolveContextBudget(options.contextBudget, 'messageStream');
+        const contextFormat = options.contextFormat === undefined ? this.contextFormat : resolveContextFormat(options.contextFormat, 'messageStream');
+        const messageOptions = resolveMessageOptions(options, 'messageStream');
         //#endregion
 
         saveToMessageHistory && this.addMessage(content, 'user');
-        const assistantMessageIndex = saveToMessageHistory ? this.addMessage('', 'assistant') : undefined;
+        const assistantMessageId = saveToMessageHistory ? this.#addMessage('', 'assistant', 'pending') : undefined;
+        const startedAt = new Date().getTime();
+        let fullMessage = '';
+        let replyStatus = 'pending';
+
+        // What is kept of a reply that did not finish; a reply that grew past the limit is cut at it
+        const partialReply = (fallbackContent) => fullMessage.length > 0 ? fullMessage.slice(0, MAX_MESSAGE_LENGTH) : fallbackContent;
+
+        // Every status but 'streaming' is final and records how long the reply took
+        const updateReply = (content, status, details = {}) => {
+            replyStatus = status;
+            this.#updateReply('messageStream', assistantMessageId, content, status, status === 'streaming' ? details : { ...details, latencyMs: new Date().getTime() - startedAt });
+        };
 
         try{
             //#region Fetching the API
             // Must be let. Otherwise will be undefined.
-            let historyForStream = Array.isArray(this.messageHistory) ? this.messageHistory.filter((message, index) => index !== assistantMessageIndex) : undefined;
+            let historyForStream = Array.isArray(this.messageHistory) ? this.messageHistory.filter(message => message.id !== assistantMessageId) : undefined;
 
+            // The API only knows content and role
             historyForStream = historyForStream.filter(message => {
                 return message.content.length < MAX_MESSAGE_LENGTH && message.content.length > 0 && (message.role === 'user' || message.role === 'assistant');
-            });
+            }).map(message => ({ content: this.#redact(message.content), role: message.role }));
 
-            const messageRes = await fetch("https://heylock.dev/api/v1/message", {
+            const messageRes = await this.#fetch('message', {
                 method: 'POST',
-                headers: {
-                    'Authorization': this.agentKey
-                },
+                signal: options.signal,
                 body: JSON.stringify({
-                    content,
+                    content: this.#redact(content),
                     stream: true,
                     ...(this.useMessageHistory && Array.isArray(historyForStream) && historyForStream.length > 0 ? { history: historyForStream } : {}),
-                    ...(useContext ? { context: this.getContextString() } : {})
+                    ...(useContext ? { context: this.#getRequestContextString('messageStream', contextFilter, contextBudget, contextFormat, content) } : {}),
+                    ...this.#redact(messageOptions)
                 })
+            }, {
+                methodName: 'messageStream',
+                timeoutMs: options.timeoutMs === undefined ? this.timeoutMs : options.timeoutMs
             });
             //#endregion
 
             //#region Setting rate limits
-            const rateLimitRemainingHeader = messageRes.headers?.get?.('Plan-Remaining');
-            const rateLimitRemaining = Number(rateLimitRemainingHeader);
+            const rateLimitRemaining = readPlanRemaining(messageRes);
 
-            if (rateLimitRemainingHeader != null && !Number.isNaN(rateLimitRemaining)) {
+            if (rateLimitRemaining !== null) {
                 this.#usageRemaining.messages = rateLimitRemaining;
             }
             //#endregion
 
             //#region Handling scenarios based on HTTP codes
             if(messageRes.status === 500){
-                throw new Error("messageStream failed: we are experiencing temporary server issues. Please try again later.");
+                throw createHttpError("messageStream failed: we are experiencing temporary server issues. Please try again later.", 'message', messageRes);
             } 
 
             else if(messageRes.status === 400){
-                throw new Error("messageStream failed: please check arguments. Refer to the documentation for more information (see https://heylock.dev/app/learn/node/streaming).");
+                throw createHttpError("messageStream failed: please check arguments. Refer to the documentation for more information (see https://heylock.dev/app/learn/node/streaming).", 'message', messageRes);
             }
             
             else if(messageRes.status === 401){
-                throw new Error("messageStream failed: authorization failed. Please check your agent key and try again.");
+                throw createHttpError("messageStream failed: authorization failed. Please check your agent key and try again.", 'message', messageRes);
             }
             
             else if(messageRes.status === 429){
-                if (rateLimitRemainingHeader != null && !Number.isNaN(rateLimitRemaining) && rateLimitRemaining <= 0) {
-                    throw new Error("messageStream failed: you have reached your message plan limit. Please upgrade your plan or wait for the limit to reset.");
+                if (rateLimitRemaining !== null && rateLimitRemaining <= 0) {
+                    throw createHttpError("messageStream failed: you have reached your message plan limit. Please upgrade your plan or wait for the limit to reset.", 'message', messageRes);
                 } else {
-                    throw new Error("messageStream failed: too many requests. Try again later.");
+                    throw createHttpError("messageStream failed: too many requests. Try again later.", 'message', messageRes);
                 }
             }
 
             else if(messageRes.status === 502){
-                throw new Error("messageStream failed: we are experiencing unexpected external service errors. Please try again later.");
+                throw createHttpError("messageStream failed: we are experiencing unexpected external service errors. Please try again later.", 'message', messageRes);
             }
 
             else if(messageRes.status !== 200){
-                throw new Error("messageStream failed: something went wrong. Please check your internet connection or ensure you are using the correct package version.");
+                throw createHttpError("messageStream failed: something went wrong. Please check your internet connection or ensure you are using the correct package version.", 'message', messageRes);
             } 
             
             // Successful scenario
@@ -846,61 +2477,131 @@ export default class Heylock{
                 const reader = messageRes.body.getReader();
                 const decoder = new TextDecoder();
                 let buffer = '';
-                let fullMessage = '';
+                let isStreamFinished = false;
+                const streamIdleTimeoutMs = options.streamIdleTimeoutMs === undefined ? this.streamIdleTimeoutMs : options.streamIdleTimeoutMs;
+
+                // Restores redaction tokens, holding back one that is split across chunks
+                const tokenRestorer = this.#redactor !== null && this.redaction.restoreTokens ? this.#redactor.createStreamRestorer() : null;
+
+                // Custom fetch implementations may ignore the signal; cancelling the reader unblocks a pending read
+                const cancelReader = () => reader.cancel?.().catch(() => {});
+                options.signal?.addEventListener('abort', cancelReader, { once: true });
+                this.#disposeController.signal.addEventListener('abort', cancelReader, { once: true });
+
+                try{
+                    while(true){
+                        const { done, value } = await readWithIdleTimeout(reader, streamIdleTimeoutMs);
+
+                        if(this.isDisposed){
+                            throw createDisposedError('messageStream', 'message');
+                        }
+
+                        if(options.signal?.aborted){
+                            throw createAbortError('messageStream', 'message');
+                        }
+
+                        if(done) break;
+
+                        buffer += decoder.decode(value, { stream: true });
+                        const lines = buffer.split('\n');
 
-                while(true){
-                    const { done, value } = await reader.read();
+                        buffer = lines.pop() || '';
 
-                    if(done) break;
+                        for(const line of lines){
+                            const trimmedLine = line.trim();
 
-                    buffer += decoder.decode(value, { stream: true });
-                    const lines = buffer.split('\n');
+                            if(trimmedLine === '') continue;
 
-                    buffer = lines.pop() || '';
+                            try {
+                                const chunk = JSON.parse(trimmedLine);
 
-                    for(const line of lines){
-                        const trimmedLine = line.trim();
+                                if(chunk.message && !chunk.done){
+                                    const text = tokenRestorer !== null ? tokenRestorer.push(chunk.message) : chunk.message;
 
-                        if(trimmedLine === '') continue;
+                                    if(text.length === 0) continue;
 
-                        try {
-                            const chunk = JSON.parse(trimmedLine);
+                                    fullMessage += text;
 
-                            if(chunk.message && !chunk.done){
-                                fullMessage += chunk.message;
+                                    updateReply(fullMessage, 'streaming');
 
-                                if (saveToMessageHistory && typeof assistantMessageIndex === 'number') {
-                                    this.modifyMessage(assistantMessageIndex, fullMessage, 'assistant');
+                                    yield text;
+                                } else if(chunk.done){
+                                    isStreamFinished = true;
+
+                                    const remainingText = tokenRestorer?.flush() ?? '';
+
+                                    fullMessage += remainingText;
+                                    updateReply(fullMessage, 'complete');
+
+                                    if(remainingText.length > 0){
+                                        yield remainingText;
+                                    }
+
+                                    return fullMessage;
                                 }
+                            } catch (parseError) {}
+                        }
+                    }
+
+                    isStreamFinished = true;
+
+                    const remainingText = tokenRestorer?.flush() ?? '';
+
+                    fullMessage += remainingText;
+                    updateReply(fullMessage, 'complete');
 
-                                yield chunk.message;
-                            } else if(chunk.done){
-                                return fullMessage;
-                            }
-                        } catch (parseError) {}
+                    if(remainingText.length > 0){
+                        yield remainingText;
                     }
+                } finally {
+                    options.signal?.removeEventListener('abort', cancelReader);
+                    this.#disposeController.signal.removeEventListener('abort', cancelReader);
+
+                    // The consumer stopped iterating early (break/return); release the connection
+                    if(!isStreamFinished) cancelReader();
                 }
             }
             //#endregion
             
         } catch(error){
-            if (saveToMessageHistory && typeof assistantMessageIndex === 'number') {
-                this.modifyMessage(assistantMessageIndex, "An error occurred while processing your request. Please try again later.");
+            // A disposed agent no longer owns its history
+            if(this.isDisposed){
+                throw createDisposedError('messageStream', 'message');
             }
 
-            if(error.message.includes("messageStream failed: ")){
-                throw new Error(error.message);
+            if(options.signal?.aborted){
+                // Keep any partial reply; an empty placeholder gets a cancellation note
+                updateReply(partialReply(CANCELLED_MESSAGE_CONTENT), 'cancelled');
+
+                throw createAbortError('messageStream', 'message');
             }
-            
-            throw new Error(
+
+            const failure = error instanceof HeylockError ? error : new HeylockResponseError(
                 "messageStream failed: an unexpected error occurred. " +
                 "Please ensure you are using the correct version of the package. " +
-                `Error details: ${error}`
+                `Error details: ${error}`,
+                { route: 'message', cause: error }
             );
+
+            // Keep what the user already saw; only an empty placeholder gets the failure note
+            updateReply(partialReply(FAILED_MESSAGE_CONTENT), 'error', { errorCode: failure.code });
+
+            throw failure;
+        } finally {
+            // The consumer stopped iterating early (break/return); the partial reply is kept as cancelled
+            if(!this.isDisposed && (replyStatus === 'pending' || replyStatus === 'streaming')){
+                updateReply(partialReply(CANCELLED_MESSAGE_CONTENT), 'cancelled');
+            }
         }
     }
 
-    async greet(instructions, useContext = true, saveToMessageHistory = true){
+    async greet(instructions, useContext = true, saveToMessageHistory = true, options = {}){
+        this.#assertNotDisposed('greet');
+
+        if (!this.isInitialized) {
+            throw new HeylockStateError("greet failed: agent is not initialized. Please wait for initialization to complete.", { code: ERROR_CODES.NOT_INITIALIZED });
+        }
+
         //#region Validate arguments
         if (typeof instructions !== 'string' || instructions.trim().length === 0) {
             if (instructions !== undefined && (typeof instructions !== 'string' || instructions.trim().length === 0)) {
@@ -919,6 +2620,24 @@ export default class Heylock{
         if (typeof saveToMessageHistory !== 'boolean') {
             throw new Error("greet failed: saveToMessageHistory must be a boolean.");
         }
+
+        if (typeof options !== 'object' || options === null) {
+            throw new Error("greet failed: options must be an object.");
+        }
+
+        if (options.signal !== undefined && !isAbortSignal(options.signal)) {
+            throw new Error("greet failed: options.signal must be an AbortSignal.");
+        }
+
+        if (options.timeoutMs !== undefined && !isValidTimeout(options.timeoutMs)) {
+            throw new Error("greet failed: options.timeoutMs must be a positive number or null.");
+        }
+
+        // Validated here so errors name greet; message applies them
+        resolveContextFilter(options.contextFilter, 'greet');
+        resolveContextBudget(options.contextBudget, 'greet');
+        resolveContextFormat(options.contextFormat, 'greet');
+        resolveMessageOptions(options, 'greet');
         //#endregion
 
         let effectiveInstructions = '';
@@ -933,20 +2652,33 @@ export default class Heylock{
         if(this.useMessageHistory && this.#messageHistory.length > 0){
             effectiveInstructions += ' Take into account our previous conversation history to make the greeting more personalized and contextual';
         }
-        
-        let assistantMessageIndex = undefined;
+
+        // The caller's own instructions refine the greeting prompt
+        const greetingOptions = {
+            ...options,
+            instructions: options.instructions === undefined ? effectiveInstructions : `${effectiveInstructions}\n${options.instructions}`
+        };
+
+        resolveMessageOptions(greetingOptions, 'greet');
+
+        const assistantMessageId = saveToMessageHistory ? this.#addMessage('', 'assistant', 'pending') : undefined;
+        const startedAt = new Date().getTime();
 
         try{
-            const output = await this.message(effectiveInstructions, useContext, false);
+            const output = await this.message(GREETING_REQUEST_CONTENT, useContext, false, greetingOptions);
 
-            if (saveToMessageHistory) {
-                assistantMessageIndex = this.addMessage(output, 'assistant');
-            }
+            this.#updateReply('greet', assistantMessageId, output, 'complete', { latencyMs: new Date().getTime() - startedAt });
 
             return output
         } catch(error){
-            if(saveToMessageHistory && typeof assistantMessageIndex === 'number'){
-                this.modifyMessage(assistantMessageIndex, "An error occurred while processing your request. Please try again later.");
+            this.#settleFailedReply('greet', assistantMessageId, startedAt, options.signal?.aborted === true, error instanceof HeylockError ? error.code : ERROR_CODES.INVALID_RESPONSE);
+
+            if(options.signal?.aborted){
+                throw createAbortError('greet', 'message');
+            }
+
+            if(error instanceof HeylockError){
+                throw error;
             }
 
             throw new Error(`greet failed - ${error}`);
@@ -957,7 +2689,9 @@ export default class Heylock{
     //#region Should-Engage route
     #shouldEngageTimeCalled = 0;
 
-    async shouldEngage(instructions){
+    async shouldEngage(instructions, options = {}){
+        this.#assertNotDisposed('shouldEngage');
+
         //#region Throttling
         const currentTime = new Date().getTime();
 
@@ -984,70 +2718,93 @@ export default class Heylock{
                 throw new Error(`shouldEngage failed: instructions exceeds maximum allowed length of ${MAX_MESSAGE_LENGTH} characters.`);
             }
         }
+
+        if (typeof options !== 'object' || options === null) {
+            throw new Error("shouldEngage failed: options must be an object.");
+        }
+
+        if (options.signal !== undefined && !isAbortSignal(options.signal)) {
+            throw new Error("shouldEngage failed: options.signal must be an AbortSignal.");
+        }
+
+        if (options.timeoutMs !== undefined && !isValidTimeout(options.timeoutMs)) {
+            throw new Error("shouldEngage failed: options.timeoutMs must be a positive number or null.");
+        }
+
+        const contextFilter = resolveContextFilter(options.contextFilter, 'shouldEngage');
+        const contextBudget = options.contextBudget === undefined ? this.contextBudget : resolveContextBudget(options.contextBudget, 'shouldEngage');
+        const contextFormat = options.contextFormat === undefined ? this.contextFormat : resolveContextFormat(options.contextFormat, 'shouldEngage');
         //#endregion
 
         try{
             //#region Fetch the API
-            const shouldEngageRes = await fetch("https://heylock.dev/api/v1/should-engage", {
+            const { response: shouldEngageRes, data: shouldEngageData } = await this.#fetch('shouldEngage', {
                 method: 'POST',
-                headers: {
-                    'Authorization': this.agentKey
-                },
+                signal: options.signal,
                 body: JSON.stringify({
-                    instructions: instructions,
-                    context: this.getContextString()
+                    instructions: this.#redact(instructions),
+                    context: this.#getRequestContextString('shouldEngage', contextFilter, contextBudget, contextFormat, instructions ?? '')
                 })
+            }, {
+                methodName: 'shouldEngage',
+                timeoutMs: options.timeoutMs === undefined ? this.timeoutMs : options.timeoutMs,
+                readJson: true
             });
             //#endregion
 
             //#region Handling scenarios based on HTTP codes
             if (shouldEngageRes.status === 400) {
-                throw new Error("shouldEngage failed: invalid arguments. Please check your instructions and try again.");
+                throw createHttpError("shouldEngage failed: invalid arguments. Please check your instructions and try again.", 'shouldEngage', shouldEngageRes);
             } 
             
             else if (shouldEngageRes.status === 401) {
-                throw new Error("shouldEngage failed: authorization failed. Please check your agent key and try again.");
+                throw createHttpError("shouldEngage failed: authorization failed. Please check your agent key and try again.", 'shouldEngage', shouldEngageRes);
             } 
 
             else if (shouldEngageRes.status === 500) {
-                throw new Error("shouldEngage failed: we are experiencing server issues. Please try again later.");
+                throw createHttpError("shouldEngage failed: we are experiencing server issues. Please try again later.", 'shouldEngage', shouldEngageRes);
             } 
             
             else if (shouldEngageRes.status === 502) {
-                throw new Error("shouldEngage failed: external service error. Please try again later.");
+                throw createHttpError("shouldEngage failed: external service error. Please try again later.", 'shouldEngage', shouldEngageRes);
             } 
             
             else if (shouldEngageRes.status !== 200) {
-                throw new Error(`shouldEngage failed: unexpected error (HTTP ${shouldEngageRes.status}).`);
+                throw createHttpError(`shouldEngage failed: unexpected error (HTTP ${shouldEngageRes.status}).`, 'shouldEngage', shouldEngageRes);
             } 
             
             // Successful scenario
             else if(shouldEngageRes.status === 200){
-                const shouldEngageData = await shouldEngageRes.json();
-
                 if (typeof shouldEngageData !== 'object' || shouldEngageData === null || typeof shouldEngageData.shouldEngage !== 'boolean' || typeof shouldEngageData.reasoning !== 'string' || typeof shouldEngageData.fallback !== 'boolean') {
-                    throw new Error("shouldEngage failed: received an unexpected response from the server. Please ensure you are using the correct version of the package.");
+                    throw new HeylockResponseError("shouldEngage failed: received an unexpected response from the server. Please ensure you are using the correct version of the package.", { route: 'shouldEngage' });
                 }
 
                 return shouldEngageData;
             }
             //#endregion
         } catch(error){
-            if(error.message.includes("shouldEngage failed: ")){
-                throw new Error(error.message);
+            if(options.signal?.aborted){
+                throw createAbortError('shouldEngage', 'shouldEngage');
+            }
+
+            if(error instanceof HeylockError){
+                throw error;
             }
             
-            throw new Error(
+            throw new HeylockResponseError(
                 "shouldEngage failed: an unexpected error occurred. " +
                 "Please ensure you are using the correct version of the package. " +
-                `Error details: ${error}`
+                `Error details: ${error}`,
+                { route: 'shouldEngage', cause: error }
             );
         }
     }
     //#endregion
 
     //#region Rewrite route
-    async rewrite(content, instructions, useContext = true){
+    async rewrite(content, instructions, useContext = true, options = {}){
+        this.#assertNotDisposed('rewrite');
+
         //#region Validate arguments
         if (typeof content !== 'string' || content.trim().length === 0) {
             throw new Error("rewrite failed: content must be a non-empty string.");
@@ -1068,89 +2825,111 @@ export default class Heylock{
                 throw new Error(`rewrite failed: instructions exceeds maximum allowed length of ${MAX_MESSAGE_LENGTH} characters.`);
             }
         }
+
+        if (typeof options !== 'object' || options === null) {
+            throw new Error("rewrite failed: options must be an object.");
+        }
+
+        if (options.signal !== undefined && !isAbortSignal(options.signal)) {
+            throw new Error("rewrite failed: options.signal must be an AbortSignal.");
+        }
+
+        if (options.timeoutMs !== undefined && !isValidTimeout(options.timeoutMs)) {
+            throw new Error("rewrite failed: options.timeoutMs must be a positive number or null.");
+        }
+
+        const contextFilter = resolveContextFilter(options.contextFilter, 'rewrite');
+        const contextBudget = options.contextBudget === undefined ? this.contextBudget : resolveContextBudget(options.contextBudget, 'rewrite');
+        const contextFormat = options.contextFormat === undefined ? this.contextFormat : resolveContextFormat(options.contextFormat, 'rewrite');
         //#endregion
 
         try{
             //#region Fetch the API
-            const rewriteRes = await fetch("https://heylock.dev/api/v1/rewrite", {
+            const { response: rewriteRes, data: rewriteData } = await this.#fetch('rewrite', {
                 method: 'POST',
-                headers: {
-                    'Authorization': this.agentKey
-                },
+                signal: options.signal,
                 body: JSON.stringify({
-                    text: content,
-                    instructions,
-                    ...(useContext ? { context: this.getContextString() } : {})
+                    text: this.#redact(content),
+                    instructions: this.#redact(instructions),
+                    ...(useContext ? { context: this.#getRequestContextString('rewrite', contextFilter, contextBudget, contextFormat, `${content} ${instructions ?? ''}`) } : {})
                 })
+            }, {
+                methodName: 'rewrite',
+                timeoutMs: options.timeoutMs === undefined ? this.timeoutMs : options.timeoutMs,
+                readJson: true
             });
             //#endregion
 
             //#region Setting rate limits
-            const rateLimitRemainingHeader = rewriteRes.headers?.get?.('Plan-Remaining');
-            const rateLimitRemaining = Number(rateLimitRemainingHeader);
+            const rateLimitRemaining = readPlanRemaining(rewriteRes);
 
-            if (rateLimitRemainingHeader != null && !Number.isNaN(rateLimitRemaining)) {
+            if (rateLimitRemaining !== null) {
                 this.#usageRemaining.rewrites = rateLimitRemaining;
             }
             //#endregion
 
             //#region Handling scenarios based on HTTP codes
             if (rewriteRes.status === 400) {
-                throw new Error("rewrite failed: invalid arguments. Please check your content, instructions or context.");
+                throw createHttpError("rewrite failed: invalid arguments. Please check your content, instructions or context.", 'rewrite', rewriteRes);
             } 
             
             else if (rewriteRes.status === 401) {
-                throw new Error("rewrite failed: authorization failed. Please check your agent key and try again.");
+                throw createHttpError("rewrite failed: authorization failed. Please check your agent key and try again.", 'rewrite', rewriteRes);
             } 
             
             else if (rewriteRes.status === 429) {
-                if (rateLimitRemainingHeader != null && !Number.isNaN(rateLimitRemaining) && rateLimitRemaining <= 0) {
-                    throw new Error("rewrite failed: you have reached your rewrite plan limit. Please upgrade your plan or wait for the limit to reset.");
+                if (rateLimitRemaining !== null && rateLimitRemaining <= 0) {
+                    throw createHttpError("rewrite failed: you have reached your rewrite plan limit. Please upgrade your plan or wait for the limit to reset.", 'rewrite', rewriteRes);
                 } else {
-                    throw new Error("rewrite failed: too many requests. Try again later.");
+                    throw createHttpError("rewrite failed: too many requests. Try again later.", 'rewrite', rewriteRes);
                 }
             } 
             
             else if (rewriteRes.status === 500) {
-                throw new Error("rewrite failed: we are experiencing server issues. Please try again later.");
+                throw createHttpError("rewrite failed: we are experiencing server issues. Please try again later.", 'rewrite', rewriteRes);
             } 
             
             else if (rewriteRes.status === 502) {
-                throw new Error("rewrite failed: external service error. Please try again later.");
+                throw createHttpError("rewrite failed: external service error. Please try again later.", 'rewrite', rewriteRes);
             } 
             
             else if (rewriteRes.status !== 200) {
-                throw new Error(`rewrite failed: unexpected error (HTTP ${rewriteRes.status}).`);
+                throw createHttpError(`rewrite failed: unexpected error (HTTP ${rewriteRes.status}).`, 'rewrite', rewriteRes);
             } 
             
             // Successful scenario
             else if (rewriteRes.status === 200) {
-                const rewriteData = await rewriteRes.json();
-            
                 // Validate response: must be an object { text: string }
                 if (typeof rewriteData !== 'object' || rewriteData === null || typeof rewriteData.text !== 'string') {
-                    throw new Error("rewrite failed: received an unexpected response from the server. Please ensure you are using the correct version of the package.");
+                    throw new HeylockResponseError("rewrite failed: received an unexpected response from the server. Please ensure you are using the correct version of the package.", { route: 'rewrite' });
                 }
             
-                return rewriteData.text;
+                return this.#restore(rewriteData.text);
             }
             //#endregion
         } catch(error){
-            if(error.message.includes("rewrite failed: ")){
-                throw new Error(error.message);
+            if(options.signal?.aborted){
+                throw createAbortError('rewrite', 'rewrite');
+            }
+
+            if(error instanceof HeylockError){
+                throw error;
             }
             
-            throw new Error(
+            throw new HeylockResponseError(
                 "rewrite failed: an unexpected error occurred. " +
                 "Please ensure you are using the correct version of the package. " +
-                `Error details: ${error}`
+                `Error details: ${error}`,
+                { route: 'rewrite', cause: error }
             );
         }
     }
     //#endregion
 
     //#region Sort route
-    async sort(array, instructions, useContext = true){
+    async sort(array, instructions, useContext = true, options = {}){
+        this.#assertNotDisposed('sort');
+
         //#region Validate arguments
         if (!Array.isArray(array) || array.length < 2) {
             const safeArray = Array.isArray(array) ? array : [];
@@ -1172,72 +2951,87 @@ export default class Heylock{
         if (typeof useContext !== 'boolean') {
             throw new Error("sort failed: useContext must be a boolean.");
         }
+
+        if (typeof options !== 'object' || options === null) {
+            throw new Error("sort failed: options must be an object.");
+        }
+
+        if (options.signal !== undefined && !isAbortSignal(options.signal)) {
+            throw new Error("sort failed: options.signal must be an AbortSignal.");
+        }
+
+        if (options.timeoutMs !== undefined && !isValidTimeout(options.timeoutMs)) {
+            throw new Error("sort failed: options.timeoutMs must be a positive number or null.");
+        }
+
+        const contextFilter = resolveContextFilter(options.contextFilter, 'sort');
+        const contextBudget = options.contextBudget === undefined ? this.contextBudget : resolveContextBudget(options.contextBudget, 'sort');
+        const contextFormat = options.contextFormat === undefined ? this.contextFormat : resolveContextFormat(options.contextFormat, 'sort');
         //#endregion
 
         try{
             //#region Fetch the API
-            const sortRes = await fetch('https://heylock.dev/api/v1/sort', {
+            const { response: sortRes, data: sortData } = await this.#fetch('sort', {
                 method: 'POST',
-                headers: {
-                    'Authorization': this.agentKey
-                },
+                signal: options.signal,
                 body: JSON.stringify({
-                    array,
-                    instructions,
-                    ...(useContext ? { context: this.getContextString() } : {})
+                    array: this.#redact(array),
+                    instructions: this.#redact(instructions),
+                    ...(useContext ? { context: this.#getRequestContextString('sort', contextFilter, contextBudget, contextFormat, instructions ?? '') } : {})
                 })
+            }, {
+                methodName: 'sort',
+                timeoutMs: options.timeoutMs === undefined ? this.timeoutMs : options.timeoutMs,
+                readJson: true
             });
             //#endregion
 
             //#region Setting rate limits
-            const rateLimitRemainingHeader = sortRes.headers?.get?.('Plan-Remaining');
-            const rateLimitRemaining = Number(rateLimitRemainingHeader);
+            const rateLimitRemaining = readPlanRemaining(sortRes);
 
-            if (rateLimitRemainingHeader != null && !Number.isNaN(rateLimitRemaining)) {
+            if (rateLimitRemaining !== null) {
                 this.#usageRemaining.sorts = rateLimitRemaining;
             }
             //#endregion
         
             //#region Handling scenarios based on HTTP codes
             if (sortRes.status === 400) {
-                throw new Error("sort failed: invalid arguments. Please check your array, instructions, and context.");
+                throw createHttpError("sort failed: invalid arguments. Please check your array, instructions, and context.", 'sort', sortRes);
             } 
             
             else if (sortRes.status === 401) {
-                throw new Error("sort failed: authorization failed. Please check your agent key and try again.");
+                throw createHttpError("sort failed: authorization failed. Please check your agent key and try again.", 'sort', sortRes);
             } 
             
             else if (sortRes.status === 429) {
-                if (rateLimitRemainingHeader != null && !Number.isNaN(rateLimitRemaining) && rateLimitRemaining <= 0) {
-                    throw new Error("sort failed: you have reached your sort plan limit. Please upgrade your plan or wait for the limit to reset.");
+                if (rateLimitRemaining !== null && rateLimitRemaining <= 0) {
+                    throw createHttpError("sort failed: you have reached your sort plan limit. Please upgrade your plan or wait for the limit to reset.", 'sort', sortRes);
                 } else {
-                    throw new Error("sort failed: too many requests. Try again later.");
+                    throw createHttpError("sort failed: too many requests. Try again later.", 'sort', sortRes);
                 }
             } 
             
             else if (sortRes.status === 500) {
-                throw new Error("sort failed: we are experiencing server issues. Please try again later.");
+                throw createHttpError("sort failed: we are experiencing server issues. Please try again later.", 'sort', sortRes);
             } 
             
             else if (sortRes.status === 502) {
-                throw new Error("sort failed: external service error. Please try again later.");
+                throw createHttpError("sort failed: external service error. Please try again later.", 'sort', sortRes);
             } 
             
             else if (sortRes.status !== 200) {
-                throw new Error(`sort failed: unexpected error (HTTP ${sortRes.status}).`);
+                throw createHttpError(`sort failed: unexpected error (HTTP ${sortRes.status}).`, 'sort', sortRes);
             } 
             
             // Successful scenario
             else if (sortRes.status === 200) {
-                const sortData = await sortRes.json();
-
                 if (typeof sortData !== 'object' || sortData === null || !Array.isArray(sortData.indexes) || sortData.indexes.some(index => typeof index !== 'number' || !Number.isInteger(index))) {
-                    throw new Error("sort failed: received an unexpected response from the server. Please ensure you are using the correct version of the package.");
+                    throw new HeylockResponseError("sort failed: received an unexpected response from the server. Please ensure you are using the correct version of the package.", { route: 'sort' });
                 }
 
                 // Edge case: indexes array length should match input array length
                 if (sortData.indexes.length !== array.length) {
-                    throw new Error("sort failed: response indexes length does not match input array length. Possible server bug or data corruption.");
+                    throw new HeylockResponseError("sort failed: response indexes length does not match input array length. Possible server bug or data corruption.", { route: 'sort' });
                 }
 
                 // Create sorted array using indexes from the response
@@ -1252,16 +3046,28 @@ export default class Heylock{
             }
             //#endregion
         } catch(error){
-            if(error.message.includes("sort failed: ")){
-                throw new Error(error.message);
+            if(options.signal?.aborted){
+                throw createAbortError('sort', 'sort');
+            }
+
+            if(error instanceof HeylockError){
+                throw error;
             }
             
-            throw new Error(
+            throw new HeylockResponseError(
                 "sort failed: an unexpected error occurred. " +
                 "Please ensure you are using the correct version of the package. " +
-                `Error details: ${error}`
+                `Error details: ${error}`,
+                { route: 'sort', cause: error }
             );
         }
     }
     //#endregion
-}
\ No newline at end of file
+}
+/**
+ * Creates a server-side session manager: the key is verified once, and each user ID gets its own agent
+ * with its own context and message history. See createSessionManagerFor in session-manager.js.
+ */
+export function createSessionManager(agentKey, options = {}){
+    return createSessionManagerFor(Heylock, agentKey, options);
+}
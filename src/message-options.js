@@ -0,0 +1,52 @@
+// Per-call guidance for message and messageStream. It is sent next to the content as separate fields and
+// never becomes part of the message history.
+
+export const RESPONSE_LENGTHS = Object.freeze(['short', 'medium', 'long']);
+
+const MAX_GUIDANCE_LENGTH = 10000;
+const TEXT_OPTIONS = Object.freeze(['instructions', 'persona', 'extraContext']);
+
+/**
+ * Picks `instructions`, `persona`, `responseLength`, `language` and `extraContext` from the options of a call
+ * and returns them as a frozen object holding only the ones that were given. `language` is canonicalized
+ * ("en-us" becomes "en-US").
+ */
+export function resolveMessageOptions(options, methodName){
+    const { instructions, persona, responseLength, language, extraContext } = options;
+
+    //#region Validate argument
+    TEXT_OPTIONS.forEach(name => {
+        const value = options[name];
+
+        if(value !== undefined && (typeof value !== 'string' || value.trim().length === 0 || value.length > MAX_GUIDANCE_LENGTH)){
+            throw new Error(`${methodName} failed: options.${name} must be a non-empty string of up to ${MAX_GUIDANCE_LENGTH} characters.`);
+        }
+    });
+
+    if(responseLength !== undefined && !RESPONSE_LENGTHS.includes(responseLength)){
+        throw new Error(`${methodName} failed: options.responseLength must be one of ${RESPONSE_LENGTHS.join(', ')}.`);
+    }
+
+    let canonicalLanguage = undefined;
+
+    if(language !== undefined){
+        if(typeof language !== 'string' || language.length === 0){
+            throw new Error(`${methodName} failed: options.language must be a language tag such as 'en' or 'pt-BR'.`);
+        }
+
+        try{
+            canonicalLanguage = typeof Intl?.getCanonicalLocales === 'function' ? Intl.getCanonicalLocales(language)[0] : language;
+        } catch(error){
+            throw new Error(`${methodName} failed: options.language '${language}' is not a valid language tag.`, { cause: error });
+        }
+    }
+    //#endregion
+
+    return Object.freeze({
+        ...(instructions !== undefined ? { instructions: instructions.trim() } : {}),
+        ...(persona !== undefined ? { persona: persona.trim() } : {}),
+        ...(responseLength !== undefined ? { responseLength } : {}),
+        ...(canonicalLanguage !== undefined ? { language: canonicalLanguage } : {}),
+        ...(extraContext !== undefined ? { extraContext: extraContext.trim() } : {})
+    });
+}
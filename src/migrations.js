@@ -0,0 +1,62 @@
+// Stored values are wrapped in an envelope recording the schema version they were written with:
+// `{ version, data }`. Values saved before the envelope existed (bare arrays) count as version 0.
+
+export const STORAGE_SCHEMA_VERSION = 1;
+
+/**
+ * Migrations keyed by the version they produce: `STORAGE_MIGRATIONS[n][type]` turns the data of a
+ * version n - 1 value into version n data. Every change to a stored format bumps STORAGE_SCHEMA_VERSION
+ * and adds an entry here, so values saved by older releases keep loading.
+ */
+export const STORAGE_MIGRATIONS = Object.freeze({
+    1: Object.freeze({
+        // Version 1 only introduced the envelope; the data is unchanged
+        context: data => data,
+        messageHistory: data => data
+    })
+});
+
+export function createStorageEnvelope(data){
+    return { version: STORAGE_SCHEMA_VERSION, data };
+}
+
+function isStorageEnvelope(value){
+    return typeof value === 'object' && value !== null && !Array.isArray(value) && Number.isInteger(value.version) && value.version >= 1 && Object.hasOwn(value, 'data');
+}
+
+/**
+ * Upgrades a parsed stored value of the given type ('context', 'messageHistory' or 'threads') to the current schema and returns its data.
+ * Throws when the value has an unknown format, comes from a newer schema, or a migration is missing or fails.
+ */
+export function migrateStoredValue(storedValue, type, { migrations = STORAGE_MIGRATIONS, targetVersion = STORAGE_SCHEMA_VERSION } = {}){
+    //#region Validate arguments
+    if(!isStorageEnvelope(storedValue) && !Array.isArray(storedValue)){
+        throw new Error("migrateStoredValue failed: the stored value is neither a versioned envelope nor a legacy array.");
+    }
+
+    if(isStorageEnvelope(storedValue) && storedValue.version > targetVersion){
+        throw new Error(`migrateStoredValue failed: the stored value uses schema version ${storedValue.version}, but this version of the package reads up to ${targetVersion}.`);
+    }
+    //#endregion
+
+    let version = isStorageEnvelope(storedValue) ? storedValue.version : 0;
+    let data = isStorageEnvelope(storedValue) ? storedValue.data : storedValue;
+
+    while(version < targetVersion){
+        const migrate = migrations[version + 1]?.[type];
+
+        if(typeof migrate !== 'function'){
+            throw new Error(`migrateStoredValue failed: no ${type} migration from schema version ${version} to ${version + 1}.`);
+        }
+
+        try{
+            data = migrate(data);
+        } catch(error){
+            throw new Error(`migrateStoredValue failed: the ${type} migration to schema version ${version + 1} threw: ${error?.message ?? error}`, { cause: error });
+        }
+
+        version++;
+    }
+
+    return data;
+}
@@ -0,0 +1,156 @@
+import { ROUTES, DEFAULT_BASE_URL } from './routes.js';
+
+// Upstream headers the client relies on (usage tracking, streaming, backoff)
+const FORWARDED_RESPONSE_HEADERS = ['Content-Type', 'Plan-Remaining', 'Retry-After'];
+
+function jsonErrorResponse(status, error, headers = {}){
+    return new Response(JSON.stringify({ error }), {
+        status,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store',
+            ...headers
+        }
+    });
+}
+
+/**
+ * Creates a standard `(Request) => Promise<Response>` handler that forwards Heylock calls
+ * using a key held on the server. Mount it on a catch-all route (e.g. `/api/heylock/*`)
+ * and point the browser agent at it with the `proxyUrl` option.
+ */
+export function createProxyHandler(agentKey, options = {}){
+    const baseUrl = options.baseUrl ?? DEFAULT_BASE_URL;
+
+    //#region Validate arguments
+    if(typeof agentKey !== 'string' || agentKey.length <= 0){
+        throw new Error("createProxyHandler failed: agentKey must be a non-empty string.");
+    }
+
+    if(typeof baseUrl !== 'string' || !/^https?:\/\/[^\s]+$/i.test(baseUrl)){
+        throw new Error("createProxyHandler failed: baseUrl must be an absolute http(s) URL.");
+    }
+
+    if(options.fetch !== undefined && typeof options.fetch !== 'function'){
+        throw new Error("createProxyHandler failed: fetch must be a function if provided.");
+    }
+    //#endregion
+
+    const upstreamBaseUrl = baseUrl.replace(/\/+$/, '');
+    const routesByProxyPath = new Map(Object.values(ROUTES).map(route => [route.proxyPath, route]));
+
+    return async function handleHeylockProxyRequest(request){
+        const pathname = new URL(request.url).pathname.replace(/\/+$/, '');
+        const route = routesByProxyPath.get(pathname.slice(pathname.lastIndexOf('/') + 1));
+
+        if(!route){
+            return jsonErrorResponse(404, "Unknown Heylock route.");
+        }
+
+        if(request.method !== route.method){
+            return jsonErrorResponse(405, `Method ${request.method} is not allowed for this route.`, { 'Allow': route.method });
+        }
+
+        // The key is never accepted from the client; verification always checks the server-held key
+        let body = undefined;
+
+        if(route === ROUTES.verifyKey){
+            body = JSON.stringify({ key: agentKey });
+        } else if(route.method !== 'GET'){
+            body = await request.text();
+        }
+
+        let upstreamResponse;
+
+        try{
+            const fetchImplementation = options.fetch ?? globalThis.fetch;
+
+            upstreamResponse = await fetchImplementation(`${upstreamBaseUrl}${route.path}`, {
+                method: route.method,
+                headers: route === ROUTES.verifyKey ? {} : { 'Authorization': agentKey },
+                body,
+                signal: request.signal
+            });
+        } catch(error){
+            return jsonErrorResponse(502, "Failed to reach the Heylock API.");
+        }
+
+        const headers = new Headers({ 'Cache-Control': 'no-store' });
+
+        FORWARDED_RESPONSE_HEADERS.forEach(name => {
+            const value = upstreamResponse.headers?.get?.(name);
+
+            if(value != null){
+                headers.set(name, value);
+            }
+        });
+
+        return new Response(upstreamResponse.body ?? null, {
+            status: upstreamResponse.status,
+            headers
+        });
+    };
+}
+
+/**
+ * Creates a Node `http` request listener `(req, res) => Promise<void>` backed by `createProxyHandler`.
+ * Works with `http.createServer` and Express-style middleware (including already-parsed `req.body`).
+ */
+export function createNodeProxyHandler(agentKey, options = {}){
+    const handleProxyRequest = createProxyHandler(agentKey, options);
+
+    return async function handleHeylockNodeRequest(req, res){
+        // Cancel the upstream call when the client goes away mid-stream
+        const abortController = new AbortController();
+        res.on?.('close', () => !res.writableFinished && abortController.abort());
+
+        try{
+            let body = undefined;
+
+            if(req.method !== 'GET' && req.method !== 'HEAD'){
+                if(req.body !== undefined){
+                    body = typeof req.body === 'string' || req.body instanceof Uint8Array ? req.body : JSON.stringify(req.body);
+                } else {
+                    const chunks = [];
+
+                    for await (const chunk of req){
+                        chunks.push(typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk);
+                    }
+
+                    body = new Uint8Array(await new Blob(chunks).arrayBuffer());
+                }
+            }
+
+            const request = new Request(new URL(req.originalUrl ?? req.url, `http://${req.headers?.host ?? 'localhost'}`), {
+                method: req.method,
+                body,
+                signal: abortController.signal
+            });
+
+            const response = await handleProxyRequest(request);
+
+            res.writeHead(response.status, Object.fromEntries(response.headers.entries()));
+
+            if(response.body){
+                const reader = response.body.getReader();
+
+                while(true){
+                    const { done, value } = await reader.read();
+
+                    if(done) break;
+
+                    res.write(value);
+                }
+            }
+
+            res.end();
+        } catch(error){
+            if(!res.headersSent){
+                res.writeHead(500, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+                res.end(JSON.stringify({ error: "Heylock proxy failed to process the request." }));
+            } else {
+                res.end();
+            }
+        }
+    };
+}
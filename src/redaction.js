@@ -0,0 +1,242 @@
+// Client-side redaction of personal data in outgoing text. Detected values are replaced with tokens such as
+// [EMAIL_1]; the same value always gets the same token, so the model can still refer to it. Token values stay
+// in memory and are never persisted or sent.
+
+export const REDACTION_DETECTORS = Object.freeze(['email', 'phone', 'card', 'iban']);
+
+const RULE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,31}$/;
+const TOKEN_PATTERN = /\[([A-Z][A-Z0-9_]*_\d+)\]/g;
+
+// A token split across stream chunks ("[EMA" + "IL_1]") is held back until it is complete
+const PARTIAL_TOKEN_PATTERN = /\[[A-Z0-9_]{0,40}$/;
+
+// Most values kept per agent; the least recently used one is forgotten first. Token numbers are never reused.
+export const MAX_REDACTION_TOKENS = 1000;
+
+/**
+ * Normalizes the redaction option into a frozen policy `{ detectors, rules, restoreTokens }`, or null when it is off.
+ * `true` enables every built-in detector without restoring tokens.
+ */
+export function resolveRedactionPolicy(redaction, methodName){
+    if(redaction === undefined || redaction === false || redaction === null) return null;
+
+    //#region Validate argument
+    if(redaction !== true && (typeof redaction !== 'object' || Array.isArray(redaction))){
+        throw new Error(`${methodName} failed: redaction must be a boolean or an object.`);
+    }
+
+    const { detectors = REDACTION_DETECTORS, rules = [], restoreTokens = false } = redaction === true ? {} : redaction;
+
+    if(!Array.isArray(detectors) || !detectors.every(detector => REDACTION_DETECTORS.includes(detector))){
+        throw new Error(`${methodName} failed: redaction.detectors must be an array of ${REDACTION_DETECTORS.join(', ')}.`);
+    }
+
+    if(!Array.isArray(rules)){
+        throw new Error(`${methodName} failed: redaction.rules must be an array.`);
+    }
+
+    rules.forEach((rule, index) => {
+        if(typeof rule !== 'object' || rule === null || Array.isArray(rule)
+            || typeof rule.name !== 'string' || !RULE_NAME_PATTERN.test(rule.name)
+            || (rule.pattern instanceof RegExp) === (typeof rule.match === 'function')
+        ){
+            throw new Error(
+                `${methodName} failed: redaction.rules[${index}] is invalid. ` +
+                "A rule is an object with a 'name' (a letter followed by up to 31 letters, digits or underscores) and either a 'pattern' (a regular expression) or a 'match' function returning the substrings to redact."
+            );
+        }
+    });
+
+    if(typeof restoreTokens !== 'boolean'){
+        throw new Error(`${methodName} failed: redaction.restoreTokens must be a boolean.`);
+    }
+    //#endregion
+
+    return Object.freeze({
+        detectors: Object.freeze([...new Set(detectors)]),
+        rules: Object.freeze(rules.map(rule => Object.freeze({ ...rule }))),
+        restoreTokens
+    });
+}
+
+function passesLuhnCheck(digits){
+    let sum = 0;
+
+    for(let index = 0; index < digits.length; index++){
+        let digit = Number(digits[digits.length - 1 - index]);
+
+        if(index % 2 === 1){
+            digit *= 2;
+            digit > 9 && (digit -= 9);
+        }
+
+        sum += digit;
+    }
+
+    return sum % 10 === 0;
+}
+
+// ISO 13616: the country code and check digits move to the end, letters become 10-35, and the number mod 97 is 1
+function passesIbanCheck(iban){
+    const rearranged = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+    let remainder = 0;
+
+    for(const digit of rearranged){
+        remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+
+    return remainder === 1;
+}
+
+// Each detector finds candidates with a pattern and keeps the ones that pass its check
+const DETECTORS = {
+    email: {
+        label: 'EMAIL',
+        pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu,
+        isMatch: () => true
+    },
+    iban: {
+        label: 'IBAN',
+        // Compact, or printed in groups of four ("DE89 3704 0044 0532 0130 00")
+        pattern: /\b[A-Z]{2}\d{2}(?:[A-Z0-9]{11,30}|(?: [A-Z0-9]{4}){2,7}(?: [A-Z0-9]{1,3})?)\b/g,
+        isMatch: value => passesIbanCheck(value.replace(/ /g, ''))
+    },
+    card: {
+        label: 'CARD',
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        isMatch: value => passesLuhnCheck(value.replace(/\D/g, ''))
+    },
+    phone: {
+        label: 'PHONE',
+        pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{1,5}(?:[ .-]\d{2,8}){1,5}(?![\w])|(?<![\w+])\+\d{7,15}\b/g,
+        isMatch: value => {
+            const digitCount = value.replace(/\D/g, '').length;
+
+            if(digitCount < 7 || digitCount > 15) return false;
+
+            // Dates such as 18.10.2026 or 2026-10-18 look like short phone numbers
+            if(/^\d{1,4}[.-]\d{1,2}[.-]\d{1,4}$/.test(value)) return false;
+
+            // A country code or an area code in parentheses marks a phone number
+            if(/^[+(]/.test(value)) return true;
+
+            const groups = value.split(/[ .-]/);
+
+            // Two groups are also how SKUs and order numbers (12345-678, 2024-000123) are written. Only a trunk
+            // prefix (030 1234567) or the local 3-4 form (555-1234) is taken for a phone number.
+            return groups.length > 2 || (groups[0].startsWith('0') && digitCount >= 9) || (groups[0].length === 3 && groups[1].length === 4);
+        }
+    }
+};
+
+function toGlobalPattern(pattern){
+    return new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+}
+
+/**
+ * Creates the redaction stage of an agent: `redact(value)` replaces personal data in a string, or in every string
+ * inside an array or plain object; `restore(text)` puts the original values back; `createStreamRestorer()` does
+ * the same for a reply that arrives in chunks; `clear()` forgets every token. At most MAX_REDACTION_TOKENS values
+ * are kept.
+ */
+export function createRedactor(policy){
+    const tokensByValue = new Map();
+    const valuesByToken = new Map();
+    const countsByLabel = new Map();
+
+    const getToken = (label, value) => {
+        const key = `${label}\u0000${value}`;
+
+        let token = tokensByValue.get(key);
+
+        if(token === undefined){
+            const count = (countsByLabel.get(label) ?? 0) + 1;
+
+            token = `${label}_${count}`;
+            countsByLabel.set(label, count);
+            valuesByToken.set(token, value);
+        } else {
+            // Re-inserted so the map stays ordered from least to most recently used
+            tokensByValue.delete(key);
+        }
+
+        tokensByValue.set(key, token);
+
+        if(tokensByValue.size > MAX_REDACTION_TOKENS){
+            const [oldestKey, oldestToken] = tokensByValue.entries().next().value;
+
+            tokensByValue.delete(oldestKey);
+            valuesByToken.delete(oldestToken);
+        }
+
+        return `[${token}]`;
+    };
+
+    // Custom rules go first, so they can claim values a built-in detector would also match
+    const stages = [
+        ...policy.rules.map(rule => ({ label: rule.name.toUpperCase(), rule })),
+        ...policy.detectors.map(detector => DETECTORS[detector])
+    ];
+
+    const redactText = (text) => stages.reduce((result, stage) => {
+        if(stage.rule?.match !== undefined){
+            const matches = stage.rule.match(result);
+
+            if(!Array.isArray(matches) || !matches.every(match => typeof match === 'string')){
+                throw new Error(`redaction.rules '${stage.rule.name}' failed: match must return an array of strings.`);
+            }
+
+            // Longest first, so a value is not replaced inside a longer one
+            return [...new Set(matches)].filter(match => match.length > 0).sort((first, second) => second.length - first.length)
+                .reduce((redacted, match) => redacted.split(match).join(getToken(stage.label, match)), result);
+        }
+
+        const pattern = stage.rule !== undefined ? toGlobalPattern(stage.rule.pattern) : stage.pattern;
+
+        return result.replace(pattern, match => match.length > 0 && (stage.isMatch?.(match) ?? true) ? getToken(stage.label, match) : match);
+    }, text);
+
+    const redact = (value) => {
+        if(typeof value === 'string') return redactText(value);
+        if(Array.isArray(value)) return value.map(redact);
+
+        if(typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype){
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item)]));
+        }
+
+        return value;
+    };
+
+    const restore = (text) => text.replace(TOKEN_PATTERN, (token, name) => valuesByToken.get(name) ?? token);
+
+    return {
+        redact,
+        restore,
+        createStreamRestorer(){
+            let pending = '';
+
+            return {
+                push(chunk){
+                    const text = pending + chunk;
+                    const partialToken = text.match(PARTIAL_TOKEN_PATTERN)?.[0] ?? '';
+
+                    pending = partialToken;
+
+                    return restore(text.slice(0, text.length - partialToken.length));
+                },
+                flush(){
+                    const text = pending;
+
+                    pending = '';
+
+                    return restore(text);
+                }
+            };
+        },
+        clear(){
+            tokensByValue.clear();
+            valuesByToken.clear();
+            countsByLabel.clear();
+        }
+    };
+}
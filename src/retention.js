@@ -0,0 +1,79 @@
+// Context retention: limits on how old, how many and how long context entries may get.
+// A null limit is not enforced.
+
+/**
+ * Normalizes the `contextRetention` constructor option into a frozen policy.
+ * `undefined` keeps every entry.
+ */
+export function resolveRetentionPolicy(retention){
+    if(retention === undefined){
+        return Object.freeze({ maxAgeMs: null, maxEntries: null, maxChars: null });
+    }
+
+    //#region Validate argument
+    if(typeof retention !== 'object' || retention === null || Array.isArray(retention)){
+        throw new Error("Agent initialization failed: contextRetention must be an object.");
+    }
+
+    const policy = { maxAgeMs: null, maxEntries: null, maxChars: null, ...retention };
+
+    if(policy.maxAgeMs !== null && (typeof policy.maxAgeMs !== 'number' || !Number.isFinite(policy.maxAgeMs) || policy.maxAgeMs <= 0)){
+        throw new Error("Agent initialization failed: contextRetention.maxAgeMs must be a positive number or null.");
+    }
+
+    if(policy.maxEntries !== null && (!Number.isInteger(policy.maxEntries) || policy.maxEntries < 1)){
+        throw new Error("Agent initialization failed: contextRetention.maxEntries must be a positive integer or null.");
+    }
+
+    if(policy.maxChars !== null && (!Number.isInteger(policy.maxChars) || policy.maxChars < 1)){
+        throw new Error("Agent initialization failed: contextRetention.maxChars must be a positive integer or null.");
+    }
+    //#endregion
+
+    return Object.freeze({ maxAgeMs: policy.maxAgeMs, maxEntries: policy.maxEntries, maxChars: policy.maxChars });
+}
+
+/**
+ * Splits context entries into the ones the policy keeps (in their original order) and the ones it evicts.
+ * Entries older than maxAgeMs go first; then the oldest entries are dropped until both maxEntries and maxChars hold.
+ * Each evicted item names the limit that removed it: 'maxAge', 'maxEntries' or 'maxChars'.
+ */
+export function applyRetentionPolicy(entries, policy, now = Date.now()){
+    const evicted = [];
+    let kept = entries;
+
+    if(policy.maxAgeMs !== null){
+        kept = kept.filter(entry => {
+            const isExpired = now - entry.timestamp > policy.maxAgeMs;
+
+            isExpired && evicted.push({ entry, reason: 'maxAge' });
+
+            return !isExpired;
+        });
+    }
+
+    if(policy.maxEntries === null && policy.maxChars === null){
+        return { kept, evicted };
+    }
+
+    // Oldest first; the stable sort keeps insertion order between equal timestamps
+    const byAge = [...kept].sort((first, second) => first.timestamp - second.timestamp);
+    const dropped = new Set();
+    let remainingEntries = kept.length;
+    let remainingChars = kept.reduce((total, entry) => total + entry.content.length, 0);
+
+    for(const entry of byAge){
+        const reason = policy.maxEntries !== null && remainingEntries > policy.maxEntries ? 'maxEntries'
+            : policy.maxChars !== null && remainingChars > policy.maxChars ? 'maxChars'
+            : null;
+
+        if(reason === null) break;
+
+        dropped.add(entry);
+        evicted.push({ entry, reason });
+        remainingEntries--;
+        remainingChars -= entry.content.length;
+    }
+
+    return { kept: kept.filter(entry => !dropped.has(entry)), evicted };
+}
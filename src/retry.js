@@ -0,0 +1,127 @@
+import { readPlanRemaining } from './errors.js';
+
+// Transient statuses worth retrying. Everything else is either final or a caller error.
+export const RETRYABLE_STATUS_CODES = Object.freeze([429, 500, 502, 503]);
+
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+    maxAttempts: 3,
+    baseDelayMs: 250,
+    maxDelayMs: 8000,
+    jitter: true,
+    respectRetryAfter: true,
+    retryNonIdempotent: false
+});
+
+/**
+ * Normalizes the `retry` constructor option into a frozen policy.
+ * `undefined`/`false` disable retries, `true` uses the defaults, an object overrides them.
+ */
+export function resolveRetryPolicy(retry){
+    if(retry === undefined || retry === false){
+        return Object.freeze({ ...DEFAULT_RETRY_POLICY, maxAttempts: 1 });
+    }
+
+    if(retry === true){
+        return DEFAULT_RETRY_POLICY;
+    }
+
+    //#region Validate argument
+    if(typeof retry !== 'object' || retry === null || Array.isArray(retry)){
+        throw new Error("Agent initialization failed: retry must be a boolean or an object.");
+    }
+
+    const policy = { ...DEFAULT_RETRY_POLICY, ...retry };
+
+    if(!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1){
+        throw new Error("Agent initialization failed: retry.maxAttempts must be an integer greater than or equal to 1.");
+    }
+
+    if(typeof policy.baseDelayMs !== 'number' || !Number.isFinite(policy.baseDelayMs) || policy.baseDelayMs < 0){
+        throw new Error("Agent initialization failed: retry.baseDelayMs must be a finite, non-negative number.");
+    }
+
+    if(typeof policy.maxDelayMs !== 'number' || !Number.isFinite(policy.maxDelayMs) || policy.maxDelayMs < policy.baseDelayMs){
+        throw new Error("Agent initialization failed: retry.maxDelayMs must be a finite number greater than or equal to retry.baseDelayMs.");
+    }
+
+    if(typeof policy.jitter !== 'boolean'){
+        throw new Error("Agent initialization failed: retry.jitter must be a boolean.");
+    }
+
+    if(typeof policy.respectRetryAfter !== 'boolean'){
+        throw new Error("Agent initialization failed: retry.respectRetryAfter must be a boolean.");
+    }
+
+    if(typeof policy.retryNonIdempotent !== 'boolean'){
+        throw new Error("Agent initialization failed: retry.retryNonIdempotent must be a boolean.");
+    }
+    //#endregion
+
+    return Object.freeze(policy);
+}
+
+/**
+ * Parses a Retry-After header (delta-seconds or HTTP-date) into milliseconds.
+ * Returns null when the header is missing or malformed.
+ */
+export function parseRetryAfter(value){
+    if(value == null || String(value).trim().length === 0) return null;
+
+    const seconds = Number(value);
+
+    if(Number.isFinite(seconds)){
+        return seconds >= 0 ? seconds * 1000 : null;
+    }
+
+    const date = Date.parse(value);
+
+    if(Number.isNaN(date)) return null;
+
+    return Math.max(0, date - Date.now());
+}
+
+// A request to a non-idempotent route may have been processed even though it failed. Only these answers
+// say it was not: rate limited, or unavailable with a Retry-After.
+function isRejectedUnprocessed(response){
+    return response.status === 429 || (response.status === 503 && parseRetryAfter(response.headers?.get?.('Retry-After')) !== null);
+}
+
+/**
+ * Decides whether a failed attempt should be retried.
+ * Requests to non-idempotent routes are only retried when the server rejected them unprocessed, unless the policy opts in.
+ * @returns Delay in milliseconds before the next attempt, or null to give up.
+ */
+export function getRetryDelay(policy, attempt, response, error, isIdempotent = true){
+    if(attempt >= policy.maxAttempts) return null;
+
+    const isRetrySafe = isIdempotent || policy.retryNonIdempotent;
+
+    if(error){
+        // Cancellation is never transient
+        if(error?.name === 'AbortError') return null;
+
+        // The request may have reached the server before the connection broke or the attempt timed out
+        if(!isRetrySafe) return null;
+    } else {
+        if(!RETRYABLE_STATUS_CODES.includes(response.status)) return null;
+
+        if(!isRetrySafe && !isRejectedUnprocessed(response)) return null;
+
+        // Quota is used up; retrying would only burn time until the plan resets
+        const planRemaining = readPlanRemaining(response);
+
+        if(planRemaining !== null && planRemaining <= 0) return null;
+
+        if(policy.respectRetryAfter){
+            const retryAfterMs = parseRetryAfter(response.headers?.get?.('Retry-After'));
+
+            // Waiting less than the server asked for would just be rejected again
+            if(retryAfterMs !== null) return retryAfterMs <= policy.maxDelayMs ? retryAfterMs : null;
+        }
+    }
+
+    const exponentialDelay = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+
+    // Equal jitter: keep at least half the backoff, randomize the rest to spread out clients
+    return policy.jitter ? Math.round(exponentialDelay / 2 + Math.random() * exponentialDelay / 2) : exponentialDelay;
+}
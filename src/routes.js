@@ -0,0 +1,13 @@
+// Heylock API routes shared by the agent and the server-side proxy.
+// `path` is the upstream API path, `proxyPath` the segment a proxy endpoint exposes it under.
+// `isIdempotent` is false where sending a request twice has a visible effect (a second reply).
+export const ROUTES = Object.freeze({
+    verifyKey: Object.freeze({ path: '/api/internal/verifyKey', proxyPath: 'verify-key', method: 'POST', isIdempotent: true }),
+    limits: Object.freeze({ path: '/api/v1/limits', proxyPath: 'limits', method: 'GET', isIdempotent: true }),
+    message: Object.freeze({ path: '/api/v1/message', proxyPath: 'message', method: 'POST', isIdempotent: false }),
+    shouldEngage: Object.freeze({ path: '/api/v1/should-engage', proxyPath: 'should-engage', method: 'POST', isIdempotent: true }),
+    rewrite: Object.freeze({ path: '/api/v1/rewrite', proxyPath: 'rewrite', method: 'POST', isIdempotent: true }),
+    sort: Object.freeze({ path: '/api/v1/sort', proxyPath: 'sort', method: 'POST', isIdempotent: true })
+});
+
+export const DEFAULT_BASE_URL = 'https://heylock.dev';
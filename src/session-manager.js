@@ -0,0 +1,199 @@
+// Server-side sessions: one agent per user ID, all sharing a single key verification. Each session keeps
+// its own context and message history, saved to the store under its own keys, and is disposed after being idle.
+
+import { isStorageAdapter } from './storage.js';
+import { ERROR_CODES, HeylockStateError } from './errors.js';
+
+// Agent option through which a session adopts the manager's verification instead of verifying the key itself
+export const SHARED_VERIFICATION = Symbol('heylock.sharedVerification');
+
+const DEFAULT_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+const MAX_SWEEP_INTERVAL_MS = 60 * 1000;
+const MAX_USER_ID_LENGTH = 256;
+
+// Sessions are server-side and keyed by user; these options belong to the manager or make no sense per session
+const UNSUPPORTED_AGENT_OPTIONS = Object.freeze(['storage', 'useStorage', 'syncTabs', 'proxyUrl']);
+
+/**
+ * Creates a session manager around an agent class. Exported from index.js as `createSessionManager(agentKey, options)`.
+ */
+export function createSessionManagerFor(Agent, agentKey, options = {}){
+    //#region Validate arguments
+    if(typeof options !== 'object' || options === null || Array.isArray(options)){
+        throw new Error("createSessionManager failed: options must be an object.");
+    }
+
+    const { store = null, idleTimeoutMs = DEFAULT_IDLE_TIMEOUT_MS, ...agentOptions } = options;
+
+    if(store !== null && !isStorageAdapter(store)){
+        throw new Error("createSessionManager failed: store must be an object with get, set and remove functions.");
+    }
+
+    if(idleTimeoutMs !== null && (typeof idleTimeoutMs !== 'number' || !Number.isFinite(idleTimeoutMs) || idleTimeoutMs <= 0)){
+        throw new Error("createSessionManager failed: idleTimeoutMs must be a positive number or null.");
+    }
+
+    const unsupportedOption = UNSUPPORTED_AGENT_OPTIONS.find(name => agentOptions[name] !== undefined);
+
+    if(unsupportedOption !== undefined){
+        throw new Error(`createSessionManager failed: the ${unsupportedOption} option is not supported for sessions. Pass a store to persist them.`);
+    }
+    //#endregion
+
+    const namespace = agentOptions.agentId || 'default';
+
+    // Verifies the key and fetches usage once; it holds no user data
+    const verifier = new Agent(agentKey, { ...agentOptions, useStorage: false });
+
+    const sessions = new Map();
+    const onSessionEvictionCallbacks = [];
+    let isDisposed = false;
+    let disposePromise = null;
+
+    const assertNotDisposed = (methodName) => {
+        if(isDisposed){
+            throw new HeylockStateError(`${methodName} failed: the session manager has been disposed. Create a new one instead.`, { code: ERROR_CODES.DISPOSED });
+        }
+    };
+
+    const validateUserId = (userId, methodName) => {
+        if(typeof userId !== 'string' || userId.trim().length === 0 || userId.length > MAX_USER_ID_LENGTH){
+            throw new Error(`${methodName} failed: userId must be a non-empty string of up to ${MAX_USER_ID_LENGTH} characters.`);
+        }
+    };
+
+    // Stored under 'heylock:<agentId>:session:<userId>:context' (and ':messageHistory', ':threads')
+    const getSessionAgentId = (userId) => `${namespace}:session:${userId}`;
+
+    const closeSession = (userId) => {
+        const session = sessions.get(userId);
+
+        if(session === undefined) return Promise.resolve();
+
+        sessions.delete(userId);
+
+        return session.agent.dispose();
+    };
+
+    const evictIdleSessions = () => {
+        if(idleTimeoutMs === null) return;
+
+        const now = Date.now();
+
+        [...sessions].filter(([, session]) => now - session.lastUsedAt >= idleTimeoutMs).forEach(([userId]) => {
+            closeSession(userId);
+
+            onSessionEvictionCallbacks.forEach(callback => {
+                try {
+                    callback(userId);
+                } catch (err) {
+                    !verifier.suppressWarnings && console.warn("onSessionEviction callback error:", err);
+                }
+            });
+        });
+    };
+
+    // unref lets a Node process exit while the manager is idle
+    const sweepInterval = idleTimeoutMs === null ? null : setInterval(evictIdleSessions, Math.min(idleTimeoutMs, MAX_SWEEP_INTERVAL_MS));
+    sweepInterval?.unref?.();
+
+    return {
+        async ready(){
+            assertNotDisposed('ready');
+
+            return verifier.ready();
+        },
+
+        async getSession(userId){
+            assertNotDisposed('getSession');
+            validateUserId(userId, 'getSession');
+
+            evictIdleSessions();
+
+            let session = sessions.get(userId);
+
+            // Registered before awaiting, so concurrent requests for the same user share one agent
+            if(session === undefined){
+                session = {
+                    agent: new Agent(agentKey, {
+                        ...agentOptions,
+                        agentId: getSessionAgentId(userId),
+                        useStorage: store !== null,
+                        ...(store !== null ? { storage: store, persistMessageHistory: agentOptions.persistMessageHistory ?? true } : {}),
+                        [SHARED_VERIFICATION]: verifier
+                    }),
+                    lastUsedAt: Date.now()
+                };
+
+                sessions.set(userId, session);
+            }
+
+            session.lastUsedAt = Date.now();
+
+            await session.agent.ready();
+
+            return session.agent;
+        },
+
+        hasSession(userId){
+            validateUserId(userId, 'hasSession');
+
+            return sessions.has(userId);
+        },
+
+        get activeSessionIds(){
+            return Object.freeze([...sessions.keys()]);
+        },
+
+        endSession(userId){
+            validateUserId(userId, 'endSession');
+
+            return closeSession(userId);
+        },
+
+        async deleteSession(userId){
+            assertNotDisposed('deleteSession');
+            validateUserId(userId, 'deleteSession');
+
+            // Disposing saves the final state, so the stored data is removed afterwards
+            await closeSession(userId);
+
+            if(store !== null){
+                const keyPrefix = `heylock:${getSessionAgentId(userId)}`;
+
+                await Promise.all([`${keyPrefix}:context`, `${keyPrefix}:messageHistory`, `${keyPrefix}:threads`].map(key => store.remove(key)));
+            }
+        },
+
+        onSessionEviction(callback){
+            assertNotDisposed('onSessionEviction');
+
+            if (typeof callback !== 'function') {
+                throw new Error("onSessionEviction failed: callback must be a function.");
+            }
+
+            onSessionEvictionCallbacks.push(callback);
+
+            return () => {
+                const index = onSessionEvictionCallbacks.indexOf(callback);
+
+                if (index !== -1) {
+                    onSessionEvictionCallbacks.splice(index, 1);
+                }
+            };
+        },
+
+        dispose(){
+            if(isDisposed) return disposePromise;
+
+            isDisposed = true;
+            clearInterval(sweepInterval);
+            onSessionEvictionCallbacks.length = 0;
+
+            // Resolves once every session has saved its final state
+            disposePromise = Promise.all([...sessions.keys()].map(closeSession)).then(() => verifier.dispose());
+
+            return disposePromise;
+        }
+    };
+}
@@ -0,0 +1,189 @@
+// Storage adapters persist agent state as strings under namespaced keys.
+// `get`, `set` and `remove` may return their result directly or as a Promise.
+
+export function isStorageAdapter(value){
+    return typeof value === 'object' && value !== null && typeof value.get === 'function' && typeof value.set === 'function' && typeof value.remove === 'function';
+}
+
+export function isPromiseLike(value){
+    return typeof value?.then === 'function';
+}
+
+/**
+ * Keeps values in a Map for the lifetime of the adapter. Useful for tests and short-lived workers.
+ */
+export function createMemoryStorageAdapter(initialEntries = {}){
+    //#region Validate argument
+    if(typeof initialEntries !== 'object' || initialEntries === null){
+        throw new Error("createMemoryStorageAdapter failed: initialEntries must be an object if provided.");
+    }
+    //#endregion
+
+    const entries = new Map(Object.entries(initialEntries));
+
+    return {
+        get: (key) => entries.has(key) ? entries.get(key) : null,
+        set: (key, value) => { entries.set(key, value); },
+        remove: (key) => { entries.delete(key); }
+    };
+}
+
+function createWebStorageAdapter(storageName){
+    // Resolved on every call: accessing Web Storage can throw (e.g. blocked cookies) and must not break construction
+    const getWebStorage = () => {
+        const webStorage = globalThis[storageName];
+
+        if(!webStorage){
+            throw new Error(`${storageName} is not available in this environment.`);
+        }
+
+        return webStorage;
+    };
+
+    return {
+        get: (key) => getWebStorage().getItem(key),
+        set: (key, value) => getWebStorage().setItem(key, value),
+        remove: (key) => getWebStorage().removeItem(key)
+    };
+}
+
+/**
+ * Uses `window.localStorage`. The default adapter in browsers.
+ */
+export function createLocalStorageAdapter(){
+    return createWebStorageAdapter('localStorage');
+}
+
+/**
+ * Uses `window.sessionStorage`, so state lasts only as long as the tab.
+ */
+export function createSessionStorageAdapter(){
+    return createWebStorageAdapter('sessionStorage');
+}
+
+function promisifyRequest(request){
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Uses an IndexedDB object store. Asynchronous, and not limited to the few megabytes of Web Storage.
+ */
+export function createIndexedDBAdapter({ databaseName = 'heylock', storeName = 'storage' } = {}){
+    //#region Validate arguments
+    if(typeof databaseName !== 'string' || databaseName.length <= 0){
+        throw new Error("createIndexedDBAdapter failed: databaseName must be a non-empty string.");
+    }
+
+    if(typeof storeName !== 'string' || storeName.length <= 0){
+        throw new Error("createIndexedDBAdapter failed: storeName must be a non-empty string.");
+    }
+    //#endregion
+
+    let databasePromise = null;
+
+    const openDatabase = () => {
+        if(!globalThis.indexedDB){
+            return Promise.reject(new Error("indexedDB is not available in this environment."));
+        }
+
+        databasePromise ??= new Promise((resolve, reject) => {
+            const request = globalThis.indexedDB.open(databaseName, 1);
+
+            request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                // Allow a later call to try again
+                databasePromise = null;
+                reject(request.error);
+            };
+        });
+
+        return databasePromise;
+    };
+
+    const runRequest = async (mode, createRequest) => {
+        const database = await openDatabase();
+        const store = database.transaction(storeName, mode).objectStore(storeName);
+
+        return promisifyRequest(createRequest(store));
+    };
+
+    return {
+        get: async (key) => (await runRequest('readonly', store => store.get(key))) ?? null,
+        set: async (key, value) => { await runRequest('readwrite', store => store.put(value, key)); },
+        remove: async (key) => { await runRequest('readwrite', store => store.delete(key)); }
+    };
+}
+
+/**
+ * Stores every key in one JSON file. For Node servers and workers that should keep state between runs.
+ * Writes are queued and replace the file atomically.
+ */
+export function createFileStorageAdapter(filePath){
+    //#region Validate argument
+    if(typeof filePath !== 'string' || filePath.trim().length <= 0){
+        throw new Error("createFileStorageAdapter failed: filePath must be a non-empty string.");
+    }
+    //#endregion
+
+    // Non-literal specifiers keep browser bundlers from trying to resolve Node built-ins
+    const fsModuleName = 'node:fs/promises';
+    const pathModuleName = 'node:path';
+
+    let entriesPromise = null;
+    let writeQueue = Promise.resolve();
+
+    const loadEntries = () => {
+        entriesPromise ??= (async () => {
+            const fs = await import(fsModuleName);
+
+            try{
+                const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+
+                return typeof parsed === 'object' && parsed !== null && !Array.isArray(parsed) ? parsed : {};
+            } catch(error){
+                if(error?.code === 'ENOENT') return {};
+
+                throw error;
+            }
+        })();
+
+        // Do not cache a failed read; the next call tries again
+        entriesPromise.catch(() => { entriesPromise = null; });
+
+        return entriesPromise;
+    };
+
+    const update = (applyChange) => {
+        const write = writeQueue.then(async () => {
+            const entries = await loadEntries();
+            applyChange(entries);
+
+            const fs = await import(fsModuleName);
+            const path = await import(pathModuleName);
+            const temporaryPath = `${filePath}.${process.pid}.tmp`;
+
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(temporaryPath, JSON.stringify(entries), 'utf8');
+            await fs.rename(temporaryPath, filePath);
+        });
+
+        // One failed write must not block the ones queued after it
+        writeQueue = write.catch(() => {});
+
+        return write;
+    };
+
+    return {
+        get: async (key) => {
+            const entries = await loadEntries();
+
+            return Object.hasOwn(entries, key) ? entries[key] : null;
+        },
+        set: (key, value) => update(entries => { entries[key] = value; }),
+        remove: (key) => update(entries => { delete entries[key]; })
+    };
+}
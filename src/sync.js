@@ -0,0 +1,79 @@
+// Merge helpers for cross-tab sync. Another tab reports its state before (`base`) and after (`remote`)
+// a change; the difference between the two is applied to this tab's state (`local`).
+
+// Entries from releases before IDs existed fall back to timestamp and content
+function getContextEntryKey(entry){
+    return entry.id ?? `${entry.timestamp}\u0000${entry.content}`;
+}
+
+/**
+ * Applies the entries the other tab removed, changed and added to the local context.
+ * A changed entry (a coalesced repeat, for example) is moved to the end like an added one.
+ * Local entries the other tab never had are kept.
+ */
+export function mergeContext(base, local, remote){
+    const baseEntries = new Map(base.map(entry => [getContextEntryKey(entry), JSON.stringify(entry)]));
+    const remoteKeys = new Set(remote.map(getContextEntryKey));
+    const changedKeys = new Set(remote.map(getContextEntryKey).filter((key, index) => baseEntries.has(key) && baseEntries.get(key) !== JSON.stringify(remote[index])));
+
+    const merged = local.filter(entry => {
+        const key = getContextEntryKey(entry);
+
+        return !(baseEntries.has(key) && !remoteKeys.has(key)) && !changedKeys.has(key);
+    });
+
+    const mergedKeys = new Set(merged.map(getContextEntryKey));
+
+    remote.forEach(entry => {
+        const key = getContextEntryKey(entry);
+
+        if((!baseEntries.has(key) || changedKeys.has(key)) && !mergedKeys.has(key)){
+            merged.push(entry);
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Only appends are merged: messages the other tab appended are appended locally too, unless this tab
+ * already has a message with the same ID. Any other change (edit, removal, clear) replaces the local history.
+ */
+export function mergeMessageHistory(base, local, remote){
+    const isSameMessage = (first, second) => first.id !== undefined && second.id !== undefined
+        ? first.id === second.id
+        : first.content === second.content && first.role === second.role;
+    const isAppendOnly = base.length <= remote.length && base.every((message, index) => isSameMessage(message, remote[index]));
+
+    if(!isAppendOnly) return remote;
+
+    const localIds = new Set(local.map(message => message.id).filter(id => id !== undefined));
+
+    return [...local, ...remote.slice(base.length).filter(message => message.id === undefined || !localIds.has(message.id))];
+}
+
+/**
+ * Applies the threads the other tab created, renamed and deleted, and merges the messages of each thread
+ * like a message history. Threads without messages (the default one, whose history syncs on its own) keep
+ * their local messages.
+ */
+export function mergeThreads(base, local, remote){
+    const findThread = (threads, id) => threads.find(thread => thread.id === id);
+
+    const merged = local.filter(thread => findThread(remote, thread.id) !== undefined || findThread(base, thread.id) === undefined).map(thread => {
+        const baseThread = findThread(base, thread.id);
+        const remoteThread = findThread(remote, thread.id);
+
+        if(remoteThread === undefined || baseThread === undefined) return thread;
+
+        return {
+            ...thread,
+            name: remoteThread.name !== baseThread.name ? remoteThread.name : thread.name,
+            messages: baseThread.messages !== undefined && remoteThread.messages !== undefined ? mergeMessageHistory(baseThread.messages, thread.messages, remoteThread.messages) : thread.messages
+        };
+    });
+
+    const created = remote.filter(thread => findThread(base, thread.id) === undefined && findThread(local, thread.id) === undefined);
+
+    return [...merged, ...created];
+}
@@ -0,0 +1,152 @@
+/** @jest-environment jsdom */
+/* eslint-disable no-undef */
+
+// Tests for the opt-in browser activity tracker using jsdom
+
+describe('Heylock activity tracking', () => {
+  let Heylock;
+  let agent;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: new Date('2025-01-01T12:00:00Z') });
+    localStorage.clear();
+    document.body.innerHTML = '';
+    document.title = 'Shop';
+    window.history.replaceState(null, '', '/shop');
+    ({ default: Heylock } = await import('../index.js'));
+    agent = new Heylock('KEY', { fetch: jest.fn(() => new Promise(() => {})) });
+  });
+
+  afterEach(async () => {
+    await agent.dispose();
+    jest.useRealTimers();
+  });
+
+  const contents = () => agent.context.map((entry) => entry.content);
+
+  test('records the page view and SPA route changes, and restores the History API on stop', () => {
+    const originalPushState = window.history.pushState;
+    const stop = agent.trackActivity();
+
+    expect(agent.context).toEqual([{
+      id: expect.any(String),
+      content: 'Viewed the "Shop" page (/shop)',
+      timestamp: Date.now(),
+      tags: ['activity', 'pageView'],
+      source: 'page',
+    }]);
+
+    document.title = 'Boots';
+    window.history.pushState(null, '', '/shop/boots?session=secret');
+    window.history.replaceState(null, '', '/shop/boots?page=2');
+    window.location.hash = '#/reviews';
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+
+    expect(contents()).toEqual([
+      'Viewed the "Shop" page (/shop)',
+      'Navigated to the "Boots" page (/shop/boots)',
+      'Navigated to the "Boots" page (/shop/boots#/reviews)',
+    ]);
+
+    stop();
+    expect(window.history.pushState).toBe(originalPushState);
+    window.history.pushState(null, '', '/cart');
+    expect(agent.context).toHaveLength(3);
+  });
+
+  test('records clicks on marked elements only, with debouncing', () => {
+    document.body.innerHTML = `
+      <button data-heylock-track="Add to cart"><span id="icon">+</span></button>
+      <a data-heylock-track aria-label="Size guide">?</a>
+      <button id="plain">Plain</button>
+      <div data-heylock-ignore><button data-heylock-track id="private">Private</button></div>`;
+    agent.trackActivity({ allow: { events: ['click'] }, debounceMs: 1000 });
+
+    document.getElementById('icon').click();
+    document.getElementById('icon').click();
+    document.querySelector('a').click();
+    document.getElementById('plain').click();
+    document.getElementById('private').click();
+    expect(contents()).toEqual(['Clicked "Add to cart"', 'Clicked "Size guide"']);
+
+    jest.advanceTimersByTime(1000);
+    document.getElementById('icon').click();
+    expect(contents()).toEqual(['Clicked "Add to cart"', 'Clicked "Size guide"', 'Clicked "Add to cart"']);
+  });
+
+  test('records form focus by field name, never the value', () => {
+    document.body.innerHTML = `
+      <form name="checkout">
+        <label for="email">Email address</label><input id="email" value="jane@example.com">
+        <input type="hidden" name="token" value="abc">
+        <select name="country"></select>
+      </form>`;
+    agent.trackActivity({ allow: { events: ['formFocus'] } });
+
+    document.getElementById('email').focus();
+    document.querySelector('[name="token"]').dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+    document.querySelector('select').focus();
+
+    expect(contents()).toEqual(['Focused the "Email address" field in the "checkout" form', 'Focused the "country" field in the "checkout" form']);
+    expect(JSON.stringify(agent.context)).not.toContain('jane@example.com');
+  });
+
+  test('records the deepest scroll threshold reached and time on page when leaving', () => {
+    Object.defineProperty(document.documentElement, 'scrollHeight', { value: 2000, configurable: true });
+    window.innerHeight = 500;
+    agent.trackActivity({ allow: { events: ['scrollDepth', 'timeOnPage'] } });
+
+    Object.defineProperty(window, 'scrollY', { value: 1100, configurable: true });
+    window.dispatchEvent(new Event('scroll'));
+    window.dispatchEvent(new Event('scroll'));
+    Object.defineProperty(window, 'scrollY', { value: 1500, configurable: true });
+    window.dispatchEvent(new Event('scroll'));
+
+    jest.advanceTimersByTime(65_000);
+    window.history.pushState(null, '', '/cart');
+    jest.advanceTimersByTime(2000);
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(contents()).toEqual(['Scrolled 75% of /shop', 'Scrolled 100% of /shop', 'Spent 1 minute on /shop']);
+  });
+
+  test('applies the path allowlist and rules', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    document.body.innerHTML = '<div class="product"><button data-heylock-track="Boots">Boots</button></div><button data-heylock-track="Broken">x</button>';
+    agent.trackActivity({
+      allow: { paths: ['/shop'] },
+      rules: [
+        { type: 'click', selector: '.product', content: (activity) => `Opened product ${activity.label}`, tags: ['shopping'], weight: 2 },
+        { type: 'click', content: () => { throw new Error('boom'); } },
+        { type: 'routeChange', path: /^\/shop\/admin/, ignore: true },
+      ],
+    });
+
+    document.querySelector('.product button').click();
+    document.querySelector('button:not(.product button)').click();
+    window.history.pushState(null, '', '/shop/admin/users');
+    window.history.pushState(null, '', '/blog');
+    window.history.pushState(null, '', '/shop/sale');
+
+    expect(contents()).toEqual(['Viewed the "Shop" page (/shop)', 'Opened product Boots', 'Navigated to the "Shop" page (/shop/sale)']);
+    expect(agent.context[1]).toMatchObject({ tags: ['activity', 'click', 'shopping'], source: 'event', weight: 2 });
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining("a rule's content function threw"), expect.any(Error));
+    warn.mockRestore();
+  });
+
+  test('options are validated, and dispose stops trackers after recording time on page', async () => {
+    expect(() => agent.trackActivity({ allow: { events: ['hover'] } })).toThrow(/trackActivity failed: options.allow.events must be an array of/);
+    expect(() => agent.trackActivity({ allow: { paths: ['shop'] } })).toThrow(/options.allow.paths must be an array of paths starting with '\/'/);
+    expect(() => agent.trackActivity({ rules: [{ type: 'click', colour: 'red' }] })).toThrow(/options.rules\[0\] is invalid/);
+    expect(() => agent.trackActivity({ rules: [{ weight: -1 }] })).toThrow(/options.rules\[0\].weight must be a finite, non-negative number/);
+    expect(() => agent.trackActivity({ clickAttribute: 'track' })).toThrow(/clickAttribute must be a data attribute name/);
+
+    const originalPushState = window.history.pushState;
+    agent.trackActivity({ allow: { events: ['timeOnPage'] } });
+    jest.advanceTimersByTime(10_000);
+    await agent.dispose();
+
+    expect(contents()).toEqual(['Spent 10 seconds on /shop']);
+    expect(window.history.pushState).toBe(originalPushState);
+  });
+});
@@ -0,0 +1,107 @@
+/* eslint-disable no-undef */
+// Tests for coalescing repeated context entries into one entry with an occurrence count
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+describe('Heylock context coalescing', () => {
+  let Heylock;
+  let createMemoryStorageAdapter;
+  let coalescingModule;
+  let fetchMock;
+  let now;
+
+  beforeEach(async () => {
+    fetchMock = jest.fn(async () => jsonResponse(200, { valid: true, limits: { messages: { remaining: 5 }, sorts: { remaining: 5 }, rewrites: { remaining: 5 } } }));
+    ({ default: Heylock, createMemoryStorageAdapter } = await import('../index.js'));
+    coalescingModule = await import('../coalescing.js');
+    now = Date.now();
+  });
+
+  test('coalescing is off by default and the option is validated', () => {
+    const agent = new Heylock('KEY', { fetch: fetchMock });
+
+    expect(agent.contextCoalescing).toBeNull();
+    agent.addContextEntry('Viewed product X');
+    agent.addContextEntry('Viewed product X');
+    expect(agent.context).toHaveLength(2);
+
+    expect(new Heylock('KEY', { fetch: fetchMock, contextCoalescing: true }).contextCoalescing).toEqual({ windowMs: 5 * 60 * 1000, similarity: 'normalized' });
+    expect(() => new Heylock('KEY', { fetch: fetchMock, contextCoalescing: 'yes' })).toThrow(/Agent initialization failed: contextCoalescing must be a boolean or an object/);
+    expect(() => new Heylock('KEY', { fetch: fetchMock, contextCoalescing: { windowMs: 0 } })).toThrow(/contextCoalescing.windowMs must be a positive number/);
+    expect(() => new Heylock('KEY', { fetch: fetchMock, contextCoalescing: { similarity: 1.5 } })).toThrow(/contextCoalescing.similarity must be 'exact', 'normalized' or a number/);
+    expect(() => agent.addContextEntry('a', undefined, undefined, { coalesce: 'yes' })).toThrow(/addContextEntry failed: options.coalesce must be a boolean/);
+  });
+
+  test('repeats within the window update the count and timestamp and move the entry to the end', () => {
+    const agent = new Heylock('KEY', { fetch: fetchMock, contextCoalescing: true });
+    const id = agent.addContextEntry('Viewed product X', now - 60_000);
+    agent.addContextEntry('Opened cart', now - 30_000);
+
+    expect(agent.addContextEntry('viewed product x!', now)).toBe(id);
+    expect(agent.context.map((entry) => entry.content)).toEqual(['Opened cart', 'Viewed product X']);
+    expect(agent.getContextEntry(id)).toEqual({ id, content: 'Viewed product X', timestamp: now, count: 2 });
+
+    // Outside the window, a repeat is a new entry
+    agent.addContextEntry('Opened cart', now + 10 * 60 * 1000);
+    expect(agent.context).toHaveLength(3);
+    expect(agent.context[2].count).toBeUndefined();
+
+    // Per-call opt-out
+    agent.addContextEntry('Viewed product X', now, undefined, { coalesce: false });
+    expect(agent.context).toHaveLength(4);
+  });
+
+  test('similarity modes: exact, normalized and near-duplicates', () => {
+    const exact = new Heylock('KEY', { fetch: fetchMock, contextCoalescing: { similarity: 'exact' } });
+    exact.addContextEntry('Viewed boots');
+    exact.addContextEntry('viewed boots');
+    expect(exact.context).toHaveLength(2);
+
+    const near = new Heylock('KEY', { fetch: fetchMock, contextCoalescing: { similarity: 0.8 } });
+    near.addContextEntry('Viewed the running shoes page');
+    near.addContextEntry('Viewed the running shoe page');
+    near.addContextEntry('Opened the returns policy');
+    expect(near.context.map((entry) => [entry.content, entry.count])).toEqual([['Viewed the running shoes page', 2], ['Opened the returns policy', undefined]]);
+
+    expect(coalescingModule.getContentSimilarity('Hello  World!', 'hello world')).toBe(1);
+    expect(coalescingModule.getContentSimilarity('abc', 'xyz')).toBe(0);
+  });
+
+  test('coalesce: true works without the agent option, and metadata of the repeat is applied', () => {
+    const agent = new Heylock('KEY', { fetch: fetchMock });
+    const id = agent.addContextEntry('Viewed boots', now, { tags: ['shopping'] });
+    agent.addContextEntry('Viewed boots', now, { weight: 2 }, { coalesce: true });
+
+    expect(agent.context).toEqual([{ id, content: 'Viewed boots', timestamp: now, tags: ['shopping'], weight: 2, count: 2 }]);
+  });
+
+  test('context text shows the count and the last occurrence', () => {
+    const agent = new Heylock('KEY', { fetch: fetchMock, contextCoalescing: true });
+
+    for (let index = 4; index >= 0; index--) agent.addContextEntry('Viewed product X', now - index * 30_000);
+
+    expect(agent.getContextString()).toBe('Viewed product X (5 times, last now). ');
+    expect(agent.getContextString(undefined, { style: 'bullets', time: 'none' })).toBe('- Viewed product X (5 times)');
+    expect(agent.getContextString(undefined, { locale: 'de' })).toBe('Viewed product X (×5, jetzt). ');
+    expect(agent.getContextString(undefined, { template: '{content} x{count}' })).toBe('Viewed product X x5 ');
+    expect(JSON.parse(agent.getContextString(undefined, { style: 'json', time: 'none' }))).toEqual([{ content: 'Viewed product X', count: 5 }]);
+  });
+
+  test('counts are persisted, restored and accepted by setContext', async () => {
+    const storage = createMemoryStorageAdapter();
+    const agent = new Heylock('KEY', { fetch: fetchMock, agentId: 'C1', storage, contextCoalescing: true });
+    const id = agent.addContextEntry('Viewed boots', 5);
+    agent.addContextEntry('Viewed boots', 6);
+
+    const restored = new Heylock('KEY', { fetch: fetchMock, agentId: 'C1', storage });
+    expect(restored.context).toEqual([{ id, content: 'Viewed boots', timestamp: 6, count: 2 }]);
+
+    restored.setContext([{ content: 'Opened cart', count: 3 }, { content: 'Viewed boots', count: 1 }]);
+    expect(restored.context.map((entry) => entry.count)).toEqual([3, undefined]);
+    expect(() => restored.setContext([{ content: 'Opened cart', count: 0 }])).toThrow(/setContext failed: entry at index 0 is invalid.*'count'/);
+
+    await Promise.all([agent.dispose(), restored.dispose()]);
+  });
+});
@@ -0,0 +1,114 @@
+/* eslint-disable no-undef */
+// Tests for the budgeted context builder: ranking, fitting and reporting
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+describe('Heylock context budget', () => {
+  let Heylock;
+  let budget;
+  let fetchMock;
+
+  beforeEach(async () => {
+    ({ default: Heylock } = await import('../index.js'));
+    budget = await import('../context-budget.js');
+    fetchMock = jest.fn(async (url) => (String(url).endsWith('/message')
+      ? jsonResponse(200, { message: 'Sure.' })
+      : jsonResponse(200, { valid: true, limits: { messages: { remaining: 5 }, sorts: { remaining: 5 }, rewrites: { remaining: 5 } } })));
+  });
+
+  test('resolveContextBudget fills in defaults and validates', () => {
+    expect(budget.resolveContextBudget(undefined, 'test')).toBeNull();
+    expect(budget.resolveContextBudget({ maxTokens: 100 }, 'test')).toEqual({
+      maxChars: null,
+      maxTokens: 100,
+      ranking: { recency: 1, weight: 1, relevance: 1 },
+      recencyHalfLifeMs: 30 * 60 * 1000,
+    });
+
+    expect(() => new Heylock('KEY', { contextBudget: 500 })).toThrow(/Agent initialization failed: contextBudget must be an object or null/);
+    expect(() => new Heylock('KEY', { contextBudget: {} })).toThrow(/contextBudget needs maxChars, maxTokens or both/);
+    expect(() => new Heylock('KEY', { contextBudget: { maxChars: 0 } })).toThrow(/contextBudget.maxChars must be a positive integer/);
+    expect(() => new Heylock('KEY', { contextBudget: { maxTokens: 10, ranking: { weight: -1 } } })).toThrow(/contextBudget.ranking.weight must be a finite, non-negative number/);
+    expect(() => new Heylock('KEY', { contextBudget: { maxTokens: 10, recencyHalfLifeMs: 0 } })).toThrow(/recencyHalfLifeMs must be a positive number/);
+  });
+
+  test('scoreContextEntries adds recency, relative weight and query relevance', () => {
+    const now = 10_000_000;
+    const halfLife = { ranking: { recency: 1, weight: 1, relevance: 1 }, recencyHalfLifeMs: 1000 };
+    const entries = [
+      { content: 'Viewed running shoes', timestamp: now, weight: 2 },
+      { content: 'Opened returns page', timestamp: now - 1000 },
+    ];
+
+    const [shoes, returns] = budget.scoreContextEntries(entries, halfLife, 'How do returns work?', now);
+    expect(shoes).toBeCloseTo(1 + 1 + 0);
+    // Half as recent, half the weight, and "returns" matches one of the three query words
+    expect(returns).toBeCloseTo(0.5 + 0.5 + 1 / 3);
+  });
+
+  test('buildBudgetedContext keeps the best-ranked entries that fit, in their original order', () => {
+    const now = 1_000_000;
+    const entries = [
+      { content: 'a'.repeat(30), timestamp: now - 2000 },
+      { content: 'b'.repeat(50), timestamp: now },
+      { content: 'c'.repeat(10), timestamp: now - 4000 },
+    ];
+    const resolved = budget.resolveContextBudget({ maxChars: 45, ranking: { weight: 0, relevance: 0 }, recencyHalfLifeMs: 1000 }, 'test');
+
+    // The newest entry does not fit at all; the next two do, and stay in context order
+    const result = budget.buildBudgetedContext(entries, resolved, { now, format: (entry) => `${entry.content}. ` });
+    expect(result.text).toBe(`${'a'.repeat(30)}. ${'c'.repeat(10)}. `);
+    expect(result.included.map(({ entry }) => entry)).toEqual([entries[0], entries[2]]);
+    expect(result.excluded.map(({ entry }) => entry)).toEqual([entries[1]]);
+
+    const unlimited = budget.buildBudgetedContext(entries, null, { now, format: (entry) => entry.content });
+    expect(unlimited.excluded).toEqual([]);
+    expect(budget.estimateTokens('12345')).toBe(2);
+  });
+
+  test('buildContext reports included and excluded entries with scores', () => {
+    const now = Date.now();
+    const agent = new Heylock('KEY', { fetch: fetchMock, contextBudget: { maxChars: 60 } });
+    agent.addContextEntry('Compared two winter jackets', now);
+    agent.addContextEntry('Read the shipping policy for Canada', now, { tags: ['support'] });
+    agent.addContextEntry('Opened the homepage', now - 60 * 60 * 1000);
+
+    const build = agent.buildContext({ query: 'Do you ship to Canada?' });
+    expect(build.text).toBe('Read the shipping policy for Canada now. ');
+    expect(build.chars).toBe(build.text.length);
+    expect(build.approxTokens).toBe(Math.ceil(build.text.length / 4));
+    expect(build.included.map((entry) => entry.content)).toEqual(['Read the shipping policy for Canada']);
+    expect(build.excluded.map((entry) => entry.content)).toEqual(['Compared two winter jackets', 'Opened the homepage']);
+    expect(build.included[0].score).toBeGreaterThan(build.excluded[0].score);
+    expect(Object.isFrozen(build.included[0])).toBe(true);
+
+    const unlimited = agent.buildContext({ budget: null, filter: { excludeTags: ['support'] } });
+    expect(unlimited.text).toBe(agent.getContextString({ excludeTags: ['support'] }));
+    expect(unlimited.budget).toBeNull();
+
+    expect(() => agent.buildContext({ query: 42 })).toThrow(/buildContext failed: options.query must be a string/);
+  });
+
+  test('requests send budgeted context and report it through onContextBuild', async () => {
+    const now = Date.now();
+    const agent = new Heylock('KEY', { fetch: fetchMock, contextBudget: { maxTokens: 12 } });
+    await agent.ready();
+    agent.addContextEntry('Opened the size guide for boots', now);
+    agent.addContextEntry('Watched a video about rain jackets', now);
+    const listener = jest.fn();
+    agent.onContextBuild(listener);
+
+    await agent.message('Which boots size fits me?', true, false);
+    const body = JSON.parse(fetchMock.mock.calls.at(-1)[1].body);
+    expect(body.context).toBe('Opened the size guide for boots now. ');
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ text: body.context, excluded: [expect.objectContaining({ content: 'Watched a video about rain jackets' })] }), 'message');
+
+    await agent.message('Anything else?', true, false, { contextBudget: null });
+    expect(JSON.parse(fetchMock.mock.calls.at(-1)[1].body).context).toBe(agent.getContextString());
+
+    await expect(agent.message('Hi', true, false, { contextBudget: { maxChars: -5 } })).rejects.toThrow(/message failed: contextBudget.maxChars/);
+    await agent.dispose();
+  });
+});
@@ -0,0 +1,91 @@
+/* eslint-disable no-undef */
+// Tests for context formatting: locales, time styles, bullets, JSON, templates and custom formatters
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+describe('Heylock context formats', () => {
+  let Heylock;
+  let fetchMock;
+  let now;
+
+  beforeEach(async () => {
+    ({ default: Heylock } = await import('../index.js'));
+    fetchMock = jest.fn(async (url) => (String(url).endsWith('/message')
+      ? jsonResponse(200, { message: 'Sure.' })
+      : jsonResponse(200, { valid: true, limits: { messages: { remaining: 5 }, sorts: { remaining: 5 }, rewrites: { remaining: 5 } } })));
+    now = Date.now();
+  });
+
+  function createAgent(options = {}) {
+    const agent = new Heylock('KEY', { fetch: fetchMock, ...options });
+    agent.addContextEntry('Opened cart', now - 5 * 60 * 1000, { tags: ['shopping'], source: 'page' });
+    agent.addContextEntry('Viewed boots', now);
+    return agent;
+  }
+
+  test('the default format is unchanged English sentences', () => {
+    expect(createAgent().getContextString()).toBe('Opened cart 5 minutes ago. Viewed boots now. ');
+  });
+
+  test('a locale words relative times with Intl.RelativeTimeFormat', () => {
+    const agent = createAgent({ contextFormat: { locale: 'de' } });
+
+    expect(agent.contextFormat.locale).toBe('de');
+    expect(agent.getContextString()).toBe('Opened cart vor 5 Minuten. Viewed boots jetzt. ');
+    expect(agent.getContextString(undefined, { locale: 'fr' })).toBe('Opened cart il y a 5 minutes. Viewed boots maintenant. ');
+    expect(agent.getContextString(undefined, null)).toBe('Opened cart 5 minutes ago. Viewed boots now. ');
+  });
+
+  test('bullets, ISO times and JSON', () => {
+    const agent = createAgent();
+    const isoTime = new Date(now - 5 * 60 * 1000).toISOString();
+
+    expect(agent.getContextString(undefined, { style: 'bullets' })).toBe('- Opened cart (5 minutes ago)\n- Viewed boots (now)');
+    expect(agent.getContextString(undefined, { time: 'iso' })).toBe(`Opened cart ${isoTime}. Viewed boots ${new Date(now).toISOString()}. `);
+    expect(agent.getContextString(undefined, { style: 'bullets', time: 'none' })).toBe('- Opened cart\n- Viewed boots');
+
+    expect(JSON.parse(agent.getContextString(undefined, { style: 'json', time: 'iso' }))).toEqual([
+      { content: 'Opened cart', time: isoTime, tags: ['shopping'], source: 'page' },
+      { content: 'Viewed boots', time: new Date(now).toISOString() },
+    ]);
+    expect(agent.getContextString({ includeTags: ['missing'] }, { style: 'json' })).toBe('');
+  });
+
+  test('templates and custom formatters', () => {
+    const agent = createAgent();
+
+    expect(agent.getContextString(undefined, { style: 'bullets', template: '{content} via {source} [{tags}]' })).toBe('- Opened cart via page [shopping]\n- Viewed boots via  []');
+
+    const formatEntry = jest.fn((entry, { relativeTime, locale }) => `${entry.content.toUpperCase()} (${relativeTime}, ${locale})`);
+    expect(agent.getContextString(undefined, { formatEntry, locale: 'en' })).toBe('OPENED CART (5 minutes ago, en) VIEWED BOOTS (now, en) ');
+    expect(Object.isFrozen(formatEntry.mock.calls[0][0])).toBe(true);
+
+    expect(() => agent.getContextString(undefined, { formatEntry: () => 42 })).toThrow(/formatEntry failed: it must return a string/);
+  });
+
+  test('formats are validated', () => {
+    expect(() => new Heylock('KEY', { contextFormat: 'bullets' })).toThrow(/Agent initialization failed: contextFormat must be an object/);
+    expect(() => new Heylock('KEY', { contextFormat: { style: 'table' } })).toThrow(/contextFormat.style must be one of sentence, bullets, json/);
+    expect(() => new Heylock('KEY', { contextFormat: { time: 'absolute' } })).toThrow(/contextFormat.time must be one of/);
+    expect(() => new Heylock('KEY', { contextFormat: { locale: 'not a locale!' } })).toThrow(/is not a valid locale/);
+    expect(() => new Heylock('KEY', { contextFormat: { template: '{content} {user}' } })).toThrow(/unknown placeholder '\{user\}'/);
+    expect(() => new Heylock('KEY', { contextFormat: { style: 'json', template: '{content}' } })).toThrow(/'json' cannot be combined/);
+    expect(() => new Heylock('KEY', { contextFormat: { template: '{content}', formatEntry: () => '' } })).toThrow(/either a template or a formatEntry/);
+  });
+
+  test('requests use the format, and budgets measure the formatted text', async () => {
+    const agent = createAgent({ contextFormat: { locale: 'es' } });
+    await agent.ready();
+
+    await agent.message('¿Hola?', true, false);
+    expect(JSON.parse(fetchMock.mock.calls.at(-1)[1].body).context).toBe('Opened cart hace 5 minutos. Viewed boots ahora. ');
+
+    await agent.message('Boots?', true, false, { contextFormat: { style: 'json', time: 'none' }, contextBudget: { maxChars: 30 } });
+    expect(JSON.parse(fetchMock.mock.calls.at(-1)[1].body).context).toBe('[{"content":"Viewed boots"}]');
+
+    await expect(agent.message('Hi', true, false, { contextFormat: { style: 'list' } })).rejects.toThrow(/message failed: contextFormat.style/);
+    await agent.dispose();
+  });
+});
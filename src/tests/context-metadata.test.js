@@ -0,0 +1,132 @@
+/* eslint-disable no-undef */
+// Tests for context entry metadata (tags, source, weight, attributes) and context filters
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+describe('Heylock structured context entries', () => {
+  let Heylock;
+  let createMemoryStorageAdapter;
+  let metadataModule;
+  let fetchMock;
+
+  beforeEach(async () => {
+    ({ default: Heylock, createMemoryStorageAdapter } = await import('../index.js'));
+    metadataModule = await import('../context-metadata.js');
+    fetchMock = jest.fn(async (url) => {
+      if (String(url).endsWith('/message')) return jsonResponse(200, { message: 'Sure.' });
+      if (String(url).endsWith('/sort')) return jsonResponse(200, { indexes: [1, 0] });
+      return jsonResponse(200, { valid: true, limits: { messages: { remaining: 5 }, sorts: { remaining: 5 }, rewrites: { remaining: 5 } } });
+    });
+  });
+
+  test('metadata is validated, copied and exposed only when set', () => {
+    const agent = new Heylock('KEY', { fetch: fetchMock });
+    const attributes = { sku: 'RS-42', price: 89.9 };
+
+    const id = agent.addContextEntry('Added shoes to cart', 10, { tags: [' shopping ', 'shopping', 'cart'], source: 'event', weight: 2, attributes });
+    const plainId = agent.addContextEntry('Opened FAQ', 20);
+    attributes.price = 0;
+
+    const entry = agent.getContextEntry(id);
+    expect(entry).toEqual({ id, content: 'Added shoes to cart', timestamp: 10, tags: ['shopping', 'cart'], source: 'event', weight: 2, attributes: { sku: 'RS-42', price: 89.9 } });
+    expect(Object.isFrozen(entry.tags)).toBe(true);
+    expect(Object.isFrozen(entry.attributes)).toBe(true);
+    expect(agent.getContextEntry(plainId)).toEqual({ id: plainId, content: 'Opened FAQ', timestamp: 20 });
+
+    expect(() => agent.addContextEntry('x', undefined, { tags: 'shopping' })).toThrow(/addContextEntry failed: metadata.tags must be an array/);
+    expect(() => agent.addContextEntry('x', undefined, { weight: -1 })).toThrow(/metadata.weight must be a finite, non-negative number/);
+    expect(() => agent.addContextEntry('x', undefined, { attributes: { nested: {} } })).toThrow(/metadata.attributes must be an object/);
+    expect(() => agent.addContextEntry('x', undefined, { priority: 1 })).toThrow(/unknown metadata field 'priority'/);
+    expect(agent.context).toHaveLength(2);
+  });
+
+  test('modifying an entry keeps the metadata fields that are not given', () => {
+    const agent = new Heylock('KEY', { fetch: fetchMock });
+    const id = agent.addContextEntry('Viewed pricing', 10, { tags: ['shopping'], source: 'page' });
+
+    agent.modifyContextEntryById(id, 'Viewed enterprise pricing', undefined, { weight: 3 });
+    expect(agent.getContextEntry(id)).toEqual({ id, content: 'Viewed enterprise pricing', timestamp: 10, tags: ['shopping'], source: 'page', weight: 3 });
+
+    agent.modifyContextEntry(0, 'Viewed team pricing');
+    expect(agent.getContextEntry(id).weight).toBe(3);
+  });
+
+  test('setContext accepts metadata and names the invalid entry', () => {
+    const agent = new Heylock('KEY', { fetch: fetchMock });
+
+    agent.setContext([{ content: 'Opened FAQ', timestamp: 1, tags: ['support'], source: 'page' }]);
+    expect(agent.context).toEqual([{ id: expect.any(String), content: 'Opened FAQ', timestamp: 1, tags: ['support'], source: 'page' }]);
+
+    expect(() => agent.setContext([{ content: 'ok' }, { content: 'bad', source: '' }])).toThrow(/setContext failed: contextArray\[1\].source must be a non-empty string/);
+    expect(agent.context).toHaveLength(1);
+  });
+
+  test('getContextString filters by tags, source and weight', () => {
+    const now = Date.now();
+    const agent = new Heylock('KEY', { fetch: fetchMock });
+    agent.addContextEntry('Added shoes to cart', now, { tags: ['shopping'], source: 'event', weight: 2 });
+    agent.addContextEntry('Opened returns FAQ', now, { tags: ['support'], source: 'page' });
+    agent.addContextEntry('Debug ping', now, { tags: ['support', 'internal'], weight: 0 });
+    agent.addContextEntry('Scrolled the homepage', now);
+
+    expect(agent.getContextString()).toBe('Added shoes to cart now. Opened returns FAQ now. Debug ping now. Scrolled the homepage now. ');
+    expect(agent.getContextString({ includeTags: ['support'], excludeTags: ['internal'] })).toBe('Opened returns FAQ now. ');
+    expect(agent.getContextString({ minWeight: 1 })).toBe('Added shoes to cart now. Opened returns FAQ now. Scrolled the homepage now. ');
+    expect(agent.getContextString({ sources: ['event'] })).toBe('Added shoes to cart now. ');
+
+    expect(() => agent.getContextString('support')).toThrow(/getContextString failed: contextFilter must be an object/);
+    expect(() => agent.getContextString({ minWeight: '1' })).toThrow(/contextFilter.minWeight must be a finite number/);
+  });
+
+  test('routes send only the context that matches their contextFilter', async () => {
+    const agent = new Heylock('KEY', { fetch: fetchMock });
+    await agent.ready();
+    agent.addContextEntry('Added shoes to cart', undefined, { tags: ['shopping'] });
+    agent.addContextEntry('Opened returns FAQ', undefined, { tags: ['support'] });
+
+    await agent.sort(['a', 'b'], 'Most relevant first', true, { contextFilter: { includeTags: ['shopping'] } });
+    const sortBody = JSON.parse(fetchMock.mock.calls.at(-1)[1].body);
+    expect(sortBody.context).toContain('Added shoes to cart');
+    expect(sortBody.context).not.toContain('Opened returns FAQ');
+
+    await agent.message('Where is my refund?', true, false, { contextFilter: { includeTags: ['support'] } });
+    const messageBody = JSON.parse(fetchMock.mock.calls.at(-1)[1].body);
+    expect(messageBody.context).toContain('Opened returns FAQ');
+    expect(messageBody.context).not.toContain('Added shoes to cart');
+
+    await expect(agent.message('Hi', true, false, { contextFilter: { includeTags: [1] } })).rejects.toThrow(/message failed: contextFilter.includeTags must be an array/);
+    await agent.dispose();
+  });
+
+  test('metadata is persisted and restored; invalid stored metadata keeps the context from being restored', async () => {
+    const storage = createMemoryStorageAdapter();
+    const agent = new Heylock('KEY', { agentId: 'M1', storage, fetch: fetchMock });
+    const id = agent.addContextEntry('Added shoes to cart', 5, { tags: ['shopping'], attributes: { sku: 'RS-42' } });
+
+    const restored = new Heylock('KEY', { agentId: 'M1', storage, fetch: fetchMock });
+    expect(restored.context).toEqual([{ id, content: 'Added shoes to cart', timestamp: 5, tags: ['shopping'], attributes: { sku: 'RS-42' } }]);
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const invalidStorage = createMemoryStorageAdapter({
+      'heylock:M2:context': JSON.stringify({ version: 1, data: [{ content: 'tagged', timestamp: 1, tags: [42] }] }),
+    });
+    const invalid = new Heylock('KEY', { agentId: 'M2', storage: invalidStorage, fetch: fetchMock });
+    expect(invalid.context).toEqual([]);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Stored context is invalid'));
+    warn.mockRestore();
+
+    await Promise.all([agent.dispose(), restored.dispose(), invalid.dispose()]);
+  });
+
+  test('matchesContextFilter treats a missing weight as 1 and a null filter as match-all', () => {
+    const { resolveContextFilter, matchesContextFilter } = metadataModule;
+
+    expect(resolveContextFilter(undefined, 'test')).toBeNull();
+    expect(matchesContextFilter({ content: 'a' }, null)).toBe(true);
+    expect(matchesContextFilter({ content: 'a' }, resolveContextFilter({ minWeight: 1 }, 'test'))).toBe(true);
+    expect(matchesContextFilter({ content: 'a' }, resolveContextFilter({ minWeight: 1.5 }, 'test'))).toBe(false);
+    expect(matchesContextFilter({ content: 'a' }, resolveContextFilter({ includeTags: ['x'] }, 'test'))).toBe(false);
+  });
+});
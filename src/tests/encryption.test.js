@@ -0,0 +1,133 @@
+/* eslint-disable no-undef */
+// Tests for AES-GCM encryption of everything the agent persists
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function createKey() {
+  return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+}
+
+describe('Heylock encryption at rest', () => {
+  let Heylock;
+  let createMemoryStorageAdapter;
+  let encryption;
+  let fetchMock;
+  let warnSpy;
+  let agents;
+
+  beforeEach(async () => {
+    ({ default: Heylock, createMemoryStorageAdapter } = await import('../index.js'));
+    encryption = await import('../encryption.js');
+    // Answers every request like a successful initialization, so ready() settles
+    fetchMock = jest.fn(async () => jsonResponse(200, { valid: true, limits: { messages: { remaining: 1 }, sorts: { remaining: 1 }, rewrites: { remaining: 1 } } }));
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    agents = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(agents.map((agent) => agent.dispose()));
+    warnSpy.mockRestore();
+  });
+
+  function createAgent(options) {
+    const agent = new Heylock('KEY', { agentId: 'E1', fetch: fetchMock, suppressWarnings: false, ...options });
+    agents.push(agent);
+    return agent;
+  }
+
+  test('encryptValue and decryptValue round-trip with a fresh IV each time', async () => {
+    const key = await createKey();
+    const first = await encryption.encryptValue(key, 'viewed pricing');
+    const second = await encryption.encryptValue(key, 'viewed pricing');
+
+    expect(encryption.isEncryptedValue(first)).toBe(true);
+    expect(first).not.toBe(second);
+    expect(first).not.toContain('pricing');
+    expect(await encryption.decryptValue(key, first)).toBe('viewed pricing');
+
+    await expect(encryption.decryptValue(await createKey(), first)).rejects.toThrow(/could not be decrypted with this key/);
+    await expect(encryption.decryptValue(key, 'heylock:aes-gcm:only-iv')).rejects.toThrow(/malformed/);
+  });
+
+  test('context and message history are stored encrypted and restored with the same key', async () => {
+    const key = await createKey();
+    const storage = createMemoryStorageAdapter();
+
+    const agent = createAgent({ storage, encryptionKey: key, persistMessageHistory: true });
+    const entryId = agent.addContextEntry('viewed pricing', 1);
+    const messageId = agent.addMessage('Do you ship to Canada?', 'user');
+    await agent.dispose();
+
+    const storedContext = storage.get('heylock:E1:context');
+    expect(encryption.isEncryptedValue(storedContext)).toBe(true);
+    expect(storedContext).not.toContain('pricing');
+    expect(encryption.isEncryptedValue(storage.get('heylock:E1:messageHistory'))).toBe(true);
+
+    const restored = createAgent({ storage, encryptionKey: key, persistMessageHistory: true });
+    await restored.ready();
+    expect(restored.context).toEqual([{ id: entryId, content: 'viewed pricing', timestamp: 1 }]);
+    expect(restored.messageHistory).toEqual([{ id: messageId, content: 'Do you ship to Canada?', role: 'user', createdAt: expect.any(Number), updatedAt: expect.any(Number), status: 'complete' }]);
+  });
+
+  test('the key provider is called once and may be async', async () => {
+    const key = await createKey();
+    const provider = jest.fn(async () => key);
+    const storage = createMemoryStorageAdapter();
+
+    const agent = createAgent({ storage, encryptionKey: provider });
+    agent.addContextEntry('one', 1);
+    agent.addContextEntry('two', 2);
+    await agent.dispose();
+
+    expect(provider).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(await encryption.decryptValue(key, storage.get('heylock:E1:context'))).data).toHaveLength(2);
+  });
+
+  test('values that cannot be decrypted are kept aside and not restored', async () => {
+    const storage = createMemoryStorageAdapter();
+    const writer = createAgent({ storage, encryptionKey: await createKey() });
+    writer.addContextEntry('secret', 1);
+    await writer.dispose();
+    const ciphertext = storage.get('heylock:E1:context');
+
+    const readerKey = await createKey();
+    const reader = createAgent({ storage, encryptionKey: readerKey });
+    await reader.ready();
+
+    expect(reader.context).toEqual([]);
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringMatching(/could not be decrypted.*heylock:E1:context:unreadable/), expect.stringMatching(/could not be decrypted with this key/));
+    await reader.dispose();
+
+    // The kept value is saved like everything else, so it is encrypted with the reader's key
+    const kept = JSON.parse(await encryption.decryptValue(readerKey, storage.get('heylock:E1:context:unreadable')));
+    expect(kept.value).toBe(ciphertext);
+  });
+
+  test('plain values from before encryption are read and encrypted on the next save; encrypted values need a key', async () => {
+    const key = await createKey();
+    const storage = createMemoryStorageAdapter({ 'heylock:E1:context': JSON.stringify([{ content: 'legacy', timestamp: 1 }]) });
+
+    const agent = createAgent({ storage, encryptionKey: key });
+    await agent.ready();
+    expect(agent.context).toEqual([{ id: expect.any(String), content: 'legacy', timestamp: 1 }]);
+
+    agent.addContextEntry('new', 2);
+    await agent.dispose();
+    expect(encryption.isEncryptedValue(storage.get('heylock:E1:context'))).toBe(true);
+
+    const withoutKey = createAgent({ storage });
+    expect(withoutKey.context).toEqual([]);
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringMatching(/is encrypted, but no encryptionKey was given/));
+  });
+
+  test('encryptionKey is validated', async () => {
+    expect(() => new Heylock('KEY', { encryptionKey: 'secret' })).toThrow(/encryptionKey must be a CryptoKey or a function that returns one/);
+
+    const agent = createAgent({ storage: createMemoryStorageAdapter(), encryptionKey: () => 'not a key' });
+    agent.addContextEntry('unsaved');
+    await agent.dispose();
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringMatching(/Data was not saved/));
+  });
+});
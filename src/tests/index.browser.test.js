@@ -81,8 +81,9 @@ describe('Heylock (browser storage)', () => {
     const raw = localStorage.getItem(key);
     expect(raw).toBeTruthy();
     const parsed = JSON.parse(raw);
-    expect(Array.isArray(parsed)).toBe(true);
-    expect(parsed[0].content).toBe('hello world');
+    expect(parsed.version).toBe(1);
+    expect(Array.isArray(parsed.data)).toBe(true);
+    expect(parsed.data[0].content).toBe('hello world');
   });
 
   test('restores valid context from localStorage on construction', async () => {
@@ -139,6 +140,7 @@ describe('Heylock (browser storage)', () => {
     const agent = new Heylock('KEY', { agentId: 'A5', useStorage: true, suppressWarnings: false });
     expect(agent.context.length).toBe(0);
     expect(warnSpy).toHaveBeenCalledWith(expect.stringMatching(/Stored context is invalid/));
+    expect(JSON.parse(localStorage.getItem(`${key}:unreadable`)).value).toBe(JSON.stringify([{ content: 123 }, 'bad']));
     await new Promise((r) => agent.onInitialized(r));
   });
 
@@ -148,4 +150,100 @@ describe('Heylock (browser storage)', () => {
     agent.addContextEntry('persist me');
     expect(warnSpy).not.toHaveBeenCalled();
   });
+
+  test('dispose flushes context to storage and stops syncing', async () => {
+    const agent = await initHappy({ opts: { agentId: 'A9' } });
+    const key = 'heylock:A9:context';
+    agent.addContextEntry('before dispose', 0);
+    localStorage.removeItem(key);
+
+    agent.dispose();
+    expect(JSON.parse(localStorage.getItem(key)).data[0].content).toBe('before dispose');
+
+    localStorage.removeItem(key);
+    expect(() => agent.clearContext()).toThrow(/disposed/);
+    expect(localStorage.getItem(key)).toBeNull();
+  });
+
+  test('message history is not persisted unless enabled', async () => {
+    const agent = await initHappy({ opts: { agentId: 'H1' } });
+    agent.addMessage('hello', 'user');
+    expect(localStorage.getItem('heylock:H1:messageHistory')).toBeNull();
+  });
+
+  test('persists message history under its own key and restores it on construction', async () => {
+    const agent = await initHappy({ opts: { agentId: 'H2', persistMessageHistory: true } });
+    agent.addMessage('hello', 'user');
+    agent.addMessage('hi there', 'assistant');
+
+    expect(JSON.parse(localStorage.getItem('heylock:H2:messageHistory')).data).toEqual([
+      { id: expect.any(String), content: 'hello', role: 'user', createdAt: expect.any(Number), updatedAt: expect.any(Number), status: 'complete' },
+      { id: expect.any(String), content: 'hi there', role: 'assistant', createdAt: expect.any(Number), updatedAt: expect.any(Number), status: 'complete' },
+    ]);
+
+    const reloaded = await initHappy({ opts: { agentId: 'H2', persistMessageHistory: true } });
+    expect(reloaded.messageHistory).toEqual(agent.messageHistory);
+  });
+
+  test('keeps only the newest maxPersistedMessages messages', async () => {
+    const agent = await initHappy({ opts: { agentId: 'H3', persistMessageHistory: true, maxPersistedMessages: 2 } });
+    agent.addMessage('one', 'user');
+    agent.addMessage('two', 'assistant');
+    agent.addMessage('three', 'user');
+
+    expect(agent.messageHistory).toHaveLength(3);
+    expect(JSON.parse(localStorage.getItem('heylock:H3:messageHistory')).data.map((m) => m.content)).toEqual(['two', 'three']);
+
+    localStorage.setItem('heylock:H4:messageHistory', JSON.stringify([
+      { content: 'a', role: 'user' },
+      { content: 'b', role: 'assistant' },
+      { content: 'c', role: 'user' },
+    ]));
+    const restored = await initHappy({ opts: { agentId: 'H4', persistMessageHistory: true, maxPersistedMessages: 2 } });
+    expect(restored.messageHistory.map((m) => m.content)).toEqual(['b', 'c']);
+  });
+
+  test('stored message history that fails setMessageHistory validation is not restored', async () => {
+    localStorage.setItem('heylock:H5:messageHistory', JSON.stringify([{ content: 'ok', role: 'user' }, { content: 'bad', role: 'system' }]));
+    const agent = await initHappy({ opts: { agentId: 'H5', persistMessageHistory: true, suppressWarnings: false } });
+    expect(agent.messageHistory).toEqual([]);
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringMatching(/Stored message history is invalid/), expect.stringMatching(/index 1 is invalid/));
+
+    localStorage.setItem('heylock:H6:messageHistory', '{not json');
+    const broken = await initHappy({ opts: { agentId: 'H6', persistMessageHistory: true, suppressWarnings: false } });
+    expect(broken.messageHistory).toEqual([]);
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringMatching(/Failed to parse stored message history/));
+  });
+
+  test('message history persistence options are validated', () => {
+    expect(() => new Heylock('KEY', { persistMessageHistory: 'yes' })).toThrow(/persistMessageHistory must be a boolean/);
+    expect(() => new Heylock('KEY', { maxPersistedMessages: 0 })).toThrow(/maxPersistedMessages must be a positive integer/);
+  });
+
+  test('without BroadcastChannel, syncTabs applies storage events from other tabs', async () => {
+    expect(typeof BroadcastChannel).toBe('undefined');
+    const agent = await initHappy({ opts: { agentId: 'T1', syncTabs: true, persistMessageHistory: true } });
+    agent.addContextEntry('local entry', 1);
+    const contextListener = jest.fn();
+    agent.onContextChange(contextListener);
+
+    // Another tab added an entry to the same stored context
+    const oldValue = localStorage.getItem('heylock:T1:context');
+    const { data } = JSON.parse(oldValue);
+    const newValue = JSON.stringify({ version: 1, data: [...data, { content: 'other tab', timestamp: 2 }] });
+    window.dispatchEvent(new StorageEvent('storage', { key: 'heylock:T1:context', oldValue, newValue }));
+
+    expect(agent.context.map((entry) => entry.content)).toEqual(['local entry', 'other tab']);
+    expect(contextListener).toHaveBeenCalledTimes(1);
+
+    window.dispatchEvent(new StorageEvent('storage', { key: 'heylock:T1:messageHistory', oldValue: null, newValue: JSON.stringify([{ content: 'Hi', role: 'user' }]) }));
+    expect(agent.messageHistory).toEqual([{ id: expect.any(String), content: 'Hi', role: 'user', createdAt: expect.any(Number), updatedAt: expect.any(Number), status: 'complete' }]);
+
+    window.dispatchEvent(new StorageEvent('storage', { key: 'heylock:T1:context', oldValue, newValue: '{broken' }));
+    expect(agent.context).toHaveLength(2);
+
+    await agent.dispose();
+    window.dispatchEvent(new StorageEvent('storage', { key: 'heylock:T1:context', oldValue: newValue, newValue: '[]' }));
+    expect(agent.context).toHaveLength(2);
+  });
 });
@@ -48,7 +48,8 @@ describe('Heylock (defensive/cross-env)', () => {
     agent = undefined;
   });
 
-  afterEach(() => {
+  afterEach(async () => {
+    await agent?.dispose();
     delete global.fetch;
     agent = undefined;
   });
@@ -56,6 +56,7 @@ describe('Heylock', () => {
 	let Heylock;
 	let fetchMock;
 	let warnSpy;
+	let agents;
 
 	beforeEach(async () => {
 		jest.useFakeTimers();
@@ -65,16 +66,25 @@ describe('Heylock', () => {
 		fetchMock = jest.fn();
 		global.fetch = fetchMock;
 
-		Heylock = await getHeylock();
+		// Every agent is disposed after its test so no request or timer outlives it
+		const BaseHeylock = await getHeylock();
+		agents = [];
+		Heylock = class extends BaseHeylock {
+			constructor(...args) {
+				super(...args);
+				agents.push(this);
+			}
+		};
 	});
 
-	afterEach(() => {
+	afterEach(async () => {
+		await Promise.all(agents.map((agent) => agent.dispose()));
 		jest.useRealTimers();
 		warnSpy.mockRestore();
 		delete global.fetch;
 	});
 
-	async function initHappyPath({ usage = { messages: 10, sorts: 5, rewrites: 7 } } = {}) {
+	async function initHappyPath({ usage = { messages: 10, sorts: 5, rewrites: 7 }, options = {} } = {}) {
 		// 1) verifyKey, 2) fetchUsageRemaining
 		fetchMock
 			.mockResolvedValueOnce(jsonResponse(200, { valid: true }))
@@ -88,7 +98,7 @@ describe('Heylock', () => {
 				})
 			);
 
-		const agent = new Heylock('KEY', { suppressWarnings: true });
+		const agent = new Heylock('KEY', { suppressWarnings: true, ...options });
 
 		const initialized = await new Promise((resolve) => {
 			agent.onInitialized((success) => resolve(success));
@@ -239,10 +249,11 @@ describe('Heylock', () => {
 		expect(out).toBe('Hi!');
 		expect(agent.messageHistory.length).toBe(0); // saveToMessageHistory = false
 
-		// check body contains context string and greeting intent
+		// check body contains context string and greeting intent, sent as instructions rather than user text
 		const call = fetchMock.mock.calls.at(-1);
 		const body = JSON.parse(call[1].body);
-		expect(body.content).toMatch(/Greet the visitor/i);
+		expect(body.content).not.toMatch(/Greet the visitor/i);
+		expect(body.instructions).toMatch(/Greet the visitor/i);
 		expect(body.context).toMatch(/loves jazz/);
 	});
 
@@ -381,6 +392,88 @@ describe('Heylock', () => {
 			expect(s).toMatch(/1 minute/);
 		});
 
+		test('ID-based context methods stay correct after earlier entries are removed', async () => {
+			const agent = await initHappyPath();
+			const firstId = agent.addContextEntry('opened pricing');
+			const secondId = agent.addContextEntry('opened cart');
+
+			expect(firstId).not.toBe(secondId);
+			expect(agent.context.map((entry) => entry.id)).toEqual([firstId, secondId]);
+
+			agent.removeContextEntry(0);
+			agent.modifyContextEntryById(secondId, 'emptied cart');
+			expect(agent.getContextEntry(secondId)).toEqual({ id: secondId, content: 'emptied cart', timestamp: Date.now() });
+			expect(agent.getContextEntry(firstId)).toBeNull();
+
+			// Index-based changes keep the ID
+			agent.modifyContextEntry(0, 'refilled cart');
+			expect(agent.context[0].id).toBe(secondId);
+
+			agent.removeContextEntryById(secondId);
+			expect(agent.context).toEqual([]);
+
+			expect(() => agent.removeContextEntryById(secondId)).toThrow(/removeContextEntryById failed: no context entry with id/);
+			expect(() => agent.modifyContextEntryById(firstId, '')).toThrow(/no context entry with id/);
+			expect(() => agent.getContextEntry(5)).toThrow(/id must be a non-empty string/);
+		});
+
+		test('setContext and setMessageHistory keep given IDs and reject duplicates', async () => {
+			const agent = await initHappyPath();
+
+			agent.setContext([{ id: 'entry-1', content: 'a' }, { content: 'b' }]);
+			expect(agent.context[0].id).toBe('entry-1');
+			expect(agent.context[1].id).toEqual(expect.any(String));
+			expect(() => agent.setContext([{ id: 'x', content: 'a' }, { id: 'x', content: 'b' }])).toThrow(/id 'x' at index 1 is already used/);
+			expect(() => agent.setContext([{ id: 7, content: 'a' }])).toThrow(/optional string 'id'/);
+
+			agent.setMessageHistory([{ id: 'message-1', content: 'Hi', role: 'user' }]);
+			expect(agent.getMessage('message-1')).toEqual({ id: 'message-1', content: 'Hi', role: 'user', createdAt: expect.any(Number), updatedAt: expect.any(Number), status: 'complete' });
+			expect(() => agent.setMessageHistory([{ id: 'm', content: 'a', role: 'user' }, { id: 'm', content: 'b', role: 'user' }])).toThrow(/id 'm' at index 1 is already used/);
+		});
+
+		test('ID-based message methods and IDs returned by addMessage', async () => {
+			const agent = await initHappyPath();
+			const questionId = agent.addMessage('Do you ship abroad?');
+			const answerId = agent.addMessage('Yes, worldwide.', 'assistant');
+
+			agent.removeMessageById(questionId);
+			agent.modifyMessageById(answerId, 'Yes, to 40 countries.');
+
+			expect(agent.messageHistory).toEqual([{ id: answerId, content: 'Yes, to 40 countries.', role: 'assistant', createdAt: expect.any(Number), updatedAt: expect.any(Number), status: 'complete' }]);
+			expect(agent.getMessage(questionId)).toBeNull();
+			expect(() => agent.modifyMessageById(questionId, 'x')).toThrow(/modifyMessageById failed: no message with id/);
+			expect(() => agent.modifyMessageById(answerId, 'x', 'bad')).toThrow(/modifyMessageById failed: role must be either/);
+		});
+
+		test('messageStream keeps updating its own reply when earlier messages are removed mid-stream', async () => {
+			const agent = await initHappyPath();
+			agent.addMessage('Earlier question');
+			agent.addMessage('Earlier answer', 'assistant');
+
+			fetchMock.mockResolvedValueOnce(streamResponse(200, [
+				JSON.stringify({ message: 'He', done: false }) + '\n',
+				JSON.stringify({ message: 'llo', done: false }) + '\n',
+				JSON.stringify({ done: true }) + '\n',
+			]));
+
+			const stream = agent.messageStream('Hello');
+			await stream.next();
+			agent.removeMessage(0);
+			agent.removeMessage(0);
+			while (!(await stream.next()).done);
+
+			expect(agent.messageHistory.map((message) => message.content)).toEqual(['Hello', 'Hello']);
+			expect(agent.messageHistory.map((message) => message.role)).toEqual(['user', 'assistant']);
+
+			// The request itself only carries content and role
+			const body = JSON.parse(fetchMock.mock.calls.at(-1)[1].body);
+			expect(body.history).toEqual([
+				{ content: 'Earlier question', role: 'user' },
+				{ content: 'Earlier answer', role: 'assistant' },
+				{ content: 'Hello', role: 'user' },
+			]);
+		});
+
 		test('storage warns in Node when useStorage is true', async () => {
 			// init must respond to verify
 			fetchMock.mockResolvedValueOnce(jsonResponse(200, { valid: true }));
@@ -472,6 +565,40 @@ describe('Heylock', () => {
 			await expect(agent.sort([1,2])).rejects.toThrow(/too many requests/);
 		});
 
+		test('custom fetch and baseUrl are used for every request', async () => {
+			const customFetch = jest.fn()
+				.mockResolvedValueOnce(jsonResponse(200, { valid: true }))
+				.mockResolvedValueOnce(
+					jsonResponse(200, { limits: { messages: { remaining: 1 }, sorts: { remaining: 1 }, rewrites: { remaining: 1 } } })
+				)
+				.mockResolvedValueOnce(jsonResponse(200, { message: 'ok' }))
+				.mockResolvedValueOnce(jsonResponse(200, { text: 'fixed' }))
+				.mockResolvedValueOnce(jsonResponse(200, { indexes: [1, 0] }));
+			delete global.fetch;
+
+			const agent = new Heylock('KEY', { baseUrl: 'http://localhost:4000/', fetch: customFetch, suppressWarnings: true });
+			expect(agent.baseUrl).toBe('http://localhost:4000');
+			expect(await new Promise((r) => agent.onInitialized(r))).toBe(true);
+
+			await agent.message('hi', false, false);
+			await agent.rewrite('plz fix');
+			await agent.sort(['a', 'b']);
+
+			expect(customFetch.mock.calls.map(([url]) => url)).toEqual([
+				'http://localhost:4000/api/internal/verifyKey',
+				'http://localhost:4000/api/v1/limits',
+				'http://localhost:4000/api/v1/message',
+				'http://localhost:4000/api/v1/rewrite',
+				'http://localhost:4000/api/v1/sort',
+			]);
+			expect(fetchMock).not.toHaveBeenCalled();
+		});
+
+		test('constructor validates baseUrl and fetch options', async () => {
+			expect(() => new Heylock('KEY', { baseUrl: 'heylock.dev' })).toThrow(/baseUrl must be an absolute http\(s\) URL/);
+			expect(() => new Heylock('KEY', { fetch: 'nope' })).toThrow(/fetch must be a function/);
+		});
+
 		test('disabling useMessageHistory omits history in payloads', async () => {
 			// init
 			fetchMock
@@ -504,4 +631,542 @@ describe('Heylock', () => {
 			const body2 = JSON.parse(call2[1].body);
 			expect('history' in body2).toBe(false);
 		});
+
+		test('retry is disabled by default', async () => {
+			const agent = await initHappyPath();
+			fetchMock.mockResolvedValueOnce({ status: 503, headers: makeHeaders({}) });
+			await expect(agent.rewrite('x')).rejects.toThrow(/rewrite failed/);
+			expect(fetchMock).toHaveBeenCalledTimes(3); // verify, limits, rewrite
+		});
+
+		test('retry backs off exponentially on transient statuses and reports each attempt', async () => {
+			const agent = await initHappyPath({ options: { retry: { maxAttempts: 3, baseDelayMs: 100, jitter: false } } });
+			const retries = [];
+			agent.onRetry((info) => retries.push(info));
+
+			fetchMock
+				.mockResolvedValueOnce({ status: 503, headers: makeHeaders({}) })
+				.mockRejectedValueOnce(new TypeError('fetch failed'))
+				.mockResolvedValueOnce(jsonResponse(200, { text: 'Fixed.' }));
+
+			const pending = agent.rewrite('plz fix');
+			await jest.runAllTimersAsync();
+
+			expect(await pending).toBe('Fixed.');
+			expect(retries.map(({ route, attempt, maxAttempts, delayMs, status }) => [route, attempt, maxAttempts, delayMs, status])).toEqual([
+				['rewrite', 2, 3, 100, 503],
+				['rewrite', 3, 3, 200, null],
+			]);
+			expect(retries[1].error).toMatchObject({ code: 'network', route: 'rewrite' });
+			expect(retries[1].error.cause).toBeInstanceOf(TypeError);
+		});
+
+		test('retry honors Retry-After and gives up when attempts run out', async () => {
+			const agent = await initHappyPath({ options: { retry: { maxAttempts: 2, baseDelayMs: 100 } } });
+			const retries = [];
+			agent.onRetry((info) => retries.push(info));
+
+			fetchMock
+				.mockResolvedValueOnce({ status: 429, headers: makeHeaders({ 'Retry-After': 2 }) })
+				.mockResolvedValueOnce({ status: 429, headers: makeHeaders({}) });
+
+			const pending = agent.sort([1, 2]);
+			const assertion = expect(pending).rejects.toThrow(/too many requests/);
+			await jest.runAllTimersAsync();
+			await assertion;
+
+			expect(retries.map(({ delayMs }) => delayMs)).toEqual([2000]);
+		});
+
+		test('retry never retries when Plan-Remaining shows the quota is used up', async () => {
+			const agent = await initHappyPath({ options: { retry: true } });
+			const onRetry = jest.fn();
+			agent.onRetry(onRetry);
+
+			fetchMock.mockResolvedValueOnce({ status: 429, headers: makeHeaders({ 'Plan-Remaining': 0 }) });
+			await expect(agent.message('x')).rejects.toThrow(/reached your message plan limit/);
+			expect(onRetry).not.toHaveBeenCalled();
+		});
+
+		test('message is only retried when the server rejected it unprocessed', async () => {
+			const agent = await initHappyPath({ options: { retry: { maxAttempts: 3, baseDelayMs: 100, jitter: false } } });
+			const onRetry = jest.fn();
+			agent.onRetry(onRetry);
+
+			fetchMock.mockRejectedValueOnce(new TypeError('fetch failed'));
+			await expect(agent.message('x', false, false)).rejects.toMatchObject({ code: 'network', route: 'message' });
+
+			fetchMock.mockResolvedValueOnce({ status: 502, headers: makeHeaders({}) });
+			await expect(agent.message('x', false, false)).rejects.toMatchObject({ status: 502 });
+
+			fetchMock.mockResolvedValueOnce({ status: 503, headers: makeHeaders({}) });
+			await expect(agent.message('x', false, false)).rejects.toMatchObject({ status: 503 });
+			expect(onRetry).not.toHaveBeenCalled();
+
+			fetchMock
+				.mockResolvedValueOnce({ status: 503, headers: makeHeaders({ 'Retry-After': 1 }) })
+				.mockResolvedValueOnce({ status: 429, headers: makeHeaders({}) })
+				.mockResolvedValueOnce(jsonResponse(200, { message: 'Hi!' }));
+
+			const pending = agent.message('x', false, false);
+			await jest.runAllTimersAsync();
+
+			expect(await pending).toBe('Hi!');
+			expect(onRetry.mock.calls.map(([{ route, status }]) => [route, status])).toEqual([['message', 503], ['message', 429]]);
+		});
+
+		test('retryNonIdempotent opts message into retrying network errors', async () => {
+			const agent = await initHappyPath({ options: { retry: { maxAttempts: 2, baseDelayMs: 100, retryNonIdempotent: true } } });
+
+			fetchMock
+				.mockRejectedValueOnce(new TypeError('fetch failed'))
+				.mockResolvedValueOnce(jsonResponse(200, { message: 'Hi!' }));
+
+			const pending = agent.message('x', false, false);
+			await jest.runAllTimersAsync();
+
+			expect(await pending).toBe('Hi!');
+		});
+
+		test('constructor validates retry options', async () => {
+			expect(() => new Heylock('KEY', { retry: 3 })).toThrow(/retry must be a boolean or an object/);
+			expect(() => new Heylock('KEY', { retry: { maxAttempts: 0 } })).toThrow(/retry.maxAttempts/);
+			expect(() => new Heylock('KEY', { retry: { baseDelayMs: 500, maxDelayMs: 100 } })).toThrow(/retry.maxDelayMs/);
+			expect(() => new Heylock('KEY', { retry: { retryNonIdempotent: 'yes' } })).toThrow(/retry.retryNonIdempotent must be a boolean/);
+		});
+
+		test('abort signal cancels a pending request with an AbortError', async () => {
+			const agent = await initHappyPath();
+			fetchMock.mockImplementationOnce((url, init) => new Promise((resolve, reject) => {
+				init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+			}));
+
+			const controller = new AbortController();
+			const pending = agent.rewrite('plz fix', undefined, true, { signal: controller.signal });
+			controller.abort();
+
+			await expect(pending).rejects.toMatchObject({ name: 'AbortError', message: expect.stringMatching(/rewrite failed: the request was cancelled/) });
+			expect(fetchMock.mock.calls.at(-1)[1].signal.aborted).toBe(true);
+		});
+
+		test('abort signal also cancels a request whose body is still being read', async () => {
+			const agent = await initHappyPath();
+			let bodySignal;
+			fetchMock.mockImplementationOnce(async (url, init) => {
+				bodySignal = init.signal;
+				return { status: 200, headers: makeHeaders({}), json: () => new Promise(() => {}) };
+			});
+
+			const controller = new AbortController();
+			const pending = agent.message('hi', false, true, { signal: controller.signal });
+			await jest.advanceTimersByTimeAsync(100);
+			controller.abort();
+
+			await expect(pending).rejects.toMatchObject({ name: 'AbortError', code: 'aborted', message: expect.stringMatching(/message failed: the request was cancelled/) });
+			expect(bodySignal.aborted).toBe(true);
+		});
+
+		test('already aborted signal fails without calling the API', async () => {
+			const agent = await initHappyPath();
+			const controller = new AbortController();
+			controller.abort();
+
+			await expect(agent.sort([1, 2], undefined, true, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+			await expect(agent.greet(undefined, true, true, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+			expect(fetchMock).toHaveBeenCalledTimes(2); // verify, limits
+		});
+
+		test('aborting messageStream mid-stream keeps the partial reply and stops reading', async () => {
+			const agent = await initHappyPath();
+			const cancel = jest.fn();
+			let releasePendingRead;
+			fetchMock.mockResolvedValueOnce({
+				status: 200,
+				headers: makeHeaders({}),
+				body: {
+					getReader() {
+						let reads = 0;
+						return {
+							read() {
+								if (reads++ === 0) return Promise.resolve({ done: false, value: encoder.encode(JSON.stringify({ message: 'Hel', done: false }) + '\n') });
+								return new Promise((resolve) => { releasePendingRead = resolve; });
+							},
+							cancel() {
+								cancel();
+								releasePendingRead({ done: true, value: undefined });
+								return Promise.resolve();
+							},
+						};
+					},
+				},
+			});
+
+			const controller = new AbortController();
+			const stream = agent.messageStream('Hello', true, true, { signal: controller.signal });
+			expect((await stream.next()).value).toBe('Hel');
+
+			const pending = stream.next();
+			controller.abort();
+
+			await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+			expect(cancel).toHaveBeenCalled();
+			expect(agent.messageHistory.at(-1)).toEqual({ id: expect.any(String), content: 'Hel', role: 'assistant', createdAt: expect.any(Number), updatedAt: expect.any(Number), status: 'cancelled', latencyMs: expect.any(Number) });
+		});
+
+		test('aborting messageStream before the first chunk marks the placeholder as cancelled', async () => {
+			const agent = await initHappyPath();
+			fetchMock.mockImplementationOnce((url, init) => new Promise((resolve, reject) => {
+				init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+			}));
+
+			const controller = new AbortController();
+			const pending = agent.messageStream('Hello', true, true, { signal: controller.signal }).next();
+			controller.abort();
+
+			await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+			expect(agent.messageHistory.at(-1)).toEqual({ id: expect.any(String), content: 'Response cancelled.', role: 'assistant', createdAt: expect.any(Number), updatedAt: expect.any(Number), status: 'cancelled', latencyMs: expect.any(Number) });
+		});
+
+		test('abort signal stops retry backoff', async () => {
+			const agent = await initHappyPath({ options: { retry: { maxAttempts: 3, baseDelayMs: 1000 } } });
+			fetchMock.mockResolvedValueOnce({ status: 503, headers: makeHeaders({}) });
+
+			const controller = new AbortController();
+			const pending = agent.rewrite('x', undefined, true, { signal: controller.signal });
+			await jest.advanceTimersByTimeAsync(10);
+			controller.abort();
+
+			await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+			expect(fetchMock).toHaveBeenCalledTimes(3); // verify, limits, one rewrite attempt
+		});
+
+		test('options.signal is validated', async () => {
+			const agent = await initHappyPath();
+			await expect(agent.message('x', true, true, { signal: 'nope' })).rejects.toThrow(/options.signal must be an AbortSignal/);
+			await expect(agent.shouldEngage(undefined, null)).rejects.toThrow(/options must be an object/);
+		});
+
+		test('requests time out with a TimeoutError using the global timeout', async () => {
+			const agent = await initHappyPath({ options: { timeoutMs: 5000 } });
+			fetchMock.mockImplementationOnce(() => new Promise(() => {}));
+
+			const pending = agent.sort([1, 2]);
+			const assertion = expect(pending).rejects.toMatchObject({ name: 'TimeoutError', message: expect.stringMatching(/sort failed: the request timed out after 5000 ms/) });
+			await jest.advanceTimersByTimeAsync(5000);
+			await assertion;
+		});
+
+		test('the timeout also covers reading the response body', async () => {
+			const agent = await initHappyPath({ options: { timeoutMs: 200 } });
+			let bodySignal;
+			fetchMock.mockImplementationOnce(async (url, init) => {
+				bodySignal = init.signal;
+				return { status: 200, headers: makeHeaders({}), json: () => new Promise(() => {}) };
+			});
+
+			const pending = agent.sort([1, 2]);
+			const assertion = expect(pending).rejects.toMatchObject({ name: 'TimeoutError', code: 'timeout', route: 'sort' });
+			await jest.advanceTimersByTimeAsync(200);
+			await assertion;
+			expect(bodySignal.aborted).toBe(true);
+		});
+
+		test('per-call timeoutMs overrides the global timeout', async () => {
+			const agent = await initHappyPath({ options: { timeoutMs: null } });
+			fetchMock.mockImplementationOnce(() => new Promise(() => {}));
+
+			const pending = agent.message('hi', false, false, { timeoutMs: 100 });
+			const assertion = expect(pending).rejects.toMatchObject({ name: 'TimeoutError', message: expect.stringMatching(/message failed/) });
+			await jest.advanceTimersByTimeAsync(100);
+			await assertion;
+		});
+
+		test('timed out attempts are retried when retry is enabled', async () => {
+			const agent = await initHappyPath({ options: { timeoutMs: 1000, retry: { maxAttempts: 2, baseDelayMs: 10, jitter: false } } });
+			fetchMock
+				.mockImplementationOnce(() => new Promise(() => {}))
+				.mockResolvedValueOnce(jsonResponse(200, { text: 'Fixed.' }));
+
+			const pending = agent.rewrite('x');
+			await jest.advanceTimersByTimeAsync(1010);
+			expect(await pending).toBe('Fixed.');
+		});
+
+		test('messageStream fails with a stream idle timeout when chunks stop arriving', async () => {
+			const agent = await initHappyPath({ options: { streamIdleTimeoutMs: 2000 } });
+			const cancel = jest.fn(() => Promise.resolve());
+			let reads = 0;
+			fetchMock.mockResolvedValueOnce({
+				status: 200,
+				headers: makeHeaders({}),
+				body: {
+					getReader() {
+						return {
+							read() {
+								if (reads++ === 0) return Promise.resolve({ done: false, value: encoder.encode(JSON.stringify({ message: 'Hi', done: false }) + '\n') });
+								return new Promise(() => {});
+							},
+							cancel,
+						};
+					},
+				},
+			});
+
+			const stream = agent.messageStream('Hello');
+			expect((await stream.next()).value).toBe('Hi');
+
+			const pending = stream.next();
+			const assertion = expect(pending).rejects.toMatchObject({ name: 'TimeoutError', code: 'stream_idle_timeout', message: expect.stringMatching(/no data was received from the stream for 2000 ms/) });
+			await jest.advanceTimersByTimeAsync(1999);
+			expect(cancel).not.toHaveBeenCalled();
+			await jest.advanceTimersByTimeAsync(1);
+			await assertion;
+			expect(cancel).toHaveBeenCalled();
+		});
+
+		test('timeout options are validated', async () => {
+			expect(() => new Heylock('KEY', { timeoutMs: 0 })).toThrow(/timeoutMs must be a positive number or null/);
+			expect(() => new Heylock('KEY', { streamIdleTimeoutMs: 'soon' })).toThrow(/streamIdleTimeoutMs must be a positive number or null/);
+
+			const agent = await initHappyPath();
+			await expect(agent.rewrite('x', undefined, true, { timeoutMs: -1 })).rejects.toThrow(/options.timeoutMs must be a positive number or null/);
+		});
+
+		test('ready resolves with the initialization result even when called afterwards', async () => {
+			const agent = await initHappyPath();
+			await expect(agent.ready()).resolves.toBe(true);
+
+			fetchMock.mockResolvedValueOnce(jsonResponse(200, { valid: false }));
+			const invalid = new Heylock('BAD', { suppressWarnings: true });
+			await expect(invalid.ready()).resolves.toBe(false);
+			expect(invalid.isInitialized).toBe(false);
+		});
+
+		test('reinitialize retries a failed initialization', async () => {
+			fetchMock.mockRejectedValueOnce(new TypeError('fetch failed'));
+			const agent = new Heylock('KEY', { suppressWarnings: true });
+			expect(await agent.ready()).toBe(false);
+
+			const initialized = jest.fn();
+			agent.onInitialized(initialized);
+			fetchMock
+				.mockResolvedValueOnce(jsonResponse(200, { valid: true }))
+				.mockResolvedValueOnce(jsonResponse(200, { limits: { messages: { remaining: 4 }, sorts: { remaining: 3 }, rewrites: { remaining: 2 } } }));
+
+			await expect(agent.reinitialize()).resolves.toBe(true);
+			await expect(agent.ready()).resolves.toBe(true);
+			expect(agent.isInitialized).toBe(true);
+			expect(agent.usageRemaining).toEqual({ messages: 4, sorts: 3, rewrites: 2 });
+			expect(initialized).toHaveBeenCalledWith(true);
+		});
+
+		test('setAgentKey verifies the new key and refreshes usage without losing history or context', async () => {
+			const agent = await initHappyPath();
+			agent.addMessage('hi', 'user');
+			agent.addContextEntry('opened page');
+
+			fetchMock
+				.mockResolvedValueOnce(jsonResponse(200, { valid: true }))
+				.mockResolvedValueOnce(jsonResponse(200, { limits: { messages: { remaining: 99 }, sorts: { remaining: 98 }, rewrites: { remaining: 97 } } }))
+				.mockResolvedValueOnce(jsonResponse(200, { text: 'ok' }));
+
+			const pending = agent.setAgentKey('NEW_KEY');
+			expect(agent.isInitialized).toBe(true);
+			await expect(pending).resolves.toBe(true);
+
+			expect(JSON.parse(fetchMock.mock.calls[2][1].body)).toEqual({ key: 'NEW_KEY' });
+			expect(fetchMock.mock.calls[3][1].headers.Authorization).toBe('NEW_KEY');
+			expect(agent.usageRemaining.messages).toBe(99);
+			expect(agent.messageHistory).toEqual([{ id: expect.any(String), content: 'hi', role: 'user', createdAt: expect.any(Number), updatedAt: expect.any(Number), status: 'complete' }]);
+			expect(agent.context.map((entry) => entry.content)).toEqual(['opened page']);
+
+			await agent.rewrite('x', undefined, false);
+			expect(fetchMock.mock.calls[4][1].headers.Authorization).toBe('NEW_KEY');
+
+			fetchMock.mockResolvedValueOnce(jsonResponse(200, { valid: false }));
+			await expect(agent.setAgentKey('REVOKED')).resolves.toBe(false);
+			expect(agent.isInitialized).toBe(true);
+			expect(agent.messageHistory).toHaveLength(1);
+		});
+
+		test('a rejected key passed to setAgentKey keeps the current key, state and usage', async () => {
+			const agent = await initHappyPath();
+			const initialized = jest.fn();
+			agent.onInitialized(initialized);
+
+			fetchMock.mockResolvedValueOnce(jsonResponse(200, { valid: false }));
+			await expect(agent.setAgentKey('REVOKED')).resolves.toBe(false);
+
+			expect(agent.agentKey).toBe('KEY');
+			expect(agent.isInitialized).toBe(true);
+			expect(agent.usageRemaining).toEqual({ messages: 10, sorts: 5, rewrites: 7 });
+			await expect(agent.ready()).resolves.toBe(true);
+			expect(initialized).not.toHaveBeenCalled();
+
+			fetchMock.mockResolvedValueOnce(jsonResponse(200, { text: 'ok' }));
+			await agent.rewrite('x', undefined, false);
+			expect(fetchMock.mock.calls.at(-1)[1].headers.Authorization).toBe('KEY');
+		});
+
+		test('only the latest initialization applies its result', async () => {
+			let resolveFirst;
+			fetchMock.mockImplementationOnce(() => new Promise((resolve) => { resolveFirst = resolve; }));
+			const agent = new Heylock('OLD', { suppressWarnings: true });
+			const first = agent.ready();
+
+			fetchMock
+				.mockResolvedValueOnce(jsonResponse(200, { valid: true }))
+				.mockResolvedValueOnce(jsonResponse(200, { limits: { messages: { remaining: 1 }, sorts: { remaining: 1 }, rewrites: { remaining: 1 } } }));
+			const second = agent.setAgentKey('NEW');
+			await expect(second).resolves.toBe(true);
+
+			resolveFirst(jsonResponse(200, { valid: false }));
+			await expect(first).resolves.toBe(true);
+			expect(agent.isInitialized).toBe(true);
+		});
+
+		test('setAgentKey validates its argument and is unavailable in proxy mode', async () => {
+			const agent = await initHappyPath();
+			expect(() => agent.setAgentKey('')).toThrow(/setAgentKey failed: agentKey must be a non-empty string/);
+
+			fetchMock.mockImplementationOnce(() => new Promise(() => {}));
+			const proxied = new Heylock(undefined, { proxyUrl: '/api/heylock' });
+			expect(() => proxied.setAgentKey('KEY')).toThrow(/held by the proxy/);
+		});
+
+		test('dispose aborts pending requests and streams without touching history', async () => {
+			const agent = await initHappyPath();
+			fetchMock.mockImplementationOnce(() => new Promise(() => {}));
+			const pending = agent.rewrite('x');
+
+			let reads = 0;
+			let finishRead;
+			// Like a real reader, cancel settles the pending read
+			const cancel = jest.fn(() => {
+				finishRead?.({ done: true, value: undefined });
+				return Promise.resolve();
+			});
+			fetchMock.mockResolvedValueOnce({
+				status: 200,
+				headers: makeHeaders({}),
+				body: {
+					getReader() {
+						return {
+							read() {
+								if (reads++ === 0) return Promise.resolve({ done: false, value: encoder.encode(JSON.stringify({ message: 'Hel', done: false }) + '\n') });
+								return new Promise((resolve) => { finishRead = resolve; });
+							},
+							cancel,
+						};
+					},
+				},
+			});
+			const stream = agent.messageStream('Hello');
+			expect((await stream.next()).value).toBe('Hel');
+			const nextChunk = stream.next();
+			const historyBefore = agent.messageHistory;
+
+			agent.dispose();
+
+			await expect(pending).rejects.toMatchObject({ name: 'HeylockStateError', code: 'disposed', route: 'rewrite' });
+			await expect(nextChunk).rejects.toMatchObject({ code: 'disposed' });
+			expect(cancel).toHaveBeenCalled();
+			expect(agent.messageHistory).toEqual(historyBefore);
+			expect(agent.isDisposed).toBe(true);
+			expect(agent.isInitialized).toBe(false);
+		});
+
+		test('dispose also cancels a request whose body is still being read', async () => {
+			const agent = await initHappyPath();
+			let bodySignal;
+			fetchMock.mockImplementationOnce(async (url, init) => {
+				bodySignal = init.signal;
+				return { status: 200, headers: makeHeaders({}), json: () => new Promise(() => {}) };
+			});
+
+			const pending = agent.message('hi');
+			await jest.advanceTimersByTimeAsync(100);
+			agent.dispose();
+
+			await expect(pending).rejects.toMatchObject({ name: 'HeylockStateError', code: 'disposed', route: 'message' });
+			expect(bodySignal.aborted).toBe(true);
+		});
+
+		test('dispose removes listeners and makes later calls fail with a disposed error', async () => {
+			const agent = await initHappyPath();
+			const historyListener = jest.fn();
+			const retryListener = jest.fn();
+			agent.onMessageHistoryChange(historyListener);
+			agent.onRetry(retryListener);
+
+			agent.dispose();
+			agent.dispose();
+
+			expect(() => agent.addMessage('hi')).toThrow(/addMessage failed: the agent has been disposed/);
+			expect(() => agent.onContextChange(() => {})).toThrow(/disposed/);
+			await expect(agent.ready()).rejects.toMatchObject({ name: 'HeylockStateError', code: 'disposed', message: expect.stringMatching(/ready failed: the agent has been disposed/) });
+			await expect(agent.message('hi')).rejects.toMatchObject({ code: 'disposed' });
+			await expect(agent.messageStream('hi').next()).rejects.toMatchObject({ code: 'disposed' });
+			await expect(agent.sort(['a', 'b'])).rejects.toThrow(/sort failed: the agent has been disposed/);
+			expect(historyListener).not.toHaveBeenCalled();
+			expect(fetchMock).toHaveBeenCalledTimes(2);
+		});
+
+		test('dispose during initialization never reports success', async () => {
+			let resolveVerify;
+			fetchMock.mockImplementationOnce(() => new Promise((resolve) => { resolveVerify = resolve; }));
+			const agent = new Heylock('KEY', { suppressWarnings: true });
+			const initialized = jest.fn();
+			agent.onInitialized(initialized);
+			const ready = agent.ready();
+
+			agent.dispose();
+			resolveVerify(jsonResponse(200, { valid: true }));
+
+			await expect(ready).resolves.toBe(false);
+			expect(initialized).not.toHaveBeenCalled();
+			expect(agent.isInitialized).toBe(false);
+		});
+
+		test('HTTP failures reject with a HeylockHttpError carrying code, status, route and plan usage', async () => {
+			const { HeylockError, HeylockHttpError } = await import('../index.js');
+			const agent = await initHappyPath();
+
+			fetchMock.mockResolvedValueOnce({ status: 429, headers: makeHeaders({ 'Plan-Remaining': 0 }) });
+			const quotaError = await agent.rewrite('x').catch((e) => e);
+			expect(quotaError).toBeInstanceOf(HeylockHttpError);
+			expect(quotaError).toBeInstanceOf(HeylockError);
+			expect(quotaError).toMatchObject({ code: 'quota_exhausted', status: 429, route: 'rewrite', planRemaining: 0 });
+
+			fetchMock.mockResolvedValueOnce({ status: 429, headers: makeHeaders({}) });
+			await expect(agent.sort(['a', 'b'])).rejects.toMatchObject({ code: 'rate_limited', status: 429, route: 'sort', planRemaining: null });
+
+			const cases = [[400, 'bad_request'], [401, 'unauthorized'], [500, 'server_error'], [502, 'upstream_error']];
+			for (const [status, code] of cases) {
+				fetchMock.mockResolvedValueOnce({ status });
+				await expect(agent.message('Hi', false, false)).rejects.toMatchObject({ name: 'HeylockHttpError', code, status, route: 'message' });
+			}
+		});
+
+		test('network, response and state failures carry their own codes', async () => {
+			const { HeylockNetworkError, HeylockResponseError, HeylockStateError, ERROR_CODES } = await import('../index.js');
+			const agent = await initHappyPath();
+
+			const cause = new TypeError('fetch failed');
+			fetchMock.mockRejectedValueOnce(cause);
+			const networkError = await agent.rewrite('x').catch((e) => e);
+			expect(networkError).toBeInstanceOf(HeylockNetworkError);
+			expect(networkError).toMatchObject({ code: ERROR_CODES.NETWORK, status: null, route: 'rewrite', cause });
+
+			fetchMock.mockResolvedValueOnce(jsonResponse(200, { unexpected: true }));
+			const responseError = await agent.rewrite('x').catch((e) => e);
+			expect(responseError).toBeInstanceOf(HeylockResponseError);
+			expect(responseError).toMatchObject({ code: ERROR_CODES.INVALID_RESPONSE, route: 'rewrite' });
+
+			fetchMock.mockImplementationOnce(() => new Promise(() => {}));
+			const pending = new Heylock('KEY');
+			const stateError = await pending.fetchUsageRemaining().catch((e) => e);
+			expect(stateError).toBeInstanceOf(HeylockStateError);
+			expect(stateError.code).toBe(ERROR_CODES.NOT_INITIALIZED);
+		});
 });
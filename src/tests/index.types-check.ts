@@ -5,10 +5,44 @@
 import {
 	AgentOptions,
 	Message,
+	MessageStatus,
+	Thread,
 	ContextEntry,
+	ContextEntryMetadata,
+	ContextFilter,
+	ContextBuildResult,
+	ContextFormatOptions,
+	ContextCoalescingOptions,
+	RedactionOptions,
+	RedactionRule,
+	SessionManager,
+	SessionManagerOptions,
+	Activity,
+	ActivityTrackerOptions,
+	ScoredContextEntry,
 	UsageRemaining,
 	ShouldEngageResult,
 	SortResult,
+	ProxyHandlerOptions,
+	RetryOptions,
+	RetryInfo,
+	RequestOptions,
+	MessageRequestOptions,
+	ResponseLength,
+	createProxyHandler,
+	createSessionManager,
+	createNodeProxyHandler,
+	StorageAdapter,
+	createLocalStorageAdapter,
+	createSessionStorageAdapter,
+	createIndexedDBAdapter,
+	createMemoryStorageAdapter,
+	createFileStorageAdapter,
+	ERROR_CODES,
+	HeylockErrorCode,
+	HeylockError,
+	HeylockHttpError,
+	HeylockTimeoutError,
 	default as Heylock
 } from '../types';
 
@@ -44,6 +78,16 @@ agent.addContextEntry('ctx', Date.now());
 agent.removeContextEntry(0);
 agent.modifyContextEntry(0, 'ctx2', Date.now());
 agent.setContext([{ content: 'ctx', timestamp: Date.now() }]);
+const messageId: string = agent.addMessage('by id');
+const foundMessage: Message | null = agent.getMessage(messageId);
+agent.modifyMessageById(messageId, 'updated', 'assistant');
+agent.removeMessageById(messageId);
+const entryId: string = agent.addContextEntry('by id');
+const foundEntry: ContextEntry | null = agent.getContextEntry(entryId);
+agent.modifyContextEntryById(entryId, 'updated', Date.now());
+agent.removeContextEntryById(entryId);
+agent.setContext([{ id: 'kept', content: 'ctx' }]);
+agent.setMessageHistory([{ id: 'kept', content: 'hi', role: 'user' }]);
 agent.clearContext();
 agent.getContextString();
 agent.fetchUsageRemaining();
@@ -53,3 +97,190 @@ agent.greet('hi');
 agent.shouldEngage('hi');
 agent.rewrite('hi');
 agent.sort(['a', 'b']);
+
+// Proxy handlers and proxy mode
+const proxyOptions: ProxyHandlerOptions = { baseUrl: 'https://heylock.dev' };
+const proxyHandler: (request: Request) => Promise<Response> = createProxyHandler('KEY', proxyOptions);
+createNodeProxyHandler('KEY');
+const proxiedAgent = new Heylock(null, { proxyUrl: '/api/heylock' });
+const proxyUrl: string | null = proxiedAgent.proxyUrl;
+
+// Retry
+const retryOptions: RetryOptions = { maxAttempts: 4, baseDelayMs: 100, maxDelayMs: 2000, jitter: false, respectRetryAfter: true };
+new Heylock('KEY', { retry: retryOptions });
+new Heylock('KEY', { retry: true });
+const unsubscribeRetry: () => void = agent.onRetry((info: RetryInfo) => info.attempt);
+
+// Cancellation
+const requestOptions: RequestOptions = { signal: new AbortController().signal, timeoutMs: 5000, streamIdleTimeoutMs: null };
+new Heylock('KEY', { timeoutMs: 10000, streamIdleTimeoutMs: null });
+const defaultTimeout: number | null = agent.timeoutMs;
+agent.message('hi', true, true, requestOptions);
+agent.messageStream('hi', true, true, requestOptions);
+agent.greet(undefined, true, true, requestOptions);
+agent.shouldEngage(undefined, requestOptions);
+agent.rewrite('hi', undefined, true, requestOptions);
+agent.sort(['a', 'b'], undefined, true, requestOptions);
+agent.fetchUsageRemaining(requestOptions);
+
+// Check error hierarchy
+async function _checkErrors() {
+	try {
+		await agent.message('hi');
+	} catch (error) {
+		if (error instanceof HeylockError) {
+			const code: HeylockErrorCode = error.code;
+			const status: number | null = error.status;
+			const route: string | null = error.route;
+			const planRemaining: number | null = error.planRemaining;
+			if (code === ERROR_CODES.QUOTA_EXHAUSTED && error instanceof HeylockHttpError) {
+				const httpStatus: number = error.status;
+			}
+		}
+		if (error instanceof HeylockTimeoutError) {
+			const timeoutMs: number = error.timeoutMs;
+		}
+	}
+}
+
+// Check initialization lifecycle
+async function _checkInitialization() {
+	const ready: boolean = await agent.ready();
+	const reinitialized: boolean = await agent.reinitialize();
+	const rotated: boolean = await agent.setAgentKey('NEW_KEY');
+	const disposed: boolean = agent.isDisposed;
+	await agent.dispose();
+}
+
+// Check storage adapters
+const asyncAdapter: StorageAdapter = {
+	get: async (key: string) => null,
+	set: async (key: string, value: string) => {},
+	remove: async (key: string) => {},
+};
+const adapters: StorageAdapter[] = [
+	asyncAdapter,
+	createLocalStorageAdapter(),
+	createSessionStorageAdapter(),
+	createIndexedDBAdapter({ databaseName: 'app', storeName: 'state' }),
+	createMemoryStorageAdapter({ 'heylock:default:context': '[]' }),
+	createFileStorageAdapter('./state.json'),
+];
+const storedAgent = new Heylock('KEY', { storage: adapters[0] });
+const historyAgent = new Heylock('KEY', { persistMessageHistory: true, maxPersistedMessages: 50 });
+const syncedAgent = new Heylock('KEY', { persistMessageHistory: true, syncTabs: true });
+const encryptedAgent = new Heylock('KEY', { encryptionKey: () => crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']) });
+const retainingAgent = new Heylock('KEY', { contextRetention: { maxAgeMs: 60000, maxEntries: 20, maxChars: null } });
+const stopEvictionLog = retainingAgent.onContextEviction((evicted) => evicted.map(({ content, reason }) => `${content}: ${reason}`));
+const retainedEntries: number | null = retainingAgent.contextRetention.maxEntries;
+
+// Check structured context entries
+const metadata: ContextEntryMetadata = { tags: ['shopping'], source: 'event', weight: 2, attributes: { sku: 'RS-42', price: 89.9, inStock: true } };
+const taggedId: string = agent.addContextEntry('Added shoes to cart', undefined, metadata);
+agent.modifyContextEntryById(taggedId, 'Added boots to cart', undefined, { weight: 3 });
+const entryTags: readonly string[] | undefined = agent.getContextEntry(taggedId)?.tags;
+const supportFilter: ContextFilter = { includeTags: ['support'], excludeTags: ['internal'], sources: ['server'], minWeight: 1 };
+const filteredContext: string = agent.getContextString(supportFilter);
+agent.setContext([{ content: 'Opened FAQ', tags: ['support'], source: 'page' }]);
+async function _checkContextFilter() {
+	await agent.sort(['a', 'b'], 'Most relevant first', true, { contextFilter: { includeTags: ['shopping'] } });
+	await agent.message('Help', true, true, { contextFilter: supportFilter, timeoutMs: 5000 });
+}
+
+// Check budgeted context
+const budgetedAgent = new Heylock('KEY', { contextBudget: { maxTokens: 500, ranking: { relevance: 2 }, recencyHalfLifeMs: 600000 } });
+const budgetTokens: number | null | undefined = budgetedAgent.contextBudget?.maxTokens;
+const contextBuild: ContextBuildResult = budgetedAgent.buildContext({ query: 'Which size?', filter: { includeTags: ['shopping'] }, budget: { maxChars: 400 } });
+const includedScores: number[] = contextBuild.included.map((entry: ScoredContextEntry) => entry.score);
+const stopContextBuildLog = budgetedAgent.onContextBuild((build, route) => `${route}: ${build.approxTokens}`);
+async function _checkContextBudget() {
+	await budgetedAgent.message('Hi', true, true, { contextBudget: null });
+	await budgetedAgent.rewrite('text', 'shorter', true, { contextBudget: { maxChars: 200 } });
+}
+
+// Check context formats
+const localizedAgent = new Heylock('KEY', { contextFormat: { locale: 'de', style: 'bullets' } });
+const formatLocale: string | null = localizedAgent.contextFormat.locale;
+const isoContext: string = agent.getContextString(undefined, { style: 'json', time: 'iso' });
+const templatedContext: string = agent.getContextString(undefined, { template: '[{isoTime}] {content} ({tags})' });
+const customFormat: ContextFormatOptions = { formatEntry: (entry, { relativeTime }) => `${entry.content} — ${relativeTime}` };
+const customBuild: ContextBuildResult = agent.buildContext({ format: customFormat });
+async function _checkContextFormat() {
+	await agent.message('Hallo', true, true, { contextFormat: { locale: 'de' } });
+}
+
+// Check activity tracking
+const trackerOptions: ActivityTrackerOptions = {
+	allow: { events: ['pageView', 'click'], paths: ['/shop', /^\/blog\//] },
+	rules: [
+		{ type: ['click', 'formFocus'], selector: '.checkout', tags: ['shopping'], weight: 2 },
+		{ path: '/shop/admin', ignore: true },
+		{ type: 'pageView', content: (activity: Activity) => activity.title ? `Opened ${activity.title}` : null },
+	],
+	debounceMs: 2000,
+	clickAttribute: 'data-track',
+	scrollThresholds: [50, 100],
+};
+const stopTracking: () => void = agent.trackActivity(trackerOptions);
+
+// Check context coalescing
+const coalescing: ContextCoalescingOptions = { windowMs: 60_000, similarity: 0.8 };
+const coalescingAgent = new Heylock('KEY', { contextCoalescing: coalescing });
+const coalescingPolicy: Readonly<Required<ContextCoalescingOptions>> | null = coalescingAgent.contextCoalescing;
+const coalescedId: string = coalescingAgent.addContextEntry('Viewed product X', undefined, undefined, { coalesce: true });
+const occurrences: number | undefined = coalescingAgent.getContextEntry(coalescedId)?.count;
+coalescingAgent.setContext([{ content: 'Viewed product Y', count: 3 }]);
+new Heylock('KEY', { contextCoalescing: true });
+
+// Check redaction
+const orderRule: RedactionRule = { name: 'order_id', pattern: /ORD-\d{6}/ };
+const redaction: RedactionOptions = {
+	detectors: ['email', 'card'],
+	rules: [orderRule, { name: 'member', match: (text: string) => text.match(/M-\d+/g) ?? [] }],
+	restoreTokens: true,
+};
+const redactingAgent = new Heylock('KEY', { redaction });
+const redactionPolicy: boolean | undefined = redactingAgent.redaction?.restoreTokens;
+new Heylock('KEY', { redaction: true });
+
+// Check session manager
+const sessionOptions: SessionManagerOptions = { store: createMemoryStorageAdapter(), idleTimeoutMs: 60_000, useMessageHistory: true, redaction: true };
+const sessions: SessionManager = createSessionManager('KEY', sessionOptions);
+const activeSessionIds: ReadonlyArray<string> = sessions.activeSessionIds;
+const stopSessionEvictions: () => void = sessions.onSessionEviction((userId: string) => console.log(userId));
+async function _checkSessions() {
+	const verified: boolean = await sessions.ready();
+	const session: Heylock = await sessions.getSession('user-1');
+	const hasSession: boolean = sessions.hasSession('user-1');
+	await sessions.endSession('user-1');
+	await sessions.deleteSession('user-1');
+	await sessions.dispose();
+}
+
+// Check message metadata
+const lastMessage: Message | undefined = agent.messageHistory[agent.messageHistory.length - 1];
+const lastStatus: MessageStatus | undefined = lastMessage?.status;
+const lastUpdatedAt: number | undefined = lastMessage?.updatedAt;
+const lastLatencyMs: number | undefined = lastMessage?.latencyMs;
+const lastErrorCode: HeylockErrorCode | undefined = lastMessage?.errorCode;
+agent.setMessageHistory([{ content: 'Hi', role: 'user', createdAt: 1, status: 'complete' }]);
+
+// Check per-call message options
+const replyLength: ResponseLength = 'short';
+const messageOptions: MessageRequestOptions = { persona: 'A cheerful chef', responseLength: replyLength, language: 'it', extraContext: 'Has eggs', signal: new AbortController().signal };
+async function _checkMessageOptions() {
+	const reply: string = await agent.message('Dinner ideas?', true, true, messageOptions);
+	for await (const chunk of agent.messageStream('Dinner ideas?', false, false, { instructions: 'Answer as a list' })) console.log(chunk);
+	await agent.greet(undefined, true, true, { language: 'de' });
+}
+
+// Check conversation threads
+const threadId: string = agent.createThread('Order #1234');
+agent.switchThread(threadId);
+agent.renameThread(threadId, 'Order question');
+const threadList: ReadonlyArray<Thread> = agent.threads;
+const activeThreadId: string = agent.activeThreadId;
+const threadMessageCount: number = threadList[0].messageCount;
+const stopThreadUpdates: () => void = agent.onThreadsChange((threads: ReadonlyArray<Thread>, active: string) => console.log(threads.length, active));
+const stopThreadHistoryUpdates: () => void = agent.onMessageHistoryChange((history: Array<Message>, changedThreadId: string) => console.log(history.length, changedThreadId));
+agent.deleteThread(threadId);
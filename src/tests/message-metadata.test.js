@@ -0,0 +1,190 @@
+/* eslint-disable no-undef */
+// Tests for message metadata: timestamps, reply status, error codes and latency
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function streamResponse(messages) {
+  const lines = [...messages.map((message) => JSON.stringify({ message, done: false })), JSON.stringify({ done: true })];
+  return new Response(lines.map((line) => `${line}\n`).join(''), { status: 200 });
+}
+
+function brokenStreamResponse(message) {
+  let isChunkSent = false;
+  const body = new ReadableStream({
+    pull(controller) {
+      if (isChunkSent) return controller.error(new TypeError('network connection lost'));
+      isChunkSent = true;
+      controller.enqueue(new TextEncoder().encode(`${JSON.stringify({ message, done: false })}\n`));
+    },
+  });
+  return new Response(body, { status: 200 });
+}
+
+describe('Heylock message metadata', () => {
+  let Heylock;
+  let createMemoryStorageAdapter;
+  let HeylockResponseError;
+  let fetchMock;
+  let replies;
+
+  beforeEach(async () => {
+    ({ default: Heylock, createMemoryStorageAdapter, HeylockResponseError } = await import('../index.js'));
+    replies = {};
+    fetchMock = jest.fn(async (url, init) => {
+      const route = String(url).split('/').pop();
+      if (route === 'message' && replies.status) return jsonResponse(replies.status, {});
+      if (route === 'message' && replies.broken) return brokenStreamResponse(replies.broken);
+      if (route === 'message' && JSON.parse(init.body).stream) return streamResponse(replies.stream ?? ['Hel', 'lo']);
+      if (route === 'message') return jsonResponse(200, { message: 'Hello' });
+      return jsonResponse(200, { valid: true, limits: { messages: { remaining: 5 }, sorts: { remaining: 5 }, rewrites: { remaining: 5 } } });
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  async function createAgent(options = {}) {
+    const agent = new Heylock('KEY', { fetch: fetchMock, useStorage: false, ...options });
+    await agent.ready();
+    return agent;
+  }
+
+  async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return chunks;
+  }
+
+  test('messages carry timestamps and a status; edits update updatedAt', () => {
+    jest.useFakeTimers({ now: 1000 });
+    const agent = new Heylock('KEY', { fetch: fetchMock, useStorage: false });
+
+    const id = agent.addMessage('Hi');
+    expect(agent.getMessage(id)).toEqual({ id, content: 'Hi', role: 'user', createdAt: 1000, updatedAt: 1000, status: 'complete' });
+
+    jest.setSystemTime(5000);
+    agent.modifyMessageById(id, 'Hi there');
+    expect(agent.getMessage(id)).toMatchObject({ createdAt: 1000, updatedAt: 5000 });
+  });
+
+  test('message records the latency of the reply', async () => {
+    const agent = await createAgent();
+
+    await agent.message('Hi');
+
+    expect(agent.messageHistory[1]).toEqual({ id: expect.any(String), content: 'Hello', role: 'assistant', createdAt: expect.any(Number), updatedAt: expect.any(Number), status: 'complete', latencyMs: expect.any(Number) });
+    await agent.dispose();
+  });
+
+  test('a streamed reply goes from pending to streaming to complete', async () => {
+    const agent = await createAgent();
+    const statuses = [];
+    agent.onMessageHistoryChange((messageHistory) => {
+      const reply = messageHistory.find((message) => message.role === 'assistant');
+      reply && statuses.push([reply.status, reply.content]);
+    });
+
+    expect(await readAll(agent.messageStream('Hi'))).toEqual(['Hel', 'lo']);
+
+    expect(statuses).toEqual([['pending', ''], ['streaming', 'Hel'], ['streaming', 'Hello'], ['complete', 'Hello']]);
+    expect(agent.messageHistory[1].latencyMs).toEqual(expect.any(Number));
+    await agent.dispose();
+  });
+
+  test('a failed stream is marked as an error with the error code', async () => {
+    const agent = await createAgent();
+    replies.status = 500;
+
+    await expect(readAll(agent.messageStream('Hi'))).rejects.toMatchObject({ code: 'server_error' });
+
+    expect(agent.messageHistory[1]).toMatchObject({ role: 'assistant', status: 'error', errorCode: 'server_error', latencyMs: expect.any(Number) });
+    await agent.dispose();
+  });
+
+  test('a stream that breaks off keeps the partial reply, marked as an error', async () => {
+    const agent = await createAgent();
+    replies.broken = 'Hel';
+    const chunks = [];
+
+    await expect((async () => {
+      for await (const chunk of agent.messageStream('Hi')) chunks.push(chunk);
+    })()).rejects.toMatchObject({ code: 'invalid_response' });
+
+    expect(chunks).toEqual(['Hel']);
+    expect(agent.messageHistory[1]).toMatchObject({ content: 'Hel', status: 'error', errorCode: 'invalid_response' });
+    await agent.dispose();
+  });
+
+  test('a streamed reply over the length limit is cut at it and marked as an error', async () => {
+    const agent = await createAgent();
+    replies.stream = ['a'.repeat(6000), 'b'.repeat(6000)];
+
+    const error = await readAll(agent.messageStream('Hi')).catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(HeylockResponseError);
+    expect(error).toMatchObject({ code: 'invalid_response', route: 'message', message: expect.stringMatching(/the reply exceeds maximum allowed length of 10000/) });
+    expect(agent.messageHistory[1]).toMatchObject({ status: 'error', errorCode: 'invalid_response' });
+    expect(agent.messageHistory[1].content).toBe(`${'a'.repeat(6000)}${'b'.repeat(4000)}`);
+    await agent.dispose();
+  });
+
+  test('a failed message or greet reply is recorded as an error with its code', async () => {
+    const agent = await createAgent();
+    const replyStatuses = [];
+    agent.onMessageHistoryChange((messageHistory) => {
+      const reply = messageHistory[messageHistory.length - 1];
+      reply.role === 'assistant' && replyStatuses.push(reply.status);
+    });
+    replies.status = 502;
+
+    await expect(agent.message('Hi')).rejects.toMatchObject({ code: 'upstream_error' });
+    await expect(agent.greet()).rejects.toMatchObject({ code: 'upstream_error' });
+
+    expect(replyStatuses).toEqual(['pending', 'error', 'pending', 'error']);
+    expect(agent.messageHistory).toEqual([
+      expect.objectContaining({ content: 'Hi', role: 'user', status: 'complete' }),
+      expect.objectContaining({ content: expect.stringMatching(/An error occurred/), role: 'assistant', status: 'error', errorCode: 'upstream_error', latencyMs: expect.any(Number) }),
+      expect.objectContaining({ role: 'assistant', status: 'error', errorCode: 'upstream_error', latencyMs: expect.any(Number) }),
+    ]);
+    await agent.dispose();
+  });
+
+  test('stopping the iteration early keeps the partial reply as cancelled', async () => {
+    const agent = await createAgent();
+
+    for await (const chunk of agent.messageStream('Hi')) {
+      if (chunk === 'Hel') break;
+    }
+
+    expect(agent.messageHistory[1]).toMatchObject({ content: 'Hel', status: 'cancelled' });
+    expect(agent.messageHistory[1].errorCode).toBeUndefined();
+    await agent.dispose();
+  });
+
+  test('metadata is persisted; an interrupted reply is restored as cancelled', async () => {
+    const storage = createMemoryStorageAdapter();
+    const agent = new Heylock('KEY', { fetch: fetchMock, agentId: 'M1', storage, persistMessageHistory: true });
+
+    agent.setMessageHistory([
+      { id: 'q', content: 'Hi', role: 'user', createdAt: 1, updatedAt: 1 },
+      { id: 'a', content: 'Hel', role: 'assistant', createdAt: 2, updatedAt: 3, status: 'streaming' },
+      { id: 'b', content: 'Oops', role: 'assistant', createdAt: 4, updatedAt: 5, status: 'error', errorCode: 'timeout', latencyMs: 60000 },
+    ]);
+    expect(agent.getMessage('a').status).toBe('streaming');
+
+    const restored = new Heylock('KEY', { fetch: fetchMock, agentId: 'M1', storage, persistMessageHistory: true });
+    expect(restored.messageHistory).toEqual([
+      { id: 'q', content: 'Hi', role: 'user', createdAt: 1, updatedAt: 1, status: 'complete' },
+      { id: 'a', content: 'Hel', role: 'assistant', createdAt: 2, updatedAt: 3, status: 'cancelled' },
+      { id: 'b', content: 'Oops', role: 'assistant', createdAt: 4, updatedAt: 5, status: 'error', errorCode: 'timeout', latencyMs: 60000 },
+    ]);
+
+    expect(() => restored.setMessageHistory([{ content: 'Hi', role: 'user', status: 'done' }])).toThrow(/setMessageHistory failed: message at index 0 has invalid metadata/);
+    expect(() => restored.setMessageHistory([{ content: 'Hi', role: 'user', createdAt: -1 }])).toThrow(/has invalid metadata/);
+
+    await Promise.all([agent.dispose(), restored.dispose()]);
+  });
+});
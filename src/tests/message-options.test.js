@@ -0,0 +1,101 @@
+/* eslint-disable no-undef */
+// Tests for per-call instructions, persona, length, language and extra context of message and messageStream
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function streamResponse(messages) {
+  const lines = [...messages.map((message) => JSON.stringify({ message, done: false })), JSON.stringify({ done: true })];
+  return new Response(lines.map((line) => `${line}\n`).join(''), { status: 200 });
+}
+
+describe('Heylock per-call message options', () => {
+  let Heylock;
+  let fetchMock;
+
+  beforeEach(async () => {
+    ({ default: Heylock } = await import('../index.js'));
+    fetchMock = jest.fn(async (url, init) => {
+      const route = String(url).split('/').pop();
+      if (route === 'message' && JSON.parse(init.body).stream) return streamResponse(['Ciao']);
+      if (route === 'message') return jsonResponse(200, { message: 'Ciao' });
+      return jsonResponse(200, { valid: true, limits: { messages: { remaining: 5 }, sorts: { remaining: 5 }, rewrites: { remaining: 5 } } });
+    });
+  });
+
+  const lastBody = () => JSON.parse(fetchMock.mock.calls.at(-1)[1].body);
+
+  async function createAgent(options = {}) {
+    const agent = new Heylock('KEY', { fetch: fetchMock, useStorage: false, ...options });
+    await agent.ready();
+    return agent;
+  }
+
+  test('message sends the guidance as separate fields and keeps it out of history', async () => {
+    const agent = await createAgent();
+
+    await agent.message('Dinner ideas?', false, true, {
+      instructions: '  Answer as a list ',
+      persona: 'A cheerful chef',
+      responseLength: 'short',
+      language: 'pt-br',
+      extraContext: 'Has eggs and pasta',
+    });
+
+    expect(lastBody()).toEqual({
+      content: 'Dinner ideas?',
+      stream: false,
+      history: [{ content: 'Dinner ideas?', role: 'user' }],
+      instructions: 'Answer as a list',
+      persona: 'A cheerful chef',
+      responseLength: 'short',
+      language: 'pt-BR',
+      extraContext: 'Has eggs and pasta',
+    });
+    expect(agent.messageHistory.map((message) => message.content)).toEqual(['Dinner ideas?', 'Ciao']);
+
+    await agent.message('Thanks');
+    expect(Object.keys(lastBody())).toEqual(['content', 'stream', 'history', 'context']);
+    await agent.dispose();
+  });
+
+  test('messageStream and greet pass the guidance on', async () => {
+    const agent = await createAgent();
+
+    for await (const chunk of agent.messageStream('Hi', true, true, { persona: 'A pirate', language: 'en' })) expect(chunk).toBe('Ciao');
+    expect(lastBody()).toMatchObject({ content: 'Hi', stream: true, persona: 'A pirate', language: 'en' });
+
+    await agent.greet(undefined, false, true, { responseLength: 'long' });
+    expect(lastBody()).toMatchObject({ responseLength: 'long', instructions: expect.stringMatching(/^Greet the visitor/) });
+    expect(lastBody().content).not.toMatch(/greet/i);
+
+    await agent.greet('Mention the sale', false, true, { instructions: 'Use at most ten words' });
+    expect(lastBody().instructions).toMatch(/Use instructions: Mention the sale.*\nUse at most ten words$/s);
+    expect(agent.messageHistory.map((message) => message.content)).toEqual(['Hi', 'Ciao', 'Ciao', 'Ciao']);
+    await agent.dispose();
+  });
+
+  test('redaction applies to the guidance', async () => {
+    const agent = await createAgent({ redaction: { detectors: ['email'] } });
+
+    await agent.message('Hi', false, false, { extraContext: 'Signed in as jane@example.com' });
+
+    expect(lastBody().extraContext).toBe('Signed in as [EMAIL_1]');
+    await agent.dispose();
+  });
+
+  test('the options are validated', async () => {
+    const agent = await createAgent();
+
+    await expect(agent.message('Hi', true, true, { persona: '' })).rejects.toThrow(/message failed: options.persona must be a non-empty string/);
+    await expect(agent.message('Hi', true, true, { instructions: 'x'.repeat(10001) })).rejects.toThrow(/options.instructions must be a non-empty string of up to 10000 characters/);
+    await expect(agent.message('Hi', true, true, { responseLength: 'tiny' })).rejects.toThrow(/options.responseLength must be one of short, medium, long/);
+    await expect(agent.message('Hi', true, true, { language: 'not a tag' })).rejects.toThrow(/options.language 'not a tag' is not a valid language tag/);
+    await expect(agent.messageStream('Hi', true, true, { extraContext: 42 }).next()).rejects.toThrow(/messageStream failed: options.extraContext must be/);
+    await expect(agent.greet(undefined, true, true, { language: 7 })).rejects.toThrow(/greet failed: options.language must be a language tag/);
+
+    expect(agent.messageHistory).toEqual([]);
+    await agent.dispose();
+  });
+});
@@ -0,0 +1,41 @@
+/* eslint-disable no-undef */
+// Tests for the versioned storage envelope and the migration registry
+
+describe('Heylock storage migrations', () => {
+  let migrations;
+
+  beforeEach(async () => {
+    migrations = await import('../migrations.js');
+  });
+
+  test('envelopes carry the current schema version', () => {
+    expect(migrations.createStorageEnvelope([1])).toEqual({ version: migrations.STORAGE_SCHEMA_VERSION, data: [1] });
+  });
+
+  test('legacy bare arrays and current envelopes are read', () => {
+    const entries = [{ content: 'viewed pricing', timestamp: 1 }];
+
+    expect(migrations.migrateStoredValue(entries, 'context')).toEqual(entries);
+    expect(migrations.migrateStoredValue({ version: 1, data: entries }, 'context')).toEqual(entries);
+  });
+
+  test('migrations run in order up to the target version', () => {
+    const registry = {
+      1: { context: (data) => data },
+      2: { context: (data) => data.map((entry) => ({ ...entry, tags: [] })) },
+      3: { context: (data) => data.map((entry) => ({ ...entry, tags: [...entry.tags, 'migrated'] })) },
+    };
+
+    expect(migrations.migrateStoredValue([{ content: 'a' }], 'context', { migrations: registry, targetVersion: 3 })).toEqual([{ content: 'a', tags: ['migrated'] }]);
+    expect(migrations.migrateStoredValue({ version: 2, data: [{ content: 'b', tags: [] }] }, 'context', { migrations: registry, targetVersion: 3 })).toEqual([{ content: 'b', tags: ['migrated'] }]);
+  });
+
+  test('values that cannot be migrated throw', () => {
+    expect(() => migrations.migrateStoredValue({ version: 7, data: [] }, 'context')).toThrow(/schema version 7/);
+    expect(() => migrations.migrateStoredValue({ content: 'not an envelope' }, 'context')).toThrow(/neither a versioned envelope nor a legacy array/);
+    expect(() => migrations.migrateStoredValue([], 'context', { migrations: {}, targetVersion: 1 })).toThrow(/no context migration from schema version 0 to 1/);
+
+    const failing = { 1: { messageHistory: () => { throw new Error('boom'); } } };
+    expect(() => migrations.migrateStoredValue([], 'messageHistory', { migrations: failing })).toThrow(/threw: boom/);
+  });
+});
@@ -0,0 +1,163 @@
+/* eslint-disable no-undef */
+// Tests for the server-side proxy handlers and the agent's proxy mode
+
+import http from 'node:http';
+
+function jsonResponse(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+  });
+}
+
+async function getModule() {
+  return import('../index.js');
+}
+
+describe('Heylock proxy', () => {
+  let createProxyHandler;
+  let createNodeProxyHandler;
+  let Heylock;
+  let upstreamFetch;
+  let agents;
+
+  beforeEach(async () => {
+    ({ createProxyHandler, createNodeProxyHandler, default: Heylock } = await getModule());
+    upstreamFetch = jest.fn();
+    agents = [];
+  });
+
+  // Pending requests keep their timeout timers until the agent is disposed
+  afterEach(async () => {
+    await Promise.all(agents.map((agent) => agent.dispose()));
+  });
+
+  test('validates arguments', () => {
+    expect(() => createProxyHandler('')).toThrow(/agentKey must be a non-empty string/);
+    expect(() => createProxyHandler('KEY', { baseUrl: 'nope' })).toThrow(/baseUrl must be an absolute/);
+    expect(() => createProxyHandler('KEY', { fetch: 1 })).toThrow(/fetch must be a function/);
+  });
+
+  test('forwards calls with the server-held key and passes through status and usage headers', async () => {
+    upstreamFetch.mockResolvedValueOnce(jsonResponse(200, { text: 'Fixed.' }, { 'Plan-Remaining': 4 }));
+    const handler = createProxyHandler('SECRET', { fetch: upstreamFetch, baseUrl: 'https://staging.example.com/' });
+
+    const res = await handler(new Request('https://app.example.com/api/heylock/rewrite', {
+      method: 'POST',
+      headers: { Authorization: 'client-supplied' },
+      body: JSON.stringify({ text: 'plz fix' }),
+    }));
+
+    expect(res.status).toBe(200);
+    expect(res.headers.get('Plan-Remaining')).toBe('4');
+    expect(await res.json()).toEqual({ text: 'Fixed.' });
+
+    const [url, init] = upstreamFetch.mock.calls[0];
+    expect(url).toBe('https://staging.example.com/api/v1/rewrite');
+    expect(init.headers.Authorization).toBe('SECRET');
+    expect(JSON.parse(init.body)).toEqual({ text: 'plz fix' });
+  });
+
+  test('verify-key always checks the server-held key', async () => {
+    upstreamFetch.mockResolvedValueOnce(jsonResponse(200, { valid: true }));
+    const handler = createProxyHandler('SECRET', { fetch: upstreamFetch });
+
+    await handler(new Request('https://app.example.com/api/heylock/verify-key', {
+      method: 'POST',
+      body: JSON.stringify({ key: 'attacker' }),
+    }));
+
+    expect(JSON.parse(upstreamFetch.mock.calls[0][1].body)).toEqual({ key: 'SECRET' });
+  });
+
+  test('rejects unknown routes and wrong methods', async () => {
+    const handler = createProxyHandler('SECRET', { fetch: upstreamFetch });
+
+    const unknown = await handler(new Request('https://app.example.com/api/heylock/admin', { method: 'POST' }));
+    expect(unknown.status).toBe(404);
+
+    const wrongMethod = await handler(new Request('https://app.example.com/api/heylock/limits', { method: 'POST' }));
+    expect(wrongMethod.status).toBe(405);
+    expect(wrongMethod.headers.get('Allow')).toBe('GET');
+
+    expect(upstreamFetch).not.toHaveBeenCalled();
+  });
+
+  test('returns 502 when the upstream cannot be reached', async () => {
+    upstreamFetch.mockRejectedValueOnce(new TypeError('fetch failed'));
+    const handler = createProxyHandler('SECRET', { fetch: upstreamFetch });
+
+    const res = await handler(new Request('https://app.example.com/api/heylock/limits'));
+    expect(res.status).toBe(502);
+  });
+
+  test('Node handler streams upstream responses', async () => {
+    const lines = [JSON.stringify({ message: 'He', done: false }) + '\n', JSON.stringify({ message: 'llo', done: false }) + '\n', JSON.stringify({ done: true }) + '\n'];
+    upstreamFetch.mockImplementationOnce(async () => new Response(new ReadableStream({
+      start(controller) {
+        lines.forEach((line) => controller.enqueue(new TextEncoder().encode(line)));
+        controller.close();
+      },
+    }), { status: 200, headers: { 'Plan-Remaining': '9' } }));
+
+    const server = http.createServer(createNodeProxyHandler('SECRET', { fetch: upstreamFetch }));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const { port } = server.address();
+      const res = await fetch(`http://127.0.0.1:${port}/api/heylock/message`, {
+        method: 'POST',
+        body: JSON.stringify({ content: 'Hi', stream: true }),
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('plan-remaining')).toBe('9');
+      expect(await res.text()).toBe(lines.join(''));
+      expect(JSON.parse(upstreamFetch.mock.calls[0][1].body)).toEqual({ content: 'Hi', stream: true });
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  test('agent in proxy mode talks only to the proxy and never sends a key', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const handler = createProxyHandler('SECRET', { fetch: upstreamFetch });
+    const clientFetch = jest.fn((url, init) => handler(new Request(new URL(url, 'https://app.example.com'), init)));
+
+    upstreamFetch
+      .mockResolvedValueOnce(jsonResponse(200, { valid: true }))
+      .mockResolvedValueOnce(jsonResponse(200, { limits: { messages: { remaining: 3 }, sorts: { remaining: 2 }, rewrites: { remaining: 1 } } }))
+      .mockResolvedValueOnce(jsonResponse(200, { message: 'Hello back' }, { 'Plan-Remaining': 2 }));
+
+    const agent = new Heylock(undefined, { proxyUrl: '/api/heylock/', fetch: clientFetch });
+    agents.push(agent);
+    expect(await new Promise((r) => agent.onInitialized(r))).toBe(true);
+    expect(agent.usageRemaining.messages).toBe(3);
+
+    expect(await agent.message('Hello', false)).toBe('Hello back');
+    expect(agent.usageRemaining.messages).toBe(2);
+
+    expect(clientFetch.mock.calls.map(([url]) => url)).toEqual([
+      '/api/heylock/verify-key',
+      '/api/heylock/limits',
+      '/api/heylock/message',
+    ]);
+    clientFetch.mock.calls.forEach(([, init]) => {
+      expect(init.headers?.Authorization).toBeUndefined();
+    });
+    expect(warnSpy).not.toHaveBeenCalled();
+
+    warnSpy.mockRestore();
+  });
+
+  test('agent in proxy mode drops a provided agentKey with a warning', () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const agent = new Heylock('SECRET', { proxyUrl: '/api/heylock', fetch: jest.fn(() => new Promise(() => {})) });
+    agents.push(agent);
+
+    expect(agent.agentKey).toBeNull();
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringMatching(/agentKey is ignored when proxyUrl is set/));
+
+    warnSpy.mockRestore();
+  });
+});
@@ -0,0 +1,155 @@
+/* eslint-disable no-undef */
+// Tests for client-side redaction of personal data in outgoing requests
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function streamResponse(messages) {
+  const lines = [...messages.map((message) => JSON.stringify({ message, done: false })), JSON.stringify({ done: true })];
+  return new Response(lines.map((line) => `${line}\n`).join(''), { status: 200 });
+}
+
+describe('Heylock redaction', () => {
+  let Heylock;
+  let redactionModule;
+  let fetchMock;
+  let replies;
+
+  beforeEach(async () => {
+    ({ default: Heylock } = await import('../index.js'));
+    redactionModule = await import('../redaction.js');
+    replies = {};
+    fetchMock = jest.fn(async (url, init) => {
+      const route = String(url).split('/').pop();
+      if (route === 'message' && JSON.parse(init.body).stream) return streamResponse(replies.stream ?? ['OK']);
+      if (route === 'message') return jsonResponse(200, { message: replies.message ?? 'OK' });
+      if (route === 'rewrite') return jsonResponse(200, { text: replies.rewrite ?? 'OK' });
+      if (route === 'sort') return jsonResponse(200, { indexes: [1, 0] });
+      if (route === 'should-engage') return jsonResponse(200, { shouldEngage: true, reasoning: 'OK', fallback: false });
+      return jsonResponse(200, { valid: true, limits: { messages: { remaining: 5 }, sorts: { remaining: 5 }, rewrites: { remaining: 5 } } });
+    });
+  });
+
+  const lastBody = () => JSON.parse(fetchMock.mock.calls.at(-1)[1].body);
+
+  async function createAgent(redaction) {
+    const agent = new Heylock('KEY', { fetch: fetchMock, useStorage: false, redaction });
+    await agent.ready();
+    return agent;
+  }
+
+  test('built-in detectors replace emails, phone numbers, valid card numbers and IBANs', () => {
+    const { redact } = redactionModule.createRedactor(redactionModule.resolveRedactionPolicy(true, 'test'));
+
+    expect(redact('Mail jane.doe@example.com or call +49 30 1234567 or (555) 123-4567')).toBe('Mail [EMAIL_1] or call [PHONE_1] or [PHONE_2]');
+    expect(redact('Card 4111 1111 1111 1111, not 4111 1111 1111 1112')).toBe('Card [CARD_1], not 4111 1111 1111 1112');
+    expect(redact('IBAN DE89 3704 0044 0532 0130 00 or GB82WEST12345698765432')).toBe('IBAN [IBAN_1] or [IBAN_2]');
+    expect(redact('On 18.10.2026 at 2026-10-18T12:00:00.000Z, 5 minutes ago')).toBe('On 18.10.2026 at 2026-10-18T12:00:00.000Z, 5 minutes ago');
+    expect(redact('jane.doe@example.com again')).toBe('[EMAIL_1] again');
+    expect(redact({ name: 'Jane', contact: ['jane.doe@example.com'], age: 42 })).toEqual({ name: 'Jane', contact: ['[EMAIL_1]'], age: 42 });
+  });
+
+  test('numbers that only look like phone numbers are left alone', () => {
+    const { redact } = redactionModule.createRedactor(redactionModule.resolveRedactionPolicy(true, 'test'));
+
+    expect(redact('SKU 12345-678, order 2024-000123, ref 1234 5678')).toBe('SKU 12345-678, order 2024-000123, ref 1234 5678');
+    expect(redact('Call 555-123-4567, 555-1234 or 030 1234567')).toBe('Call [PHONE_1], [PHONE_2] or [PHONE_3]');
+  });
+
+  test('the redactor keeps a bounded number of values, forgetting the least recently used first', () => {
+    const { redact, restore } = redactionModule.createRedactor(redactionModule.resolveRedactionPolicy(true, 'test'));
+    const max = redactionModule.MAX_REDACTION_TOKENS;
+
+    redact('first@example.com');
+    for (let index = 2; index <= max; index++) redact(`user${index}@example.com`);
+    redact('first@example.com');
+    redact('overflow@example.com');
+
+    expect(restore('[EMAIL_1] [EMAIL_2]')).toBe('first@example.com [EMAIL_2]');
+    expect(restore(`[EMAIL_${max + 1}]`)).toBe('overflow@example.com');
+    expect(redact('user2@example.com')).toBe(`[EMAIL_${max + 2}]`);
+  });
+
+  test('clearMessageHistory forgets the tokens', async () => {
+    const agent = await createAgent({ restoreTokens: true });
+    await agent.message('Email jane@example.com');
+
+    agent.clearMessageHistory();
+    replies.message = 'Noted [EMAIL_1]';
+
+    expect(await agent.message('Email john@example.com')).toBe('Noted john@example.com');
+    await agent.dispose();
+  });
+
+  test('the option is off by default and validated', () => {
+    expect(new Heylock('KEY', { fetch: fetchMock, useStorage: false }).redaction).toBeNull();
+    expect(() => new Heylock('KEY', { redaction: 'on' })).toThrow(/Agent initialization failed: redaction must be a boolean or an object/);
+    expect(() => new Heylock('KEY', { redaction: { detectors: ['ssn'] } })).toThrow(/redaction.detectors must be an array of email, phone, card, iban/);
+    expect(() => new Heylock('KEY', { redaction: { rules: [{ name: 'order id', pattern: /x/ }] } })).toThrow(/redaction.rules\[0\] is invalid/);
+    expect(() => new Heylock('KEY', { redaction: { rules: [{ name: 'order', pattern: /x/, match: () => [] }] } })).toThrow(/redaction.rules\[0\] is invalid/);
+    expect(() => new Heylock('KEY', { redaction: { restoreTokens: 'yes' } })).toThrow(/redaction.restoreTokens must be a boolean/);
+  });
+
+  test('message content, history and context are redacted, while stored text is not', async () => {
+    const agent = await createAgent({ detectors: ['email'], rules: [{ name: 'order_id', pattern: /ORD-\d{6}/ }] });
+    agent.addContextEntry('Signed in as jane@example.com');
+    agent.addMessage('My order is ORD-123456', 'user');
+
+    await agent.message('Send it to jane@example.com, card 4111 1111 1111 1111');
+
+    expect(lastBody()).toMatchObject({
+      content: 'Send it to [EMAIL_1], card 4111 1111 1111 1111',
+      history: [{ content: 'My order is [ORDER_ID_1]', role: 'user' }, { content: 'Send it to [EMAIL_1], card 4111 1111 1111 1111', role: 'user' }],
+      context: expect.stringMatching(/^Signed in as \[EMAIL_1\] now\. $/),
+    });
+    expect(agent.messageHistory[1].content).toBe('Send it to jane@example.com, card 4111 1111 1111 1111');
+    expect(agent.context[0].content).toBe('Signed in as jane@example.com');
+    await agent.dispose();
+  });
+
+  test('custom match functions, rewrite, sort and shouldEngage payloads', async () => {
+    const agent = await createAgent({ detectors: [], rules: [{ name: 'member', match: (text) => text.match(/M-\d+/g) ?? [] }] });
+
+    await agent.rewrite('Hi M-42', 'Mention M-7', false);
+    expect(lastBody()).toMatchObject({ text: 'Hi [MEMBER_1]', instructions: 'Mention [MEMBER_2]' });
+
+    const products = [{ title: 'Boots for M-42' }, 'Sandals'];
+    const result = await agent.sort(products, 'For M-42', false);
+    expect(lastBody()).toMatchObject({ array: [{ title: 'Boots for [MEMBER_1]' }, 'Sandals'], instructions: 'For [MEMBER_1]' });
+    expect(result.array).toEqual(['Sandals', products[0]]);
+
+    await agent.shouldEngage('Engage member M-7');
+    expect(lastBody().instructions).toBe('Engage member [MEMBER_2]');
+    await agent.dispose();
+  });
+
+  test('restoreTokens puts the original values back into replies', async () => {
+    const agent = await createAgent({ restoreTokens: true });
+
+    replies.message = 'I will email [EMAIL_1] about [CARD_9].';
+    expect(await agent.message('Email jane@example.com')).toBe('I will email jane@example.com about [CARD_9].');
+    expect(agent.messageHistory.at(-1).content).toBe('I will email jane@example.com about [CARD_9].');
+
+    replies.rewrite = 'Contact: [EMAIL_1]';
+    expect(await agent.rewrite('Contact jane@example.com', undefined, false)).toBe('Contact: jane@example.com');
+
+    const withoutRestoring = await createAgent(true);
+    expect(await withoutRestoring.message('Email jane@example.com')).toBe('I will email [EMAIL_1] about [CARD_9].');
+
+    await Promise.all([agent.dispose(), withoutRestoring.dispose()]);
+  });
+
+  test('messageStream restores tokens split across chunks', async () => {
+    const agent = await createAgent({ restoreTokens: true });
+    replies.stream = ['Sure, [EMA', 'IL_1] it is', ' [EMAIL_1'];
+
+    const chunks = [];
+    for await (const chunk of agent.messageStream('Use jane@example.com')) chunks.push(chunk);
+
+    expect(lastBody().content).toBe('Use [EMAIL_1]');
+    expect(chunks).toEqual(['Sure, ', 'jane@example.com it is', ' ', '[EMAIL_1']);
+    expect(agent.messageHistory.at(-1).content).toBe('Sure, jane@example.com it is [EMAIL_1');
+    await agent.dispose();
+  });
+});
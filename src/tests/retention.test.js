@@ -0,0 +1,113 @@
+/* eslint-disable no-undef */
+// Tests for context retention: maximum age, entry count and total characters
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+describe('Heylock context retention', () => {
+  let Heylock;
+  let createMemoryStorageAdapter;
+  let retention;
+  let fetchMock;
+
+  beforeEach(async () => {
+    ({ default: Heylock, createMemoryStorageAdapter } = await import('../index.js'));
+    retention = await import('../retention.js');
+    fetchMock = jest.fn(async (url) => (String(url).endsWith('/message')
+      ? jsonResponse(200, { message: 'Sure.' })
+      : jsonResponse(200, { valid: true, limits: { messages: { remaining: 5 }, sorts: { remaining: 5 }, rewrites: { remaining: 5 } } })));
+  });
+
+  test('applyRetentionPolicy evicts expired entries, then the oldest until the limits hold', () => {
+    const entries = [
+      { content: 'newest', timestamp: 900 },
+      { content: 'expired', timestamp: 100 },
+      { content: 'oldest kept', timestamp: 500 },
+      { content: 'middle', timestamp: 700 },
+    ];
+    const policy = { maxAgeMs: 600, maxEntries: 2, maxChars: null };
+
+    expect(retention.applyRetentionPolicy(entries, policy, 1000)).toEqual({
+      kept: [entries[0], entries[3]],
+      evicted: [{ entry: entries[1], reason: 'maxAge' }, { entry: entries[2], reason: 'maxEntries' }],
+    });
+
+    const charPolicy = { maxAgeMs: null, maxEntries: null, maxChars: 11 };
+    expect(retention.applyRetentionPolicy(entries, charPolicy, 1000).kept).toEqual([entries[0]]);
+  });
+
+  test('resolveRetentionPolicy fills in nulls and validates limits', () => {
+    expect(retention.resolveRetentionPolicy(undefined)).toEqual({ maxAgeMs: null, maxEntries: null, maxChars: null });
+    expect(retention.resolveRetentionPolicy({ maxEntries: 3 })).toEqual({ maxAgeMs: null, maxEntries: 3, maxChars: null });
+
+    expect(() => new Heylock('KEY', { contextRetention: 5 })).toThrow(/contextRetention must be an object/);
+    expect(() => new Heylock('KEY', { contextRetention: { maxAgeMs: 0 } })).toThrow(/maxAgeMs must be a positive number/);
+    expect(() => new Heylock('KEY', { contextRetention: { maxEntries: 1.5 } })).toThrow(/maxEntries must be a positive integer/);
+    expect(() => new Heylock('KEY', { contextRetention: { maxChars: -1 } })).toThrow(/maxChars must be a positive integer/);
+  });
+
+  test('adding entries evicts the oldest and reports them', () => {
+    const agent = new Heylock('KEY', { fetch: fetchMock, contextRetention: { maxEntries: 2 } });
+    const evictionListener = jest.fn();
+    const contextListener = jest.fn();
+    agent.onContextEviction(evictionListener);
+    agent.onContextChange(contextListener);
+
+    agent.addContextEntry('first', 1);
+    agent.addContextEntry('second', 2);
+    const thirdId = agent.addContextEntry('third', 3);
+    expect(agent.getContextEntry(thirdId)).toEqual({ id: thirdId, content: 'third', timestamp: 3 });
+
+    expect(agent.context.map((entry) => entry.content)).toEqual(['second', 'third']);
+    expect(evictionListener).toHaveBeenCalledTimes(1);
+    expect(evictionListener).toHaveBeenCalledWith([{ id: expect.any(String), content: 'first', timestamp: 1, reason: 'maxEntries' }]);
+    expect(contextListener).toHaveBeenCalledTimes(3);
+
+    // An entry older than everything kept is evicted right away
+    expect(agent.getContextEntry(agent.addContextEntry('ancient', 0))).toBeNull();
+    expect(agent.context.map((entry) => entry.content)).toEqual(['second', 'third']);
+
+    agent.setContext([{ content: 'a', timestamp: 1 }, { content: 'b', timestamp: 2 }, { content: 'c', timestamp: 3 }]);
+    expect(agent.context.map((entry) => entry.content)).toEqual(['b', 'c']);
+  });
+
+  test('restoring from storage applies the policy and reports evictions to callbacks registered after construction', async () => {
+    const now = Date.now();
+    const storage = createMemoryStorageAdapter({
+      'heylock:R1:context': JSON.stringify({ version: 1, data: [{ content: 'stale', timestamp: now - 10000 }, { content: 'fresh', timestamp: now }] }),
+    });
+
+    const agent = new Heylock('KEY', { agentId: 'R1', storage, fetch: fetchMock, contextRetention: { maxAgeMs: 5000 } });
+    const evictionListener = jest.fn();
+    agent.onContextEviction(evictionListener);
+
+    expect(agent.context.map((entry) => entry.content)).toEqual(['fresh']);
+    expect(JSON.parse(storage.get('heylock:R1:context')).data.map((entry) => entry.content)).toEqual(['fresh']);
+
+    await Promise.resolve();
+    expect(evictionListener).toHaveBeenCalledWith([{ id: expect.any(String), content: 'stale', timestamp: now - 10000, reason: 'maxAge' }]);
+    await agent.dispose();
+  });
+
+  test('entries that expired since they were added are evicted before a request', async () => {
+    const agent = new Heylock('KEY', { fetch: fetchMock, contextRetention: { maxAgeMs: 60000 } });
+    await agent.ready();
+
+    const now = Date.now();
+    agent.addContextEntry('viewed pricing', now - 59990);
+    agent.addContextEntry('opened cart', now);
+    const evictionListener = jest.fn();
+    agent.onContextEviction(evictionListener);
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    await agent.message('Any discounts?');
+
+    const body = JSON.parse(fetchMock.mock.calls.at(-1)[1].body);
+    expect(body.context).not.toContain('viewed pricing');
+    expect(body.context).toContain('opened cart');
+    expect(evictionListener).toHaveBeenCalledWith([expect.objectContaining({ content: 'viewed pricing', reason: 'maxAge' })]);
+    expect(agent.context).toHaveLength(1);
+    await agent.dispose();
+  });
+});
@@ -0,0 +1,151 @@
+/* eslint-disable no-undef */
+// Tests for the server-side session manager: one key verification, per-user sessions, the store and idle eviction
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+describe('Heylock session manager', () => {
+  let createSessionManager;
+  let createMemoryStorageAdapter;
+  let fetchMock;
+  let isKeyValid;
+
+  beforeEach(async () => {
+    ({ createSessionManager, createMemoryStorageAdapter } = await import('../index.js'));
+    isKeyValid = true;
+    fetchMock = jest.fn(async (url, init) => {
+      const route = String(url).split('/').pop();
+      if (route === 'message') return jsonResponse(200, { message: `Reply to ${JSON.parse(init.body).content}` });
+      if (route === 'limits') return jsonResponse(200, { limits: { messages: { remaining: 42 }, sorts: { remaining: 5 }, rewrites: { remaining: 5 } } });
+      return jsonResponse(200, { valid: isKeyValid });
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const countCalls = (route) => fetchMock.mock.calls.filter(([url]) => String(url).endsWith(`/${route}`)).length;
+
+  test('the key is verified once, and each user gets an isolated, ready session', async () => {
+    const sessions = createSessionManager('KEY', { fetch: fetchMock });
+    expect(await sessions.ready()).toBe(true);
+
+    const [alice, aliceAgain] = await Promise.all([sessions.getSession('alice'), sessions.getSession('alice')]);
+    const bob = await sessions.getSession('bob');
+
+    expect(alice).toBe(aliceAgain);
+    expect(alice).not.toBe(bob);
+    expect(alice.isInitialized).toBe(true);
+    expect(alice.usageRemaining.messages).toBe(42);
+    expect(sessions.activeSessionIds).toEqual(['alice', 'bob']);
+
+    alice.addContextEntry('Viewed boots');
+    await alice.message('Hi');
+    await bob.message('Hello');
+
+    expect(alice.messageHistory.map((message) => message.content)).toEqual(['Hi', 'Reply to Hi']);
+    expect(bob.messageHistory.map((message) => message.content)).toEqual(['Hello', 'Reply to Hello']);
+    expect(bob.context).toEqual([]);
+    expect(countCalls('verifyKey')).toBe(1);
+    expect(countCalls('limits')).toBe(1);
+
+    await sessions.dispose();
+    expect(alice.isDisposed).toBe(true);
+    await expect(sessions.getSession('alice')).rejects.toThrow(/getSession failed: the session manager has been disposed/);
+    await expect(sessions.ready()).rejects.toMatchObject({ code: 'disposed' });
+  });
+
+  test('sessions share one usage count that every Plan-Remaining header updates', async () => {
+    const sessions = createSessionManager('KEY', { fetch: fetchMock });
+    const alice = await sessions.getSession('alice');
+    fetchMock.mockImplementationOnce(async () => new Response(JSON.stringify({ message: 'Hi!' }), { status: 200, headers: { 'Content-Type': 'application/json', 'Plan-Remaining': '41' } }));
+
+    await alice.message('Hi');
+    const bob = await sessions.getSession('bob');
+
+    expect(alice.usageRemaining.messages).toBe(41);
+    expect(bob.usageRemaining.messages).toBe(41);
+
+    fetchMock.mockImplementationOnce(async () => new Response(JSON.stringify({ message: 'Hello!' }), { status: 200, headers: { 'Content-Type': 'application/json', 'Plan-Remaining': '40' } }));
+    await bob.message('Hello');
+
+    expect(alice.usageRemaining.messages).toBe(40);
+    await sessions.dispose();
+  });
+
+  test('sessions are saved to the store and restored; deleteSession removes their data', async () => {
+    const store = createMemoryStorageAdapter();
+    const sessions = createSessionManager('KEY', { fetch: fetchMock, store, agentId: 'shop' });
+
+    const alice = await sessions.getSession('alice');
+    alice.addContextEntry('Viewed boots');
+    await alice.message('Hi');
+    await sessions.endSession('alice');
+
+    expect(alice.isDisposed).toBe(true);
+    expect(sessions.hasSession('alice')).toBe(false);
+    expect(store.get('heylock:shop:session:alice:context')).toEqual(expect.stringContaining('Viewed boots'));
+
+    const restored = await sessions.getSession('alice');
+    expect(restored.context.map((entry) => entry.content)).toEqual(['Viewed boots']);
+    expect(restored.messageHistory.map((message) => message.content)).toEqual(['Hi', 'Reply to Hi']);
+    expect((await sessions.getSession('bob')).context).toEqual([]);
+
+    await sessions.deleteSession('alice');
+    expect(store.get('heylock:shop:session:alice:context')).toBeNull();
+    expect(store.get('heylock:shop:session:alice:messageHistory')).toBeNull();
+    expect((await sessions.getSession('alice')).messageHistory).toEqual([]);
+
+    await sessions.dispose();
+  });
+
+  test('idle sessions are evicted and reported, keeping their stored data', async () => {
+    jest.useFakeTimers({ doNotFake: ['queueMicrotask', 'nextTick', 'setImmediate'] });
+    const store = createMemoryStorageAdapter();
+    const sessions = createSessionManager('KEY', { fetch: fetchMock, store, idleTimeoutMs: 60_000 });
+    const evicted = jest.fn();
+    sessions.onSessionEviction(evicted);
+
+    const alice = await sessions.getSession('alice');
+    alice.addContextEntry('Viewed boots');
+    jest.advanceTimersByTime(30_000);
+    await sessions.getSession('bob');
+
+    jest.advanceTimersByTime(30_000);
+    expect(evicted).toHaveBeenCalledWith('alice');
+    expect(sessions.activeSessionIds).toEqual(['bob']);
+    expect(alice.isDisposed).toBe(true);
+
+    expect((await sessions.getSession('alice')).context.map((entry) => entry.content)).toEqual(['Viewed boots']);
+    await sessions.dispose();
+  });
+
+  test('an invalid key leaves sessions uninitialized', async () => {
+    isKeyValid = false;
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const sessions = createSessionManager('BAD', { fetch: fetchMock });
+
+    expect(await sessions.ready()).toBe(false);
+    const alice = await sessions.getSession('alice');
+    expect(alice.isInitialized).toBe(false);
+    await expect(alice.message('Hi')).rejects.toThrow(/agent is not initialized/);
+
+    await sessions.dispose();
+    warn.mockRestore();
+  });
+
+  test('options and user IDs are validated', async () => {
+    expect(() => createSessionManager('KEY', { fetch: fetchMock, store: {} })).toThrow(/createSessionManager failed: store must be an object with get, set and remove functions/);
+    expect(() => createSessionManager('KEY', { fetch: fetchMock, idleTimeoutMs: 0 })).toThrow(/idleTimeoutMs must be a positive number or null/);
+    expect(() => createSessionManager('KEY', { fetch: fetchMock, syncTabs: true })).toThrow(/the syncTabs option is not supported for sessions/);
+    expect(() => createSessionManager('', { fetch: fetchMock })).toThrow(/Agent initialization failed: agentKey must be a non-empty string/);
+
+    const sessions = createSessionManager('KEY', { fetch: fetchMock, idleTimeoutMs: null });
+    await expect(sessions.getSession('')).rejects.toThrow(/getSession failed: userId must be a non-empty string/);
+    expect(() => sessions.hasSession(42)).toThrow(/hasSession failed: userId must be/);
+    expect(() => sessions.onSessionEviction('nope')).toThrow(/onSessionEviction failed: callback must be a function/);
+    await sessions.dispose();
+  });
+});
@@ -0,0 +1,285 @@
+/* eslint-disable no-undef */
+// Tests for the storage adapters and how the agent uses them
+
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function mockInit(fetchMock) {
+  fetchMock
+    .mockResolvedValueOnce(jsonResponse(200, { valid: true }))
+    .mockResolvedValueOnce(jsonResponse(200, { limits: { messages: { remaining: 1 }, sorts: { remaining: 1 }, rewrites: { remaining: 1 } } }));
+}
+
+// Just enough of IndexedDB for the adapter: one database with one object store, requests settle asynchronously
+function createFakeIndexedDB() {
+  const stores = new Map();
+  const settle = (request, getResult) => {
+    setTimeout(() => {
+      request.result = getResult();
+      request.onsuccess?.();
+    });
+    return request;
+  };
+
+  return {
+    open: jest.fn(() => {
+      const database = {
+        createObjectStore: (name) => stores.set(name, new Map()),
+        transaction: (name) => ({
+          objectStore: () => {
+            const store = stores.get(name);
+            return {
+              get: (key) => settle({}, () => store.get(key)),
+              put: (value, key) => settle({}, () => store.set(key, value) && key),
+              delete: (key) => settle({}, () => store.delete(key) && undefined),
+            };
+          },
+        }),
+      };
+      const request = { result: database };
+      setTimeout(() => {
+        if (stores.size === 0) request.onupgradeneeded?.();
+        request.onsuccess?.();
+      });
+      return request;
+    }),
+  };
+}
+
+// Wraps the memory adapter so every call resolves on a later tick, like a real async backend
+function createAsyncAdapter(adapter) {
+  return {
+    get: jest.fn(async (key) => adapter.get(key)),
+    set: jest.fn(async (key, value) => adapter.set(key, value)),
+    remove: jest.fn(async (key) => adapter.remove(key)),
+  };
+}
+
+describe('Heylock storage', () => {
+  let storage;
+  let Heylock;
+  let fetchMock;
+  let warnSpy;
+
+  beforeEach(async () => {
+    storage = await import('../storage.js');
+    ({ default: Heylock } = await import('../index.js'));
+    fetchMock = jest.fn();
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  test('memory adapter stores, returns and removes values', () => {
+    const adapter = storage.createMemoryStorageAdapter({ seeded: 'yes' });
+
+    expect(adapter.get('seeded')).toBe('yes');
+    expect(adapter.get('missing')).toBeNull();
+
+    adapter.set('key', 'value');
+    expect(adapter.get('key')).toBe('value');
+
+    adapter.remove('key');
+    expect(adapter.get('key')).toBeNull();
+  });
+
+  test('web storage adapters resolve the storage lazily and fail clearly without it', () => {
+    const adapter = storage.createSessionStorageAdapter();
+    expect(() => adapter.get('key')).toThrow(/sessionStorage is not available/);
+
+    const values = new Map();
+    globalThis.sessionStorage = {
+      getItem: (key) => values.get(key) ?? null,
+      setItem: (key, value) => values.set(key, value),
+      removeItem: (key) => values.delete(key),
+    };
+
+    try {
+      adapter.set('key', 'value');
+      expect(adapter.get('key')).toBe('value');
+      adapter.remove('key');
+      expect(adapter.get('key')).toBeNull();
+    } finally {
+      delete globalThis.sessionStorage;
+    }
+  });
+
+  test('IndexedDB adapter reads and writes through an object store', async () => {
+    globalThis.indexedDB = createFakeIndexedDB();
+
+    try {
+      const adapter = storage.createIndexedDBAdapter({ databaseName: 'app' });
+
+      await adapter.set('key', 'value');
+      expect(await adapter.get('key')).toBe('value');
+
+      await adapter.remove('key');
+      expect(await adapter.get('key')).toBeNull();
+      expect(globalThis.indexedDB.open).toHaveBeenCalledTimes(1);
+      expect(globalThis.indexedDB.open).toHaveBeenCalledWith('app', 1);
+    } finally {
+      delete globalThis.indexedDB;
+    }
+
+    await expect(storage.createIndexedDBAdapter().get('key')).rejects.toThrow(/indexedDB is not available/);
+    expect(() => storage.createIndexedDBAdapter({ storeName: '' })).toThrow(/storeName must be a non-empty string/);
+  });
+
+  test('file adapter keeps values between instances and applies writes in order', async () => {
+    const directory = await mkdtemp(path.join(os.tmpdir(), 'heylock-'));
+    const filePath = path.join(directory, 'nested', 'state.json');
+
+    try {
+      const adapter = storage.createFileStorageAdapter(filePath);
+      expect(await adapter.get('key')).toBeNull();
+
+      adapter.set('key', 'first');
+      adapter.set('other', 'kept');
+      await adapter.set('key', 'second');
+
+      expect(JSON.parse(await readFile(filePath, 'utf8'))).toEqual({ key: 'second', other: 'kept' });
+
+      const reopened = storage.createFileStorageAdapter(filePath);
+      expect(await reopened.get('key')).toBe('second');
+
+      await reopened.remove('key');
+      expect(await storage.createFileStorageAdapter(filePath).get('key')).toBeNull();
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+
+    expect(() => storage.createFileStorageAdapter('')).toThrow(/filePath must be a non-empty string/);
+  });
+
+  test('agent persists context through a synchronous adapter outside the browser', async () => {
+    const adapter = storage.createMemoryStorageAdapter();
+    mockInit(fetchMock);
+
+    const agent = new Heylock('KEY', { agentId: 'S1', storage: adapter, fetch: fetchMock, suppressWarnings: false });
+    expect(agent.useStorage).toBe(true);
+    const entryId = agent.addContextEntry('viewed pricing', 5);
+
+    expect(JSON.parse(adapter.get('heylock:S1:context'))).toEqual({ version: 1, data: [{ id: expect.any(String), content: 'viewed pricing', timestamp: 5 }] });
+    expect(warnSpy).not.toHaveBeenCalled();
+
+    mockInit(fetchMock);
+    const restored = new Heylock('KEY', { agentId: 'S1', storage: adapter, fetch: fetchMock });
+    expect(restored.context).toEqual([{ id: entryId, content: 'viewed pricing', timestamp: 5 }]);
+
+    await Promise.all([agent.ready(), restored.ready()]);
+  });
+
+  test('agent restores from an asynchronous adapter without losing entries added meanwhile', async () => {
+    const adapter = createAsyncAdapter(storage.createMemoryStorageAdapter({
+      'heylock:S2:context': JSON.stringify([{ content: 'stored', timestamp: 1 }]),
+    }));
+    mockInit(fetchMock);
+
+    const agent = new Heylock('KEY', { agentId: 'S2', storage: adapter, fetch: fetchMock });
+    const contextListener = jest.fn();
+    agent.onContextChange(contextListener);
+    agent.addContextEntry('added early', 2);
+
+    expect(await agent.ready()).toBe(true);
+    expect(agent.context.map((entry) => entry.content)).toEqual(['stored', 'added early']);
+    expect(contextListener).toHaveBeenLastCalledWith(agent.context);
+
+    await agent.dispose();
+    expect(JSON.parse(await adapter.get('heylock:S2:context')).data.map((entry) => entry.content)).toEqual(['stored', 'added early']);
+  });
+
+  test('agent restores message history from an asynchronous adapter', async () => {
+    const adapter = createAsyncAdapter(storage.createMemoryStorageAdapter({
+      'heylock:S3:messageHistory': JSON.stringify([{ content: 'earlier question', role: 'user' }]),
+    }));
+    mockInit(fetchMock);
+
+    const agent = new Heylock('KEY', { agentId: 'S3', storage: adapter, persistMessageHistory: true, fetch: fetchMock });
+    const historyListener = jest.fn();
+    agent.onMessageHistoryChange(historyListener);
+    agent.addMessage('new question', 'user');
+
+    await agent.ready();
+    expect(agent.messageHistory.map((message) => message.content)).toEqual(['earlier question', 'new question']);
+    expect(historyListener).toHaveBeenLastCalledWith(agent.messageHistory, 'default');
+
+    await agent.dispose();
+    expect(JSON.parse(await adapter.get('heylock:S3:messageHistory')).data).toHaveLength(2);
+  });
+
+  test('dispose waits for pending asynchronous writes', async () => {
+    const finishWrites = [];
+    const adapter = {
+      get: () => null,
+      set: jest.fn(() => new Promise((resolve) => { finishWrites.push(resolve); })),
+      remove: () => {},
+    };
+    fetchMock.mockImplementation(() => new Promise(() => {}));
+
+    const agent = new Heylock('KEY', { storage: adapter, fetch: fetchMock });
+    agent.addContextEntry('slow write');
+
+    let disposed = false;
+    const disposing = agent.dispose().then(() => { disposed = true; });
+    await Promise.resolve();
+    expect(disposed).toBe(false);
+
+    // The change itself and the final flush on dispose
+    expect(finishWrites).toHaveLength(2);
+    finishWrites.forEach((finishWrite) => finishWrite());
+    await disposing;
+    expect(disposed).toBe(true);
+  });
+
+  test('adapter failures only warn', async () => {
+    const adapter = {
+      get: () => Promise.reject(new Error('offline')),
+      set: () => { throw new Error('quota'); },
+      remove: () => {},
+    };
+    mockInit(fetchMock);
+
+    const agent = new Heylock('KEY', { storage: adapter, fetch: fetchMock });
+    expect(await agent.ready()).toBe(true);
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringMatching(/not retrieved/));
+
+    agent.addContextEntry('still works');
+    expect(agent.context).toHaveLength(1);
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringMatching(/not saved/));
+  });
+
+  test('stored values that cannot be read are kept aside instead of being overwritten', async () => {
+    const newerContext = JSON.stringify({ version: 99, data: [{ content: 'from the future', timestamp: 1 }] });
+    const adapter = storage.createMemoryStorageAdapter({
+      'heylock:M1:context': newerContext,
+      'heylock:M1:messageHistory': '{not json',
+    });
+    fetchMock.mockImplementation(() => new Promise(() => {}));
+
+    const agent = new Heylock('KEY', { agentId: 'M1', storage: adapter, persistMessageHistory: true, fetch: fetchMock, suppressWarnings: false });
+    expect(agent.context).toEqual([]);
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringMatching(/could not be migrated.*heylock:M1:context:unreadable/), expect.stringMatching(/schema version 99/));
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringMatching(/Failed to parse stored message history/));
+
+    const keptContext = JSON.parse(adapter.get('heylock:M1:context:unreadable'));
+    expect(keptContext).toEqual({ keptAt: expect.any(Number), reason: expect.stringMatching(/schema version 99/), value: newerContext });
+    expect(JSON.parse(adapter.get('heylock:M1:messageHistory:unreadable')).value).toBe('{not json');
+
+    agent.addContextEntry('new entry', 2);
+    expect(JSON.parse(adapter.get('heylock:M1:context'))).toEqual({ version: 1, data: [{ id: expect.any(String), content: 'new entry', timestamp: 2 }] });
+    expect(JSON.parse(adapter.get('heylock:M1:context:unreadable')).value).toBe(newerContext);
+
+    await agent.dispose();
+  });
+
+  test('storage option is validated', () => {
+    expect(() => new Heylock('KEY', { storage: { get() {} } })).toThrow(/storage must be an object with get, set and remove functions/);
+  });
+});
@@ -0,0 +1,160 @@
+/* eslint-disable no-undef */
+// Tests for cross-tab sync of context and message history (BroadcastChannel transport)
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function nextChange(subscribe) {
+  return new Promise((resolve) => {
+    const unsubscribe = subscribe((value) => {
+      unsubscribe();
+      resolve(value);
+    });
+  });
+}
+
+describe('Heylock cross-tab sync', () => {
+  let Heylock;
+  let createMemoryStorageAdapter;
+  let mergeContext;
+  let mergeMessageHistory;
+  let agents;
+
+  beforeEach(async () => {
+    ({ default: Heylock, createMemoryStorageAdapter } = await import('../index.js'));
+    ({ mergeContext, mergeMessageHistory } = await import('../sync.js'));
+    agents = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(agents.map((agent) => agent.dispose()));
+  });
+
+  // Each "tab" gets its own storage; only the channel connects them
+  function openTab(options = {}) {
+    const fetchMock = jest.fn(() => new Promise(() => {}));
+    const agent = new Heylock('KEY', { agentId: 'shop', storage: createMemoryStorageAdapter(), syncTabs: true, fetch: fetchMock, ...options });
+    agents.push(agent);
+    return agent;
+  }
+
+  test('context changes in one tab are applied in the other and fire onContextChange', async () => {
+    const first = openTab();
+    const second = openTab();
+
+    const received = nextChange((callback) => second.onContextChange(callback));
+    first.addContextEntry('viewed pricing', 10);
+
+    expect(await received).toEqual([{ id: expect.any(String), content: 'viewed pricing', timestamp: 10 }]);
+
+    const removed = nextChange((callback) => first.onContextChange(callback));
+    second.removeContextEntry(0);
+
+    expect(await removed).toEqual([]);
+  });
+
+  test('concurrent additions from both tabs are merged', async () => {
+    const first = openTab();
+    const second = openTab();
+
+    const firstSettled = nextChange((callback) => first.onContextChange((context) => context.length === 2 && callback(context)));
+    const secondSettled = nextChange((callback) => second.onContextChange((context) => context.length === 2 && callback(context)));
+    first.addContextEntry('from first', 1);
+    second.addContextEntry('from second', 2);
+
+    const contents = (context) => context.map((entry) => entry.content).sort();
+    expect(contents(await firstSettled)).toEqual(['from first', 'from second']);
+    expect(contents(await secondSettled)).toEqual(['from first', 'from second']);
+  });
+
+  test('message history is synced only when it is persisted', async () => {
+    const first = openTab({ persistMessageHistory: true });
+    const second = openTab({ persistMessageHistory: true });
+    const unpersisted = openTab({ agentId: 'other' });
+
+    const received = nextChange((callback) => second.onMessageHistoryChange(callback));
+    first.addMessage('Where is my order?', 'user');
+
+    expect(await received).toEqual([{ id: expect.any(String), content: 'Where is my order?', role: 'user', createdAt: expect.any(Number), updatedAt: expect.any(Number), status: 'complete' }]);
+    expect(unpersisted.messageHistory).toEqual([]);
+  });
+
+  test('history restored from an asynchronous adapter is not sent to the other tabs again', async () => {
+    const storage = createMemoryStorageAdapter();
+    const seed = openTab({ storage, persistMessageHistory: true, syncTabs: false });
+    seed.addMessage('hello', 'user');
+    seed.addMessage('hi', 'assistant');
+
+    // Both tabs read the same storage, one tick later
+    const asyncStorage = {
+      get: async (key) => storage.get(key),
+      set: async (key, value) => storage.set(key, value),
+      remove: async (key) => storage.remove(key),
+    };
+    const first = openTab({ storage: asyncStorage, persistMessageHistory: true });
+    const second = openTab({ storage: asyncStorage, persistMessageHistory: true });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    const received = nextChange((callback) => second.onMessageHistoryChange(callback));
+    first.addMessage('new one', 'user');
+    await received;
+
+    const contents = (agent) => agent.messageHistory.map((message) => message.content);
+    expect(contents(first)).toEqual(['hello', 'hi', 'new one']);
+    expect(contents(second)).toEqual(['hello', 'hi', 'new one']);
+  });
+
+  test('tabs with a different agentId or a disposed tab receive nothing', async () => {
+    const first = openTab();
+    const otherAgent = openTab({ agentId: 'blog' });
+    const disposed = openTab();
+    await disposed.dispose();
+    const listener = jest.fn();
+    otherAgent.onContextChange(listener);
+
+    const witness = openTab();
+    const received = nextChange((callback) => witness.onContextChange(callback));
+    first.addContextEntry('cart opened', 3);
+    await received;
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(otherAgent.context).toEqual([]);
+    expect(disposed.context).toEqual([]);
+  });
+
+  test('syncTabs is validated', () => {
+    expect(() => new Heylock('KEY', { syncTabs: 'yes' })).toThrow(/syncTabs must be a boolean/);
+  });
+
+  test('mergeContext applies what the other tab removed and added', () => {
+    const a = { content: 'a', timestamp: 1 };
+    const b = { content: 'b', timestamp: 2 };
+    const c = { content: 'c', timestamp: 3 };
+    const d = { content: 'd', timestamp: 4 };
+
+    // The other tab went from [a, b] to [a, d]; this tab meanwhile added c
+    expect(mergeContext([a, b], [a, b, c], [a, d])).toEqual([a, c, d]);
+  });
+
+  test('mergeContext takes entries the other tab changed, such as coalesced repeats', () => {
+    const a = { id: 'a', content: 'a', timestamp: 1 };
+    const b = { id: 'b', content: 'b', timestamp: 2 };
+    const c = { id: 'c', content: 'c', timestamp: 3 };
+    const coalescedA = { ...a, timestamp: 4, count: 2 };
+
+    expect(mergeContext([a, b], [a, b, c], [b, coalescedA])).toEqual([b, c, coalescedA]);
+  });
+
+  test('mergeMessageHistory appends what the other tab appended and otherwise takes its history', () => {
+    const question = { content: 'Hi', role: 'user' };
+    const answer = { content: 'Hello!', role: 'assistant' };
+    const followUp = { content: 'Shipping?', role: 'user' };
+
+    expect(mergeMessageHistory([question], [question, followUp], [question, answer])).toEqual([question, followUp, answer]);
+    expect(mergeMessageHistory([question, answer], [question, answer, followUp], [question])).toEqual([question]);
+
+    const stored = { id: 'm1', content: 'Hi', role: 'user' };
+    expect(mergeMessageHistory([], [stored], [stored, { ...answer, id: 'm2' }])).toEqual([stored, { ...answer, id: 'm2' }]);
+  });
+});
@@ -0,0 +1,180 @@
+/* eslint-disable no-undef */
+// Tests for named conversation threads: management, routing of replies, persistence and cross-tab sync
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function nextChange(subscribe) {
+  return new Promise((resolve) => {
+    const unsubscribe = subscribe((...args) => {
+      unsubscribe();
+      resolve(args);
+    });
+  });
+}
+
+describe('Heylock conversation threads', () => {
+  let Heylock;
+  let createMemoryStorageAdapter;
+  let mergeThreads;
+  let fetchMock;
+  let releaseReply;
+  let agents;
+
+  beforeEach(async () => {
+    ({ default: Heylock, createMemoryStorageAdapter } = await import('../index.js'));
+    ({ mergeThreads } = await import('../sync.js'));
+    releaseReply = null;
+    agents = [];
+    fetchMock = jest.fn(async (url, init) => {
+      const route = String(url).split('/').pop();
+      if (route === 'message') {
+        const { content } = JSON.parse(init.body);
+        if (content === 'slow') await new Promise((resolve) => { releaseReply = resolve; });
+        return jsonResponse(200, { message: `Reply to ${content}` });
+      }
+      return jsonResponse(200, { valid: true, limits: { messages: { remaining: 5 }, sorts: { remaining: 5 }, rewrites: { remaining: 5 } } });
+    });
+  });
+
+  afterEach(async () => {
+    await Promise.all(agents.map((agent) => agent.dispose()));
+  });
+
+  function createAgent(options = {}) {
+    const agent = new Heylock('KEY', { fetch: fetchMock, useStorage: false, ...options });
+    agents.push(agent);
+    return agent;
+  }
+
+  test('threads are created, listed, switched, renamed and deleted', () => {
+    const agent = createAgent();
+    const threadsListener = jest.fn();
+    agent.onThreadsChange(threadsListener);
+
+    expect(agent.activeThreadId).toBe('default');
+    expect(agent.threads).toEqual([{ id: 'default', name: 'Main', createdAt: expect.any(Number), messageCount: 0 }]);
+
+    agent.addMessage('General question');
+    const orderThread = agent.createThread('  Order #1234 ');
+    expect(agent.activeThreadId).toBe('default');
+    expect(threadsListener).toHaveBeenLastCalledWith(agent.threads, 'default');
+
+    agent.switchThread(orderThread);
+    expect(agent.messageHistory).toEqual([]);
+    agent.addMessage('Where is my order?');
+    agent.renameThread(orderThread, 'Order question');
+
+    expect(agent.threads.map((thread) => [thread.name, thread.messageCount])).toEqual([['Main', 1], ['Order question', 1]]);
+
+    agent.deleteThread(orderThread);
+    expect(agent.activeThreadId).toBe('default');
+    expect(agent.messageHistory.map((message) => message.content)).toEqual(['General question']);
+  });
+
+  test('arguments are validated and the default thread cannot be deleted', () => {
+    const agent = createAgent();
+
+    expect(() => agent.createThread('')).toThrow(/createThread failed: name must be a non-empty string of up to 100 characters/);
+    expect(() => agent.createThread('x'.repeat(101))).toThrow(/createThread failed: name must be/);
+    expect(() => agent.switchThread('missing')).toThrow(/switchThread failed: no thread with id 'missing'/);
+    expect(() => agent.renameThread('default', 42)).toThrow(/renameThread failed: name must be/);
+    expect(() => agent.deleteThread('default')).toThrow(/deleteThread failed: the default thread cannot be deleted/);
+    expect(() => agent.onThreadsChange('nope')).toThrow(/onThreadsChange failed: callback must be a function/);
+  });
+
+  test('messages go to the active thread; a reply lands in the thread it was asked from', async () => {
+    const agent = createAgent();
+    await agent.ready();
+    agent.addMessage('General question');
+    const productThread = agent.createThread('Product question');
+    const historyListener = jest.fn();
+
+    agent.switchThread(productThread);
+    await agent.message('Is it waterproof?');
+    expect(JSON.parse(fetchMock.mock.calls.at(-1)[1].body).history).toEqual([{ content: 'Is it waterproof?', role: 'user' }]);
+
+    agent.onMessageHistoryChange(historyListener);
+    const pending = agent.message('slow');
+    agent.switchThread('default');
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    releaseReply();
+    await pending;
+
+    expect(agent.messageHistory.map((message) => message.content)).toEqual(['General question']);
+    agent.switchThread(productThread);
+    expect(agent.messageHistory.map((message) => message.content)).toEqual(['Is it waterproof?', 'Reply to Is it waterproof?', 'slow', 'Reply to slow']);
+    expect(historyListener).toHaveBeenCalledWith(expect.arrayContaining([expect.objectContaining({ content: 'Reply to slow' })]), productThread);
+  });
+
+  test('threads and the active thread are persisted; the default thread keeps its own key', async () => {
+    const storage = createMemoryStorageAdapter();
+    const agent = createAgent({ useStorage: true, storage, agentId: 'T1', persistMessageHistory: true });
+
+    agent.addMessage('General question');
+    const orderThread = agent.createThread('Order question');
+    agent.switchThread(orderThread);
+    agent.addMessage('Where is my order?');
+
+    expect(JSON.parse(storage.get('heylock:T1:messageHistory')).data.map((message) => message.content)).toEqual(['General question']);
+    expect(JSON.parse(storage.get('heylock:T1:threads')).data).toEqual({
+      activeThreadId: orderThread,
+      threads: [
+        { id: 'default', name: 'Main', createdAt: expect.any(Number) },
+        { id: orderThread, name: 'Order question', createdAt: expect.any(Number), messages: [expect.objectContaining({ content: 'Where is my order?' })] },
+      ],
+    });
+
+    const restored = createAgent({ useStorage: true, storage, agentId: 'T1', persistMessageHistory: true });
+    expect(restored.activeThreadId).toBe(orderThread);
+    expect(restored.threads.map((thread) => thread.name)).toEqual(['Main', 'Order question']);
+    expect(restored.messageHistory.map((message) => message.content)).toEqual(['Where is my order?']);
+
+    storage.set('heylock:T2:threads', JSON.stringify({ version: 1, data: { activeThreadId: 'gone', threads: [] } }));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const broken = createAgent({ useStorage: true, storage, agentId: 'T2', persistMessageHistory: true });
+    expect(broken.threads).toHaveLength(1);
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/Stored threads are invalid.*heylock:T2:threads:unreadable/), expect.any(String));
+    warn.mockRestore();
+  });
+
+  test('thread changes are synced between tabs', async () => {
+    const openTab = () => createAgent({ useStorage: true, storage: createMemoryStorageAdapter(), agentId: 'shop', persistMessageHistory: true, syncTabs: true });
+    const first = openTab();
+    const second = openTab();
+
+    const created = nextChange((callback) => second.onThreadsChange(callback));
+    const orderThread = first.createThread('Order question');
+    const [threads, activeThreadId] = await created;
+    expect(threads.map((thread) => thread.name)).toEqual(['Main', 'Order question']);
+    expect(activeThreadId).toBe('default');
+
+    const added = nextChange((callback) => second.onMessageHistoryChange(callback));
+    first.switchThread(orderThread);
+    first.addMessage('Where is my order?');
+    const [messages, threadId] = await added;
+    expect(threadId).toBe(orderThread);
+    expect(messages.map((message) => message.content)).toEqual(['Where is my order?']);
+
+    second.switchThread(orderThread);
+    const deleted = nextChange((callback) => second.onThreadsChange(callback));
+    first.deleteThread(orderThread);
+    await deleted;
+    expect(second.activeThreadId).toBe('default');
+    expect(second.threads).toHaveLength(1);
+  });
+
+  test('mergeThreads applies remote creations, renames and deletions', () => {
+    const base = [{ id: 'default', name: 'Main', createdAt: 1 }, { id: 'a', name: 'A', createdAt: 1, messages: [] }, { id: 'b', name: 'B', createdAt: 1, messages: [] }];
+    const local = [{ id: 'default', name: 'Main', createdAt: 1, messages: [{ id: 'm1' }] }, { id: 'a', name: 'A', createdAt: 1, messages: [] }, { id: 'b', name: 'B', createdAt: 1, messages: [] }, { id: 'c', name: 'C', createdAt: 2, messages: [] }];
+    const remote = [{ id: 'default', name: 'Main', createdAt: 1 }, { id: 'a', name: 'Renamed', createdAt: 1, messages: [{ id: 'm2' }] }, { id: 'd', name: 'D', createdAt: 3, messages: [] }];
+
+    expect(mergeThreads(base, local, remote)).toEqual([
+      { id: 'default', name: 'Main', createdAt: 1, messages: [{ id: 'm1' }] },
+      { id: 'a', name: 'Renamed', createdAt: 1, messages: [{ id: 'm2' }] },
+      { id: 'c', name: 'C', createdAt: 2, messages: [] },
+      { id: 'd', name: 'D', createdAt: 3, messages: [] },
+    ]);
+  });
+});
@@ -3,10 +3,26 @@
 /**
  * Configuration options for a Heylock agent.
  * All properties are optional.
- * @property useStorage - Whether to use localStorage in the browser.
+ * @property useStorage - Whether to persist context. Defaults to true in the browser or when a storage adapter is given.
+ * @property storage - Storage adapter used when useStorage is true. Defaults to localStorage in the browser; outside the browser nothing is saved unless an adapter is given.
  * @property suppressWarnings - Whether to suppress warnings in the console.
  * @property useMessageHistory - Whether to use chat history when generating a response.
+ * @property persistMessageHistory - Whether to also save message history to storage (under 'heylock:<agentId>:messageHistory', other threads under 'heylock:<agentId>:threads') and restore it on load. Requires useStorage. Defaults to false.
+ * @property maxPersistedMessages - How many of the newest messages of each thread are saved and restored when persistMessageHistory is on. Defaults to 100.
+ * @property encryptionKey - AES-GCM CryptoKey, or a function returning one (sync or async), used to encrypt everything the agent persists. The function is called once, on first use. Requires Web Crypto.
+ * @property contextRetention - Limits on context age, entry count and total characters. Entries past a limit are evicted on add, on restore and before each request. No limits by default.
+ * @property contextBudget - Size limit for the context sent with each request. The best-ranked entries that fit are sent; the rest stay stored. No limit by default.
+ * @property contextFormat - How context entries are written: localized relative times, ISO times, bullets, JSON, a template or your own function. Defaults to English sentences with relative times.
+ * @property redaction - Replaces emails, phone numbers, card numbers, IBANs and your own patterns with tokens such as [EMAIL_1] in everything sent to the API. `true` enables every built-in detector; disabled by default.
+ * @property contextCoalescing - Merges repeated context entries into one with an occurrence count ("Viewed boots (5 times, last 2 minutes ago)"). `true` uses the defaults; disabled by default.
+ * @property syncTabs - Whether to share context (and persisted message history) with other tabs of the same agentId through BroadcastChannel, or storage events where it is missing. Requires useStorage. Defaults to false.
  * @property agentId - Optional ID for multi-agent setups, defaults to 'default'
+ * @property baseUrl - Base URL of the Heylock API, defaults to 'https://heylock.dev'. Useful for staging servers, proxies, or local stand-ins.
+ * @property fetch - Custom fetch implementation used for every request the agent makes. Defaults to the global fetch.
+ * @property proxyUrl - Proxy endpoint created with createProxyHandler/createNodeProxyHandler. When set, the agent talks only to the proxy and no agentKey is needed.
+ * @property retry - Automatic retry for transient failures (429, 500, 502, 503, network errors, timeouts). `true` uses the defaults; disabled by default.
+ * @property timeoutMs - Time limit for each request attempt in milliseconds, from sending the request until its response body has been read. For messageStream it ends when the stream starts; streamIdleTimeoutMs applies after that. Defaults to 60000; null disables it.
+ * @property streamIdleTimeoutMs - Longest allowed gap between stream chunks in messageStream, in milliseconds. Defaults to 30000; null disables it.
  * @remarks Messages will still be saved to messageHistory unless you specify otherwise when using message(), messageStream(), or greet().
  *
  * @example
@@ -17,17 +33,380 @@
  *   useMessageHistory: true,   // use message history for better answers
  *   suppressWarnings: false    // show helpful warnings in console
  * });
+ *
+ * @example
+ * // Keep the last 50 chat messages across page reloads
+ * const chatAgent = new Heylock('YOUR_AGENT_KEY', {
+ *   persistMessageHistory: true,
+ *   maxPersistedMessages: 50
+ * });
+ *
+ * @example
+ * // Encrypt stored context with a key from your own key management
+ * const privateAgent = new Heylock('YOUR_AGENT_KEY', {
+ *   encryptionKey: async () => crypto.subtle.importKey('raw', await fetchKeyBytes(), 'AES-GCM', false, ['encrypt', 'decrypt'])
+ * });
+ *
+ * @example
+ * // Keep context and chat in step across open tabs
+ * const sharedAgent = new Heylock('YOUR_AGENT_KEY', {
+ *   persistMessageHistory: true,
+ *   syncTabs: true
+ * });
+ *
+ * @example
+ * // Point at a staging server and route requests through your own fetch
+ * const stagingAgent = new Heylock('YOUR_AGENT_KEY', {
+ *   baseUrl: 'https://staging.example.com',
+ *   fetch: (input, init) => myInstrumentedFetch(input, init)
+ * });
  */
 export interface AgentOptions {
     useStorage?: boolean;
+    storage?: StorageAdapter;
     useMessageHistory?: boolean;
+    persistMessageHistory?: boolean;
+    maxPersistedMessages?: number;
+    syncTabs?: boolean;
+    encryptionKey?: CryptoKey | (() => CryptoKey | Promise<CryptoKey>);
+    contextRetention?: ContextRetentionOptions;
+    contextBudget?: ContextBudgetOptions | null;
+    contextFormat?: ContextFormatOptions;
+    contextCoalescing?: boolean | ContextCoalescingOptions;
+    redaction?: boolean | RedactionOptions;
     suppressWarnings?: boolean;
     agentId?: string;
+    baseUrl?: string;
+    fetch?: (input: string, init?: RequestInit) => Promise<Response>;
+    proxyUrl?: string;
+    retry?: boolean | RetryOptions;
+    timeoutMs?: number | null;
+    streamIdleTimeoutMs?: number | null;
+}
+
+/**
+ * Retry policy for transient failures (HTTP 429, 500, 502, 503, network errors and timed-out attempts).
+ * Requests are never retried when the Plan-Remaining header shows the quota is used up. Message requests (message, messageStream
+ * and greet) are not idempotent, so by default they are only retried on HTTP 429, or 503 with a Retry-After header.
+ * @property maxAttempts - Total attempts including the first one. Defaults to 3.
+ * @property baseDelayMs - Delay before the first retry; doubles on every further retry. Defaults to 250.
+ * @property maxDelayMs - Upper bound for a single delay. A Retry-After longer than this ends retrying. Defaults to 8000.
+ * @property jitter - Randomize up to half of each delay to avoid synchronized retries. Defaults to true.
+ * @property respectRetryAfter - Wait as long as the server's Retry-After header asks. Defaults to true.
+ * @property retryNonIdempotent - Also retry message requests on HTTP 500, 502, 503 without Retry-After, network errors and timed-out attempts.
+ *   A request whose response was lost may already have produced a reply, so a retry can duplicate it and use quota twice. Defaults to false.
+ *
+ * @example
+ * const agent = new Heylock('YOUR_AGENT_KEY', {
+ *   retry: { maxAttempts: 4, baseDelayMs: 500 }
+ * });
+ */
+export interface RetryOptions {
+    maxAttempts?: number;
+    baseDelayMs?: number;
+    maxDelayMs?: number;
+    jitter?: boolean;
+    respectRetryAfter?: boolean;
+    retryNonIdempotent?: boolean;
+}
+
+/**
+ * Retention limits for context entries. Omitted or null limits are not enforced.
+ * Expired entries are evicted first, then the oldest entries until both maxEntries and maxChars hold.
+ * @property maxAgeMs - Longest time an entry is kept, measured from its timestamp.
+ * @property maxEntries - Most entries kept.
+ * @property maxChars - Most characters kept, summed over all entry contents.
+ *
+ * @example
+ * // Keep at most 20 entries from the last 30 minutes
+ * const agent = new Heylock('YOUR_AGENT_KEY', {
+ *   contextRetention: { maxAgeMs: 30 * 60 * 1000, maxEntries: 20 }
+ * });
+ */
+export interface ContextRetentionOptions {
+    maxAgeMs?: number | null;
+    maxEntries?: number | null;
+    maxChars?: number | null;
+}
+
+/**
+ * Size limit for the context sent with a request. At least one of maxChars and maxTokens is required; when both are given, both must hold.
+ * Entries are ranked by a score that adds recency, weight and relevance, each between 0 and 1 and multiplied by its ranking factor.
+ * The best-ranked entries that fit are sent, in their original order; an entry too large for the space left is skipped.
+ * @property maxChars - Most characters of context text.
+ * @property maxTokens - Most tokens of context text, estimated as characters / 4.
+ * @property ranking - Factors for recency, weight and relevance. Each defaults to 1; 0 ignores that part.
+ * @property recencyHalfLifeMs - Age at which the recency part halves. Defaults to 30 minutes.
+ *
+ * @example
+ * // Send at most ~500 tokens of context, preferring entries related to the question
+ * const agent = new Heylock('YOUR_AGENT_KEY', {
+ *   contextBudget: { maxTokens: 500, ranking: { relevance: 2 } }
+ * });
+ */
+export interface ContextBudgetOptions {
+    maxChars?: number | null;
+    maxTokens?: number | null;
+    ranking?: { recency?: number; weight?: number; relevance?: number };
+    recencyHalfLifeMs?: number;
 }
 
+/**
+ * How context entries are written into the context text.
+ * @property style - 'sentence' ("Opened cart 5 minutes ago. " — the default), 'bullets' ("- Opened cart (5 minutes ago)", one per line) or 'json' (an array of `{ content, time?, count?, tags?, source? }`).
+ * @property time - 'relative' (default), 'iso' (e.g. 2025-01-01T12:00:00.000Z) or 'none'.
+ * @property locale - BCP 47 locale for relative times, worded by Intl.RelativeTimeFormat. Without it, relative times are in English.
+ * @property template - Text for each entry with the placeholders {content}, {time}, {relativeTime}, {isoTime}, {source}, {tags} and {count}. Used by the 'sentence' and 'bullets' styles.
+ * @property formatEntry - Function returning the text for each entry, instead of a template.
+ *
+ * @example
+ * // German storefront
+ * const agent = new Heylock('YOUR_AGENT_KEY', { contextFormat: { locale: 'de' } });
+ * agent.addContextEntry('Warenkorb geöffnet');
+ * agent.getContextString(); // "Warenkorb geöffnet jetzt. "
+ *
+ * @example
+ * // One bullet per entry, with absolute times
+ * agent.getContextString(undefined, { style: 'bullets', template: '[{isoTime}] {content}' });
+ */
+export interface ContextFormatOptions {
+    style?: 'sentence' | 'bullets' | 'json';
+    time?: 'relative' | 'iso' | 'none';
+    locale?: string | null;
+    template?: string | null;
+    formatEntry?: ((entry: ContextEntry, times: ContextEntryTimes) => string) | null;
+}
+
+/**
+ * When repeated context entries are merged. A new entry merges into the latest entry within windowMs whose content is similar enough;
+ * that entry's count goes up, its timestamp becomes the latest one and it moves to the end of the context.
+ * @property windowMs - Longest time between two occurrences that still merge, in milliseconds. Defaults to 300000 (5 minutes).
+ * @property similarity - 'exact' (identical content), 'normalized' (the default; ignores case, repeated whitespace and surrounding punctuation),
+ * or a number above 0 and up to 1: the minimum similarity of the normalized texts (Sørensen–Dice over character pairs), e.g. 0.8 for near-duplicates.
+ *
+ * @example
+ * const agent = new Heylock('YOUR_AGENT_KEY', { contextCoalescing: { windowMs: 10 * 60 * 1000 } });
+ *
+ * for (let i = 0; i < 5; i++) agent.addContextEntry('Viewed product X');
+ *
+ * agent.context.length;     // 1
+ * agent.context[0].count;   // 5
+ * agent.getContextString(); // "Viewed product X (5 times, last now). "
+ */
+export interface ContextCoalescingOptions {
+    windowMs?: number;
+    similarity?: 'exact' | 'normalized' | number;
+}
+
+/**
+ * Times of an entry passed to a contextFormat.formatEntry function.
+ * @property time - The time chosen by contextFormat.time ('' for 'none').
+ * @property relativeTime - Relative time, localized when a locale is set.
+ * @property isoTime - ISO 8601 time.
+ * @property locale - The locale option, or null.
+ */
+export interface ContextEntryTimes {
+    time: string;
+    relativeTime: string;
+    isoTime: string;
+    locale: string | null;
+}
+
+/**
+ * A context entry with the score the context builder ranked it by.
+ */
+export interface ScoredContextEntry extends ContextEntry {
+    score: number;
+}
+
+/**
+ * Result of building context text: the text and which entries made it in.
+ * @property text - The context text, as sent to the API.
+ * @property chars - Length of text.
+ * @property approxTokens - Estimated tokens of text (characters / 4).
+ * @property budget - The budget applied, or null when there was none.
+ * @property included - Entries in text, in context order.
+ * @property excluded - Entries left out because they did not fit the budget. Entries removed by a contextFilter are in neither list.
+ */
+export interface ContextBuildResult {
+    readonly text: string;
+    readonly chars: number;
+    readonly approxTokens: number;
+    readonly budget: Readonly<{ maxChars: number | null; maxTokens: number | null; ranking: Readonly<{ recency: number; weight: number; relevance: number }>; recencyHalfLifeMs: number }> | null;
+    readonly included: ReadonlyArray<ScoredContextEntry>;
+    readonly excluded: ReadonlyArray<ScoredContextEntry>;
+}
+
+/**
+ * Options for buildContext.
+ * @property query - Text to rank relevance against, usually the message about to be sent.
+ * @property filter - Consider only the entries that match.
+ * @property budget - Budget to apply. Defaults to the contextBudget option; null applies none.
+ * @property format - Format to use. Defaults to the contextFormat option; null uses the built-in default.
+ */
+export interface BuildContextOptions {
+    query?: string;
+    filter?: ContextFilter;
+    budget?: ContextBudgetOptions | null;
+    format?: ContextFormatOptions | null;
+}
+
+/**
+ * A context entry removed by the retention policy, passed to onContextEviction callbacks.
+ * @property reason - The limit that removed it.
+ */
+export interface EvictedContextEntry extends ContextEntry {
+    reason: 'maxAge' | 'maxEntries' | 'maxChars';
+}
+
+/**
+ * Describes an upcoming retry, passed to onRetry callbacks.
+ * @property route - The route being retried ('message', 'rewrite', 'sort', 'shouldEngage', 'limits' or 'verifyKey').
+ * @property attempt - Number of the attempt about to be made (2 for the first retry).
+ * @property maxAttempts - Total attempts allowed by the policy.
+ * @property delayMs - Time waited before the attempt.
+ * @property status - HTTP status of the failed attempt, or null if it failed without a response.
+ * @property error - The HeylockNetworkError (or HeylockTimeoutError) of the failed attempt, or null if a response was received.
+ */
+export interface RetryInfo {
+    route: string;
+    attempt: number;
+    maxAttempts: number;
+    delayMs: number;
+    status: number | null;
+    error: unknown;
+}
+
+/**
+ * Persists agent state as strings under namespaced keys (e.g. 'heylock:default:context').
+ * Each method may return its result directly or as a Promise. Built-in adapters:
+ * createLocalStorageAdapter, createSessionStorageAdapter, createIndexedDBAdapter, createMemoryStorageAdapter and createFileStorageAdapter.
+ * @property get - Returns the stored string, or null if the key is missing.
+ * @property set - Stores the string under the key.
+ * @property remove - Deletes the key.
+ *
+ * @example
+ * // Redis-backed adapter for a Node worker
+ * const agent = new Heylock(process.env.HEYLOCK_AGENT_KEY, {
+ *   storage: {
+ *     get: (key) => redis.get(key),
+ *     set: (key, value) => redis.set(key, value),
+ *     remove: (key) => redis.del(key)
+ *   }
+ * });
+ */
+export interface StorageAdapter {
+    get(key: string): string | null | undefined | Promise<string | null | undefined>;
+    set(key: string, value: string): void | Promise<void>;
+    remove(key: string): void | Promise<void>;
+}
+
+/**
+ * Options for createIndexedDBAdapter.
+ * @property databaseName - Name of the IndexedDB database. Defaults to 'heylock'.
+ * @property storeName - Name of the object store. Defaults to 'storage'.
+ */
+export interface IndexedDBAdapterOptions {
+    databaseName?: string;
+    storeName?: string;
+}
+
+/**
+ * Configuration options for the server-side proxy handlers.
+ * @property baseUrl - Base URL of the Heylock API, defaults to 'https://heylock.dev'.
+ * @property fetch - Custom fetch implementation used for upstream requests. Defaults to the global fetch.
+ *
+ * @example
+ * import { createProxyHandler } from 'heylock';
+ *
+ * const handler = createProxyHandler(process.env.HEYLOCK_AGENT_KEY, { baseUrl: 'https://heylock.dev' });
+ */
+export interface ProxyHandlerOptions {
+    baseUrl?: string;
+    fetch?: (input: string, init?: RequestInit) => Promise<Response>;
+}
+
+/**
+ * Per-call options accepted by every network method.
+ * @property signal - Cancels the request (and an in-progress stream) when aborted. The method then rejects with a HeylockAbortError (name 'AbortError', code 'aborted').
+ * @property timeoutMs - Overrides the agent's timeoutMs for this call; null disables it. On expiry the method rejects with a HeylockTimeoutError (name 'TimeoutError', code 'timeout').
+ * @property streamIdleTimeoutMs - messageStream only. Overrides the agent's streamIdleTimeoutMs; on expiry the stream rejects with a HeylockTimeoutError whose code is 'stream_idle_timeout'.
+ *
+ * @example
+ * const controller = new AbortController();
+ *
+ * closeButton.onclick = () => controller.abort();
+ *
+ * for await (const chunk of agent.messageStream('Tell me a story', true, true, { signal: controller.signal })) {
+ *   render(chunk);
+ * }
+ */
+export interface RequestOptions {
+    signal?: AbortSignal;
+    timeoutMs?: number | null;
+    streamIdleTimeoutMs?: number | null;
+}
+
+/**
+ * Options for the routes that send context (message, messageStream, greet, shouldEngage, rewrite, sort).
+ * @property contextFilter - Sends only the context entries that match. Without it, all entries are sent.
+ * @property contextBudget - Overrides the contextBudget option for this call; null sends the context without a limit.
+ * @property contextFormat - Overrides the contextFormat option for this call; null uses the built-in default.
+ *
+ * @example
+ * const sorted = await agent.sort(products, 'Most relevant first', true, { contextFilter: { includeTags: ['shopping'] } });
+ * const reply = await agent.message('Where is my order?', true, true, { contextFilter: { includeTags: ['support'] } });
+ */
+export interface ContextRequestOptions extends RequestOptions {
+    contextFilter?: ContextFilter;
+    contextBudget?: ContextBudgetOptions | null;
+    contextFormat?: ContextFormatOptions | null;
+}
+
+/** Length hint for a reply. */
+export type ResponseLength = 'short' | 'medium' | 'long';
+
+/**
+ * Options for message, messageStream and greet. The guidance applies to this call only: it is sent in
+ * separate fields next to the content and is never saved to message history. Redaction applies to it.
+ * @property instructions - What the reply should do, e.g. "Answer as a bulleted list". Up to 10000 characters.
+ * @property persona - Who the agent should sound like for this reply. Up to 10000 characters.
+ * @property responseLength - How long the reply should be.
+ * @property language - Language tag of the reply, such as 'en' or 'pt-BR'. Sent canonicalized.
+ * @property extraContext - Context for this call only, sent even when useContext is false. Up to 10000 characters.
+ *
+ * @example
+ * const reply = await agent.message('What can I cook tonight?', true, true, {
+ *   persona: 'A cheerful Italian chef',
+ *   responseLength: 'short',
+ *   language: 'it',
+ *   extraContext: 'The visitor has eggs, pasta and parmesan at home.'
+ * });
+ */
+export interface MessageRequestOptions extends ContextRequestOptions {
+    instructions?: string;
+    persona?: string;
+    responseLength?: ResponseLength;
+    language?: string;
+    extraContext?: string;
+}
+
+/**
+ * Status of a message. Replies from message, messageStream and greet start as 'pending' and end as 'complete', 'error'
+ * or 'cancelled'; messageStream replies are 'streaming' in between, from the first chunk. Every other message is 'complete'.
+ */
+export type MessageStatus = 'pending' | 'streaming' | 'complete' | 'error' | 'cancelled';
+
 /**
  * Represents a single message stored in the agent's message history.
- * Includes the message content and the role of the sender ('user' or 'assistant').
+ * Includes a generated ID, the message content, the role of the sender ('user' or 'assistant') and metadata.
+ * The ID never changes, so it keeps pointing at the same message when others are removed.
+ *
+ * @property createdAt - When the message was added (ms since epoch).
+ * @property updatedAt - When the message last changed (ms since epoch).
+ * @property status - Whether the message is complete, still arriving, failed or cancelled.
+ * @property errorCode - Code of the error that failed the reply. Only set when status is 'error'.
+ * @property latencyMs - Time from sending the request until the reply finished. Only set on replies.
  *
  * @example
  * // Add and read messages
@@ -37,16 +416,62 @@ export interface AgentOptions {
  * 
  * agent.addMessage('Hello!', 'user');
  * agent.addMessage('Hi there!', 'assistant');
- * console.log(agent.messageHistory); // [{content:'Hello!', role:'user'}, {content:'Hi there!', role:'assistant'}]
+ * console.log(agent.messageHistory); // [{id:'…', content:'Hello!', role:'user', createdAt: 1760781600000, updatedAt: 1760781600000, status: 'complete'}, …]
+ *
+ * @example
+ * // Tell a failed reply apart from a real one
+ * agent.onMessageHistoryChange((history) => {
+ *   const reply = history.at(-1);
+ *   if (reply?.status === 'error') showRetryButton(reply.errorCode);
+ * });
  */
 export interface Message {
+    id: string;
+    content: string;
+    role: 'user' | 'assistant';
+    createdAt: number;
+    updatedAt: number;
+    status: MessageStatus;
+    errorCode?: HeylockErrorCode;
+    latencyMs?: number;
+}
+
+/**
+ * A message passed to setMessageHistory. Without an ID, one is generated.
+ * Missing metadata defaults to status 'complete', created and updated now.
+ */
+export interface MessageInput {
+    id?: string;
     content: string;
     role: 'user' | 'assistant';
+    createdAt?: number;
+    updatedAt?: number;
+    status?: MessageStatus;
+    errorCode?: string;
+    latencyMs?: number;
+}
+
+/**
+ * Summary of a conversation thread, as listed by `agent.threads`.
+ * Every agent has a 'default' thread named 'Main' that cannot be deleted.
+ *
+ * @property messageCount - Number of messages in the thread.
+ *
+ * @example
+ * const id = agent.createThread('Order #1234');
+ * console.log(agent.threads); // [{ id: 'default', name: 'Main', createdAt: 1760781600000, messageCount: 2 }, { id, name: 'Order #1234', createdAt: 1760781660000, messageCount: 0 }]
+ */
+export interface Thread {
+    readonly id: string;
+    readonly name: string;
+    readonly createdAt: number;
+    readonly messageCount: number;
 }
 
 /**
  * Represents a single entry in the agent's context.
- * Includes the context content and a timestamp.
+ * Includes a generated ID that never changes, the context content and a timestamp.
+ * Coalesced entries also have count, the number of occurrences merged into them; entries seen once have none.
  *
  * @example
  * // Add a context entry so the agent can personalize responses
@@ -58,8 +483,65 @@ export interface Message {
  * console.log(agent.getContextString()); // "User expanded the model description now."
  */
 export interface ContextEntry {
+    id: string;
     content: string;
     timestamp: number;
+    tags?: readonly string[];
+    source?: string;
+    weight?: number;
+    attributes?: Readonly<Record<string, ContextAttributeValue>>;
+    count?: number;
+}
+
+/**
+ * A context entry passed to setContext. Without an ID, one is generated; without a timestamp, the current time is used.
+ */
+export interface ContextEntryInput extends ContextEntryMetadata {
+    id?: string;
+    content: string;
+    timestamp?: number;
+    count?: number;
+}
+
+export type ContextAttributeValue = string | number | boolean | null;
+
+/**
+ * Optional metadata on a context entry. It is validated, persisted and synced with the entry, but only content and timestamp are sent to the API.
+ * @property tags - Category tags, e.g. 'shopping' or 'support'. Up to 32 non-empty strings; duplicates are dropped.
+ * @property source - Where the entry came from, e.g. 'page', 'event' or 'server'.
+ * @property weight - Importance, a finite non-negative number. Entries without one count as 1.
+ * @property attributes - Free-form values (strings, finite numbers, booleans or null), up to 32 keys.
+ *
+ * @example
+ * agent.addContextEntry('Added running shoes to cart', undefined, {
+ *   tags: ['shopping'],
+ *   source: 'event',
+ *   weight: 2,
+ *   attributes: { sku: 'RS-42', price: 89.9 }
+ * });
+ */
+export interface ContextEntryMetadata {
+    tags?: string[];
+    source?: string;
+    weight?: number;
+    attributes?: Record<string, ContextAttributeValue>;
+}
+
+/**
+ * Selects context entries by metadata. All given conditions must hold.
+ * @property includeTags - Entry must have at least one of these tags.
+ * @property excludeTags - Entry must have none of these tags.
+ * @property sources - Entry source must be one of these.
+ * @property minWeight - Entry weight (1 when unset) must be at least this.
+ *
+ * @example
+ * agent.getContextString({ includeTags: ['support'], minWeight: 1 });
+ */
+export interface ContextFilter {
+    includeTags?: string[];
+    excludeTags?: string[];
+    sources?: string[];
+    minWeight?: number;
 }
 
 /**
@@ -155,6 +637,170 @@ export interface SortResult {
     fallback?: boolean;
 }
 
+export type ActivityType = 'pageView' | 'routeChange' | 'click' | 'scrollDepth' | 'timeOnPage' | 'formFocus';
+
+/**
+ * Something the activity tracker saw, passed to rule content functions.
+ * @property path - Pathname of the page, plus the hash for hash routes ('#/…'). Query strings are never included.
+ * @property title - document.title (pageView and routeChange).
+ * @property label - Value of the click attribute, aria-label or text of the clicked element (click).
+ * @property depth - Deepest scroll threshold reached, in percent (scrollDepth).
+ * @property durationMs - Time spent on the page (timeOnPage).
+ * @property field - Label, name or ID of the focused field; its value is never read (formFocus).
+ * @property form - Name or ID of the field's form, or null (formFocus).
+ * @property element - The clicked or focused element (click and formFocus).
+ */
+export interface Activity {
+    readonly type: ActivityType;
+    readonly path: string;
+    readonly title?: string;
+    readonly label?: string;
+    readonly depth?: number;
+    readonly durationMs?: number;
+    readonly field?: string;
+    readonly form?: string | null;
+    readonly element?: Element;
+}
+
+/**
+ * A rule for the activity tracker. The first rule whose type, path and selector all match an activity applies to it.
+ * @property type - Activity type or types the rule applies to. All types when omitted.
+ * @property path - Path the rule applies to: a string matches the path and everything below it; a RegExp is tested against the path.
+ * @property selector - CSS selector the clicked or focused element must be inside of.
+ * @property ignore - Drop matching activities.
+ * @property content - Context entry text, or a function returning it. Return null to drop the activity.
+ * @property tags - Tags added to the default 'activity' and type tags.
+ * @property source - Replaces the default source ('page' for page views and route changes, 'event' otherwise).
+ * @property weight - Weight of the context entry.
+ */
+export interface ActivityRule {
+    type?: ActivityType | ActivityType[];
+    path?: string | RegExp;
+    selector?: string;
+    ignore?: boolean;
+    content?: string | ((activity: Activity) => string | null);
+    tags?: string[];
+    source?: string;
+    weight?: number;
+}
+
+/**
+ * Options for trackActivity.
+ * @property allow - Allowlist. `events` lists the activity types to capture (all by default); `paths` limits capturing to these paths (all by default).
+ * @property rules - Rules that reword, tag, weight or drop activities.
+ * @property debounceMs - Identical activities within this time are recorded once. Defaults to 1000.
+ * @property clickAttribute - Data attribute that marks clickable elements to track. Defaults to 'data-heylock-track'.
+ * @property scrollThresholds - Scroll depths in percent to record, once per page. Defaults to [25, 50, 75, 100].
+ */
+export interface ActivityTrackerOptions {
+    allow?: { events?: ActivityType[]; paths?: Array<string | RegExp> };
+    rules?: ActivityRule[];
+    debounceMs?: number;
+    clickAttribute?: string;
+    scrollThresholds?: number[];
+}
+
+export type RedactionDetector = 'email' | 'phone' | 'card' | 'iban';
+
+/**
+ * A custom redaction rule. Matches become tokens named after the rule, e.g. [ORDER_ID_1] for 'order_id'.
+ * @property name - A letter followed by up to 31 letters, digits or underscores.
+ * @property pattern - Regular expression for the values to redact. Every match is redacted, with or without the g flag.
+ * @property match - Function returning the substrings of the text to redact, instead of a pattern.
+ */
+export type RedactionRule =
+    | { name: string; pattern: RegExp; match?: never }
+    | { name: string; match: (text: string) => string[]; pattern?: never };
+
+/**
+ * Redaction of personal data in outgoing text: message and messageStream content and history, rewrite text and instructions,
+ * strings in sort arrays, and the context of every route. Stored context and message history keep the original text.
+ * The same value always gets the same token. Token values are kept in memory only: at most 1000, the least recently used
+ * forgotten first, and all of them on clearMessageHistory and dispose.
+ * @property detectors - Built-in detectors to use. Defaults to all: 'email', 'phone' (numbers with a country or area code, three or more groups,
+ *   or two groups written like 030 1234567 or 555-1234), 'card' (numbers passing the Luhn check) and 'iban' (passing the mod-97 check).
+ * @property rules - Custom rules, applied before the built-in detectors.
+ * @property restoreTokens - Whether to put the original values back into replies from message, messageStream and rewrite. Defaults to false.
+ *
+ * @example
+ * const agent = new Heylock('YOUR_AGENT_KEY', {
+ *   redaction: {
+ *     rules: [{ name: 'order_id', pattern: /ORD-\d{6}/ }],
+ *     restoreTokens: true
+ *   }
+ * });
+ *
+ * // Sent as "Where is [ORDER_ID_1]? Email me at [EMAIL_1]"; the reply mentions the real order ID again
+ * await agent.message('Where is ORD-123456? Email me at jane@example.com');
+ */
+export interface RedactionOptions {
+    detectors?: RedactionDetector[];
+    rules?: RedactionRule[];
+    restoreTokens?: boolean;
+}
+
+/**
+ * Options for createSessionManager. Every agent option except storage, useStorage, syncTabs and proxyUrl applies to each session.
+ * @property store - Storage adapter for session context and message history, under 'heylock:<agentId>:session:<userId>:context' and ':messageHistory'.
+ * Message history is persisted unless persistMessageHistory is false. Without a store, sessions live in memory only.
+ * @property idleTimeoutMs - Sessions not fetched with getSession for this long are disposed; their stored data stays in the store. Defaults to 1800000 (30 minutes); null keeps sessions until they are ended.
+ */
+export interface SessionManagerOptions extends Omit<AgentOptions, 'storage' | 'useStorage' | 'syncTabs' | 'proxyUrl'> {
+    store?: StorageAdapter;
+    idleTimeoutMs?: number | null;
+}
+
+/**
+ * Hands out one agent per user ID on a server, all sharing one key verification.
+ * Created with createSessionManager.
+ */
+export interface SessionManager {
+    /**
+     * Resolves once the key has been verified: true if it is valid.
+     */
+    ready(): Promise<boolean>;
+
+    /**
+     * Returns the user's session agent, ready to use. The first call for a user creates it and restores its state from the store;
+     * concurrent calls for the same user get the same agent. Each call counts as activity for idle eviction.
+     * All sessions share one usageRemaining, so a request made by any session updates what every session reports.
+     * @throws Error if userId is not a non-empty string of up to 256 characters, or HeylockStateError if the manager has been disposed.
+     */
+    getSession(userId: string): Promise<Heylock>;
+
+    /**
+     * Whether the user has a session in memory.
+     */
+    hasSession(userId: string): boolean;
+
+    /**
+     * User IDs of the sessions in memory.
+     * @readonly
+     */
+    readonly activeSessionIds: ReadonlyArray<string>;
+
+    /**
+     * Disposes the user's session. Its state stays in the store, so the next getSession restores it.
+     */
+    endSession(userId: string): Promise<void>;
+
+    /**
+     * Disposes the user's session and removes its context and message history from the store.
+     */
+    deleteSession(userId: string): Promise<void>;
+
+    /**
+     * Runs the callback with the user ID of each session disposed for being idle.
+     * @returns A function that unsubscribes the callback.
+     */
+    onSessionEviction(callback: (userId: string) => void): () => void;
+
+    /**
+     * Disposes every session and the manager. Resolves once sessions have saved their final state.
+     */
+    dispose(): Promise<void>;
+}
+
 //#endregion
 
 /**
@@ -213,6 +859,19 @@ export default class Heylock {
      */
     constructor(agentKey: string, options?: AgentOptions);
 
+    /**
+     * Creates an agent that talks only to a proxy endpoint, so the agent key never ships to the browser.
+     *
+     * @param agentKey - Omit (null/undefined). The proxy holds the key on the server.
+     * @param options - Configuration settings including the required proxyUrl.
+     *
+     * @example
+     * import Heylock from 'heylock';
+     *
+     * const agent = new Heylock(null, { proxyUrl: '/api/heylock' });
+     */
+    constructor(agentKey: null | undefined, options: AgentOptions & { proxyUrl: string });
+
     //#region Agent properties
 
     /**
@@ -247,11 +906,70 @@ export default class Heylock {
      *   console.log(usage.messages, usage.sorts, usage.rewrites);
      * });
      */
-    readonly usageRemaining: UsageRemaining;
+    readonly usageRemaining: UsageRemaining;
+
+    /**
+     * Base URL every request is sent to, without a trailing slash.
+     * @readonly
+     *
+     * @example
+     * const agent = new Heylock('YOUR_AGENT_KEY', { baseUrl: 'http://localhost:4000/' });
+     *
+     * console.log(agent.baseUrl); // 'http://localhost:4000'
+     */
+    readonly baseUrl: string;
+
+    /**
+     * Proxy endpoint the agent talks to, or null when it calls the Heylock API directly.
+     * @readonly
+     */
+    readonly proxyUrl: string | null;
+
+    /**
+     * Default time limit for each request attempt in milliseconds, or null when disabled.
+     * @readonly
+     */
+    readonly timeoutMs: number | null;
+
+    /**
+     * Default longest gap between stream chunks in milliseconds, or null when disabled.
+     * @readonly
+     */
+    readonly streamIdleTimeoutMs: number | null;
+
+    /**
+     * The resolved contextRetention option; null limits are not enforced.
+     * @readonly
+     */
+    readonly contextRetention: Readonly<{ maxAgeMs: number | null; maxEntries: number | null; maxChars: number | null }>;
+
+    /**
+     * The resolved contextBudget option, or null when context is sent without a limit.
+     * @readonly
+     */
+    readonly contextBudget: ContextBuildResult['budget'];
+
+    /**
+     * The resolved contextFormat option.
+     * @readonly
+     */
+    readonly contextFormat: Readonly<Required<ContextFormatOptions>>;
+
+    /**
+     * The resolved contextCoalescing option, or null when repeated entries are not merged.
+     * @readonly
+     */
+    readonly contextCoalescing: Readonly<Required<ContextCoalescingOptions>> | null;
+
+    /**
+     * The resolved redaction option, or null when outgoing text is sent unchanged.
+     * @readonly
+     */
+    readonly redaction: Readonly<{ detectors: ReadonlyArray<RedactionDetector>; rules: ReadonlyArray<RedactionRule>; restoreTokens: boolean }> | null;
 
     /**
-     * Gets the message history for the agent.
-     * Each message contains content and a role ('user' or 'assistant').
+     * Gets the message history of the active thread.
+     * Each message contains content, a role ('user' or 'assistant') and metadata: timestamps, status, and for replies latency and error code.
      * @readonly
      *
      * @example
@@ -261,10 +979,28 @@ export default class Heylock {
      * 
      * agent.addMessage('Hi', 'user');
      *
-     * console.log(agent.messageHistory); // [{ content: 'Hi', role: 'user' }]
+     * console.log(agent.messageHistory); // [{ id: '…', content: 'Hi', role: 'user', createdAt: 1760781600000, updatedAt: 1760781600000, status: 'complete' }]
      */
     readonly messageHistory: ReadonlyArray<Message>;
 
+    /**
+     * Lists the conversation threads, oldest first. The 'default' thread is always first.
+     * @readonly
+     *
+     * @example
+     * console.log(agent.threads.map((thread) => thread.name)); // ['Main', 'Order #1234']
+     */
+    readonly threads: ReadonlyArray<Thread>;
+
+    /**
+     * ID of the thread that messageHistory, addMessage, message and messageStream work on. Starts as 'default'.
+     * @readonly
+     *
+     * @example
+     * console.log(agent.activeThreadId); // 'default'
+     */
+    readonly activeThreadId: string;
+
     /**
      * Gets the context for the agent.
      * Each context entry contains content and a timestamp.
@@ -283,13 +1019,80 @@ export default class Heylock {
 
     //#endregion
 
+    //#region Initialization
+
+    /**
+     * Waits for the current initialization to finish and for context to be restored from an asynchronous storage adapter.
+     * Can be called at any time, including after initialization has completed.
+     * @returns Promise resolving to true if the agent is initialized, false otherwise. Rejects with a HeylockStateError (code 'disposed') only after dispose().
+     *
+     * @example
+     * const agent = new Heylock('YOUR_AGENT_KEY');
+     *
+     * if (!(await agent.ready())) {
+     *   showOfflineBanner();
+     * }
+     */
+    ready(): Promise<boolean>;
+
+    /**
+     * Runs initialization again with the current key, e.g. after a failed attempt.
+     * Usage is re-fetched and onInitialized callbacks fire again. History and context are kept.
+     * @returns Promise resolving to the new initialization result. ready() resolves to the same value.
+     *
+     * @example
+     * retryButton.onclick = async () => {
+     *   if (await agent.reinitialize()) hideOfflineBanner();
+     * };
+     */
+    reinitialize(): Promise<boolean>;
+
+    /**
+     * Replaces the agent key, verifies it and re-fetches usageRemaining. History and context are kept.
+     * The new key is only used once it has been verified. If it is rejected, the agent keeps its current key, state and usageRemaining.
+     * @param agentKey - The new agent key. Must be a non-empty string.
+     * @returns Promise resolving to true if the new key is valid.
+     * @throws Error if agentKey is invalid or the agent uses a proxyUrl.
+     *
+     * @example
+     * const ok = await agent.setAgentKey(rotatedKey);
+     *
+     * if (!ok) console.error('Rotated key was rejected');
+     */
+    setAgentKey(agentKey: string): Promise<boolean>;
+
+    /**
+     * Whether dispose() has been called.
+     * @readonly
+     */
+    readonly isDisposed: boolean;
+
+    /**
+     * Tears the agent down: aborts pending requests and streams, persists context to storage one last time
+     * and removes every callback. Afterwards isInitialized is false and all methods throw a HeylockStateError
+     * with code 'disposed'. Calling it again does nothing.
+     * @returns Promise that resolves once pending writes of an asynchronous storage adapter have finished.
+     *
+     * @example
+     * // React
+     * useEffect(() => {
+     *   const agent = new Heylock(null, { proxyUrl: '/api/heylock' });
+     *   setAgent(agent);
+     *
+     *   return () => agent.dispose();
+     * }, []);
+     */
+    dispose(): Promise<void>;
+
+    //#endregion
+
     //#region Callbacks
 
     /**
      * Registers a callback to be called when the agent is initialized.
      * @param callback - Function called when initialization completes. Receives a boolean indicating success (true) or failure (false).
      * @returns Unsubscribe function to remove the callback.
-     * @remarks The callback is triggered for both success and failure. Edge cases to consider include invalid agentKey, network errors, or accidental agent deletion.
+     * @remarks The callback is triggered for both success and failure, and again after each reinitialize() or setAgentKey() that accepts its key. It does not fire for initializations that finished before it was registered; use ready() for that. Edge cases to consider include invalid agentKey, network errors, or accidental agent deletion.
      *
      * @example
      * import Heylock from 'heylock';
@@ -307,8 +1110,8 @@ export default class Heylock {
     onInitialized(callback: (success: boolean) => void): () => void;
 
     /**
-     * Registers a callback to be called when the message history changes.
-     * @param callback - Function called when the message history changes. Receives the new message history array.
+     * Registers a callback to be called when the message history of any thread changes.
+     * @param callback - Function called when a message history changes. Receives the new message history array and the ID of the thread it belongs to.
      * @returns Unsubscribe function to remove the callback.
      *
      * @example
@@ -316,13 +1119,25 @@ export default class Heylock {
      * 
      * const agent = new Heylock('YOUR_AGENT_KEY');
      * 
-     * const unsubscribe = agent.onMessageHistoryChange((history) => {
-     *   console.log('History size:', history.length);
+     * const unsubscribe = agent.onMessageHistoryChange((history, threadId) => {
+     *   if (threadId === agent.activeThreadId) console.log('History size:', history.length);
      * });
      * 
      * agent.addMessage('Hello', 'user');
      */
-    onMessageHistoryChange(callback: (messageHistory: Array<Message>) => void): () => void;
+    onMessageHistoryChange(callback: (messageHistory: Array<Message>, threadId: string) => void): () => void;
+
+    /**
+     * Registers a callback to be called when a thread is created, renamed, deleted or switched to.
+     * @param callback - Function called with the thread list and the active thread ID.
+     * @returns Unsubscribe function to remove the callback.
+     *
+     * @example
+     * const unsubscribe = agent.onThreadsChange((threads, activeThreadId) => {
+     *   renderThreadTabs(threads, activeThreadId);
+     * });
+     */
+    onThreadsChange(callback: (threads: ReadonlyArray<Thread>, activeThreadId: string) => void): () => void;
 
     /**
      * Registers a callback to be called when the context changes.
@@ -342,6 +1157,50 @@ export default class Heylock {
      */
     onContextChange(callback: (context: Array<ContextEntry>) => void): () => void;
 
+    /**
+     * Registers a callback to be called before each automatic retry (see the `retry` option).
+     * @param callback - Function called with details about the retry that is about to happen.
+     * @returns Unsubscribe function to remove the callback.
+     *
+     * @example
+     * import Heylock from 'heylock';
+     *
+     * const agent = new Heylock('YOUR_AGENT_KEY', { retry: true });
+     *
+     * agent.onRetry(({ route, attempt, delayMs, status }) => {
+     *   console.log(`Retrying ${route} (attempt ${attempt}) in ${delayMs}ms after ${status ?? 'network error'}`);
+     * });
+     */
+    onRetry(callback: (retryInfo: RetryInfo) => void): () => void;
+
+    /**
+     * Registers a callback to be called when the contextRetention policy evicts context entries.
+     * Evictions while restoring during construction are reported on the next microtask, so a callback registered right after `new Heylock()` receives them.
+     * @param callback - Function called with the evicted entries and the limit that removed each.
+     * @returns Unsubscribe function to remove the callback.
+     *
+     * @example
+     * const agent = new Heylock('YOUR_AGENT_KEY', { contextRetention: { maxEntries: 50 } });
+     *
+     * agent.onContextEviction((evicted) => {
+     *   evicted.forEach(({ content, reason }) => console.debug(`Dropped "${content}" (${reason})`));
+     * });
+     */
+    onContextEviction(callback: (evictedEntries: ReadonlyArray<EvictedContextEntry>) => void): () => void;
+
+    /**
+     * Registers a callback to be called whenever a request builds the context it sends, with or without a budget.
+     * greet reports its route as 'message'.
+     * @param callback - Function called with the build result and the route of the request.
+     * @returns Unsubscribe function to remove the callback.
+     *
+     * @example
+     * agent.onContextBuild(({ approxTokens, excluded }, route) => {
+     *   console.debug(`${route}: ~${approxTokens} tokens of context, ${excluded.length} entries left out`);
+     * });
+     */
+    onContextBuild(callback: (contextBuild: ContextBuildResult, route: 'message' | 'messageStream' | 'shouldEngage' | 'rewrite' | 'sort') => void): () => void;
+
     //#endregion
 
     //#region Message history management
@@ -350,7 +1209,7 @@ export default class Heylock {
      * Adds a message to the agent's message history.
      * @param content - The message content.
      * @param role - The role of the sender ('user' or 'assistant'). Defaults to 'user'.
-     * @returns The index of the newly added message.
+     * @returns The ID of the newly added message.
      * @throws Error if content is not a string, too long, or role is invalid.
      *
      * @example
@@ -358,11 +1217,45 @@ export default class Heylock {
      * 
      * const agent = new Heylock('YOUR_AGENT_KEY');
      *
-     * const index = agent.addMessage('Hey!', 'user');
+     * const id = agent.addMessage('Hey!', 'user');
+     *
+     * console.log(agent.getMessage(id)); // { id, content: 'Hey!', role: 'user', createdAt: …, updatedAt: …, status: 'complete' }
+     */
+    addMessage(content: string, role?: 'user' | 'assistant'): string;
+
+    /**
+     * Returns the message with the given ID.
+     * @param id - ID returned by addMessage or read from messageHistory.
+     * @returns A frozen copy of the message, or null if there is no message with that ID.
+     * @throws Error if id is not a non-empty string.
+     *
+     * @example
+     * const message = agent.getMessage(id);
+     */
+    getMessage(id: string): Message | null;
+
+    /**
+     * Removes a message by ID. Unlike removeMessage, this stays correct when other messages were removed in the meantime.
+     * @param id - ID of the message to remove.
+     * @throws Error if id is invalid or there is no message with that ID.
      *
-     * console.log('Added at index', index);
+     * @example
+     * const id = agent.addMessage('Draft question');
+     * agent.removeMessageById(id);
+     */
+    removeMessageById(id: string): void;
+
+    /**
+     * Modifies a message by ID.
+     * @param id - ID of the message to modify.
+     * @param content - The new message content.
+     * @param role - The new role ('user' or 'assistant'). Optional.
+     * @throws Error if id/content/role are invalid or there is no message with that ID.
+     *
+     * @example
+     * agent.modifyMessageById(id, 'Updated text');
      */
-    addMessage(content: string, role?: 'user' | 'assistant'): number;
+    modifyMessageById(id: string, content: string, role?: 'user' | 'assistant'): void;
 
     /**
      * Removes a message from the message history by index.
@@ -388,8 +1281,8 @@ export default class Heylock {
 
     /**
      * Replaces the entire message history with a new array.
-     * @param messageHistory - Array of message objects.
-     * @throws Error if the array or its contents are invalid.
+     * @param messageHistory - Array of message objects. Given IDs are kept; missing ones are generated.
+     * @throws Error if the array or its contents are invalid, or if two messages share an ID.
      *
      * @example
      * agent.setMessageHistory([
@@ -397,7 +1290,7 @@ export default class Heylock {
      *   { content: 'Hello!', role: 'assistant' }
      * ]);
      */
-    setMessageHistory(messageHistory: Array<Message>): void;
+    setMessageHistory(messageHistory: Array<MessageInput>): void;
 
     /**
      * Clears all messages from the message history.
@@ -409,22 +1302,114 @@ export default class Heylock {
 
     //#endregion
 
+    //#region Thread management
+
+    /**
+     * Creates an empty conversation thread. The active thread does not change.
+     * @param name - Display name, up to 100 characters. Surrounding whitespace is trimmed.
+     * @returns ID of the new thread.
+     * @throws Error if the name is empty or too long.
+     *
+     * @example
+     * const orderThread = agent.createThread('Order #1234');
+     * agent.switchThread(orderThread);
+     * await agent.message('Where is my order?');
+     */
+    createThread(name: string): string;
+
+    /**
+     * Makes a thread the active one. messageHistory, addMessage, message and messageStream then use its messages.
+     * Replies to requests already in flight still land in the thread they were asked from.
+     * @param id - ID of the thread.
+     * @throws Error if there is no thread with this ID.
+     *
+     * @example
+     * agent.switchThread('default');
+     */
+    switchThread(id: string): void;
+
+    /**
+     * Renames a thread.
+     * @param id - ID of the thread.
+     * @param name - New display name, up to 100 characters.
+     * @throws Error if there is no thread with this ID or the name is invalid.
+     *
+     * @example
+     * agent.renameThread(orderThread, 'Order #1234 (resolved)');
+     */
+    renameThread(id: string, name: string): void;
+
+    /**
+     * Deletes a thread and its messages. Deleting the active thread switches to the 'default' thread.
+     * @param id - ID of the thread.
+     * @throws Error if there is no thread with this ID, or for the 'default' thread.
+     *
+     * @example
+     * agent.deleteThread(orderThread);
+     */
+    deleteThread(id: string): void;
+
+    //#endregion
+
     //#region Context management
 
     /**
      * Adds a new entry to the agent's context.
      * @param content - The context information to add. Must be a non-empty string.
      * @param timestamp - Optional timestamp in milliseconds since Unix epoch (January 1, 1970 UTC). If not provided, the current time is used.
-     * @returns The index of the added context entry.
-     * @throws Error if content is invalid (e.g., not a string or empty), or if timestamp is not a valid number.
+     * @param metadata - Optional tags, source, weight and attributes.
+     * @param options - Optional. coalesce: false always adds a new entry; true merges repeats even without the contextCoalescing option (using its defaults).
+     * @returns The ID of the added context entry, or of the entry it was merged into. If the contextRetention policy evicted it right away (for example, a timestamp older than maxAgeMs), getContextEntry returns null for it.
+     * @throws Error if content is invalid (e.g., not a string or empty), if timestamp is not a valid number, or if metadata or options are invalid.
      *
      * @example
      * // Add context to personalize agent responses
-     * const index = agent.addContextEntry('User opened Berlin accommodations catalog');
+     * const id = agent.addContextEntry('User opened Berlin accommodations catalog');
      * 
-     * console.log('Context index:', index);
+     * // Later, even if other entries were removed meanwhile
+     * agent.removeContextEntryById(id);
+     *
+     * // Tag entries so routes can pick the relevant ones
+     * agent.addContextEntry('Compared two hotel rooms', undefined, { tags: ['shopping'], source: 'page' });
+     *
+     * // Keep a repeat as its own entry when contextCoalescing is on
+     * agent.addContextEntry('Compared two hotel rooms', undefined, undefined, { coalesce: false });
+     */
+    addContextEntry(content: string, timestamp?: number, metadata?: ContextEntryMetadata, options?: { coalesce?: boolean }): string;
+
+    /**
+     * Returns the context entry with the given ID.
+     * @param id - ID returned by addContextEntry or read from context.
+     * @returns A frozen copy of the entry, or null if there is no entry with that ID.
+     * @throws Error if id is not a non-empty string.
+     *
+     * @example
+     * const entry = agent.getContextEntry(id);
+     */
+    getContextEntry(id: string): ContextEntry | null;
+
+    /**
+     * Removes a context entry by ID. Unlike removeContextEntry, this stays correct when other entries were removed in the meantime.
+     * @param id - ID of the entry to remove.
+     * @throws Error if id is invalid or there is no entry with that ID.
+     *
+     * @example
+     * agent.removeContextEntryById(id);
+     */
+    removeContextEntryById(id: string): void;
+
+    /**
+     * Modifies a context entry by ID.
+     * @param id - ID of the entry to modify.
+     * @param content - The new context content.
+     * @param timestamp - The new timestamp (optional).
+     * @param metadata - Metadata fields to replace (optional). Fields that are not given keep their values.
+     * @throws Error if id/content/timestamp/metadata are invalid or there is no entry with that ID.
+     *
+     * @example
+     * agent.modifyContextEntryById(id, 'Switched to dark mode');
      */
-    addContextEntry(content: string, timestamp?: number): number;
+    modifyContextEntryById(id: string, content: string, timestamp?: number, metadata?: ContextEntryMetadata): void;
 
     /**
      * Removes a context entry by index.
@@ -441,17 +1426,18 @@ export default class Heylock {
      * @param index - The index of the context entry to modify.
      * @param content - The new context content.
      * @param timestamp - The new timestamp (optional).
-     * @throws Error if index/content/timestamp are invalid.
+     * @param metadata - Metadata fields to replace (optional). Fields that are not given keep their values.
+     * @throws Error if index/content/timestamp/metadata are invalid.
      *
      * @example
      * agent.modifyContextEntry(0, 'Switched to dark mode');
      */
-    modifyContextEntry(index: number, content: string, timestamp?: number): void;
+    modifyContextEntry(index: number, content: string, timestamp?: number, metadata?: ContextEntryMetadata): void;
 
     /**
      * Replaces the entire context with a new array.
-     * @param contextArray - Array of context entries.
-     * @throws Error if the array or its contents are invalid.
+     * @param contextArray - Array of context entries. Given IDs are kept; missing ones are generated.
+     * @throws Error if the array or its contents are invalid, or if two entries share an ID.
      *
      * @example
      * agent.setContext([
@@ -459,7 +1445,7 @@ export default class Heylock {
      *   { content: 'Opened gifts catalog', timestamp: Date.now() }
      * ]);
      */
-    setContext(contextArray: Array<ContextEntry>): void;
+    setContext(contextArray: Array<ContextEntryInput>): void;
 
     /**
      * Clears all context entries.
@@ -471,12 +1457,55 @@ export default class Heylock {
 
     /**
      * Returns a formatted string representation of the context.
+     * @param filter - Include only the entries that match (optional).
+     * @param format - Format to use instead of the contextFormat option (optional; null uses the built-in default).
      * @returns A string describing the context entries and their timestamps.
+     * @throws Error if filter or format is invalid.
      *
      * @example
      * console.log(agent.getContextString()); // "Played jazz 1 minute ago. Opened gifts catalog now."
+     * console.log(agent.getContextString({ excludeTags: ['internal'] }));
+     * console.log(agent.getContextString(undefined, { style: 'json', time: 'iso' }));
+     */
+    getContextString(filter?: ContextFilter, format?: ContextFormatOptions | null): string;
+
+    /**
+     * Builds context text the way requests do, within a budget, and reports which entries made it in.
+     * Unlike getContextString, it ranks entries and applies the contextBudget option (or options.budget).
+     * @param options - Query to rank relevance against, filter and budget (all optional).
+     * @returns The frozen build result.
+     * @throws Error if options are invalid.
+     *
+     * @example
+     * const { text, included, excluded } = agent.buildContext({ query: 'Which size should I pick?', budget: { maxChars: 400 } });
+     * console.log(`${included.length} entries sent, ${excluded.length} left out`);
+     */
+    buildContext(options?: BuildContextOptions): ContextBuildResult;
+
+    //#endregion
+
+    //#region Activity tracking
+
+    /**
+     * Starts recording browser activity as context entries: page views, SPA route changes, clicks on elements with the click attribute,
+     * scroll depth, time on page (5 seconds or more, recorded when the page is left) and form field focus.
+     * Entries are tagged 'activity' plus the activity type. Elements inside `[data-heylock-ignore]` are never captured.
+     * dispose stops all trackers.
+     * @param options - Allowlist, rules, debouncing and what counts as a tracked click (all optional).
+     * @returns Function that stops this tracker.
+     * @throws Error if there is no window/document or the options are invalid.
+     *
+     * @example
+     * // <button data-heylock-track="Add to cart">…</button>
+     * const stopTracking = agent.trackActivity({
+     *   allow: { events: ['pageView', 'routeChange', 'click', 'scrollDepth'], paths: ['/shop', '/cart'] },
+     *   rules: [
+     *     { type: 'click', selector: '.product-card', tags: ['shopping'], weight: 2 },
+     *     { path: '/cart', type: 'scrollDepth', ignore: true }
+     *   ]
+     * });
      */
-    getContextString(): string;
+    trackActivity(options?: ActivityTrackerOptions): () => void;
 
     //#endregion
 
@@ -484,8 +1513,9 @@ export default class Heylock {
 
     /**
      * Fetches the agent's remaining usage limits from the server.
+     * @param options - Optional per-call settings, such as an AbortSignal to cancel the request.
      * @returns Promise that resolves to a UsageRemaining object with the current limits for messages, sorts, and rewrites.
-     * @throws Error if the agent is not initialized, authorization fails, or a network/server error occurs.
+     * @throws Error if arguments are invalid; HeylockError if the agent is not initialized, authorization fails, or a network/server error occurs.
      *
      * @example
      * try {
@@ -496,7 +1526,7 @@ export default class Heylock {
      *   console.error('Could not fetch limits', err);
      * }
      */
-    fetchUsageRemaining(): Promise<UsageRemaining>;
+    fetchUsageRemaining(options?: RequestOptions): Promise<UsageRemaining>;
 
     //#endregion
 
@@ -507,8 +1537,9 @@ export default class Heylock {
      * @param content - The message content to send.
      * @param useContext - Whether to include context in the request. Defaults to true.
      * @param saveToMessageHistory - Whether to save the message and response to history. Defaults to true.
+     * @param options - Optional per-call settings, such as an AbortSignal to cancel the request, or instructions, a persona, a length hint, a language and extra context for this reply.
      * @returns Promise that resolves to the agent's response string.
-     * @throws Error if the agent is not initialized, arguments are invalid, or a network/server error occurs.
+     * @throws Error if arguments are invalid; HeylockError if the agent is not initialized or a network/server error occurs.
      *
      * @example
      * import Heylock from 'heylock';
@@ -527,15 +1558,16 @@ export default class Heylock {
      *   }
      * });
      */
-    message(content: string, useContext?: boolean, saveToMessageHistory?: boolean): Promise<string>;
+    message(content: string, useContext?: boolean, saveToMessageHistory?: boolean, options?: MessageRequestOptions): Promise<string>;
 
     /**
      * Sends a message to the agent and receives a streamed response (async generator).
      * @param content - The message content to send.
      * @param useContext - Whether to include context in the request. Defaults to true.
      * @param saveToMessageHistory - Whether to save the message and response to history. Defaults to true.
+     * @param options - Optional per-call settings, including the reply guidance of message. Aborting the signal stops reading the stream; an empty assistant placeholder in history becomes "Response cancelled." and a partial reply is kept.
      * @returns Async generator yielding response chunks as strings.
-     * @throws Error if the agent is not initialized, arguments are invalid, or a network/server error occurs.
+     * @throws Error if arguments are invalid; HeylockError if the agent is not initialized or a network/server error occurs.
      *
      * @example
      * // Stream and log chunks as they arrive (for-await)
@@ -566,15 +1598,16 @@ export default class Heylock {
      *   console.log('\nFull:', full);
      * });
      */
-    messageStream(content: string, useContext?: boolean, saveToMessageHistory?: boolean): AsyncGenerator<string, string, unknown>;
+    messageStream(content: string, useContext?: boolean, saveToMessageHistory?: boolean, options?: MessageRequestOptions): AsyncGenerator<string, string, unknown>;
 
     /**
      * Returns a greeting message from the agent.
-     * @param instructions - Optional instructions for the greeting.
+     * @param instructions - Optional instructions for the greeting. They are sent with the greeting prompt as per-call instructions, never as a user message.
      * @param useContext - Whether to include context in the request. Defaults to true.
      * @param saveToMessageHistory - Whether to save the greeting to history. Defaults to true.
+     * @param options - Optional per-call settings, such as an AbortSignal to cancel the request. `options.instructions` is added after the greeting prompt.
      * @returns Promise that resolves to the agent's greeting string.
-     * @throws Error if the arguments are invalid or a network/server error occurs.
+     * @throws Error if the arguments are invalid; HeylockError if a network/server error occurs.
      *
      * @example
      * const greeting = await agent.greet();
@@ -587,7 +1620,7 @@ export default class Heylock {
      * const personalized = await agent.greet('Mention the current discount');
      * console.log(personalized);
      */
-    greet(instructions?: string, useContext?: boolean, saveToMessageHistory?: boolean): Promise<string>;
+    greet(instructions?: string, useContext?: boolean, saveToMessageHistory?: boolean, options?: MessageRequestOptions): Promise<string>;
 
     //#endregion
 
@@ -597,8 +1630,9 @@ export default class Heylock {
      * Checks if the agent should engage with the user, based on instructions and context.
      * Throttles requests to prevent excessive calls.
      * @param instructions - Optional instructions for engagement.
+     * @param options - Optional per-call settings, such as an AbortSignal to cancel the request.
      * @returns Promise that resolves to a ShouldEngageResult object.
-     * @throws Error if arguments are invalid, throttling is in effect, or a network/server error occurs.
+     * @throws Error if arguments are invalid or throttling is in effect; HeylockError if a network/server error occurs.
      *
      * @example
      * // Note: calls are throttled (about 15s). Avoid calling repeatedly inside loops.
@@ -608,7 +1642,7 @@ export default class Heylock {
      * 
      * console.log('Engage?', decision.shouldEngage, 'Reason:', decision.reasoning);
      */
-    shouldEngage(instructions?: string): Promise<ShouldEngageResult>;
+    shouldEngage(instructions?: string, options?: ContextRequestOptions): Promise<ShouldEngageResult>;
     
     //#endregion
 
@@ -619,8 +1653,9 @@ export default class Heylock {
      * @param content - The text content to rewrite. Must be a non-empty string.
      * @param instructions - Optional instructions for the rewrite. Must be a string if provided.
      * @param useContext - Whether to include context in the rewrite request. Defaults to true.
+     * @param options - Optional per-call settings, such as an AbortSignal to cancel the request.
      * @returns Promise that resolves to the rewritten text string.
-     * @throws Error if arguments are invalid, usage limits are exceeded, authorization fails, or a network/server error occurs.
+     * @throws Error if arguments are invalid; HeylockError if usage limits are exceeded, authorization fails, or a network/server error occurs.
      *
      * @example
      * agent.addContextEntry('Tone preference: friendly and concise');
@@ -629,7 +1664,7 @@ export default class Heylock {
      * 
      * console.log(improved); // "Please ship my order quickly. Thank you!"
      */
-    rewrite(content: string, instructions?: string, useContext?: boolean): Promise<string>;
+    rewrite(content: string, instructions?: string, useContext?: boolean, options?: ContextRequestOptions): Promise<string>;
 
     //#endregion
 
@@ -641,6 +1676,7 @@ export default class Heylock {
      * @param array - The array to sort.
      * @param instructions - Optional instructions for sorting (e.g., "Order by the likelihood of purchase").
      * @param useContext - Whether to use context for sorting (default: true).
+     * @param options - Optional per-call settings, such as an AbortSignal to cancel the request.
      * @returns Promise resolving to a SortResult.
      *
      * @example
@@ -660,6 +1696,259 @@ export default class Heylock {
      *   console.log(result.array);
      * });
      */
-    sort(array: any[], instructions?: string, useContext?: boolean): Promise<SortResult>;
+    sort(array: any[], instructions?: string, useContext?: boolean, options?: ContextRequestOptions): Promise<SortResult>;
     //#endregion
-}
\ No newline at end of file
+}
+
+//#region Proxy
+
+/**
+ * Creates a standard `(Request) => Promise<Response>` handler that forwards message, streaming message,
+ * rewrite, sort, should-engage and limits calls using a key held on the server.
+ * The route is taken from the last path segment, so mount it on a catch-all route.
+ * @param agentKey - The secret agent key. Never sent to the client.
+ * @param options - Optional upstream configuration.
+ * @returns Request handler for fetch-style servers (Next.js route handlers, Deno, Bun, Workers...).
+ * @throws Error if agentKey or options are invalid.
+ *
+ * @example
+ * // app/api/heylock/[route]/route.ts (Next.js)
+ * import { createProxyHandler } from 'heylock';
+ *
+ * const handler = createProxyHandler(process.env.HEYLOCK_AGENT_KEY!);
+ *
+ * export const GET = handler;
+ * export const POST = handler;
+ *
+ * // Browser
+ * const agent = new Heylock(null, { proxyUrl: '/api/heylock' });
+ */
+export function createProxyHandler(agentKey: string, options?: ProxyHandlerOptions): (request: Request) => Promise<Response>;
+
+/**
+ * Creates a Node `http` request listener that forwards Heylock calls using a key held on the server.
+ * Also works as Express middleware, including when the body was already parsed into `req.body`.
+ * @param agentKey - The secret agent key. Never sent to the client.
+ * @param options - Optional upstream configuration.
+ * @returns Listener for `http.createServer` or `app.use`.
+ * @throws Error if agentKey or options are invalid.
+ *
+ * @example
+ * import http from 'node:http';
+ * import { createNodeProxyHandler } from 'heylock';
+ *
+ * const heylockProxy = createNodeProxyHandler(process.env.HEYLOCK_AGENT_KEY);
+ *
+ * http.createServer((req, res) => {
+ *   if (req.url.startsWith('/api/heylock/')) return heylockProxy(req, res);
+ *   // ...your other routes
+ * }).listen(3000);
+ */
+export function createNodeProxyHandler(agentKey: string, options?: ProxyHandlerOptions): (req: any, res: any) => Promise<void>;
+
+//#endregion
+
+//#region Sessions
+
+/**
+ * Creates a session manager for serving many users from one server. The key is verified once; each user ID gets
+ * its own agent with its own context and message history, saved to the store and disposed after being idle.
+ * @param agentKey - The secret agent key.
+ * @param options - Agent options for every session, plus store and idleTimeoutMs.
+ * @returns The session manager.
+ * @throws Error if options are invalid.
+ *
+ * @example
+ * import { createSessionManager, createFileStorageAdapter } from 'heylock';
+ *
+ * const sessions = createSessionManager(process.env.HEYLOCK_AGENT_KEY, {
+ *   store: createFileStorageAdapter('./heylock-sessions.json'),
+ *   idleTimeoutMs: 15 * 60 * 1000
+ * });
+ *
+ * app.post('/chat', async (req, res) => {
+ *   const agent = await sessions.getSession(req.user.id);
+ *   res.json({ reply: await agent.message(req.body.message) });
+ * });
+ */
+export function createSessionManager(agentKey: string, options?: SessionManagerOptions): SessionManager;
+
+//#endregion
+
+//#region Storage
+
+/**
+ * Storage adapter backed by window.localStorage. The default in browsers.
+ *
+ * @example
+ * const agent = new Heylock(key, { storage: createLocalStorageAdapter() });
+ */
+export function createLocalStorageAdapter(): StorageAdapter;
+
+/**
+ * Storage adapter backed by window.sessionStorage, so context lasts only as long as the tab.
+ *
+ * @example
+ * const agent = new Heylock(key, { storage: createSessionStorageAdapter() });
+ */
+export function createSessionStorageAdapter(): StorageAdapter;
+
+/**
+ * Asynchronous storage adapter backed by an IndexedDB object store.
+ * @param options - Database and object store names.
+ * @throws Error if the names are invalid.
+ *
+ * @example
+ * const agent = new Heylock(key, { storage: createIndexedDBAdapter({ databaseName: 'my-app' }) });
+ * await agent.ready(); // context restored
+ */
+export function createIndexedDBAdapter(options?: IndexedDBAdapterOptions): StorageAdapter;
+
+/**
+ * Storage adapter that keeps values in memory for the lifetime of the adapter.
+ * @param initialEntries - Optional values to start with, keyed by storage key.
+ *
+ * @example
+ * const storage = createMemoryStorageAdapter();
+ * const agent = new Heylock(key, { storage });
+ */
+export function createMemoryStorageAdapter(initialEntries?: Record<string, string>): StorageAdapter;
+
+/**
+ * Node storage adapter that keeps every key in one JSON file, so context survives restarts.
+ * Writes are queued and replace the file atomically; missing directories are created.
+ * @param filePath - Path of the JSON file.
+ * @throws Error if filePath is not a non-empty string.
+ *
+ * @example
+ * import Heylock, { createFileStorageAdapter } from 'heylock';
+ *
+ * const agent = new Heylock(process.env.HEYLOCK_AGENT_KEY, {
+ *   storage: createFileStorageAdapter('./.heylock/state.json')
+ * });
+ */
+export function createFileStorageAdapter(filePath: string): StorageAdapter;
+
+//#endregion
+
+//#region Errors
+
+/**
+ * Machine-readable error codes carried by every HeylockError.
+ * - unauthorized: the agent key was rejected (HTTP 401/403 or failed verification).
+ * - quota_exhausted: the plan limit for the route is used up (HTTP 429 with Plan-Remaining 0).
+ * - rate_limited: too many requests in a short time (HTTP 429 with quota left).
+ * - bad_request: the API rejected the arguments (HTTP 400 and other unexpected 4xx).
+ * - server_error: the API failed (HTTP 500, 503...).
+ * - upstream_error: a service behind the API failed (HTTP 502).
+ * - invalid_response: the API answered with a body this version of the package does not understand.
+ * - not_initialized: the method was called before initialization finished.
+ * - disposed: the agent was disposed.
+ * - network: no response was received.
+ * - timeout / stream_idle_timeout: a timeout expired.
+ * - aborted: the call was cancelled through an AbortSignal.
+ *
+ * @example
+ * import { ERROR_CODES } from 'heylock';
+ *
+ * try {
+ *   await agent.message('Hi');
+ * } catch (error) {
+ *   if (error.code === ERROR_CODES.QUOTA_EXHAUSTED) showUpgradeDialog();
+ * }
+ */
+export const ERROR_CODES: {
+    readonly UNAUTHORIZED: 'unauthorized';
+    readonly QUOTA_EXHAUSTED: 'quota_exhausted';
+    readonly RATE_LIMITED: 'rate_limited';
+    readonly BAD_REQUEST: 'bad_request';
+    readonly SERVER_ERROR: 'server_error';
+    readonly UPSTREAM_ERROR: 'upstream_error';
+    readonly INVALID_RESPONSE: 'invalid_response';
+    readonly NOT_INITIALIZED: 'not_initialized';
+    readonly DISPOSED: 'disposed';
+    readonly NETWORK: 'network';
+    readonly TIMEOUT: 'timeout';
+    readonly STREAM_IDLE_TIMEOUT: 'stream_idle_timeout';
+    readonly ABORTED: 'aborted';
+};
+
+/**
+ * Union of all values in ERROR_CODES.
+ */
+export type HeylockErrorCode = typeof ERROR_CODES[keyof typeof ERROR_CODES];
+
+/**
+ * Details accepted by the HeylockError constructors.
+ */
+export interface HeylockErrorDetails {
+    code?: HeylockErrorCode;
+    status?: number | null;
+    route?: string | null;
+    planRemaining?: number | null;
+    cause?: unknown;
+}
+
+/**
+ * Base class for every failure reported by network methods and initialization.
+ * Argument validation errors remain plain Errors.
+ * @property code - Machine-readable error code; branch on this rather than on the message.
+ * @property status - HTTP status of the failed response, or null if no response was involved.
+ * @property route - The route that failed ('message', 'rewrite', 'sort', 'shouldEngage', 'limits' or 'verifyKey'), or null.
+ * @property planRemaining - Value of the Plan-Remaining header of the failed response, or null if absent.
+ *
+ * @example
+ * import { HeylockError } from 'heylock';
+ *
+ * try {
+ *   await agent.rewrite(text);
+ * } catch (error) {
+ *   if (error instanceof HeylockError && error.code === 'rate_limited') retryLater();
+ *   else throw error;
+ * }
+ */
+export class HeylockError extends Error {
+    constructor(message: string, details?: HeylockErrorDetails);
+    readonly code: HeylockErrorCode;
+    readonly status: number | null;
+    readonly route: string | null;
+    readonly planRemaining: number | null;
+}
+
+/**
+ * The API answered with a non-success HTTP status. `status` is always set.
+ */
+export class HeylockHttpError extends HeylockError {
+    readonly status: number;
+}
+
+/**
+ * The API answered successfully but with an unexpected body. Code 'invalid_response'.
+ */
+export class HeylockResponseError extends HeylockError {}
+
+/**
+ * No response was received, e.g. the network is down. Code 'network'; the original error is in `cause`.
+ */
+export class HeylockNetworkError extends HeylockError {}
+
+/**
+ * A request or stream timeout expired. Named 'TimeoutError'; code 'timeout' or 'stream_idle_timeout'.
+ * @property timeoutMs - The timeout that expired, in milliseconds.
+ */
+export class HeylockTimeoutError extends HeylockNetworkError {
+    constructor(message: string, details?: HeylockErrorDetails & { timeoutMs?: number });
+    readonly timeoutMs: number;
+}
+
+/**
+ * The call was cancelled through an AbortSignal. Named 'AbortError'; code 'aborted'.
+ */
+export class HeylockAbortError extends HeylockError {}
+
+/**
+ * The agent is not in a state that allows the call. Code 'not_initialized' or 'disposed'.
+ */
+export class HeylockStateError extends HeylockError {}
+
+//#endregion